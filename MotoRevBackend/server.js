@@ -27,6 +27,12 @@ const placesRoutes = require('./src/routes/places');
 
 // Import WebSocket service
 const { setupSocketHandlers } = require('./src/services/socketService');
+const { resumePendingCrashCountdowns } = require('./src/services/emergencyService');
+const { startHazardSweeper, stopHazardSweeper } = require('./src/services/hazardService');
+const { flushAllBreadcrumbs } = require('./src/services/rideSessionService');
+const { resumePackSessions } = require('./src/services/packSessionService');
+const { startMaintenanceReminders, stopMaintenanceReminders } = require('./src/services/maintenanceReminderService');
+const { startStorySweeper, stopStorySweeper } = require('./src/services/storyService');
 
 const app = express();
 const server = http.createServer(app);
@@ -285,6 +291,7 @@ app.use('/api/events', require('./src/routes/events'));
 app.use('/api/music', require('./src/routes/music'));
 app.use('/api/voice', require('./src/routes/voice'));
 app.use('/api/places', placesRoutes);
+app.use('/api/media', require('./src/routes/media'));
 
 // Serve static files for uploads
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
@@ -1329,11 +1336,18 @@ app.use((err, req, res, next) => {
 async function gracefulShutdown(signal) {
   console.log(`🛑 Received ${signal}. Starting graceful shutdown...`);
   
+  stopHazardSweeper();
+  stopMaintenanceReminders();
+  stopStorySweeper();
+
   // Stop accepting new connections
   server.close(() => {
     console.log('✅ HTTP server closed');
   });
   
+  // Write out buffered ride breadcrumbs before the pool goes away
+  await flushAllBreadcrumbs();
+
   // Close database connections
   try {
     console.log('🔌 Closing database connections...');
@@ -1356,6 +1370,21 @@ async function startServer() {
     
     // Initialize WebSocket service
     setupSocketHandlers(io);
+
+    // Re-arm crash countdowns interrupted by a restart
+    await resumePendingCrashCountdowns();
+
+    // Resolve hazards past their type-specific TTL
+    startHazardSweeper();
+
+    // Rebuild live tracking for packs that are mid-ride
+    await resumePackSessions();
+
+    // Push reminders for bike services coming due
+    startMaintenanceReminders();
+
+    // Archive expired stories and their views
+    startStorySweeper();
     
     // Start server
     server.listen(PORT, '0.0.0.0', () => {
@@ -97,7 +97,10 @@ const run = async (sql, params = []) => {
 const executeMultiple = async (sql) => {
   const connection = await pool.getConnection();
   try {
-    const statements = sql.split(';').filter(stmt => {
+    // Drop comment-only lines first so a statement preceded by a "-- Section" header still runs
+    const statements = sql.split(';').map(stmt =>
+      stmt.split('\n').filter(line => !line.trim().startsWith('--')).join('\n')
+    ).filter(stmt => {
       const trimmed = stmt.trim();
       // Filter out empty statements and comments-only statements
       return trimmed.length > 0 && !trimmed.startsWith('--') && !trimmed.match(/^\/\*.*\*\/$/s);
@@ -27,7 +27,7 @@ ADD COLUMN IF NOT EXISTS likes_count INT DEFAULT 0,
 ADD COLUMN IF NOT EXISTS comments_count INT DEFAULT 0,
 ADD COLUMN IF NOT EXISTS shares_count INT DEFAULT 0,
 ADD COLUMN IF NOT EXISTS views_count INT DEFAULT 0,
-ADD COLUMN IF NOT EXISTS visibility ENUM('public', 'followers', 'private') DEFAULT 'public',
+ADD COLUMN IF NOT EXISTS visibility ENUM('public', 'followers', 'pack', 'private') DEFAULT 'public',
 ADD COLUMN IF NOT EXISTS is_pinned BOOLEAN DEFAULT FALSE,
 ADD COLUMN IF NOT EXISTS is_featured BOOLEAN DEFAULT FALSE,
 ADD COLUMN IF NOT EXISTS is_flagged BOOLEAN DEFAULT FALSE,
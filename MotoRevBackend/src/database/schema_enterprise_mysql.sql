@@ -128,7 +128,7 @@ CREATE TABLE posts (
     -- Post metadata
     ride_id BIGINT NULL,
     post_type ENUM('general', 'ride', 'safety', 'maintenance', 'route', 'emergency') DEFAULT 'general',
-    visibility ENUM('public', 'followers', 'private') DEFAULT 'public',
+    visibility ENUM('public', 'followers', 'pack', 'private') DEFAULT 'public',
     
     -- Engagement metrics (denormalized for performance)
     likes_count INT DEFAULT 0,
@@ -34,11 +34,19 @@ CREATE TABLE IF NOT EXISTS users (
     emergency_contact_phone VARCHAR(20),
     push_notifications_enabled BOOLEAN DEFAULT TRUE,
     email_notifications_enabled BOOLEAN DEFAULT TRUE,
+    quiet_hours_enabled BOOLEAN DEFAULT FALSE,
+    quiet_hours_start TIME,
+    quiet_hours_end TIME,
+    timezone VARCHAR(64) DEFAULT 'UTC',
     privacy_level ENUM('public', 'friends', 'private') DEFAULT 'public',
     is_verified BOOLEAN DEFAULT FALSE,
     is_premium BOOLEAN DEFAULT FALSE,
     role ENUM('user','admin','super_admin') DEFAULT 'user',
     subscription_tier ENUM('standard','pro') DEFAULT 'standard',
+    suspended_at DATETIME, -- set while suspended or banned
+    suspended_until DATETIME, -- NULL with suspended_at set is a ban
+    suspension_reason TEXT,
+    suspended_by BIGINT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     last_active_at DATETIME,
@@ -64,6 +72,26 @@ CREATE TABLE IF NOT EXISTS user_sessions (
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Uploaded photos and videos. Posts, stories, bikes, maintenance records and hazard
+-- reports point here by id. thumbnails maps a size name to its key, url and dimensions.
+CREATE TABLE IF NOT EXISTS media (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    purpose ENUM('post', 'story', 'bike', 'maintenance', 'hazard', 'profile') NOT NULL,
+    media_type ENUM('image', 'video') NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INT NOT NULL,
+    width INT,
+    height INT,
+    storage_backend VARCHAR(20) NOT NULL,
+    storage_key VARCHAR(255) NOT NULL,
+    url TEXT NOT NULL,
+    thumbnails JSON,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_user_id (user_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Follower relationships for social features
 CREATE TABLE IF NOT EXISTS followers (
     id BIGINT AUTO_INCREMENT PRIMARY KEY,
@@ -78,6 +106,30 @@ CREATE TABLE IF NOT EXISTS followers (
     FOREIGN KEY (following_id) REFERENCES users(id) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Blocks hide two riders from each other everywhere, whoever blocked whom
+CREATE TABLE IF NOT EXISTS user_blocks (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    blocker_id BIGINT NOT NULL,
+    blocked_id BIGINT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_block (blocker_id, blocked_id),
+    INDEX idx_blocked_id (blocked_id),
+    FOREIGN KEY (blocker_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (blocked_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Mutes only take a rider out of the muter feed and story tray
+CREATE TABLE IF NOT EXISTS user_mutes (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    muter_id BIGINT NOT NULL,
+    muted_id BIGINT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_mute (muter_id, muted_id),
+    INDEX idx_muted_id (muted_id),
+    FOREIGN KEY (muter_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (muted_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Social posts for community features
 CREATE TABLE IF NOT EXISTS posts (
     id BIGINT AUTO_INCREMENT PRIMARY KEY,
@@ -85,21 +137,30 @@ CREATE TABLE IF NOT EXISTS posts (
     content TEXT NOT NULL,
     image_url TEXT,
     video_url TEXT,
+    media_id BIGINT, -- media.id of the uploaded image or video
     location_lat DECIMAL(10, 8),
     location_lng DECIMAL(11, 8),
     location_name VARCHAR(200),
     ride_id BIGINT,
+    completed_ride_id VARCHAR(255), -- completed_rides.id shown as a ride card
+    shared_from_post_id BIGINT, -- set on reshares, the original is embedded when read
     post_type ENUM('general', 'ride', 'safety', 'maintenance', 'route') DEFAULT 'general',
-    visibility ENUM('public', 'followers', 'private') DEFAULT 'public',
+    visibility ENUM('public', 'followers', 'pack', 'private') DEFAULT 'public',
     likes_count INT DEFAULT 0,
     comments_count INT DEFAULT 0,
     shares_count INT DEFAULT 0,
     is_pinned BOOLEAN DEFAULT FALSE,
+    is_deleted BOOLEAN DEFAULT FALSE,
+    edited_at DATETIME,
+    deleted_at DATETIME,
+    hidden_at DATETIME, -- hidden by moderation, still shown to the author
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     INDEX idx_user_id (user_id),
     INDEX idx_created_at (created_at),
     INDEX idx_visibility (visibility),
+    INDEX idx_posts_shared_from (shared_from_post_id),
+    INDEX idx_posts_media (media_id),
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
@@ -110,18 +171,50 @@ CREATE TABLE IF NOT EXISTS stories (
     content TEXT,
     image_url TEXT,
     video_url TEXT,
+    media_id BIGINT,
     background_color VARCHAR(7),
     location_lat DECIMAL(10, 8),
     location_lng DECIMAL(11, 8),
     location_name VARCHAR(200),
     views_count INT DEFAULT 0,
+    audience ENUM('followers', 'close_friends', 'pack') DEFAULT 'followers',
     expires_at DATETIME NOT NULL,
+    archived_at DATETIME DEFAULT NULL,
+    hidden_at DATETIME DEFAULT NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     INDEX idx_user_id (user_id),
     INDEX idx_expires_at (expires_at),
+    INDEX idx_user_archived (user_id, archived_at),
+    INDEX idx_stories_media (media_id),
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Hashtags used in posts and stories. Each use is one row so trending can count
+-- distinct riders per time window
+CREATE TABLE IF NOT EXISTS hashtags (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    tag VARCHAR(100) NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_tag (tag)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS hashtag_uses (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    hashtag_id BIGINT NOT NULL,
+    user_id BIGINT NOT NULL,
+    post_id BIGINT,
+    story_id BIGINT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_post_tag (hashtag_id, post_id),
+    UNIQUE KEY unique_story_tag (hashtag_id, story_id),
+    INDEX idx_created_at (created_at, hashtag_id),
+    INDEX idx_post_id (post_id),
+    FOREIGN KEY (hashtag_id) REFERENCES hashtags(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+    FOREIGN KEY (story_id) REFERENCES stories(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Story views tracking
 CREATE TABLE IF NOT EXISTS story_views (
     id BIGINT AUTO_INCREMENT PRIMARY KEY,
@@ -133,6 +226,52 @@ CREATE TABLE IF NOT EXISTS story_views (
     FOREIGN KEY (viewer_id) REFERENCES users(id) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Views of expired stories, moved out of story_views when the story is archived
+CREATE TABLE IF NOT EXISTS story_views_archive (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    story_id BIGINT NOT NULL,
+    viewer_id BIGINT NOT NULL,
+    viewed_at DATETIME,
+    archived_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_view (story_id, viewer_id),
+    FOREIGN KEY (story_id) REFERENCES stories(id) ON DELETE CASCADE,
+    FOREIGN KEY (viewer_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Riders who see a rider's close_friends stories
+CREATE TABLE IF NOT EXISTS close_friends (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    friend_id BIGINT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_close_friend (user_id, friend_id),
+    INDEX idx_friend_id (friend_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (friend_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Story highlights pinned to a profile. They keep showing their stories after expiry.
+CREATE TABLE IF NOT EXISTS story_highlights (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    title VARCHAR(50) NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_user_id (user_id),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+CREATE TABLE IF NOT EXISTS story_highlight_items (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    highlight_id BIGINT NOT NULL,
+    story_id BIGINT NOT NULL,
+    position INT DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_highlight_story (highlight_id, story_id),
+    FOREIGN KEY (highlight_id) REFERENCES story_highlights(id) ON DELETE CASCADE,
+    FOREIGN KEY (story_id) REFERENCES stories(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Post likes
 CREATE TABLE IF NOT EXISTS post_likes (
     id BIGINT AUTO_INCREMENT PRIMARY KEY,
@@ -154,20 +293,135 @@ CREATE TABLE IF NOT EXISTS post_comments (
     content TEXT NOT NULL,
     parent_comment_id BIGINT,
     likes_count INT DEFAULT 0,
+    is_deleted BOOLEAN DEFAULT FALSE,
+    edited_at DATETIME,
+    deleted_at DATETIME,
+    hidden_at DATETIME,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     INDEX idx_post_id (post_id),
+    INDEX idx_post_parent (post_id, parent_comment_id, id),
     FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (parent_comment_id) REFERENCES post_comments(id) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+CREATE TABLE IF NOT EXISTS comment_likes (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    comment_id BIGINT NOT NULL,
+    user_id BIGINT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_comment_like (comment_id, user_id),
+    INDEX idx_user_id (user_id),
+    FOREIGN KEY (comment_id) REFERENCES post_comments(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Previous versions of edited comments, one row per edit
+CREATE TABLE IF NOT EXISTS comment_edits (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    comment_id BIGINT NOT NULL,
+    previous_content TEXT NOT NULL,
+    edited_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_comment_id (comment_id, id),
+    FOREIGN KEY (comment_id) REFERENCES post_comments(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- In-app notifications, one row per recipient. Pages walk id downwards (cursor = last id seen)
+CREATE TABLE IF NOT EXISTS notifications (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    actor_id BIGINT,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    message TEXT,
+    data JSON,
+    is_read BOOLEAN DEFAULT FALSE,
+    read_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_notifications_user (user_id, id),
+    INDEX idx_notifications_unread (user_id, is_read),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (actor_id) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Reports from riders plus the moderator decision on each
+CREATE TABLE IF NOT EXISTS content_moderation (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    content_type ENUM('post', 'comment', 'story', 'user_profile', 'place_review', 'hazard_report') NOT NULL,
+    content_id BIGINT NOT NULL,
+    content_owner_id BIGINT,
+    reporter_id BIGINT,
+    reason ENUM('spam', 'harassment', 'inappropriate', 'violence', 'copyright', 'other') NOT NULL,
+    description TEXT,
+    status ENUM('pending', 'approved', 'rejected', 'escalated') DEFAULT 'pending',
+    moderator_id BIGINT,
+    moderator_notes TEXT,
+    action_taken ENUM('none', 'warning', 'content_removed', 'user_suspended', 'user_banned'),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    resolved_at DATETIME,
+    INDEX idx_content (content_type, content_id),
+    INDEX idx_status (status),
+    INDEX idx_created_at (created_at),
+    INDEX idx_moderator (moderator_id),
+    INDEX idx_content_owner (content_owner_id),
+    UNIQUE KEY unique_report (content_type, content_id, reporter_id),
+    FOREIGN KEY (reporter_id) REFERENCES users(id) ON DELETE SET NULL,
+    FOREIGN KEY (moderator_id) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Audit trail of moderation actions. moderator_id is NULL for automatic ones
+CREATE TABLE IF NOT EXISTS moderation_actions (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    moderator_id BIGINT,
+    action VARCHAR(50) NOT NULL,
+    content_type VARCHAR(50),
+    content_id BIGINT,
+    target_user_id BIGINT,
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_moderation_content (content_type, content_id),
+    INDEX idx_moderation_target (target_user_id),
+    INDEX idx_moderation_moderator (moderator_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Appeals from suspended riders. The suspension is copied so the appeal still makes sense once it is lifted
+CREATE TABLE IF NOT EXISTS suspension_appeals (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    message TEXT NOT NULL,
+    suspension_reason TEXT,
+    suspended_until DATETIME,
+    status ENUM('pending', 'accepted', 'rejected') DEFAULT 'pending',
+    reviewer_id BIGINT,
+    reviewer_notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    resolved_at DATETIME,
+    INDEX idx_appeals_user (user_id, status),
+    INDEX idx_appeals_status (status, created_at),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (reviewer_id) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Per-category notification channel choices. A missing row means every channel is on
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id BIGINT NOT NULL,
+    category ENUM('social', 'pack', 'safety', 'maintenance', 'events') NOT NULL,
+    socket_enabled BOOLEAN DEFAULT TRUE,
+    push_enabled BOOLEAN DEFAULT TRUE,
+    email_enabled BOOLEAN DEFAULT TRUE,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, category),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Rides tracking for journey management
 CREATE TABLE IF NOT EXISTS rides (
     id BIGINT AUTO_INCREMENT PRIMARY KEY,
     user_id BIGINT NOT NULL,
     title VARCHAR(200),
     description TEXT,
+    ride_type VARCHAR(50) DEFAULT 'Solo',
     start_time DATETIME NOT NULL,
     end_time DATETIME,
     start_location_lat DECIMAL(10, 8),
@@ -248,8 +502,14 @@ CREATE TABLE IF NOT EXISTS emergency_events (
     authorities_contacted BOOLEAN DEFAULT FALSE,
     response_time_seconds INT,
     resolution_notes TEXT,
+    status ENUM('pending', 'active', 'resolved', 'false_alarm') DEFAULT 'active',
+    confidence DECIMAL(4, 3),
+    sensor_data JSON,
+    escalate_at DATETIME, -- end of the cancel window for auto-detected crashes
+    cancelled_at DATETIME,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     resolved_at DATETIME,
+    INDEX idx_status_escalate (status, escalate_at),
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
     FOREIGN KEY (ride_id) REFERENCES rides(id) ON DELETE SET NULL
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -265,17 +525,33 @@ CREATE TABLE IF NOT EXISTS hazard_reports (
     location_name VARCHAR(200),
     description TEXT NOT NULL,
     image_url TEXT,
+    media_id BIGINT,
     status ENUM('active', 'resolved', 'duplicate', 'false_report') DEFAULT 'active',
     upvotes INT DEFAULT 0,
     downvotes INT DEFAULT 0,
     reports_count INT DEFAULT 1,
     is_verified BOOLEAN DEFAULT FALSE,
+    confidence DECIMAL(4,3),
     expires_at DATETIME,
+    resolved_at DATETIME,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_hazard_status_expires (status, expires_at),
+    INDEX idx_hazard_media (media_id),
     FOREIGN KEY (reporter_id) REFERENCES users(id) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Riders who reported each hazard, the original reporter included. Merged reports only
+-- count once per rider.
+CREATE TABLE IF NOT EXISTS hazard_reporters (
+    hazard_id BIGINT NOT NULL,
+    user_id BIGINT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (hazard_id, user_id),
+    FOREIGN KEY (hazard_id) REFERENCES hazard_reports(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Hazard confirmations from other users
 CREATE TABLE IF NOT EXISTS hazard_confirmations (
     id BIGINT AUTO_INCREMENT PRIMARY KEY,
@@ -303,6 +579,9 @@ CREATE TABLE IF NOT EXISTS riding_packs (
     meeting_point_lng DECIMAL(11, 8),
     meeting_point_name VARCHAR(200),
     planned_route LONGTEXT, -- JSON string
+    sweep_user_id BIGINT, -- rider at the back during a live pack session
+    invite_code VARCHAR(10) UNIQUE,
+    invite_code_expires_at DATETIME,
     start_time DATETIME,
     estimated_duration INT,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
@@ -324,6 +603,23 @@ CREATE TABLE IF NOT EXISTS pack_members (
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
+-- Invitations to join a riding pack
+CREATE TABLE IF NOT EXISTS pack_invitations (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    pack_id BIGINT NOT NULL,
+    inviter_id BIGINT NOT NULL,
+    invitee_id BIGINT NOT NULL,
+    status ENUM('pending', 'accepted', 'declined', 'expired') DEFAULT 'pending',
+    expires_at DATETIME NOT NULL,
+    responded_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY unique_pack_invitee (pack_id, invitee_id),
+    INDEX idx_invitee_status (invitee_id, status),
+    FOREIGN KEY (pack_id) REFERENCES riding_packs(id) ON DELETE CASCADE,
+    FOREIGN KEY (inviter_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (invitee_id) REFERENCES users(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
 -- Digital Garage - Bikes Table
 CREATE TABLE IF NOT EXISTS bikes (
   id BIGINT AUTO_INCREMENT PRIMARY KEY,
@@ -340,6 +636,7 @@ CREATE TABLE IF NOT EXISTS bikes (
   notes TEXT,
   is_primary BOOLEAN DEFAULT FALSE,
   photos JSON, -- Array of photo URLs
+  media_ids JSON, -- media.id of each photo, where it was uploaded through the media service
   modifications JSON, -- Array of modification objects
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -364,7 +661,9 @@ CREATE TABLE IF NOT EXISTS maintenance_records (
   shop_name VARCHAR(100),
   parts_used JSON, -- Array of parts objects
   photos JSON, -- Array of photo URLs
+  media_ids JSON, -- media.id of each photo, where it was uploaded through the media service
   reminder_enabled BOOLEAN DEFAULT TRUE,
+  reminder_sent_at DATETIME,
   completed BOOLEAN DEFAULT TRUE,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
@@ -465,6 +764,8 @@ CREATE TABLE IF NOT EXISTS ride_events (
     start_time DATETIME NOT NULL,
     end_time DATETIME,
     location VARCHAR(255) NOT NULL,
+    latitude DECIMAL(10, 8),
+    longitude DECIMAL(11, 8),
     max_participants INT,
     is_public BOOLEAN DEFAULT TRUE,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -530,10 +831,48 @@ CREATE TABLE IF NOT EXISTS completed_rides (
     average_speed FLOAT NOT NULL, -- in mph
     max_speed FLOAT NOT NULL, -- in mph
     route_data TEXT, -- JSON array of route points
+    card_routes TEXT, -- simplified feed card polylines, filled on the first card load
     safety_score INT DEFAULT 100,
+    bike_id BIGINT, -- bike ridden, the primary bike when not given
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
 );
 
 -- User statistics columns are added dynamically in setupDatabase.js ensureAdditionalColumns()
--- to avoid duplicate column errors in production 
\ No newline at end of file
+-- to avoid duplicate column errors in production 
+-- Emergency contacts - additional people to alert beyond users.emergency_contact_*
+CREATE TABLE IF NOT EXISTS emergency_contacts (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    user_id BIGINT NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    relationship VARCHAR(50),
+    phone VARCHAR(20),
+    email VARCHAR(100),
+    contact_user_id BIGINT, -- set when the contact is also a MotoRev rider (enables push)
+    notify_sms BOOLEAN DEFAULT TRUE,
+    notify_email BOOLEAN DEFAULT TRUE,
+    notify_push BOOLEAN DEFAULT TRUE,
+    priority INT DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_user_contacts (user_id, priority),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    FOREIGN KEY (contact_user_id) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- Emergency notification attempts - one row per contact per channel
+CREATE TABLE IF NOT EXISTS emergency_notifications (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    emergency_id BIGINT NOT NULL,
+    contact_id BIGINT, -- NULL for the legacy users.emergency_contact_* contact
+    channel ENUM('sms', 'email', 'push') NOT NULL,
+    recipient VARCHAR(255) NOT NULL,
+    transport VARCHAR(50) NOT NULL,
+    status ENUM('sent', 'failed') NOT NULL,
+    provider_message_id VARCHAR(255),
+    error_message TEXT,
+    attempted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_emergency_notifications (emergency_id),
+    FOREIGN KEY (emergency_id) REFERENCES emergency_events(id) ON DELETE CASCADE,
+    FOREIGN KEY (contact_id) REFERENCES emergency_contacts(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -1,11 +1,13 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { pool, query, run, executeMultiple, testConnection } = require('./connection');
+const { GEO_TABLES } = require('../utils/geo');
 
 async function dropAllTablesForReset() {
   console.log('⚠️ SCHEMA_RESET=true detected. Dropping existing tables (safe order)...');
   const tables = [
     'hazard_confirmations',
+    'hazard_reporters',
     'hazard_reports',
     'emergency_events',
     'location_updates',
@@ -15,15 +17,28 @@ async function dropAllTablesForReset() {
     'bikes',
     'pack_members',
     'riding_packs',
+    'hashtag_uses',
+    'hashtags',
+    'comment_edits',
+    'comment_likes',
     'post_comments',
     'post_likes',
+    'story_highlight_items',
+    'story_highlights',
+    'close_friends',
+    'story_views_archive',
     'story_views',
     'stories',
     'posts',
+    'user_mutes',
+    'user_blocks',
     'followers',
+    'media',
     'user_sessions',
     'notifications',
     'analytics_events',
+    'suspension_appeals',
+    'moderation_actions',
     'content_moderation',
     'db_performance_log',
     'rides',
@@ -205,6 +220,323 @@ async function ensureAdditionalColumns() {
   console.log('✅ Additional columns verified');
 }
 
+// Add any missing columns to a table; each entry is { name, ddl }
+async function ensureColumns(table, columns) {
+  for (const column of columns) {
+    try {
+      const [rows] = await pool.execute(
+        `SELECT 1 FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column.name]
+      );
+      if (rows.length === 0) {
+        console.log(`   - Adding ${table}.${column.name}`);
+        await pool.execute(column.ddl);
+      }
+    } catch (e) {
+      console.log(`   - Could not verify/add ${table}.${column.name}: ${e.message}`);
+    }
+  }
+}
+
+async function ensureSafetyColumns() {
+  console.log('🔧 Ensuring safety table columns...');
+
+  await ensureColumns('emergency_events', [
+    { name: 'status', ddl: "ALTER TABLE emergency_events ADD COLUMN status ENUM('pending','active','resolved','false_alarm') DEFAULT 'active'" },
+    { name: 'confidence', ddl: 'ALTER TABLE emergency_events ADD COLUMN confidence DECIMAL(4,3) DEFAULT NULL' },
+    { name: 'sensor_data', ddl: 'ALTER TABLE emergency_events ADD COLUMN sensor_data JSON DEFAULT NULL' },
+    { name: 'escalate_at', ddl: 'ALTER TABLE emergency_events ADD COLUMN escalate_at DATETIME DEFAULT NULL' },
+    { name: 'cancelled_at', ddl: 'ALTER TABLE emergency_events ADD COLUMN cancelled_at DATETIME DEFAULT NULL' }
+  ]);
+
+  await ensureColumns('hazard_reports', [
+    { name: 'confidence', ddl: 'ALTER TABLE hazard_reports ADD COLUMN confidence DECIMAL(4,3) DEFAULT NULL' },
+    { name: 'resolved_at', ddl: 'ALTER TABLE hazard_reports ADD COLUMN resolved_at DATETIME DEFAULT NULL' }
+  ]);
+
+  // Hazards reported before hazard_reporters existed count their original reporter
+  try {
+    const [[{ count }]] = await pool.execute('SELECT COUNT(*) as count FROM hazard_reporters');
+    if (Number(count) === 0) {
+      await pool.execute(`
+        INSERT IGNORE INTO hazard_reporters (hazard_id, user_id, created_at)
+        SELECT id, reporter_id, created_at FROM hazard_reports
+      `);
+    }
+  } catch (e) {
+    console.log(`   - Could not backfill hazard_reporters: ${e.message}`);
+  }
+
+  console.log('✅ Safety columns verified');
+}
+
+async function ensureRideColumns() {
+  console.log('🏍️ Ensuring ride session columns...');
+
+  await ensureColumns('rides', [
+    { name: 'ride_type', ddl: "ALTER TABLE rides ADD COLUMN ride_type VARCHAR(50) DEFAULT 'Solo' AFTER description" }
+  ]);
+
+  await ensureColumns('completed_rides', [
+    { name: 'bike_id', ddl: 'ALTER TABLE completed_rides ADD COLUMN bike_id BIGINT DEFAULT NULL AFTER safety_score' },
+    { name: 'card_routes', ddl: 'ALTER TABLE completed_rides ADD COLUMN card_routes TEXT DEFAULT NULL AFTER route_data' }
+  ]);
+
+  await ensureColumns('riding_packs', [
+    { name: 'sweep_user_id', ddl: 'ALTER TABLE riding_packs ADD COLUMN sweep_user_id BIGINT DEFAULT NULL AFTER planned_route' },
+    { name: 'invite_code', ddl: 'ALTER TABLE riding_packs ADD COLUMN invite_code VARCHAR(10) DEFAULT NULL, ADD UNIQUE INDEX idx_riding_packs_invite_code (invite_code)' },
+    { name: 'invite_code_expires_at', ddl: 'ALTER TABLE riding_packs ADD COLUMN invite_code_expires_at DATETIME DEFAULT NULL' }
+  ]);
+
+  console.log('✅ Ride session columns verified');
+}
+
+// Databases created from the enterprise schema have a notifications table without actor_id/read_at
+async function ensureNotificationColumns() {
+  console.log('🔔 Ensuring notification columns...');
+
+  await ensureColumns('notifications', [
+    { name: 'actor_id', ddl: 'ALTER TABLE notifications ADD COLUMN actor_id BIGINT DEFAULT NULL AFTER user_id' },
+    { name: 'read_at', ddl: 'ALTER TABLE notifications ADD COLUMN read_at DATETIME DEFAULT NULL AFTER is_read' }
+  ]);
+
+  await ensureColumns('users', [
+    { name: 'quiet_hours_enabled', ddl: 'ALTER TABLE users ADD COLUMN quiet_hours_enabled BOOLEAN DEFAULT FALSE AFTER email_notifications_enabled' },
+    { name: 'quiet_hours_start', ddl: 'ALTER TABLE users ADD COLUMN quiet_hours_start TIME DEFAULT NULL AFTER quiet_hours_enabled' },
+    { name: 'quiet_hours_end', ddl: 'ALTER TABLE users ADD COLUMN quiet_hours_end TIME DEFAULT NULL AFTER quiet_hours_start' },
+    { name: 'timezone', ddl: "ALTER TABLE users ADD COLUMN timezone VARCHAR(64) DEFAULT 'UTC' AFTER quiet_hours_end" }
+  ]);
+
+  await ensureColumns('maintenance_records', [
+    { name: 'reminder_sent_at', ddl: 'ALTER TABLE maintenance_records ADD COLUMN reminder_sent_at DATETIME DEFAULT NULL AFTER reminder_enabled' }
+  ]);
+
+  console.log('✅ Notification columns verified');
+}
+
+async function ensureSocialColumns() {
+  console.log('💬 Ensuring social columns...');
+
+  await ensureColumns('posts', [
+    { name: 'is_deleted', ddl: 'ALTER TABLE posts ADD COLUMN is_deleted BOOLEAN DEFAULT FALSE AFTER is_pinned' },
+    { name: 'edited_at', ddl: 'ALTER TABLE posts ADD COLUMN edited_at DATETIME DEFAULT NULL AFTER is_deleted' },
+    { name: 'deleted_at', ddl: 'ALTER TABLE posts ADD COLUMN deleted_at DATETIME DEFAULT NULL AFTER edited_at' },
+    { name: 'completed_ride_id', ddl: 'ALTER TABLE posts ADD COLUMN completed_ride_id VARCHAR(255) DEFAULT NULL AFTER ride_id' },
+    { name: 'shared_from_post_id', ddl: 'ALTER TABLE posts ADD COLUMN shared_from_post_id BIGINT DEFAULT NULL AFTER completed_ride_id, ADD INDEX idx_posts_shared_from (shared_from_post_id)' }
+  ]);
+
+  await ensureColumns('post_comments', [
+    { name: 'is_deleted', ddl: 'ALTER TABLE post_comments ADD COLUMN is_deleted BOOLEAN DEFAULT FALSE AFTER likes_count' },
+    { name: 'edited_at', ddl: 'ALTER TABLE post_comments ADD COLUMN edited_at DATETIME DEFAULT NULL AFTER is_deleted' },
+    { name: 'deleted_at', ddl: 'ALTER TABLE post_comments ADD COLUMN deleted_at DATETIME DEFAULT NULL AFTER edited_at' }
+  ]);
+
+  await ensureColumns('stories', [
+    { name: 'audience', ddl: "ALTER TABLE stories ADD COLUMN audience ENUM('followers', 'close_friends', 'pack') DEFAULT 'followers' AFTER views_count" },
+    { name: 'archived_at', ddl: 'ALTER TABLE stories ADD COLUMN archived_at DATETIME DEFAULT NULL AFTER expires_at, ADD INDEX idx_user_archived (user_id, archived_at)' }
+  ]);
+
+  // Older databases predate the 'pack' post visibility
+  try {
+    const [rows] = await pool.execute(
+      `SELECT COLUMN_TYPE FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'posts' AND COLUMN_NAME = 'visibility'`
+    );
+    if (rows.length > 0 && !rows[0].COLUMN_TYPE.includes("'pack'")) {
+      console.log('   - Adding pack to posts.visibility');
+      await pool.execute("ALTER TABLE posts MODIFY visibility ENUM('public', 'followers', 'pack', 'private') DEFAULT 'public'");
+    }
+  } catch (e) {
+    console.log(`   - Could not verify posts.visibility: ${e.message}`);
+  }
+
+  console.log('✅ Social columns verified');
+}
+
+async function ensureMediaColumns() {
+  console.log('🖼️ Ensuring media columns...');
+
+  await ensureColumns('posts', [
+    { name: 'media_id', ddl: 'ALTER TABLE posts ADD COLUMN media_id BIGINT DEFAULT NULL AFTER video_url, ADD INDEX idx_posts_media (media_id)' }
+  ]);
+  await ensureColumns('stories', [
+    { name: 'media_id', ddl: 'ALTER TABLE stories ADD COLUMN media_id BIGINT DEFAULT NULL AFTER video_url, ADD INDEX idx_stories_media (media_id)' }
+  ]);
+  await ensureColumns('hazard_reports', [
+    { name: 'media_id', ddl: 'ALTER TABLE hazard_reports ADD COLUMN media_id BIGINT DEFAULT NULL AFTER image_url, ADD INDEX idx_hazard_media (media_id)' }
+  ]);
+  await ensureColumns('bikes', [
+    { name: 'media_ids', ddl: 'ALTER TABLE bikes ADD COLUMN media_ids JSON DEFAULT NULL AFTER photos' }
+  ]);
+  await ensureColumns('maintenance_records', [
+    { name: 'media_ids', ddl: 'ALTER TABLE maintenance_records ADD COLUMN media_ids JSON DEFAULT NULL AFTER photos' }
+  ]);
+
+  console.log('✅ Media columns verified');
+}
+
+async function ensureModerationColumns() {
+  console.log('🛡️ Ensuring moderation columns...');
+
+  await ensureColumns('posts', [
+    { name: 'hidden_at', ddl: 'ALTER TABLE posts ADD COLUMN hidden_at DATETIME DEFAULT NULL AFTER deleted_at' }
+  ]);
+  await ensureColumns('post_comments', [
+    { name: 'hidden_at', ddl: 'ALTER TABLE post_comments ADD COLUMN hidden_at DATETIME DEFAULT NULL AFTER deleted_at' }
+  ]);
+  await ensureColumns('stories', [
+    { name: 'hidden_at', ddl: 'ALTER TABLE stories ADD COLUMN hidden_at DATETIME DEFAULT NULL AFTER archived_at' }
+  ]);
+  await ensureColumns('place_reviews', [
+    { name: 'hidden_at', ddl: 'ALTER TABLE place_reviews ADD COLUMN hidden_at DATETIME DEFAULT NULL' }
+  ]);
+  await ensureColumns('users', [
+    { name: 'suspended_at', ddl: 'ALTER TABLE users ADD COLUMN suspended_at DATETIME DEFAULT NULL AFTER subscription_tier' },
+    { name: 'suspended_until', ddl: 'ALTER TABLE users ADD COLUMN suspended_until DATETIME DEFAULT NULL AFTER suspended_at' },
+    { name: 'suspension_reason', ddl: 'ALTER TABLE users ADD COLUMN suspension_reason TEXT AFTER suspended_until' },
+    { name: 'suspended_by', ddl: 'ALTER TABLE users ADD COLUMN suspended_by BIGINT DEFAULT NULL AFTER suspension_reason' }
+  ]);
+  await ensureColumns('content_moderation', [
+    { name: 'content_owner_id', ddl: 'ALTER TABLE content_moderation ADD COLUMN content_owner_id BIGINT DEFAULT NULL AFTER content_id, ADD INDEX idx_content_owner (content_owner_id)' }
+  ]);
+
+  // One report per rider and item
+  try {
+    const [rows] = await pool.execute(
+      `SELECT 1 FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'content_moderation' AND INDEX_NAME = 'unique_report'`
+    );
+    if (rows.length === 0) {
+      console.log('   - Adding content_moderation.unique_report');
+      await pool.execute('ALTER TABLE content_moderation ADD UNIQUE KEY unique_report (content_type, content_id, reporter_id)');
+    }
+  } catch (e) {
+    console.log(`   - Could not verify/add content_moderation.unique_report: ${e.message}`);
+  }
+
+  // Tables made by the enterprise setup only know posts, comments, stories and profiles
+  try {
+    const [rows] = await pool.execute(
+      `SELECT COLUMN_TYPE FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'content_moderation' AND COLUMN_NAME = 'content_type'`
+    );
+    if (rows.length > 0 && !rows[0].COLUMN_TYPE.includes("'hazard_report'")) {
+      console.log('   - Adding place_review and hazard_report to content_moderation.content_type');
+      await pool.execute("ALTER TABLE content_moderation MODIFY content_type ENUM('post', 'comment', 'story', 'user_profile', 'place_review', 'hazard_report') NOT NULL");
+    }
+  } catch (e) {
+    console.log(`   - Could not verify content_moderation.content_type: ${e.message}`);
+  }
+
+  console.log('✅ Moderation columns verified');
+}
+
+// Same count triggers as the enterprise schema. Soft deletes flip is_deleted, so posts_count
+// and comments_count follow deletes without the routes touching the counters.
+const COUNT_TRIGGERS = {
+  update_user_posts_count_insert: `
+    CREATE TRIGGER update_user_posts_count_insert AFTER INSERT ON posts FOR EACH ROW
+    BEGIN
+      IF NEW.is_deleted = FALSE THEN
+        UPDATE users SET posts_count = posts_count + 1 WHERE id = NEW.user_id;
+      END IF;
+    END`,
+  update_user_posts_count_update: `
+    CREATE TRIGGER update_user_posts_count_update AFTER UPDATE ON posts FOR EACH ROW
+    BEGIN
+      IF NEW.is_deleted = TRUE AND OLD.is_deleted = FALSE THEN
+        UPDATE users SET posts_count = posts_count - 1 WHERE id = NEW.user_id;
+      ELSEIF NEW.is_deleted = FALSE AND OLD.is_deleted = TRUE THEN
+        UPDATE users SET posts_count = posts_count + 1 WHERE id = NEW.user_id;
+      END IF;
+    END`,
+  update_post_likes_count_insert: `
+    CREATE TRIGGER update_post_likes_count_insert AFTER INSERT ON post_likes FOR EACH ROW
+    BEGIN
+      UPDATE posts SET likes_count = likes_count + 1 WHERE id = NEW.post_id;
+    END`,
+  update_post_likes_count_delete: `
+    CREATE TRIGGER update_post_likes_count_delete AFTER DELETE ON post_likes FOR EACH ROW
+    BEGIN
+      UPDATE posts SET likes_count = likes_count - 1 WHERE id = OLD.post_id;
+    END`,
+  update_post_comments_count_insert: `
+    CREATE TRIGGER update_post_comments_count_insert AFTER INSERT ON post_comments FOR EACH ROW
+    BEGIN
+      IF NEW.is_deleted = FALSE THEN
+        UPDATE posts SET comments_count = comments_count + 1 WHERE id = NEW.post_id;
+      END IF;
+    END`,
+  update_post_comments_count_update: `
+    CREATE TRIGGER update_post_comments_count_update AFTER UPDATE ON post_comments FOR EACH ROW
+    BEGIN
+      IF NEW.is_deleted = TRUE AND OLD.is_deleted = FALSE THEN
+        UPDATE posts SET comments_count = comments_count - 1 WHERE id = NEW.post_id;
+      ELSEIF NEW.is_deleted = FALSE AND OLD.is_deleted = TRUE THEN
+        UPDATE posts SET comments_count = comments_count + 1 WHERE id = NEW.post_id;
+      END IF;
+    END`
+};
+
+async function ensureCountTriggers() {
+  console.log('🔁 Ensuring count triggers...');
+
+  for (const [name, ddl] of Object.entries(COUNT_TRIGGERS)) {
+    try {
+      const [rows] = await pool.execute(
+        'SELECT 1 FROM INFORMATION_SCHEMA.TRIGGERS WHERE TRIGGER_SCHEMA = DATABASE() AND TRIGGER_NAME = ?',
+        [name]
+      );
+      if (rows.length === 0) {
+        console.log(`   - Creating trigger ${name}`);
+        // CREATE TRIGGER is not supported as a prepared statement
+        await pool.query(ddl);
+      }
+    } catch (e) {
+      console.log(`   - Could not verify/create trigger ${name}: ${e.message}`);
+    }
+  }
+
+  console.log('✅ Count triggers verified');
+}
+
+// Spatial POINT column + SPATIAL INDEX derived from each table's latitude/longitude,
+// used by utils/geo.withinRadius
+async function ensureGeoColumns() {
+  console.log('🗺️ Ensuring geospatial columns...');
+
+  await ensureColumns('ride_events', [
+    { name: 'latitude', ddl: 'ALTER TABLE ride_events ADD COLUMN latitude DECIMAL(10,8) DEFAULT NULL' },
+    { name: 'longitude', ddl: 'ALTER TABLE ride_events ADD COLUMN longitude DECIMAL(11,8) DEFAULT NULL' }
+  ]);
+
+  for (const table of GEO_TABLES) {
+    // SRID 4326 reads X as latitude
+    const addGeoPoint = `
+      ADD COLUMN geo_point POINT GENERATED ALWAYS AS (ST_SRID(POINT(COALESCE(latitude, 0), COALESCE(longitude, 0)), 4326)) STORED NOT NULL SRID 4326,
+      ADD SPATIAL INDEX idx_${table}_geo (geo_point)`;
+
+    // Columns first generated as POINT(longitude, latitude) are rebuilt the right way round
+    try {
+      const [rows] = await pool.execute(
+        `SELECT GENERATION_EXPRESSION FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = 'geo_point'`,
+        [table]
+      );
+      const expression = rows.length > 0 ? String(rows[0].GENERATION_EXPRESSION) : '';
+      if (expression && expression.indexOf('longitude') < expression.indexOf('latitude')) {
+        console.log(`   - Rebuilding ${table}.geo_point with latitude first`);
+        await pool.execute(`ALTER TABLE \`${table}\` DROP COLUMN geo_point, ${addGeoPoint}`);
+      }
+    } catch (e) {
+      console.log(`   - Could not verify ${table}.geo_point: ${e.message}`);
+    }
+
+    await ensureColumns(table, [{
+      name: 'geo_point',
+      ddl: `ALTER TABLE \`${table}\` ${addGeoPoint}`
+    }]);
+  }
+
+  console.log('✅ Geospatial columns verified');
+}
+
 async function setupDatabase(attempt = 0) {
   try {
     console.log('🔧 Setting up MySQL database...');
@@ -228,6 +560,14 @@ async function setupDatabase(attempt = 0) {
     // Ensure columns in case table already existed
     await ensureAdminColumns();
     await ensureAdditionalColumns();
+    await ensureSafetyColumns();
+    await ensureRideColumns();
+    await ensureNotificationColumns();
+    await ensureSocialColumns();
+    await ensureMediaColumns();
+    await ensureModerationColumns();
+    await ensureCountTriggers();
+    await ensureGeoColumns();
 
     console.log('✅ Database schema created successfully');
 
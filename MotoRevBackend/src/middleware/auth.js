@@ -1,8 +1,9 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../database/connection');
+const { formatSuspension, suspendedResponse } = require('../services/suspensionService');
 
-// Middleware to authenticate JWT tokens
-async function authenticateToken(req, res, next) {
+// Verify the JWT and load the user. Suspended riders are refused unless `allowSuspended`.
+async function verifyToken(req, res, next, allowSuspended = false) {
   try {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
@@ -14,16 +15,21 @@ async function authenticateToken(req, res, next) {
       });
     }
 
-    // Development test token bypass - check before JWT verification
-    if (token === 'test-token-for-development') {
+    // Development test token bypass - check before JWT verification. Never in production,
+    // and the test rider is held to the same suspension check as everyone else.
+    if (token === 'test-token-for-development' && process.env.NODE_ENV !== 'production') {
       // Find a test user to use for development
       const testUserResult = await query(
-        'SELECT id, email, username FROM users WHERE username = ?',
+        'SELECT id, email, username, suspended_at, suspended_until, suspension_reason FROM users WHERE username = ?',
         ['rider_alex']
       );
       
       if (testUserResult.length > 0) {
         const user = testUserResult[0];
+        const suspension = formatSuspension(user);
+        if (suspension && !allowSuspended) {
+          return res.status(403).json(suspendedResponse(suspension));
+        }
         req.user = {
           id: user.id,
           email: user.email,
@@ -33,6 +39,7 @@ async function authenticateToken(req, res, next) {
         req.userId = user.id;
         req.email = user.email;
         req.username = user.username;
+        req.suspension = suspension;
         console.log('🧪 Using test token with user:', user.username);
         return next();
       }
@@ -43,7 +50,7 @@ async function authenticateToken(req, res, next) {
     
     // Check if user still exists
     const userResult = await query(
-      'SELECT id, email, username FROM users WHERE id = ?',
+      'SELECT id, email, username, suspended_at, suspended_until, suspension_reason FROM users WHERE id = ?',
       [decoded.userId]
     );
 
@@ -54,6 +61,12 @@ async function authenticateToken(req, res, next) {
       });
     }
 
+    // Suspended and banned riders are locked out until the suspension ends or is lifted
+    const suspension = formatSuspension(userResult[0]);
+    if (suspension && !allowSuspended) {
+      return res.status(403).json(suspendedResponse(suspension));
+    }
+
     // Skip session check for now
     // const sessionResult = await query(
     //   'SELECT is_active, expires_at FROM user_sessions WHERE user_id = ? AND is_active = true ORDER BY created_at DESC LIMIT 1',
@@ -82,6 +95,7 @@ async function authenticateToken(req, res, next) {
       username: decoded.username
     };
     req.userId = decoded.userId;
+    req.suspension = suspension;
 
     next();
 
@@ -109,6 +123,17 @@ async function authenticateToken(req, res, next) {
   }
 }
 
+// Middleware to authenticate JWT tokens
+function authenticateToken(req, res, next) {
+  return verifyToken(req, res, next);
+}
+
+// Same, but lets suspended riders through, for the routes they use to see and appeal
+// their suspension
+function authenticateAllowSuspended(req, res, next) {
+  return verifyToken(req, res, next, true);
+}
+
 // Optional authentication middleware (doesn't fail if no token)
 async function optionalAuth(req, res, next) {
   try {
@@ -186,6 +211,7 @@ async function requireSuperAdmin(req, res, next) {
 
 module.exports = {
   authenticateToken,
+  authenticateAllowSuspended,
   optionalAuth,
   requireVerified,
   requireAdmin,
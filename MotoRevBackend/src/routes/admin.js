@@ -1,6 +1,8 @@
 const express = require('express');
 const { query, get, run } = require('../database/connection');
 const { authenticateToken, requireAdmin, requireSuperAdmin } = require('../middleware/auth');
+const { listQueue, getQueueItem, takeAction, listActions } = require('../services/moderationService');
+const { formatSuspension, suspendUser, unsuspendUser, listAppeals, resolveAppeal } = require('../services/suspensionService');
 const router = express.Router();
 
 // Debug endpoint without auth (temporary) 
@@ -115,7 +117,7 @@ router.get('/users', async (req, res) => {
     const rows = await query(`
       SELECT
         id, username, email, first_name, last_name, role, subscription_tier, is_premium,
-        created_at, updated_at
+        suspended_at, suspended_until, suspension_reason, created_at, updated_at
       FROM users
       ORDER BY created_at DESC
       LIMIT ${parseInt(limit)} OFFSET ${offset}
@@ -131,6 +133,7 @@ router.get('/users', async (req, res) => {
       role: row.role || 'user',
       subscriptionTier: row.subscription_tier || 'standard',
       isPremium: Boolean(row.is_premium),
+      suspension: formatSuspension(row),
       totalRides: row.total_rides || 0,
       totalMiles: row.total_miles || 0,
       totalRideTime: row.total_ride_time || 0.0,
@@ -192,6 +195,65 @@ router.put('/users/:id/subscription', async (req, res) => {
   }
 });
 
+// Suspend a user for durationDays (default 7), or ban them with permanent: true; reason is required
+router.post('/users/:id/suspend', async (req, res) => {
+  try {
+    const { reason, durationDays, permanent } = req.body;
+    const result = await suspendUser(req.user.id, req.params.id, { reason, durationDays, permanent: permanent === true });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ message: 'User suspended', suspension: result.suspension });
+  } catch (e) {
+    console.error('Suspend user error:', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Lift a suspension or ban; reason is required
+router.post('/users/:id/unsuspend', async (req, res) => {
+  try {
+    const result = await unsuspendUser(req.user.id, req.params.id, { reason: req.body.reason });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ message: 'User unsuspended' });
+  } catch (e) {
+    console.error('Unsuspend user error:', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Suspension appeals; ?status=pending|accepted|rejected (default pending)
+router.get('/appeals', async (req, res) => {
+  try {
+    const { status, limit, offset } = req.query;
+    const result = await listAppeals({ status, limit, offset });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ appeals: result.appeals });
+  } catch (e) {
+    console.error('List appeals error:', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Accept (lifts the suspension) or reject an appeal
+router.put('/appeals/:id', async (req, res) => {
+  try {
+    const { decision, notes } = req.body;
+    const result = await resolveAppeal(req.user.id, req.params.id, { decision, notes });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ message: 'Appeal resolved', appeal: result.appeal });
+  } catch (e) {
+    console.error('Resolve appeal error:', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Update hazard status
 router.put('/hazards/:id/status', async (req, res) => {
   try {
@@ -224,6 +286,65 @@ router.put('/emergencies/:id/resolve', async (req, res) => {
   }
 });
 
+// Moderation queue: reported items with open reports; ?status=open|pending|escalated&contentType=
+router.get('/moderation/queue', async (req, res) => {
+  try {
+    const { status, contentType, limit, offset } = req.query;
+    const result = await listQueue({ status, contentType, limit, offset });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ items: result.items });
+  } catch (e) {
+    console.error('Moderation queue error:', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// One reported item with its reports and the actions taken on it
+router.get('/moderation/items/:contentType/:contentId', async (req, res) => {
+  try {
+    const { contentType, contentId } = req.params;
+    const result = await getQueueItem(contentType, contentId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ item: result.item });
+  } catch (e) {
+    console.error('Moderation item error:', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Apply an action: none (dismiss), warning, content_removed, user_suspended or user_banned.
+// user_suspended takes an optional durationDays.
+router.post('/moderation/items/:contentType/:contentId/action', async (req, res) => {
+  try {
+    const { contentType, contentId } = req.params;
+    const { action, notes, durationDays } = req.body;
+    const result = await takeAction(req.user.id, contentType, contentId, { action, notes, durationDays });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json({ message: 'Moderation action applied', item: result.item });
+  } catch (e) {
+    console.error('Moderation action error:', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Moderation audit trail, optionally for one rider (?userId=)
+router.get('/moderation/actions', async (req, res) => {
+  try {
+    const { userId, limit, offset } = req.query;
+    const actions = await listActions({ userId, limit, offset });
+    res.json({ actions });
+  } catch (e) {
+    console.error('Moderation actions error:', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get table data with pagination
 router.get('/table/:tableName', async (req, res) => {
   try {
@@ -2,6 +2,7 @@ const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
 const { query, get, run } = require('../database/connection');
+const { formatSuspension, getSuspension, suspendedResponse } = require('../services/suspensionService');
 const router = express.Router();
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
@@ -16,17 +17,23 @@ const authenticateToken = async (req, res, next) => {
     return res.status(401).json({ error: 'Access token required' });
   }
 
-  // Development test token bypass
-  if (token === 'test-token-for-development') {
+  // Development test token bypass, never in production. The test rider is held to the
+  // same suspension check as everyone else.
+  if (token === 'test-token-for-development' && process.env.NODE_ENV !== 'production') {
     try {
       // Find a test user to use for development
       const testUserResult = await query(
-        'SELECT id, email, username FROM users WHERE username = ? AND deleted_at IS NULL',
+        `SELECT id, email, username, suspended_at, suspended_until, suspension_reason
+         FROM users WHERE username = ? AND deleted_at IS NULL`,
         ['rider_alex']
       );
       
       if (testUserResult.length > 0) {
         const user = testUserResult[0];
+        const suspension = formatSuspension(user);
+        if (suspension) {
+          return res.status(403).json(suspendedResponse(suspension));
+        }
         req.user = {
           id: user.id,
           email: user.email,
@@ -44,10 +51,22 @@ const authenticateToken = async (req, res, next) => {
     }
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
     if (err) {
       return res.status(403).json({ error: 'Invalid or expired token' });
     }
+
+    // Suspended and banned riders are locked out until the suspension ends or is lifted
+    try {
+      const suspension = await getSuspension(user.userId);
+      if (suspension) {
+        return res.status(403).json(suspendedResponse(suspension));
+      }
+    } catch (error) {
+      console.error('Suspension check error:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
     req.user = user;
     next();
   });
@@ -177,6 +196,7 @@ router.post('/login', async (req, res) => {
              motorcycle_make, motorcycle_model, motorcycle_year,
              profile_picture_url, bio, safety_score, total_miles,
              role, is_premium, subscription_tier,
+             suspended_at, suspended_until, suspension_reason,
              created_at, updated_at
       FROM users WHERE username = ? OR email = ?
     `, [username, username]);
@@ -205,7 +225,7 @@ router.post('/login', async (req, res) => {
     `, [user.id, token]);
 
     // Remove password from response and convert to camelCase for iOS
-    const { password_hash, ...dbUser } = user;
+    const { password_hash, suspended_at, suspended_until, suspension_reason, ...dbUser } = user;
     
     // Transform database user to iOS expected format
     const userData = {
@@ -236,11 +256,13 @@ router.post('/login', async (req, res) => {
       updatedAt: dbUser.updated_at
     };
 
+    // Suspended riders can still sign in, but only to see and appeal their suspension
     res.json({
       success: true,
       message: 'Login successful',
       user: userData,
-      token: token
+      token: token,
+      suspension: formatSuspension(user)
     });
 
   } catch (error) {
@@ -3,45 +3,17 @@ const { query, get, run, all } = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
+const { resolvePhotoList, deleteMedia } = require('../services/mediaService');
 const router = express.Router();
 
-// Helper function to save base64 image to file
-async function saveBase64Image(base64Data, userId, bikeId, type = 'bike') {
+// media_ids comes back parsed from JSON columns, or as text on databases that store it so
+function parseMediaIds(value) {
+  if (Array.isArray(value)) return value;
   try {
-    // Remove data URL prefix if present
-    const matches = base64Data.match(/^data:image\/([a-zA-Z]+);base64,(.+)$/);
-    let imageData, extension;
-    
-    if (matches) {
-      extension = matches[1] === 'jpeg' ? 'jpg' : matches[1];
-      imageData = matches[2];
-    } else {
-      extension = 'jpg';
-      imageData = base64Data;
-    }
-    
-    // Generate unique filename
-    const timestamp = Date.now();
-    const randomHash = crypto.randomBytes(8).toString('hex');
-    const filename = `${type}_${userId}_${bikeId}_${timestamp}_${randomHash}.${extension}`;
-    
-    // Ensure uploads directory exists
-    const uploadsDir = path.join(__dirname, '../../uploads/bikes');
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir, { recursive: true });
-    }
-    
-    // Save file
-    const filePath = path.join(uploadsDir, filename);
-    const buffer = Buffer.from(imageData, 'base64');
-    fs.writeFileSync(filePath, buffer);
-    
-    return `/uploads/bikes/${filename}`;
-    
+    const ids = JSON.parse(value || '[]');
+    return Array.isArray(ids) ? ids : [];
   } catch (error) {
-    console.error('Error saving bike image:', error);
-    throw new Error('Failed to save bike image');
+    return [];
   }
 }
 
@@ -151,6 +123,7 @@ router.post('/', authenticateToken, async (req, res) => {
       notes,
       isPrimary,
       photos,
+      mediaIds,
       modifications
     } = req.body;
 
@@ -163,30 +136,18 @@ router.post('/', authenticateToken, async (req, res) => {
       `, [req.user.id]);
     }
 
-    // Process photos if provided
-    let processedPhotos = [];
-    if (photos && Array.isArray(photos)) {
-      for (let i = 0; i < photos.length; i++) {
-        const photo = photos[i];
-        if (photo && photo.length > 100) {
-          try {
-            const photoUrl = await saveBase64Image(photo, req.user.id, 'temp', 'bike');
-            processedPhotos.push(photoUrl);
-          } catch (error) {
-            console.error('Error processing photo:', error);
-          }
-        } else if (photo && photo.startsWith('/uploads/')) {
-          processedPhotos.push(photo);
-        }
-      }
+    // Photos may be base64 images, existing photo URLs or uploads listed in mediaIds
+    const processedPhotos = await resolvePhotoList(req.user.id, photos, mediaIds, 'bike');
+    if (processedPhotos.error) {
+      return res.status(processedPhotos.status).json({ error: processedPhotos.error });
     }
 
     // Insert new bike
     const result = await run(`
       INSERT INTO bikes (
         user_id, name, year, make, model, color, engine_size, bike_type,
-        current_mileage, purchase_date, notes, is_primary, photos, modifications
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        current_mileage, purchase_date, notes, is_primary, photos, media_ids, modifications
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
       req.user.id,
       name,
@@ -200,7 +161,8 @@ router.post('/', authenticateToken, async (req, res) => {
       purchaseDate || null,
       notes || null,
       isPrimary || false,
-      JSON.stringify(processedPhotos),
+      JSON.stringify(processedPhotos.photos),
+      JSON.stringify(processedPhotos.mediaIds),
       JSON.stringify(modifications || [])
     ]);
 
@@ -256,6 +218,7 @@ router.put('/:bikeId', authenticateToken, async (req, res) => {
       notes,
       isPrimary,
       photos,
+      mediaIds,
       modifications
     } = req.body;
 
@@ -275,22 +238,10 @@ router.put('/:bikeId', authenticateToken, async (req, res) => {
       `, [req.user.id, bikeId]);
     }
 
-    // Process photos if provided
-    let processedPhotos = [];
-    if (photos && Array.isArray(photos)) {
-      for (let i = 0; i < photos.length; i++) {
-        const photo = photos[i];
-        if (photo && photo.length > 100) {
-          try {
-            const photoUrl = await saveBase64Image(photo, req.user.id, bikeId, 'bike');
-            processedPhotos.push(photoUrl);
-          } catch (error) {
-            console.error('Error processing photo:', error);
-          }
-        } else if (photo && photo.startsWith('/uploads/')) {
-          processedPhotos.push(photo);
-        }
-      }
+    // Photos may be base64 images, existing photo URLs or uploads listed in mediaIds
+    const processedPhotos = await resolvePhotoList(req.user.id, photos, mediaIds, 'bike');
+    if (processedPhotos.error) {
+      return res.status(processedPhotos.status).json({ error: processedPhotos.error });
     }
 
     // Update bike
@@ -298,7 +249,7 @@ router.put('/:bikeId', authenticateToken, async (req, res) => {
       UPDATE bikes SET
         name = ?, year = ?, make = ?, model = ?, color = ?, engine_size = ?,
         bike_type = ?, current_mileage = ?, purchase_date = ?, notes = ?,
-        is_primary = ?, photos = ?, modifications = ?, updated_at = CURRENT_TIMESTAMP
+        is_primary = ?, photos = ?, media_ids = ?, modifications = ?, updated_at = CURRENT_TIMESTAMP
       WHERE id = ? AND user_id = ?
     `, [
       name,
@@ -312,7 +263,8 @@ router.put('/:bikeId', authenticateToken, async (req, res) => {
       purchaseDate || null,
       notes || null,
       isPrimary || false,
-      JSON.stringify(processedPhotos),
+      JSON.stringify(processedPhotos.photos),
+      JSON.stringify(processedPhotos.mediaIds),
       JSON.stringify(modifications || []),
       bikeId,
       req.user.id
@@ -360,7 +312,7 @@ router.delete('/:bikeId', authenticateToken, async (req, res) => {
 
     // Verify bike ownership
     const bike = await get(`
-      SELECT id, photos FROM bikes WHERE id = ? AND user_id = ?
+      SELECT id, photos, media_ids FROM bikes WHERE id = ? AND user_id = ?
     `, [bikeId, req.user.id]);
 
     if (!bike) {
@@ -384,11 +336,19 @@ router.delete('/:bikeId', authenticateToken, async (req, res) => {
       }
     }
 
+    // Uploaded photos of the bike and its maintenance records go once nothing uses them
+    const records = await query('SELECT media_ids FROM maintenance_records WHERE bike_id = ?', [bike.id]);
+    const mediaIds = [bike, ...records].flatMap(row => parseMediaIds(row.media_ids));
+
     // Delete bike (cascade will handle maintenance records)
     await run(`
       DELETE FROM bikes WHERE id = ? AND user_id = ?
     `, [bikeId, req.user.id]);
 
+    for (const mediaId of mediaIds) {
+      await deleteMedia(req.user.id, mediaId).catch(error => console.error('Error deleting bike media:', error));
+    }
+
     res.json({
       success: true,
       message: 'Bike deleted successfully'
@@ -475,6 +435,7 @@ router.post('/:bikeId/maintenance', authenticateToken, async (req, res) => {
       shopName,
       partsUsed,
       photos,
+      mediaIds,
       reminderEnabled = true,
       completed = true
     } = req.body;
@@ -487,6 +448,11 @@ router.post('/:bikeId/maintenance', authenticateToken, async (req, res) => {
     if (!bike) {
       return res.status(404).json({ error: 'Bike not found' });
     }
+
+    const recordPhotos = await resolvePhotoList(req.user.id, photos, mediaIds, 'maintenance');
+    if (recordPhotos.error) {
+      return res.status(recordPhotos.status).json({ error: recordPhotos.error });
+    }
     
     // Insert maintenance record
     const result = await run(`
@@ -504,9 +470,10 @@ router.post('/:bikeId/maintenance', authenticateToken, async (req, res) => {
         shop_name,
         parts_used,
         photos,
+        media_ids,
         reminder_enabled,
         completed
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
       bikeId,
       req.user.id,
@@ -520,7 +487,8 @@ router.post('/:bikeId/maintenance', authenticateToken, async (req, res) => {
       nextServiceDate,
       shopName,
       partsUsed ? JSON.stringify(partsUsed) : null,
-      photos ? JSON.stringify(photos) : null,
+      JSON.stringify(recordPhotos.photos),
+      JSON.stringify(recordPhotos.mediaIds),
       reminderEnabled,
       completed
     ]);
@@ -584,6 +552,7 @@ router.put('/:bikeId/maintenance/:recordId', authenticateToken, async (req, res)
       shopName,
       partsUsed,
       photos,
+      mediaIds,
       reminderEnabled,
       completed
     } = req.body;
@@ -599,10 +568,20 @@ router.put('/:bikeId/maintenance/:recordId', authenticateToken, async (req, res)
     if (!record) {
       return res.status(404).json({ error: 'Maintenance record not found' });
     }
+
+    const recordPhotos = await resolvePhotoList(req.user.id, photos, mediaIds, 'maintenance');
+    if (recordPhotos.error) {
+      return res.status(recordPhotos.status).json({ error: recordPhotos.error });
+    }
     
-    // Update maintenance record
+    // Update maintenance record. A changed due date or mileage re-arms the reminder;
+    // it is assigned first so the comparison sees the old values.
     await run(`
       UPDATE maintenance_records SET
+        reminder_sent_at = CASE
+          WHEN next_service_date <=> ? AND next_service_mileage <=> ? THEN reminder_sent_at
+          ELSE NULL
+        END,
         title = ?,
         description = ?,
         cost = ?,
@@ -613,11 +592,14 @@ router.put('/:bikeId/maintenance/:recordId', authenticateToken, async (req, res)
         shop_name = ?,
         parts_used = ?,
         photos = ?,
+        media_ids = ?,
         reminder_enabled = ?,
         completed = ?,
         updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
     `, [
+      nextServiceDate,
+      nextServiceMileage,
       title,
       description,
       cost,
@@ -627,7 +609,8 @@ router.put('/:bikeId/maintenance/:recordId', authenticateToken, async (req, res)
       nextServiceDate,
       shopName,
       partsUsed ? JSON.stringify(partsUsed) : null,
-      photos ? JSON.stringify(photos) : null,
+      JSON.stringify(recordPhotos.photos),
+      JSON.stringify(recordPhotos.mediaIds),
       reminderEnabled,
       completed,
       recordId
@@ -2,6 +2,22 @@ const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
 const { query } = require('../database/connection');
+const { withinRadius, isValidCoordinate } = require('../utils/geo');
+const { notifyUsers } = require('../services/notificationService');
+
+// Coordinates from explicit latitude/longitude fields, falling back to a "lat,lng" location string
+function resolveEventCoordinates({ latitude, longitude, location }) {
+    let lat = parseFloat(latitude);
+    let lng = parseFloat(longitude);
+    if (!isValidCoordinate(lat, lng) && typeof location === 'string') {
+        const parts = location.split(',');
+        if (parts.length === 2) {
+            lat = parseFloat(parts[0]);
+            lng = parseFloat(parts[1]);
+        }
+    }
+    return isValidCoordinate(lat, lng) ? { latitude: lat, longitude: lng } : { latitude: null, longitude: null };
+}
 
 // Get all events (public and user's events)
 router.get('/', authenticateToken, async (req, res) => {
@@ -90,14 +106,16 @@ router.post('/', authenticateToken, async (req, res) => {
             return res.status(400).json({ error: 'Title, start time, and location are required' });
         }
         
+        const { latitude, longitude } = resolveEventCoordinates(req.body);
+        
         const result = await query(`
             INSERT INTO ride_events (
                 organizer_id, title, description, start_time, end_time, 
-                location, max_participants, is_public, created_at
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())
+                location, latitude, longitude, max_participants, is_public, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
         `, [
             organizerId, title, description || null, start_time, end_time || null,
-            location, max_participants || null, is_public ? 1 : 0
+            location, latitude, longitude, max_participants || null, is_public ? 1 : 0
         ]);
         
         // Organizer automatically joins their own event
@@ -212,7 +230,7 @@ router.put('/:id', authenticateToken, async (req, res) => {
         
         // Check if user is organizer
         const events = await query(`
-            SELECT organizer_id FROM ride_events WHERE id = ?
+            SELECT organizer_id, title FROM ride_events WHERE id = ?
         `, [eventId]);
         
         if (!events || events.length === 0) {
@@ -223,6 +241,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
             return res.status(403).json({ error: 'Only organizer can update event' });
         }
         
+        const { latitude, longitude } = resolveEventCoordinates(req.body);
+        
         // Update event
         await query(`
             UPDATE ride_events SET
@@ -231,11 +251,22 @@ router.put('/:id', authenticateToken, async (req, res) => {
                 start_time = COALESCE(?, start_time),
                 end_time = COALESCE(?, end_time),
                 location = COALESCE(?, location),
+                latitude = COALESCE(?, latitude),
+                longitude = COALESCE(?, longitude),
                 max_participants = COALESCE(?, max_participants),
                 is_public = COALESCE(?, is_public),
                 updated_at = NOW()
             WHERE id = ?
-        `, [title, description, start_time, end_time, location, max_participants, is_public ? 1 : 0, eventId]);
+        `, [title, description, start_time, end_time, location, latitude, longitude, max_participants, is_public ? 1 : 0, eventId]);
+        
+        const participants = await query(`SELECT user_id FROM event_participants WHERE event_id = ?`, [eventId]);
+        await notifyUsers(participants.map(p => p.user_id), {
+            actorId: userId,
+            type: 'event_updated',
+            title: 'Event updated',
+            message: `${title || events[0].title} has been updated`,
+            data: { eventId: Number(eventId) }
+        });
         
         res.json({ message: 'Event updated successfully' });
     } catch (error) {
@@ -252,7 +283,7 @@ router.delete('/:id', authenticateToken, async (req, res) => {
         
         // Check if user is organizer
         const events = await query(`
-            SELECT organizer_id FROM ride_events WHERE id = ?
+            SELECT organizer_id, title FROM ride_events WHERE id = ?
         `, [eventId]);
         
         if (!events || events.length === 0) {
@@ -263,12 +294,23 @@ router.delete('/:id', authenticateToken, async (req, res) => {
             return res.status(403).json({ error: 'Only organizer can delete event' });
         }
         
+        // Participants are notified after the delete, so read them while they still exist
+        const participants = await query(`SELECT user_id FROM event_participants WHERE event_id = ?`, [eventId]);
+        
         // Delete participants first (due to foreign key constraint)
         await query(`DELETE FROM event_participants WHERE event_id = ?`, [eventId]);
         
         // Delete event
         await query(`DELETE FROM ride_events WHERE id = ?`, [eventId]);
         
+        await notifyUsers(participants.map(p => p.user_id), {
+            actorId: userId,
+            type: 'event_cancelled',
+            title: 'Event cancelled',
+            message: `${events[0].title} has been cancelled`,
+            data: { eventId: Number(eventId) }
+        });
+        
         res.json({ message: 'Event deleted successfully' });
     } catch (error) {
         console.error('Error deleting event:', error);
@@ -282,27 +324,29 @@ router.get('/nearby/:lat/:lon', authenticateToken, async (req, res) => {
         const { lat, lon } = req.params;
         const radius = req.query.radius || 50; // km
         const userId = req.user.id;
+
+        if (!isValidCoordinate(parseFloat(lat), parseFloat(lon))) {
+            return res.status(400).json({ error: 'Invalid latitude or longitude' });
+        }
         
-        // Simple distance calculation (for more accurate, use spatial functions)
-        const events = await query(`
-            SELECT e.*, u.username as organizer_username,
+        const rows = await withinRadius({
+            select: `e.*, u.username as organizer_username,
                    COUNT(ep.user_id) as participant_count,
-                   CASE WHEN ep.user_id = ? THEN 1 ELSE 0 END as is_participating,
-                   (
-                       6371 * acos(
-                           cos(radians(?)) * cos(radians(CAST(SUBSTRING_INDEX(e.location, ',', 1) AS DECIMAL(10,8)))) *
-                           cos(radians(CAST(SUBSTRING_INDEX(e.location, ',', -1) AS DECIMAL(11,8))) - radians(?)) +
-                           sin(radians(?)) * sin(radians(CAST(SUBSTRING_INDEX(e.location, ',', 1) AS DECIMAL(10,8))))
-                       )
-                   ) AS distance
-            FROM ride_events e
+                   MAX(CASE WHEN ep.user_id = ? THEN 1 ELSE 0 END) as is_participating`,
+            from: `ride_events e
             JOIN users u ON e.organizer_id = u.id
-            LEFT JOIN event_participants ep ON e.id = ep.event_id AND ep.user_id = ?
-            WHERE e.is_public = 1 AND e.start_time > NOW()
-            GROUP BY e.id, u.username
-            HAVING distance <= ?
-            ORDER BY distance ASC, e.start_time ASC
-        `, [userId, lat, lon, lat, userId, radius]);
+            LEFT JOIN event_participants ep ON e.id = ep.event_id AND ep.user_id = ?`,
+            selectParams: [userId],
+            fromParams: [userId],
+            pointColumn: 'e.geo_point',
+            where: 'e.is_public = 1 AND e.start_time > NOW() AND e.latitude IS NOT NULL',
+            groupBy: 'e.id, u.username',
+            orderBy: 'distance_km ASC, e.start_time ASC',
+            latitude: lat,
+            longitude: lon,
+            radiusKm: parseFloat(radius) || 50
+        });
+        const events = rows.map(event => ({ ...event, distance: event.distance_km }));
         
         res.json({ events });
     } catch (error) {
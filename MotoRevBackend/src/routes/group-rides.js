@@ -1,9 +1,37 @@
 const express = require('express');
+const multer = require('multer');
 const { query, get, run } = require('../database/connection');
 const authRouter = require('./auth');
 const { authenticateToken } = authRouter;
+const { parseRouteFile, normalizeTrackPoint } = require('../utils/routeFormats');
+const { pathLengthKm, simplifyPath } = require('../utils/geo');
+const { startPackSession, endPackSession, getPackSession, removePackSessionMember } = require('../services/packSessionService');
+const {
+  generateInviteCode,
+  addPackMember,
+  inviteToPack,
+  listInvitations,
+  respondToInvitation,
+  createInviteLink,
+  findPackByInviteCode,
+  joinWithInviteCode
+} = require('../services/packInvitationService');
 const router = express.Router();
 
+// Planned routes are stored as JSON in riding_packs.planned_route, so uploads are simplified
+const MAX_ROUTE_WAYPOINTS = 200;
+// Longer uploads are refused; everything accepted is simplified on the request thread
+const MAX_ROUTE_FILE_POINTS = 20000;
+
+// Route files are parsed in memory and never written to disk
+const routeUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 },
+  fileFilter: (req, file, cb) => {
+    cb(null, /\.(gpx|geojson|json)$/i.test(file.originalname));
+  }
+});
+
 // Create a new group ride
 router.post('/', authenticateToken, async (req, res) => {
   try {
@@ -19,15 +47,16 @@ router.post('/', authenticateToken, async (req, res) => {
     const result = await run(`
       INSERT INTO riding_packs (
         name, description, created_by, max_members, pack_type, 
-        privacy_level, status, planned_route, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, 'temporary', ?, 'active', ?, NOW(), NOW())
+        privacy_level, status, planned_route, invite_code, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, 'temporary', ?, 'active', ?, ?, NOW(), NOW())
     `, [
       name.trim(),
       description || '',
       req.user.userId,
       maxMembers || 20,
       isPrivate ? 'private' : 'public',
-      plannedRoute ? JSON.stringify(plannedRoute) : null
+      plannedRoute ? JSON.stringify(plannedRoute) : null,
+      inviteCode
     ]);
 
     // Add creator as pack leader
@@ -116,6 +145,89 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// List the current user's open invitations
+router.get('/invites', authenticateToken, async (req, res) => {
+  try {
+    const invitations = await listInvitations(req.user.userId);
+    res.json({ success: true, invitations });
+  } catch (error) {
+    console.error('List invitations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Preview the group ride behind an invite link
+router.get('/invites/code/:code', authenticateToken, async (req, res) => {
+  try {
+    const pack = await findPackByInviteCode(req.params.code);
+    if (!pack) {
+      return res.status(404).json({ error: 'Invite link is invalid or has expired' });
+    }
+
+    res.json({
+      success: true,
+      pack: {
+        id: pack.id,
+        name: pack.name,
+        description: pack.description,
+        leaderName: pack.leader_username,
+        currentMembers: pack.current_members,
+        maxMembers: pack.max_members,
+        status: pack.status,
+        startTime: pack.start_time
+      }
+    });
+  } catch (error) {
+    console.error('Preview invite link error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Join a group ride through an invite link
+router.post('/invites/code/:code/accept', authenticateToken, async (req, res) => {
+  try {
+    const result = await joinWithInviteCode(req.params.code, req.user.userId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ success: true, message: `Joined ${result.packName}`, packId: result.packId });
+  } catch (error) {
+    console.error('Accept invite link error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Accept an invitation
+router.post('/invites/:inviteId/accept', authenticateToken, async (req, res) => {
+  try {
+    const result = await respondToInvitation(req.params.inviteId, req.user.userId, true);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ success: true, message: 'Invitation accepted', invitation: result.invitation });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Decline an invitation
+router.post('/invites/:inviteId/decline', authenticateToken, async (req, res) => {
+  try {
+    const result = await respondToInvitation(req.params.inviteId, req.user.userId, false);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ success: true, message: 'Invitation declined', invitation: result.invitation });
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Join a group ride
 router.post('/:packId/join', authenticateToken, async (req, res) => {
   try {
@@ -132,39 +244,17 @@ router.post('/:packId/join', authenticateToken, async (req, res) => {
     }
 
     // Check privacy and invite code
-    if (pack.privacy_level === 'private' && pack.invite_code !== inviteCode) {
+    const inviteCodeExpired = pack.invite_code_expires_at && new Date(pack.invite_code_expires_at) <= new Date();
+    if (pack.privacy_level === 'private' && (pack.invite_code !== inviteCode || inviteCodeExpired)) {
       return res.status(403).json({ error: 'Invalid invite code for private ride' });
     }
 
-    // Check if user is already a member
-    const existingMember = await get(`
-      SELECT id FROM pack_members WHERE pack_id = ? AND user_id = ? AND status = 'active'
-    `, [packId, req.user.userId]);
-
-    if (existingMember) {
-      return res.status(400).json({ error: 'Already a member of this group ride' });
-    }
-
-    // Check member limit
-    const memberCount = await get(`
-      SELECT COUNT(*) as count FROM pack_members WHERE pack_id = ? AND status = 'active'
-    `, [packId]);
-
-    if (memberCount.count >= pack.max_members) {
-      return res.status(400).json({ error: 'Group ride is full' });
+    // Same checks, socket room and live session pickup as accepting an invitation
+    const joined = await addPackMember(packId, req.user.userId);
+    if (joined.error) {
+      return res.status(joined.status).json({ error: joined.error });
     }
 
-    // Add user to pack
-    await run(`
-      INSERT INTO pack_members (pack_id, user_id, role, status, joined_at)
-      VALUES (?, ?, 'member', 'active', NOW())
-    `, [packId, req.user.userId]);
-
-    // Update pack member count
-    await run(`
-      UPDATE riding_packs SET current_members = current_members + 1 WHERE id = ?
-    `, [packId]);
-
     // Get user info for response
     const user = await get(`
       SELECT username, first_name, last_name FROM users WHERE id = ?
@@ -208,6 +298,8 @@ router.post('/:packId/leave', authenticateToken, async (req, res) => {
       WHERE pack_id = ? AND user_id = ?
     `, [packId, req.user.userId]);
 
+    removePackSessionMember(packId, req.user.userId);
+
     // Update pack member count
     await run(`
       UPDATE riding_packs SET current_members = current_members - 1 WHERE id = ?
@@ -318,8 +410,9 @@ router.get('/:packId', authenticateToken, async (req, res) => {
   }
 });
 
-// Update/share planned route for a group ride
-router.post('/:packId/route', authenticateToken, async (req, res) => {
+// Update/share planned route for a group ride. Accepts JSON waypoints, or a GPX/GeoJSON
+// file uploaded as multipart field "file"; distance is always computed server-side.
+router.post('/:packId/route', authenticateToken, routeUpload.single('file'), async (req, res) => {
   try {
     const { packId } = req.params;
     const { name, waypoints, totalDistance, estimatedDuration } = req.body;
@@ -333,11 +426,55 @@ router.post('/:packId/route', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'Only leaders can update route' });
     }
 
+    let routeName = name;
+    let points;
+    let source = 'waypoints';
+
+    if (req.file) {
+      let parsed;
+      try {
+        parsed = parseRouteFile(req.file.buffer, req.file.originalname);
+      } catch (parseError) {
+        return res.status(400).json({ error: `Could not read route file: ${parseError.message}` });
+      }
+      if (parsed.points.length > MAX_ROUTE_FILE_POINTS) {
+        return res.status(400).json({ error: `Route file has more than ${MAX_ROUTE_FILE_POINTS} points` });
+      }
+      points = parsed.points;
+      routeName = routeName || parsed.name;
+      source = req.file.originalname.toLowerCase().endsWith('.gpx') ? 'gpx' : 'geojson';
+    } else if (req.is('multipart/form-data')) {
+      return res.status(400).json({ error: 'Upload a .gpx or .geojson file in the "file" field' });
+    } else {
+      points = (Array.isArray(waypoints) ? waypoints : []).map(normalizeTrackPoint).filter(Boolean);
+      if (points.length > MAX_ROUTE_FILE_POINTS) {
+        return res.status(400).json({ error: `A route can have at most ${MAX_ROUTE_FILE_POINTS} waypoints` });
+      }
+    }
+
+    if (req.file && points.length < 2) {
+      return res.status(400).json({ error: 'A route needs at least two points' });
+    }
+
+    const simplified = simplifyPath(points, MAX_ROUTE_WAYPOINTS);
+    const distanceKm = points.length >= 2 ? pathLengthKm(points) : null;
+
     const route = {
-      name: name || 'Shared Route',
-      waypoints: waypoints || [],
-      totalDistance: totalDistance || null,
+      name: routeName || 'Shared Route',
+      // Raw waypoints are kept as sent when they carry no usable coordinates
+      waypoints: points.length > 0
+        ? simplified.map(point => ({
+            latitude: point.latitude,
+            longitude: point.longitude,
+            ...(point.elevation !== null ? { elevation: point.elevation } : {}),
+            ...(point.name ? { name: point.name } : {})
+          }))
+        : waypoints || [],
+      // Metres, measured along the full route before simplification
+      totalDistance: distanceKm !== null ? Math.round(distanceKm * 1000) : totalDistance || null,
       estimatedDuration: estimatedDuration || null,
+      source,
+      originalPointCount: points.length,
       updatedAt: new Date().toISOString()
     };
 
@@ -350,6 +487,32 @@ router.post('/:packId/route', authenticateToken, async (req, res) => {
   }
 });
 
+// Live session state: leader, sweep and each member's last position, without riders
+// blocked either way with the viewer
+router.get('/:packId/session', authenticateToken, async (req, res) => {
+  try {
+    const { packId } = req.params;
+
+    const membership = await get(`
+      SELECT role FROM pack_members WHERE pack_id = ? AND user_id = ? AND status = 'active'
+    `, [packId, req.user.userId]);
+
+    if (!membership) {
+      return res.status(403).json({ error: 'You are not a member of this group ride' });
+    }
+
+    const session = await getPackSession(packId, req.user.userId);
+    if (!session) {
+      return res.status(404).json({ error: 'Group ride is not in progress' });
+    }
+
+    res.json({ success: true, session });
+  } catch (error) {
+    console.error('Get group ride session error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Start group ride
 router.post('/:packId/start', authenticateToken, async (req, res) => {
   try {
@@ -369,9 +532,13 @@ router.post('/:packId/start', authenticateToken, async (req, res) => {
       UPDATE riding_packs SET status = 'riding', start_time = NOW(), updated_at = NOW() WHERE id = ?
     `, [packId]);
 
+    // Begin live tracking; the leader may pick the sweep rider
+    const session = await startPackSession(packId, { sweepUserId: req.body.sweepUserId, viewerId: req.user.userId });
+
     res.json({
       success: true,
-      message: 'Group ride started successfully'
+      message: 'Group ride started successfully',
+      session
     });
 
   } catch (error) {
@@ -399,6 +566,8 @@ router.post('/:packId/end', authenticateToken, async (req, res) => {
       UPDATE riding_packs SET status = 'finished', updated_at = NOW() WHERE id = ?
     `, [packId]);
 
+    endPackSession(packId);
+
     res.json({
       success: true,
       message: 'Group ride ended successfully'
@@ -414,57 +583,30 @@ router.post('/:packId/end', authenticateToken, async (req, res) => {
 router.post('/:packId/invite', authenticateToken, async (req, res) => {
   try {
     const { packId } = req.params;
-    const { username } = req.body;
+    const { username, userId } = req.body;
 
-    if (!username || username.trim().length === 0) {
+    if (!userId && (!username || username.trim().length === 0)) {
       return res.status(400).json({ error: 'Username is required' });
     }
 
-    // Check if user is leader or co-leader
-    const membership = await get(`
-      SELECT role FROM pack_members WHERE pack_id = ? AND user_id = ? AND status = 'active'
-    `, [packId, req.user.userId]);
-
-    if (!membership || !['leader', 'co_leader'].includes(membership.role)) {
-      return res.status(403).json({ error: 'Only leaders can send invitations' });
-    }
-
     // Check if target user exists
-    const targetUser = await get(`
-      SELECT id, username FROM users WHERE username = ?
-    `, [username.trim()]);
+    const targetUser = userId
+      ? await get('SELECT id, username FROM users WHERE id = ?', [userId])
+      : await get('SELECT id, username FROM users WHERE username = ?', [username.trim()]);
 
     if (!targetUser) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Check if user is already a member
-    const existingMember = await get(`
-      SELECT id FROM pack_members WHERE pack_id = ? AND user_id = ? AND status = 'active'
-    `, [packId, targetUser.id]);
-
-    if (existingMember) {
-      return res.status(400).json({ error: 'User is already a member' });
+    const result = await inviteToPack({ packId, inviterId: req.user.userId, inviteeId: targetUser.id });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    // Get pack info for invitation
-    const pack = await get(`
-      SELECT name FROM riding_packs WHERE id = ?
-    `, [packId]);
-
-    // Store invitation (in a real app, would create invitations table)
-    // For now, we'll emit via socket if connected
-
     res.json({
       success: true,
-      message: `Invitation sent to ${username}`,
-      inviteData: {
-        packId: packId,
-        packName: pack.name,
-        fromUsername: req.user.username,
-        toUserId: targetUser.id,
-        toUsername: targetUser.username
-      }
+      message: `Invitation sent to ${targetUser.username}`,
+      invitation: result.invitation
     });
 
   } catch (error) {
@@ -473,14 +615,19 @@ router.post('/:packId/invite', authenticateToken, async (req, res) => {
   }
 });
 
-// Helper function to generate invite codes
-function generateInviteCode(length = 6) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
+// Create (or rotate) a shareable invite link for a group ride
+router.post('/:packId/invite-link', authenticateToken, async (req, res) => {
+  try {
+    const result = await createInviteLink(req.params.packId, req.user.userId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Create invite link error:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
-  return result;
-}
+});
 
 module.exports = router; 
\ No newline at end of file
@@ -2,6 +2,8 @@ const express = require('express');
 const { query, get, run } = require('../database/connection');
 const authRouter = require('./auth');
 const { authenticateToken } = authRouter;
+const { withinRadius, milesToKm, kmToMiles, isValidCoordinate } = require('../utils/geo');
+const { notBlockedSql } = require('../services/blockService');
 const router = express.Router();
 
 // Share location with pack
@@ -42,7 +44,7 @@ router.post('/share', authenticateToken, async (req, res) => {
   }
 });
 
-// Get nearby riders
+// Get nearby riders, never including anyone blocked either way
 router.get('/nearby', authenticateToken, async (req, res) => {
   try {
     const { latitude, longitude, radius = 5 } = req.query;
@@ -50,34 +52,30 @@ router.get('/nearby', authenticateToken, async (req, res) => {
     if (!latitude || !longitude) {
       return res.status(400).json({ error: 'Latitude and longitude are required' });
     }
+    if (!isValidCoordinate(parseFloat(latitude), parseFloat(longitude))) {
+      return res.status(400).json({ error: 'Invalid latitude or longitude' });
+    }
 
-    // Validate and limit radius
-    const maxRadius = 50; // 50km max
+    // Validate and limit radius (miles)
+    const maxRadius = 50;
     const searchRadius = Math.min(parseFloat(radius) || 5, maxRadius);
 
-    // Get shared locations within radius
-    const locations = await query(`
-      SELECT ls.user_id, ls.latitude, ls.longitude, ls.heading, ls.speed, ls.updated_at,
-             u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture,
-             u.motorcycle_make, u.motorcycle_model, u.safety_score
-      FROM location_shares ls
-      JOIN users u ON ls.user_id = u.id
-      WHERE ls.user_id != ? 
-      AND ls.expires_at > NOW()
-      ORDER BY ls.updated_at DESC
-      LIMIT 25
-    `, [req.user.userId]);
-
-    // Filter by distance (simple calculation) and limit results
-    const nearbyRiders = locations.filter(location => {
-      const distance = calculateDistance(
-        parseFloat(latitude), 
-        parseFloat(longitude),
-        location.latitude, 
-        location.longitude
-      );
-      return distance <= searchRadius;
-    }).map(location => ({
+    // Get shared locations within radius, nearest first
+    const locations = await withinRadius({
+      select: `ls.user_id, ls.latitude, ls.longitude, ls.heading, ls.speed, ls.updated_at,
+               u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture,
+               u.motorcycle_make, u.motorcycle_model, u.safety_score`,
+      from: 'location_shares ls JOIN users u ON ls.user_id = u.id',
+      pointColumn: 'ls.geo_point',
+      where: `ls.user_id != ? AND ls.expires_at > NOW() AND ${notBlockedSql('ls.user_id')}`,
+      params: [req.user.userId, req.user.userId, req.user.userId],
+      latitude,
+      longitude,
+      radiusKm: milesToKm(searchRadius),
+      limit: 10
+    });
+
+    const nearbyRiders = locations.map(location => ({
       id: location.user_id,
       name: `${location.first_name || ''} ${location.last_name || ''}`.trim(),
       bike: location.motorcycle_make && location.motorcycle_model 
@@ -85,15 +83,10 @@ router.get('/nearby', authenticateToken, async (req, res) => {
         : 'Unknown Bike',
       latitude: location.latitude,
       longitude: location.longitude,
-      distance: calculateDistance(
-        parseFloat(latitude), 
-        parseFloat(longitude),
-        location.latitude, 
-        location.longitude
-      ),
+      distance: kmToMiles(location.distance_km),
       isRiding: location.speed > 0, // Consider riding if speed > 0
       lastSeen: location.updated_at
-    })).slice(0, 10);
+    }));
 
     res.json({ success: true, riders: nearbyRiders, searchRadius });
   } catch (error) {
@@ -117,7 +110,7 @@ router.get('/pack/:packId', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'You are not a member of this pack' });
     }
 
-    // Get locations of pack members
+    // Get locations of pack members, minus anyone blocked either way
     const packLocations = await query(`
       SELECT ls.*, u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture,
              u.motorcycle_make, u.motorcycle_model
@@ -126,8 +119,9 @@ router.get('/pack/:packId', authenticateToken, async (req, res) => {
       JOIN pack_members pm ON u.id = pm.user_id
       WHERE pm.pack_id = ? 
       AND ls.expires_at > NOW()
+      AND ${notBlockedSql('u.id')}
       ORDER BY ls.updated_at DESC
-    `, [packId]);
+    `, [packId, req.user.userId, req.user.userId]);
 
     res.json({ packLocations });
   } catch (error) {
@@ -321,17 +315,4 @@ router.get('/history', authenticateToken, async (req, res) => {
   }
 });
 
-// Helper function to calculate distance between two points
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 3959; // Earth's radius in miles
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
-}
-
 module.exports = router; 
\ No newline at end of file
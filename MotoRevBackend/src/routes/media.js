@@ -0,0 +1,71 @@
+const fs = require('fs').promises;
+const os = require('os');
+const express = require('express');
+const multer = require('multer');
+const { authenticateToken } = require('../middleware/auth');
+const { MAX_VIDEO_BYTES, storeMediaFile, getMedia, deleteMedia } = require('../services/mediaService');
+const router = express.Router();
+
+// Uploads land in a temporary file so videos never sit in memory; they are checked and
+// cleaned there before anything reaches storage. The per-type size limits are applied by
+// mediaService; this is only the overall cap.
+const mediaUpload = multer({
+  storage: multer.diskStorage({ destination: os.tmpdir() }),
+  limits: { fileSize: MAX_VIDEO_BYTES, files: 1 }
+});
+
+// Upload a photo or video as multipart field "file", with "purpose" saying what it is
+// for (post, story, bike, maintenance, hazard or profile). Pass the returned id as
+// mediaId when creating the post, story, hazard report, etc.
+router.post('/', authenticateToken, mediaUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ success: false, error: 'A file is required' });
+    }
+
+    const result = await storeMediaFile(req.user.id, req.file.path, { purpose: req.body.purpose });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.status(201).json({ success: true, media: result.media });
+  } catch (error) {
+    console.error('Upload media error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  } finally {
+    if (req.file) {
+      await fs.rm(req.file.path, { force: true }).catch(() => {});
+    }
+  }
+});
+
+router.get('/:mediaId', authenticateToken, async (req, res) => {
+  try {
+    const result = await getMedia(req.user.id, req.params.mediaId);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, media: result.media });
+  } catch (error) {
+    console.error('Get media error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Only media that is no longer attached to anything can be deleted
+router.delete('/:mediaId', authenticateToken, async (req, res) => {
+  try {
+    const result = await deleteMedia(req.user.id, req.params.mediaId);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete media error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
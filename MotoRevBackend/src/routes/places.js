@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { query } = require('../database/connection');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { withinRadius, isValidCoordinate } = require('../utils/geo');
 
 // Get all approved places (public endpoint with optional user context)
 router.get('/', async (req, res) => {
@@ -9,56 +10,58 @@ router.get('/', async (req, res) => {
         const { category, lat, lng, radius = 50, search, featured, limit = 100 } = req.query;
         const userId = req.user?.id; // Optional user context for favorites
         
-        let sql = `
-            SELECT 
+        const select = `
                 p.*,
                 u.username as submitted_by_username,
-                false as is_favorited,
-                (6371 * acos(cos(radians(?)) * cos(radians(p.latitude)) * 
-                cos(radians(p.longitude) - radians(?)) + sin(radians(?)) * 
-                sin(radians(p.latitude)))) AS distance_km
-            FROM places p
-            JOIN users u ON p.submitted_by = u.id
-            WHERE p.status = 'approved'
-        `;
-        
+                false as is_favorited`;
+        const from = 'places p JOIN users u ON p.submitted_by = u.id';
+        const conditions = ["p.status = 'approved'"];
         const params = [];
         
-        // Add distance calculation parameters if location provided
-        if (lat && lng) {
-            params.push(parseFloat(lat), parseFloat(lng), parseFloat(lat));
-        } else {
-            // Dummy values for distance calculation when no location provided
-            params.push(0, 0, 0);
-        }
-        
         // Add filters
         if (category) {
-            sql += ' AND p.category = ?';
+            conditions.push('p.category = ?');
             params.push(category);
         }
         
         if (featured === 'true') {
-            sql += ' AND p.featured = true';
+            conditions.push('p.featured = true');
         }
         
         if (search) {
-            sql += ' AND (p.name LIKE ? OR p.description LIKE ? OR JSON_SEARCH(p.tags, "all", ?) IS NOT NULL)';
+            conditions.push('(p.name LIKE ? OR p.description LIKE ? OR JSON_SEARCH(p.tags, "all", ?) IS NOT NULL)');
             const searchTerm = `%${search}%`;
             params.push(searchTerm, searchTerm, `%${search}%`);
         }
         
-        // Add distance filter if location provided
-        if (lat && lng && radius) {
-            sql += ' HAVING distance_km <= ?';
-            params.push(parseFloat(radius));
+        if (lat && lng && !isValidCoordinate(parseFloat(lat), parseFloat(lng))) {
+            return res.status(400).json({ error: 'Invalid latitude or longitude' });
+        }
+
+        let places;
+        if (lat && lng) {
+            // Radius is in km and uses the places spatial index
+            places = await withinRadius({
+                select,
+                from,
+                pointColumn: 'p.geo_point',
+                where: conditions.join(' AND '),
+                params,
+                orderBy: 'p.featured DESC, p.rating DESC, distance_km ASC',
+                latitude: lat,
+                longitude: lng,
+                radiusKm: parseFloat(radius) || 50,
+                limit
+            });
+        } else {
+            places = await query(`
+                SELECT ${select}, NULL AS distance_km
+                FROM ${from}
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY p.featured DESC, p.rating DESC
+                LIMIT ?
+            `, [...params, String(parseInt(limit) || 100)]);
         }
-        
-        sql += ' ORDER BY p.featured DESC, p.rating DESC, distance_km ASC';
-        sql += ' LIMIT ?';
-        params.push(parseInt(limit));
-        
-        const places = await query(sql, params);
         
         // Parse JSON fields
         const formattedPlaces = places.map(place => ({
@@ -117,7 +120,7 @@ router.get('/:id', async (req, res) => {
                 u.last_name
             FROM place_reviews pr
             JOIN users u ON pr.user_id = u.id
-            WHERE pr.place_id = ?
+            WHERE pr.place_id = ? AND pr.hidden_at IS NULL
             ORDER BY pr.created_at DESC
         `;
         
@@ -324,9 +327,9 @@ router.post('/:id/review', authenticateToken, async (req, res) => {
             );
         }
         
-        // Update place rating and review count
+        // Update place rating and review count; reviews hidden by moderation do not count
         const ratingStats = await query(
-            'SELECT AVG(rating) as avg_rating, COUNT(*) as review_count FROM place_reviews WHERE place_id = ?',
+            'SELECT AVG(rating) as avg_rating, COUNT(*) as review_count FROM place_reviews WHERE place_id = ? AND hidden_at IS NULL',
             [id]
         );
         
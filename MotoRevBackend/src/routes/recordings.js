@@ -2,6 +2,7 @@ const express = require('express');
 const { query, get, run } = require('../database/connection');
 const authRouter = require('./auth');
 const { authenticateToken } = authRouter;
+const { EXPORT_FORMATS, isExportFormat, normalizeTrackPoint, sendTrackExport } = require('../utils/routeFormats');
 const router = express.Router();
 
 // Create/upload a new ride recording
@@ -74,4 +75,71 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// JSON columns come back parsed from mysql2 but older rows may hold strings
+function parseSeries(value) {
+  if (!value) return [];
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      return [];
+    }
+  }
+  return Array.isArray(value) ? value : [];
+}
+
+// Series samples are either plain numbers or { value } objects, aligned by index with gpsSeries
+function seriesValue(sample) {
+  if (sample === null || sample === undefined) return null;
+  const value = typeof sample === 'object' ? sample.value ?? sample.speed ?? sample.angle : sample;
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+// Export a recording as GPX, KML or GeoJSON, with speed and lean angle per point
+router.get('/:recordingId/export', authenticateToken, async (req, res) => {
+  try {
+    const format = String(req.query.format || 'gpx').toLowerCase();
+    if (!isExportFormat(format)) {
+      return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const recording = await get(
+      'SELECT * FROM ride_recordings WHERE id = ? AND user_id = ?',
+      [req.params.recordingId, req.user.userId]
+    );
+    if (!recording) {
+      return res.status(404).json({ error: 'Recording not found' });
+    }
+
+    const speeds = parseSeries(recording.speed_series);
+    const leanAngles = parseSeries(recording.lean_angle_series);
+    const points = parseSeries(recording.gps_series).map((sample, index) => {
+      const point = normalizeTrackPoint(sample);
+      if (!point) return null;
+      if (point.speed === null) point.speed = seriesValue(speeds[index]);
+      if (point.leanAngle === null) point.leanAngle = seriesValue(leanAngles[index]);
+      return point;
+    }).filter(Boolean);
+
+    if (points.length === 0) {
+      return res.status(422).json({ error: 'This recording has no GPS track to export' });
+    }
+
+    sendTrackExport(res, format, `motorev-recording-${recording.id}`, {
+      name: `MotoRev recording ${new Date(recording.created_at).toISOString().slice(0, 10)}`,
+      description: recording.notes,
+      points,
+      properties: {
+        recordingId: recording.id,
+        rideId: recording.ride_id,
+        durationSeconds: recording.duration_seconds
+      }
+    });
+  } catch (e) {
+    console.error('Export recording error:', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -2,6 +2,8 @@ const express = require('express');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
 const { query } = require('../database/connection');
+const { getActiveRide, startRide, recordBreadcrumbs, resolveBikeId, endRide } = require('../services/rideSessionService');
+const { EXPORT_FORMATS, isExportFormat, normalizeTrackPoint, sendTrackExport } = require('../utils/routeFormats');
 
 // TEMPORARY: Events endpoint until Railway deployment issue is fixed
 router.get('/events', authenticateToken, async (req, res) => {
@@ -45,6 +47,122 @@ async function updateUserStats(participants, distance, duration) {
     }
 }
 
+// Start a ride session
+router.post('/start', authenticateToken, async (req, res) => {
+    try {
+        const { title, rideType, location } = req.body;
+        const userId = req.user.id;
+        
+        const ride = await startRide(userId, {
+            title,
+            rideType,
+            latitude: location?.latitude,
+            longitude: location?.longitude,
+            locationName: location?.name
+        });
+        
+        if (!ride) {
+            const activeRide = await getActiveRide(userId);
+            return res.status(409).json({ error: 'A ride is already in progress', rideId: activeRide?.id });
+        }
+        
+        res.status(201).json({
+            success: true,
+            ride: {
+                id: ride.id,
+                title: ride.title,
+                rideType: ride.ride_type,
+                startTime: ride.start_time,
+                status: ride.status
+            }
+        });
+    } catch (error) {
+        console.error('Error starting ride:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get the current user's ride in progress
+router.get('/active', authenticateToken, async (req, res) => {
+    try {
+        const ride = await getActiveRide(req.user.id);
+        
+        res.json({
+            ride: ride ? {
+                id: ride.id,
+                title: ride.title,
+                rideType: ride.ride_type,
+                startTime: ride.start_time,
+                status: ride.status
+            } : null
+        });
+    } catch (error) {
+        console.error('Error fetching active ride:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Upload breadcrumbs for an active ride (e.g. points recorded while offline)
+router.post('/:rideId/breadcrumbs', authenticateToken, async (req, res) => {
+    try {
+        const { points } = req.body;
+        
+        if (!Array.isArray(points) || points.length === 0) {
+            return res.status(400).json({ error: 'points must be a non-empty array' });
+        }
+        
+        if (points.length > 1000) {
+            return res.status(400).json({ error: 'At most 1000 points per request' });
+        }
+        
+        const activeRide = await getActiveRide(req.user.id);
+        if (!activeRide || String(activeRide.id) !== String(req.params.rideId)) {
+            return res.status(404).json({ error: 'Active ride not found' });
+        }
+        
+        const accepted = await recordBreadcrumbs(req.user.id, activeRide.id, points);
+        
+        res.json({ success: true, accepted });
+    } catch (error) {
+        console.error('Error recording breadcrumbs:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// End a ride session; distance, duration and speeds are computed from the breadcrumbs
+router.post('/:rideId/end', authenticateToken, async (req, res) => {
+    try {
+        const summary = await endRide(req.user.id, req.params.rideId, {
+            safetyScore: req.body.safetyScore,
+            bikeId: req.body.bikeId
+        });
+        
+        if (!summary) {
+            return res.status(404).json({ error: 'Active ride not found' });
+        }
+        
+        res.json({
+            success: true,
+            message: 'Ride completed',
+            ride: {
+                id: summary.completedRideId,
+                rideId: summary.rideId,
+                startTime: summary.startTime,
+                endTime: summary.endTime,
+                duration: summary.durationSeconds,
+                distance: summary.distanceMeters,
+                averageSpeed: summary.averageSpeedMph,
+                maxSpeed: summary.maxSpeedMph,
+                route: summary.route,
+                breadcrumbCount: summary.breadcrumbCount
+            }
+        });
+    } catch (error) {
+        console.error('Error ending ride:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Save completed ride
 router.post('/completed', authenticateToken, async (req, res) => {
     try {
@@ -63,7 +181,8 @@ router.post('/completed', authenticateToken, async (req, res) => {
             maxSpeed, 
             route, 
             participants, 
-            safetyScore 
+            safetyScore,
+            bikeId
         } = req.body;
         
         const userId = req.user.id;
@@ -74,11 +193,12 @@ router.post('/completed', authenticateToken, async (req, res) => {
         await query(`
             INSERT INTO completed_rides (
                 id, user_id, ride_type, start_time, end_time, duration, 
-                distance, average_speed, max_speed, route_data, safety_score, created_at
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+                distance, average_speed, max_speed, route_data, safety_score, bike_id, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
         `, [
             rideId, userId, rideType, startTime, endTime, duration,
-            distance, averageSpeed, maxSpeed, routeDataJson, safetyScore
+            distance, averageSpeed, maxSpeed, routeDataJson, safetyScore,
+            await resolveBikeId(userId, bikeId)
         ]);
         
         console.log('🚨🚨🚨 [RIDES] About to update user stats for participants:', participants);
@@ -148,6 +268,57 @@ router.get('/completed', authenticateToken, async (req, res) => {
     }
 });
 
+// Export a completed ride as GPX, KML or GeoJSON
+router.get('/completed/:rideId/export', authenticateToken, async (req, res) => {
+    try {
+        const format = String(req.query.format || 'gpx').toLowerCase();
+        
+        if (!isExportFormat(format)) {
+            return res.status(400).json({ error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+        }
+        
+        const rides = await query(`
+            SELECT * FROM completed_rides WHERE id = ? AND user_id = ?
+        `, [req.params.rideId, req.user.id]);
+        
+        if (!rides || rides.length === 0) {
+            return res.status(404).json({ error: 'Ride not found or access denied' });
+        }
+        
+        const ride = rides[0];
+        let route = [];
+        try {
+            route = JSON.parse(ride.route_data || '[]');
+        } catch (parseError) {
+            console.error('Invalid route_data for ride', ride.id);
+        }
+        const points = (Array.isArray(route) ? route : []).map(normalizeTrackPoint).filter(Boolean);
+        
+        if (points.length === 0) {
+            return res.status(422).json({ error: 'This ride has no recorded route to export' });
+        }
+        
+        const startTime = new Date(ride.start_time);
+        sendTrackExport(res, format, `motorev-ride-${ride.id}`, {
+            name: `${ride.ride_type} ride ${startTime.toISOString().slice(0, 10)}`,
+            description: `Distance ${(ride.distance / 1000).toFixed(1)} km, duration ${Math.round(ride.duration / 60)} min`,
+            points,
+            properties: {
+                rideId: ride.id,
+                startTime: ride.start_time,
+                endTime: ride.end_time,
+                distance: ride.distance,
+                duration: ride.duration,
+                averageSpeed: ride.average_speed,
+                maxSpeed: ride.max_speed
+            }
+        });
+    } catch (error) {
+        console.error('Error exporting ride:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Get ride statistics for user
 router.get('/stats', authenticateToken, async (req, res) => {
     try {
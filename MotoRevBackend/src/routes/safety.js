@@ -2,6 +2,15 @@ const express = require('express');
 const { query, get, run } = require('../database/connection');
 const authRouter = require('./auth');
 const { authenticateToken } = authRouter;
+const {
+  checkContactUser,
+  notifyEmergencyContactsInBackground,
+  startCrashCountdown,
+  cancelCrashCountdown
+} = require('../services/emergencyService');
+const { reportHazard, confirmHazard, isHazardType, HAZARD_TTL_HOURS, CONFIRMATION_TYPES } = require('../services/hazardService');
+const { getOwnMedia } = require('../services/mediaService');
+const { withinRadius, milesToKm, kmToMiles, isValidCoordinate } = require('../utils/geo');
 const router = express.Router();
 const bodyParser = require('body-parser');
 router.use(bodyParser.json({ limit: '2mb' }));
@@ -61,6 +70,10 @@ router.post('/emergency', authenticateToken, async (req, res) => {
       ]);
     }
 
+    // Alert the rider's emergency contacts without holding up the response; the outcome
+    // follows over the socket and GET /emergency/:emergencyId/notifications
+    notifyEmergencyContactsInBackground(emergencyId, req.user.userId);
+
     res.status(201).json({ 
       message: 'Emergency event reported successfully',
       emergency,
@@ -131,40 +144,241 @@ router.get('/emergency/history', authenticateToken, async (req, res) => {
   }
 });
 
-// Report hazard
-router.post('/hazards', authenticateToken, async (req, res) => {
+// Get delivery attempts for one of the user's emergencies
+router.get('/emergency/:emergencyId/notifications', authenticateToken, async (req, res) => {
   try {
-    const { type, location, description, severity, images } = req.body;
+    const { emergencyId } = req.params;
 
-    if (!type || !location) {
-      return res.status(400).json({ error: 'Type and location are required' });
+    const emergency = await get(
+      'SELECT id, emergency_contacts_notified FROM emergency_events WHERE id = ? AND user_id = ?',
+      [emergencyId, req.user.userId]
+    );
+
+    if (!emergency) {
+      return res.status(404).json({ error: 'Emergency event not found' });
+    }
+
+    const notifications = await query(`
+      SELECT en.id, en.contact_id, ec.name as contact_name, en.channel, en.recipient, en.transport,
+             en.status, en.provider_message_id, en.error_message, en.attempted_at
+      FROM emergency_notifications en
+      LEFT JOIN emergency_contacts ec ON en.contact_id = ec.id
+      WHERE en.emergency_id = ?
+      ORDER BY en.attempted_at ASC, en.id ASC
+    `, [emergencyId]);
+
+    res.json({
+      contactsNotified: Boolean(emergency.emergency_contacts_notified),
+      notifications
+    });
+  } catch (error) {
+    console.error('Get emergency notifications error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List emergency contacts
+router.get('/contacts', authenticateToken, async (req, res) => {
+  try {
+    const contacts = await query(`
+      SELECT * FROM emergency_contacts WHERE user_id = ? ORDER BY priority ASC, id ASC
+    `, [req.user.userId]);
+
+    res.json({ contacts: contacts.map(formatEmergencyContact) });
+  } catch (error) {
+    console.error('Get emergency contacts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add emergency contact
+router.post('/contacts', authenticateToken, async (req, res) => {
+  try {
+    const {
+      name,
+      relationship,
+      phone,
+      email,
+      contactUserId,
+      notifySms = true,
+      notifyEmail = true,
+      notifyPush = true,
+      priority = 0
+    } = req.body;
+
+    if (!name || (!phone && !email && !contactUserId)) {
+      return res.status(400).json({ error: 'Name and at least one of phone, email or contactUserId are required' });
+    }
+    if (contactUserId) {
+      const invalid = await checkContactUser(req.user.userId, contactUserId);
+      if (invalid) {
+        return res.status(invalid.status).json({ error: invalid.error });
+      }
     }
 
     const result = await run(`
-      INSERT INTO hazard_reports (
-        user_id, type, location, description, severity, images, 
-        status, created_at
-      ) VALUES (?, ?, ?, ?, ?, ?, 'active', NOW())
+      INSERT INTO emergency_contacts (
+        user_id, name, relationship, phone, email, contact_user_id,
+        notify_sms, notify_email, notify_push, priority
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
       req.user.userId,
-      type,
-      JSON.stringify(location),
-      description || null,
-      severity || 'medium',
-      images ? JSON.stringify(images) : null
+      name.trim(),
+      relationship || null,
+      phone || null,
+      email || null,
+      contactUserId || null,
+      notifySms ? 1 : 0,
+      notifyEmail ? 1 : 0,
+      notifyPush ? 1 : 0,
+      parseInt(priority) || 0
     ]);
 
-    const hazardId = result.insertId;
+    const contact = await get('SELECT * FROM emergency_contacts WHERE id = ?', [result.insertId]);
+
+    res.status(201).json({
+      message: 'Emergency contact added',
+      contact: formatEmergencyContact(contact)
+    });
+  } catch (error) {
+    console.error('Add emergency contact error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update emergency contact
+router.put('/contacts/:contactId', authenticateToken, async (req, res) => {
+  try {
+    const { contactId } = req.params;
+
+    const existing = await get(
+      'SELECT id FROM emergency_contacts WHERE id = ? AND user_id = ?',
+      [contactId, req.user.userId]
+    );
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Emergency contact not found' });
+    }
+
+    if (req.body.contactUserId) {
+      const invalid = await checkContactUser(req.user.userId, req.body.contactUserId);
+      if (invalid) {
+        return res.status(invalid.status).json({ error: invalid.error });
+      }
+    }
+
+    const fieldMap = {
+      name: 'name',
+      relationship: 'relationship',
+      phone: 'phone',
+      email: 'email',
+      contactUserId: 'contact_user_id',
+      notifySms: 'notify_sms',
+      notifyEmail: 'notify_email',
+      notifyPush: 'notify_push',
+      priority: 'priority'
+    };
+
+    const updateFields = [];
+    const updateValues = [];
+    for (const [key, column] of Object.entries(fieldMap)) {
+      if (req.body[key] !== undefined) {
+        updateFields.push(`${column} = ?`);
+        updateValues.push(column.startsWith('notify_') ? (req.body[key] ? 1 : 0) : req.body[key]);
+      }
+    }
+
+    if (updateFields.length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    await run(
+      `UPDATE emergency_contacts SET ${updateFields.join(', ')} WHERE id = ?`,
+      [...updateValues, contactId]
+    );
+
+    const contact = await get('SELECT * FROM emergency_contacts WHERE id = ?', [contactId]);
+
+    res.json({
+      message: 'Emergency contact updated',
+      contact: formatEmergencyContact(contact)
+    });
+  } catch (error) {
+    console.error('Update emergency contact error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove emergency contact
+router.delete('/contacts/:contactId', authenticateToken, async (req, res) => {
+  try {
+    const result = await run(
+      'DELETE FROM emergency_contacts WHERE id = ? AND user_id = ?',
+      [req.params.contactId, req.user.userId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Emergency contact not found' });
+    }
+
+    res.json({ message: 'Emergency contact removed' });
+  } catch (error) {
+    console.error('Remove emergency contact error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Report hazard
+router.post('/hazards', authenticateToken, async (req, res) => {
+  try {
+    const { type, location, description, severity, images, imageUrl, mediaId } = req.body;
+
+    if (!type || !location || location.latitude === undefined || location.longitude === undefined) {
+      return res.status(400).json({ error: 'Type and location are required' });
+    }
+
+    if (!isHazardType(type)) {
+      return res.status(400).json({ error: `Type must be one of: ${Object.keys(HAZARD_TTL_HOURS).join(', ')}` });
+    }
+
+    const latitude = parseFloat(location.latitude);
+    const longitude = parseFloat(location.longitude);
+    if (!isValidCoordinate(latitude, longitude)) {
+      return res.status(400).json({ error: 'Invalid location coordinates' });
+    }
+
+    // mediaId is a photo uploaded through /api/media
+    let media = null;
+    if (mediaId) {
+      media = await getOwnMedia(req.user.userId, mediaId);
+      if (!media || media.media_type !== 'image') {
+        return res.status(400).json({ error: 'Media not found' });
+      }
+    }
+
+    // Reports near an active hazard of the same type are merged into it
+    const { hazardId, merged } = await reportHazard({
+      reporterId: req.user.userId,
+      type,
+      severity,
+      latitude,
+      longitude,
+      locationName: location.name,
+      description,
+      imageUrl: media ? media.url : imageUrl || (Array.isArray(images) && images.length > 0 ? images[0] : null),
+      mediaId: media ? media.id : null
+    });
 
     const hazard = await get(`
-      SELECT hr.*, u.username, u.first_name, u.last_name, u.profile_picture
+      SELECT hr.*, u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture
       FROM hazard_reports hr
-      JOIN users u ON hr.user_id = u.id
+      JOIN users u ON hr.reporter_id = u.id
       WHERE hr.id = ?
     `, [hazardId]);
 
-    res.status(201).json({ 
-      message: 'Hazard reported successfully',
+    res.status(merged ? 200 : 201).json({ 
+      message: merged ? 'Report merged into an existing hazard' : 'Hazard reported successfully',
+      merged,
       hazard: hazard 
     });
   } catch (error) {
@@ -177,7 +391,18 @@ router.post('/hazards', authenticateToken, async (req, res) => {
 router.post('/hazards/:hazardId/confirm', authenticateToken, async (req, res) => {
   try {
     const { hazardId } = req.params;
-    const { stillPresent, notes } = req.body;
+    const { confirmationType, stillPresent } = req.body;
+
+    // Older clients send stillPresent instead of a confirmation type
+    const type = confirmationType || (stillPresent === false ? 'resolved' : 'still_there');
+    if (!CONFIRMATION_TYPES.includes(type)) {
+      return res.status(400).json({ error: `Confirmation type must be one of: ${CONFIRMATION_TYPES.join(', ')}` });
+    }
+
+    const hazard = await get('SELECT id, status FROM hazard_reports WHERE id = ?', [hazardId]);
+    if (!hazard) {
+      return res.status(404).json({ error: 'Hazard not found' });
+    }
 
     // Check if user already confirmed this hazard
     const existingConfirmation = await get(
@@ -189,13 +414,20 @@ router.post('/hazards/:hazardId/confirm', authenticateToken, async (req, res) =>
       return res.status(409).json({ error: 'You have already confirmed this hazard' });
     }
 
-    await run(`
-      INSERT INTO hazard_confirmations (
-        hazard_id, user_id, still_present, notes, created_at
-      ) VALUES (?, ?, ?, ?, NOW())
-    `, [hazardId, req.user.userId, stillPresent, notes || null]);
+    const updated = await confirmHazard(hazardId, req.user.userId, type);
 
-    res.json({ message: 'Hazard confirmation recorded successfully' });
+    res.json({
+      message: 'Hazard confirmation recorded successfully',
+      hazard: {
+        id: updated.id,
+        status: updated.status,
+        isVerified: Boolean(updated.is_verified),
+        confidence: updated.confidence !== null ? parseFloat(updated.confidence) : null,
+        upvotes: updated.upvotes,
+        downvotes: updated.downvotes,
+        expiresAt: updated.expires_at
+      }
+    });
   } catch (error) {
     console.error('Confirm hazard error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -210,33 +442,28 @@ router.get('/hazards/nearby', authenticateToken, async (req, res) => {
     if (!latitude || !longitude) {
       return res.status(400).json({ error: 'Latitude and longitude are required' });
     }
+    if (!isValidCoordinate(parseFloat(latitude), parseFloat(longitude))) {
+      return res.status(400).json({ error: 'Invalid latitude or longitude' });
+    }
 
-    // Simple distance calculation for SQLite (for production, consider using PostGIS)
-    const hazards = await query(`
-      SELECT hr.*, u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture,
-             COUNT(hc.id) as confirmation_count
-      FROM hazard_reports hr
-      JOIN users u ON hr.user_id = u.id
-      LEFT JOIN hazard_confirmations hc ON hr.id = hc.hazard_id
-      WHERE hr.status = 'active'
-      GROUP BY hr.id
-      ORDER BY hr.created_at DESC
-      LIMIT 50
-    `, []);
-
-    // Filter by distance (simple calculation)
-    const filteredHazards = hazards.filter(hazard => {
-      const hazardLocation = JSON.parse(hazard.location);
-      const distance = calculateDistance(
-        parseFloat(latitude), 
-        parseFloat(longitude),
-        hazardLocation.latitude, 
-        hazardLocation.longitude
-      );
-      return distance <= parseFloat(radius);
+    // Radius is in miles; results are nearest first
+    const hazards = await withinRadius({
+      select: `hr.*, u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture,
+               (SELECT COUNT(*) FROM hazard_confirmations hc WHERE hc.hazard_id = hr.id) as confirmation_count`,
+      from: 'hazard_reports hr JOIN users u ON hr.reporter_id = u.id',
+      pointColumn: 'hr.geo_point',
+      where: "hr.status = 'active' AND (hr.expires_at IS NULL OR hr.expires_at > NOW())",
+      latitude,
+      longitude,
+      radiusKm: milesToKm(parseFloat(radius) || 10)
     });
 
-    res.json({ hazards: filteredHazards });
+    const nearbyHazards = hazards.map(hazard => ({
+      ...hazard,
+      distance: kmToMiles(hazard.distance_km)
+    }));
+
+    res.json({ hazards: nearbyHazards });
   } catch (error) {
     console.error('Get nearby hazards error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -297,13 +524,16 @@ router.get('/stats', authenticateToken, async (req, res) => {
 });
 
 // Crash detection endpoint (for automatic detection)
+// A confident detection starts a cancel window; the emergency only escalates if the rider
+// does not cancel it in time.
 router.post('/crash-detection', authenticateToken, async (req, res) => {
   try {
     const { 
       sensorData, 
       location, 
       confidence, 
-      rideId 
+      rideId,
+      countdownSeconds
     } = req.body;
 
     if (!sensorData || !location || !confidence) {
@@ -315,24 +545,21 @@ router.post('/crash-detection', authenticateToken, async (req, res) => {
       return res.json({ message: 'Confidence too low, no action taken' });
     }
 
-    // Create emergency event
-    const result = await run(`
-      INSERT INTO emergency_events (
-        user_id, type, severity, location, description, 
-        automatic_detection, sensor_data, status, ride_id, created_at
-      ) VALUES (?, 'crash', 'high', ?, 'Automatic crash detection', 1, ?, 'active', ?, NOW())
-    `, [
-      req.user.userId,
-      JSON.stringify(location),
-      JSON.stringify(sensorData),
-      rideId || null
-    ]);
-
-    const emergencyId = result.insertId;
+    const countdown = await startCrashCountdown({
+      userId: req.user.userId,
+      rideId,
+      location,
+      sensorData,
+      confidence,
+      countdownSeconds
+    });
 
     res.status(201).json({ 
-      message: 'Crash detected and emergency event created',
-      emergencyId: emergencyId,
+      message: 'Crash detected, emergency will escalate unless cancelled',
+      emergencyId: countdown.emergencyId,
+      status: 'pending',
+      countdownSeconds: countdown.countdownSeconds,
+      escalateAt: countdown.escalateAt,
       confidence: confidence
     });
   } catch (error) {
@@ -341,17 +568,39 @@ router.post('/crash-detection', authenticateToken, async (req, res) => {
   }
 });
 
-// Helper function to calculate distance between two points
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 3959; // Earth's radius in miles
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
+// Cancel a pending crash detection (rider is OK)
+router.post('/crash-detection/:emergencyId/cancel', authenticateToken, async (req, res) => {
+  try {
+    const { emergencyId } = req.params;
+
+    const cancelled = await cancelCrashCountdown(emergencyId, req.user.userId);
+
+    if (!cancelled) {
+      return res.status(409).json({ error: 'No pending crash detection to cancel' });
+    }
+
+    res.json({ message: 'Crash detection cancelled', emergencyId: parseInt(emergencyId), status: 'false_alarm' });
+  } catch (error) {
+    console.error('Cancel crash detection error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Convert an emergency_contacts row to the app's camelCase shape
+function formatEmergencyContact(contact) {
+  return {
+    id: contact.id,
+    name: contact.name,
+    relationship: contact.relationship,
+    phone: contact.phone,
+    email: contact.email,
+    contactUserId: contact.contact_user_id,
+    notifySms: Boolean(contact.notify_sms),
+    notifyEmail: Boolean(contact.notify_email),
+    notifyPush: Boolean(contact.notify_push),
+    priority: contact.priority,
+    createdAt: contact.created_at
+  };
 }
 
 module.exports = router; 
\ No newline at end of file
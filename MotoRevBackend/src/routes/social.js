@@ -1,47 +1,70 @@
 const express = require('express');
-const { query } = require('../database/connection');
+const { query, get, run } = require('../database/connection');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  createNotification,
+  hasNotification,
+  notifyMentions,
+  listNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead
+} = require('../services/notificationService');
+const { getFeed, getPost } = require('../services/feedService');
+const { loadRideCards } = require('../services/rideCardService');
+const { indexPostHashtags, getHashtagFeed, getTrending } = require('../services/hashtagService');
+const { getOwnMedia } = require('../services/mediaService');
+const {
+  createStory,
+  listStories,
+  searchStories,
+  viewStory,
+  getStoryViewers,
+  listArchive,
+  listCloseFriends,
+  addCloseFriend,
+  removeCloseFriend,
+  listHighlights,
+  createHighlight,
+  updateHighlight,
+  deleteHighlight
+} = require('../services/storyService');
+const {
+  POST_VISIBILITIES,
+  VISIBILITY_JOIN,
+  VISIBLE_POST_WHERE,
+  getVisiblePost,
+  updatePost,
+  deletePost,
+  sharePost
+} = require('../services/postService');
+const { fanOutPost, backfillFollow, purgeFollow } = require('../services/timelineService');
+const { isBlocked, notBlockedSql } = require('../services/blockService');
+const { reportContent } = require('../services/moderationService');
+const {
+  listComments,
+  createComment,
+  editComment,
+  getEditHistory,
+  deleteComment,
+  toggleCommentLike
+} = require('../services/commentService');
 const router = express.Router();
 
-// Get social feed
+// Get social feed: own posts plus followed riders and pack mates.
+// ?mode=ranked boosts engagement and recency; pass nextCursor back as ?cursor= for the next page.
 router.get('/feed', authenticateToken, async (req, res) => {
   try {
-    const { limit = 20, offset = 0 } = req.query;
-    
-    // Limit the maximum number of posts to prevent large responses
-    const maxLimit = 50;
-    const safeLimit = Math.min(parseInt(limit) || 20, maxLimit);
-    const safeOffset = Math.max(parseInt(offset) || 0, 0);
-    
-    const posts = await query(`
-      SELECT p.id, p.user_id, p.content, p.image_url, p.video_url, p.location_lat, p.location_lng, p.location_name, p.created_at,
-             u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture,
-             0 as like_count,
-             0 as comment_count,
-             false as is_liked
-      FROM posts p
-      JOIN users u ON p.user_id = u.id
-      ORDER BY p.created_at DESC
-      LIMIT 20
-    `);
+    const { cursor, limit, mode } = req.query;
 
-    // Convert posts to app format
-    const formattedPosts = posts.map(post => ({
-      id: post.id.toString(),
-      userId: post.user_id.toString(),
-      username: post.username,
-      content: post.content,
-      timestamp: post.created_at,
-      likesCount: post.like_count || 0,
-      commentsCount: post.comment_count || 0,
-      isLiked: Boolean(post.is_liked),
-      rideData: null // We'll handle ride data later if needed
-    }));
+    const feed = await getFeed(req.user.id, { cursor, limit, mode });
 
     res.json({ 
       success: true,
-      posts: formattedPosts,
-      message: `Loaded ${formattedPosts.length} posts`
+      posts: feed.posts,
+      nextCursor: feed.nextCursor,
+      hasMore: feed.hasMore,
+      message: `Loaded ${feed.posts.length} posts`
     });
   } catch (error) {
     console.error('Get feed error:', error);
@@ -56,11 +79,33 @@ router.get('/feed', authenticateToken, async (req, res) => {
 // Create post
 router.post('/posts', authenticateToken, async (req, res) => {
   try {
-    const { content, imageUrl, videoUrl, location, rideId } = req.body;
+    const { content, imageUrl, videoUrl, mediaId, location, rideId, visibility = 'public' } = req.body;
 
-    if (!content && !imageUrl && !videoUrl) {
+    if (!content && !imageUrl && !videoUrl && !mediaId) {
       return res.status(400).json({ error: 'Post must have content, image, or video' });
     }
+    if (!POST_VISIBILITIES.includes(visibility)) {
+      return res.status(400).json({ error: `visibility must be one of: ${POST_VISIBILITIES.join(', ')}` });
+    }
+
+    // mediaId is the author's own upload from /api/media and takes the place of imageUrl/videoUrl
+    let media = null;
+    if (mediaId) {
+      media = await getOwnMedia(req.user.id, mediaId);
+      if (!media) {
+        return res.status(400).json({ error: 'Media not found' });
+      }
+    }
+
+    // rideId is a completed ride of the author's, shown on the post as a ride card
+    let completedRideId = null;
+    if (rideId) {
+      const ride = await get('SELECT id FROM completed_rides WHERE id = ? AND user_id = ?', [String(rideId), req.user.id]);
+      if (!ride) {
+        return res.status(400).json({ error: 'Ride not found' });
+      }
+      completedRideId = ride.id;
+    }
 
     // Parse location if provided as string
     let locationLat = null, locationLng = null, locationName = null;
@@ -79,21 +124,34 @@ router.post('/posts', authenticateToken, async (req, res) => {
     }
 
     const result = await query(`
-      INSERT INTO posts (user_id, content, image_url, video_url, location_lat, location_lng, location_name, ride_id, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
+      INSERT INTO posts (user_id, content, image_url, video_url, media_id, location_lat, location_lng, location_name, completed_ride_id, visibility, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
     `, [
       req.user.id,
       content || null,
-      imageUrl || null,
-      videoUrl || null,
+      media ? (media.media_type === 'image' ? media.url : null) : imageUrl || null,
+      media ? (media.media_type === 'video' ? media.url : null) : videoUrl || null,
+      media ? media.id : null,
       locationLat,
       locationLng,
       locationName || null,
-      rideId || null
+      completedRideId,
+      visibility
     ]);
 
     const postId = result.insertId;
 
+    fanOutPost(postId).catch(error => console.error('Timeline fan-out error:', error));
+    await indexPostHashtags(postId, req.user.id, content);
+
+    await notifyMentions({
+      text: content,
+      actorId: req.user.id,
+      actorUsername: req.user.username,
+      where: 'a post',
+      data: { postId }
+    });
+
     // Get the created post with user data
     const posts = await query(`
       SELECT p.*, u.username, u.first_name, u.last_name, u.profile_picture_url
@@ -103,6 +161,7 @@ router.post('/posts', authenticateToken, async (req, res) => {
     `, [postId]);
     
     const post = posts[0];
+    const rideCards = await loadRideCards(req.user.id, [post]);
 
     // Format the post response to match app expectations
     const formattedPost = {
@@ -110,11 +169,15 @@ router.post('/posts', authenticateToken, async (req, res) => {
       userId: post.user_id,
       username: post.username,
       content: post.content,
+      imageUrl: post.image_url,
+      videoUrl: post.video_url,
+      mediaId: post.media_id ? post.media_id.toString() : null,
+      visibility: post.visibility,
       timestamp: post.created_at,
       likesCount: 0,
       commentsCount: 0,
       isLiked: false,
-      rideData: null
+      rideData: rideCards.get(post.completed_ride_id) || null
     };
 
     res.status(201).json({ 
@@ -128,11 +191,51 @@ router.post('/posts', authenticateToken, async (req, res) => {
   }
 });
 
+// Edit own post: content and/or visibility (public, followers, pack, private)
+router.put('/posts/:postId', authenticateToken, async (req, res) => {
+  try {
+    const { content, visibility } = req.body;
+    const result = await updatePost(req.user, req.params.postId, { content, visibility });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      post: await getPost(req.user.id, result.postId),
+      message: 'Post updated successfully'
+    });
+  } catch (error) {
+    console.error('Update post error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Delete own post. Soft delete: the row stays but the post disappears everywhere.
+router.delete('/posts/:postId', authenticateToken, async (req, res) => {
+  try {
+    const result = await deletePost(req.user.id, req.params.postId);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, message: 'Post deleted successfully' });
+  } catch (error) {
+    console.error('Delete post error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
 // Like/unlike post
 router.post('/posts/:postId/like', authenticateToken, async (req, res) => {
   try {
     const { postId } = req.params;
 
+    const post = await getVisiblePost(req.user.id, postId);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
     // Check if already liked
     const existingLike = await get(
       'SELECT id FROM post_likes WHERE post_id = ? AND user_id = ?',
@@ -149,81 +252,49 @@ router.post('/posts/:postId/like', authenticateToken, async (req, res) => {
         INSERT INTO post_likes (post_id, user_id, created_at)
         VALUES (?, ?, NOW())
       `, [postId, req.user.id]);
-      res.json({ message: 'Post liked', liked: true });
-    }
-  } catch (error) {
-    console.error('Like post error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
 
-// Add comment to post
-router.post('/posts/:postId/comments', authenticateToken, async (req, res) => {
-  try {
-    const { postId } = req.params;
-    const { content } = req.body;
+      const alreadyNotified = await hasNotification({
+        userId: post.user_id,
+        actorId: req.user.id,
+        type: 'like',
+        key: 'postId',
+        value: post.id
+      });
+      if (!alreadyNotified) {
+        await createNotification({
+          userId: post.user_id,
+          actorId: req.user.id,
+          type: 'like',
+          title: 'New like',
+          message: `${req.user.username} liked your post`,
+          data: { postId: post.id }
+        });
+      }
 
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({ error: 'Comment content is required' });
+      res.json({ message: 'Post liked', liked: true });
     }
-
-    const result = await run(`
-      INSERT INTO post_comments (post_id, user_id, content, created_at)
-      VALUES (?, ?, ?, NOW())
-    `, [postId, req.user.id, content.trim()]);
-
-    const commentId = result.insertId;
-
-    // Get the created comment with user data
-    const comment = await get(`
-      SELECT pc.*, u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture
-      FROM post_comments pc
-      JOIN users u ON pc.user_id = u.id
-      WHERE pc.id = ?
-    `, [commentId]);
-
-    res.status(201).json({ 
-      message: 'Comment added successfully',
-      comment: comment 
-    });
   } catch (error) {
-    console.error('Add comment error:', error);
+    console.error('Like post error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get post comments
-
-// Get comments for a post
+// Comments on a post, oldest first. ?parent=<commentId> returns that comment's replies;
+// pass nextCursor back as ?cursor= for the next page.
 router.get('/posts/:postId/comments', authenticateToken, async (req, res) => {
   try {
-    const { postId } = req.params;
-    const { limit = 20, offset = 0 } = req.query;
-
-    const comments = await query(`
-      SELECT pc.id, pc.content, pc.created_at,
-             u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture
-      FROM post_comments pc
-      JOIN users u ON pc.user_id = u.id
-      WHERE pc.post_id = ?
-      ORDER BY pc.created_at ASC
-      LIMIT ? OFFSET ?
-    `, [postId, parseInt(limit), parseInt(offset)]);
-
-    const formattedComments = comments.map(comment => ({
-      id: comment.id,
-      postId: postId,
-      userId: comment.user_id,
-      username: comment.username,
-      content: comment.content,
-      timestamp: comment.created_at,
-      likesCount: 0
-    }));
+    const { parent, cursor, limit } = req.query;
+    const result = await listComments(req.user.id, req.params.postId, { parentId: parent, cursor, limit });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, comments: [], error: result.error });
+    }
 
     res.json({
       success: true,
-      comments: formattedComments,
-      message: `Loaded ${formattedComments.length} comments`
+      comments: result.comments,
+      nextCursor: result.nextCursor,
+      hasMore: result.hasMore,
+      message: `Loaded ${result.comments.length} comments`
     });
   } catch (error) {
     console.error('Get comments error:', error);
@@ -235,46 +306,18 @@ router.get('/posts/:postId/comments', authenticateToken, async (req, res) => {
   }
 });
 
-// Add comment to post
+// Add comment to post, or reply to a comment with parentCommentId
 router.post('/posts/:postId/comments', authenticateToken, async (req, res) => {
   try {
-    const { postId } = req.params;
-    const { content } = req.body;
-
-    if (!content || content.trim().length === 0) {
-      return res.status(400).json({ error: 'Comment content is required' });
-    }
-
-    // Insert comment
-    const result = await run(`
-      INSERT INTO post_comments (post_id, user_id, content, created_at)
-      VALUES (?, ?, ?, NOW())
-    `, [postId, req.user.id, content.trim()]);
-
-    const commentId = result.insertId;
-
-    // Get the created comment with user data
-    const comment = await get(`
-      SELECT pc.id, pc.content, pc.created_at,
-             u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture
-      FROM post_comments pc
-      JOIN users u ON pc.user_id = u.id
-      WHERE pc.id = ?
-    `, [commentId]);
-
-    const formattedComment = {
-      id: comment.id,
-      postId: postId,
-      userId: req.user.id,
-      username: comment.username,
-      content: comment.content,
-      timestamp: comment.created_at,
-      likesCount: 0
-    };
+    const { content, parentCommentId } = req.body;
+    const result = await createComment(req.user, req.params.postId, { content, parentCommentId });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
 
     res.status(201).json({
       success: true,
-      comment: formattedComment,
+      comment: result.comment,
       message: 'Comment added successfully'
     });
   } catch (error) {
@@ -286,68 +329,82 @@ router.post('/posts/:postId/comments', authenticateToken, async (req, res) => {
   }
 });
 
-// Share post
-router.post('/posts/:postId/share', authenticateToken, async (req, res) => {
+// Edit own comment; the previous text is kept in its edit history
+router.put('/comments/:commentId', authenticateToken, async (req, res) => {
   try {
-    const { postId } = req.params;
-    const { caption } = req.body;
+    const result = await editComment(req.user, req.params.commentId, req.body.content);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
 
-    // Get original post
-    const originalPost = await get(`
-      SELECT p.*, u.username as original_username
-      FROM posts p
-      JOIN users u ON p.user_id = u.id
-      WHERE p.id = ?
-    `, [postId]);
+    res.json({ success: true, comment: result.comment, message: 'Comment updated successfully' });
+  } catch (error) {
+    console.error('Edit comment error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
 
-    if (!originalPost) {
-      return res.status(404).json({ error: 'Post not found' });
+// Delete own comment, or any comment on own post
+router.delete('/comments/:commentId', authenticateToken, async (req, res) => {
+  try {
+    const result = await deleteComment(req.user.id, req.params.commentId);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
     }
 
-    // Create shared post
-    const shareContent = caption ? 
-      `${caption}\n\n--- Shared from @${originalPost.original_username} ---\n${originalPost.content}` :
-      `--- Shared from @${originalPost.original_username} ---\n${originalPost.content}`;
+    res.json({ success: true, message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
 
-    const result = await run(`
-      INSERT INTO posts (user_id, content, image_url, video_url, location_lat, location_lng, location_name, shared_from_post_id, created_at, updated_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW(), NOW())
-    `, [
-      req.user.id,
-      shareContent,
-      originalPost.image_url,
-      originalPost.video_url,
-      originalPost.location_lat,
-      originalPost.location_lng,
-      originalPost.location_name,
-      postId
-    ]);
+router.get('/comments/:commentId/history', authenticateToken, async (req, res) => {
+  try {
+    const result = await getEditHistory(req.user.id, req.params.commentId);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
 
-    const newPostId = result.insertId;
+    res.json({ success: true, edits: result.edits });
+  } catch (error) {
+    console.error('Comment history error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
 
-    // Get the created shared post
-    const sharedPost = await get(`
-      SELECT p.*, u.username, u.first_name, u.last_name, u.profile_picture_url
-      FROM posts p
-      JOIN users u ON p.user_id = u.id
-      WHERE p.id = ?
-    `, [newPostId]);
+// Like/unlike comment
+router.post('/comments/:commentId/like', authenticateToken, async (req, res) => {
+  try {
+    const result = await toggleCommentLike(req.user, req.params.commentId);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
 
-    const formattedPost = {
-      id: sharedPost.id,
-      userId: sharedPost.user_id,
-      username: sharedPost.username,
-      content: sharedPost.content,
-      timestamp: sharedPost.created_at,
-      likesCount: 0,
-      commentsCount: 0,
-      isLiked: false,
-      rideData: null
-    };
+    res.json({
+      message: result.liked ? 'Comment liked' : 'Comment unliked',
+      liked: result.liked,
+      likesCount: result.likesCount
+    });
+  } catch (error) {
+    console.error('Like comment error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reshare a public post with an optional caption. The original is embedded live in the
+// response and wherever the reshare is read.
+router.post('/posts/:postId/share', authenticateToken, async (req, res) => {
+  try {
+    const { caption, visibility } = req.body;
+    const result = await sharePost(req.user, req.params.postId, { caption, visibility });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
 
     res.status(201).json({
       success: true,
-      post: formattedPost,
+      post: await getPost(req.user.id, result.postId),
       message: 'Post shared successfully'
     });
   } catch (error) {
@@ -370,20 +427,37 @@ router.post('/follow/:userId', authenticateToken, async (req, res) => {
 
     // Check if already following
     const existingFollow = await get(
-      'SELECT id FROM followers WHERE follower_id = ? AND followed_id = ?',
+      'SELECT id FROM followers WHERE follower_id = ? AND following_id = ?',
       [req.user.id, userId]
     );
 
     if (existingFollow) {
       // Unfollow
-      await run('DELETE FROM followers WHERE follower_id = ? AND followed_id = ?', [req.user.id, userId]);
+      await run('DELETE FROM followers WHERE follower_id = ? AND following_id = ?', [req.user.id, userId]);
+      purgeFollow(req.user.id, userId).catch(error => console.error('Timeline purge error:', error));
       res.json({ message: 'User unfollowed', following: false });
     } else {
+      // Blocked riders cannot follow each other in either direction
+      if (await isBlocked(req.user.id, userId)) {
+        return res.status(403).json({ error: 'You cannot follow this user' });
+      }
+
       // Follow
       await run(`
-        INSERT INTO followers (follower_id, followed_id, created_at)
+        INSERT INTO followers (follower_id, following_id, created_at)
         VALUES (?, ?, NOW())
       `, [req.user.id, userId]);
+      backfillFollow(req.user.id, userId).catch(error => console.error('Timeline backfill error:', error));
+
+      await createNotification({
+        userId: parseInt(userId),
+        actorId: req.user.id,
+        type: 'follow',
+        title: 'New follower',
+        message: `${req.user.username} started following you`,
+        data: { followerId: req.user.id }
+      });
+
       res.json({ message: 'User followed', following: true });
     }
   } catch (error) {
@@ -392,58 +466,69 @@ router.post('/follow/:userId', authenticateToken, async (req, res) => {
   }
 });
 
-// Create story
-router.post('/stories', authenticateToken, async (req, res) => {
+// Report a post, comment, story, profile, place review or hazard report for moderation.
+// `contentType` is one of post, comment, story, user_profile, place_review or hazard_report.
+router.post('/report', authenticateToken, async (req, res) => {
   try {
-    const { content, imageUrl, videoUrl, backgroundColor, location, duration = 24 } = req.body;
-
-    if (!content && !imageUrl && !videoUrl) {
-      return res.status(400).json({ error: 'Story must have content, image, or video' });
+    const { contentType, contentId, reason, description } = req.body;
+    const result = await reportContent(req.user.id, { contentType, contentId, reason, description });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
     }
 
-    // Parse location if provided
-    let locationLat = null, locationLng = null, locationName = null;
-    if (location) {
-      if (typeof location === 'string') {
-        const coords = location.split(',');
-        if (coords.length === 2) {
-          locationLat = parseFloat(coords[0]);
-          locationLng = parseFloat(coords[1]);
-        }
-      } else if (location.latitude && location.longitude) {
-        locationLat = location.latitude;
-        locationLng = location.longitude;
-        locationName = location.name;
-      }
-    }
+    res.status(201).json({ success: true, report: result.report });
+  } catch (error) {
+    console.error('Report content error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
 
-    const result = await run(`
-      INSERT INTO stories (user_id, content, image_url, video_url, background_color, location_lat, location_lng, location_name, expires_at, created_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ${duration} HOUR), NOW())
-    `, [
-      req.user.id,
-      content || null,
-      imageUrl || null,
-      videoUrl || null,
-      backgroundColor || null,
-      locationLat,
-      locationLng,
-      locationName || null
-    ]);
+// Posts tagged #tag, newest first; pass nextCursor back as ?cursor= for the next page
+router.get('/hashtags/:tag', authenticateToken, async (req, res) => {
+  try {
+    const { cursor, limit } = req.query;
+    const result = await getHashtagFeed(req.user.id, req.params.tag, { cursor, limit });
+
+    res.json({
+      success: true,
+      tag: result.tag,
+      posts: result.posts,
+      nextCursor: result.nextCursor,
+      hasMore: result.hasMore
+    });
+  } catch (error) {
+    console.error('Get hashtag feed error:', error);
+    res.status(500).json({ success: false, posts: [], error: 'Internal server error' });
+  }
+});
+
+// Trending tags and posts; ?window=1h|24h|7d (default 24h)
+router.get('/trending', authenticateToken, async (req, res) => {
+  try {
+    const result = await getTrending(req.user.id, { window: req.query.window });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
 
-    const storyId = result.insertId;
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Get trending error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
 
-    // Get the created story with user data
-    const story = await get(`
-      SELECT s.*, u.username, u.first_name, u.last_name, u.profile_picture_url
-      FROM stories s
-      JOIN users u ON s.user_id = u.id
-      WHERE s.id = ?
-    `, [storyId]);
+// Create story. `audience` is followers (default), close_friends or pack; `duration` is in
+// hours; `mediaId` is an upload from /api/media used instead of imageUrl/videoUrl.
+router.post('/stories', authenticateToken, async (req, res) => {
+  try {
+    const result = await createStory(req.user.id, req.body);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
 
     res.status(201).json({ 
       message: 'Story created successfully',
-      story: story 
+      story: result.story 
     });
   } catch (error) {
     console.error('Create story error:', error);
@@ -451,20 +536,10 @@ router.post('/stories', authenticateToken, async (req, res) => {
   }
 });
 
-// Get stories from followed users
+// Get active stories the rider can see
 router.get('/stories', authenticateToken, async (req, res) => {
   try {
-    const stories = await query(`
-      SELECT s.*, u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture,
-             EXISTS(SELECT 1 FROM story_views sv WHERE sv.story_id = s.id AND sv.user_id = ?) as is_viewed
-      FROM stories s
-      JOIN users u ON s.user_id = u.id
-      LEFT JOIN followers f ON s.user_id = f.followed_id AND f.follower_id = ?
-      WHERE (s.user_id = ? OR f.follower_id = ?) 
-      AND s.expires_at > NOW()
-      ORDER BY s.created_at DESC
-    `, [req.user.id, req.user.id, req.user.id, req.user.id]);
-
+    const stories = await listStories(req.user.id);
     res.json({ stories });
   } catch (error) {
     console.error('Get stories error:', error);
@@ -472,22 +547,24 @@ router.get('/stories', authenticateToken, async (req, res) => {
   }
 });
 
+// The rider's own expired stories, newest first; pass nextCursor back as ?cursor=
+router.get('/stories/archive', authenticateToken, async (req, res) => {
+  try {
+    const { cursor, limit } = req.query;
+    const page = await listArchive(req.user.id, { cursor, limit });
+    res.json({ success: true, ...page });
+  } catch (error) {
+    console.error('Get story archive error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
 // Mark story as viewed
 router.post('/stories/:storyId/view', authenticateToken, async (req, res) => {
   try {
-    const { storyId } = req.params;
-
-    // Check if already viewed
-    const existingView = await get(
-      'SELECT id FROM story_views WHERE story_id = ? AND user_id = ?',
-      [storyId, req.user.id]
-    );
-
-    if (!existingView) {
-      await run(`
-        INSERT INTO story_views (story_id, user_id, viewed_at)
-        VALUES (?, ?, NOW())
-      `, [storyId, req.user.id]);
+    const result = await viewStory(req.user.id, req.params.storyId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
     res.json({ message: 'Story marked as viewed' });
@@ -500,80 +577,166 @@ router.post('/stories/:storyId/view', authenticateToken, async (req, res) => {
 // Get story viewers
 router.get('/stories/:storyId/viewers', authenticateToken, async (req, res) => {
   try {
-    const { storyId } = req.params;
-
-    // Check if user owns the story
-    const story = await get('SELECT user_id FROM stories WHERE id = ?', [storyId]);
-    if (!story || story.user_id !== req.user.id) {
-      return res.status(403).json({ error: 'Can only view viewers of your own stories' });
+    const result = await getStoryViewers(req.user.id, req.params.storyId);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    const viewers = await query(`
-      SELECT u.id, u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture, sv.viewed_at
-      FROM story_views sv
-      JOIN users u ON sv.user_id = u.id
-      WHERE sv.story_id = ?
-      ORDER BY sv.viewed_at DESC
-    `, [storyId]);
-
-    res.json({ viewers });
+    res.json({ viewers: result.viewers });
   } catch (error) {
     console.error('Get story viewers error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get notifications
+// Close friends list, used by close_friends stories
+router.get('/close-friends', authenticateToken, async (req, res) => {
+  try {
+    const friends = await listCloseFriends(req.user.id);
+    res.json({ success: true, friends });
+  } catch (error) {
+    console.error('Get close friends error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+router.put('/close-friends/:userId', authenticateToken, async (req, res) => {
+  try {
+    const result = await addCloseFriend(req.user.id, req.params.userId);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Add close friend error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+router.delete('/close-friends/:userId', authenticateToken, async (req, res) => {
+  try {
+    await removeCloseFriend(req.user.id, req.params.userId);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Remove close friend error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// A rider's story highlights, with the stories in each the viewer is allowed to see
+router.get('/users/:userId/highlights', authenticateToken, async (req, res) => {
+  try {
+    const highlights = await listHighlights(req.user.id, req.params.userId);
+    res.json({ success: true, highlights });
+  } catch (error) {
+    console.error('Get highlights error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Create a highlight from the rider's own stories: { title, storyIds }
+router.post('/highlights', authenticateToken, async (req, res) => {
+  try {
+    const { title, storyIds } = req.body;
+    const result = await createHighlight(req.user.id, { title, storyIds });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.status(201).json({ success: true, highlight: result.highlight });
+  } catch (error) {
+    console.error('Create highlight error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Rename a highlight and/or replace its stories
+router.put('/highlights/:highlightId', authenticateToken, async (req, res) => {
+  try {
+    const { title, storyIds } = req.body;
+    const result = await updateHighlight(req.user.id, req.params.highlightId, { title, storyIds });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true, highlight: result.highlight });
+  } catch (error) {
+    console.error('Update highlight error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+router.delete('/highlights/:highlightId', authenticateToken, async (req, res) => {
+  try {
+    const result = await deleteHighlight(req.user.id, req.params.highlightId);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Delete highlight error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Get notifications, newest first. Pass the returned nextCursor as ?cursor= for the next page.
 router.get('/notifications', authenticateToken, async (req, res) => {
   try {
-    const { limit = 50, offset = 0 } = req.query;
-
-    // Get likes on user's posts
-    const likes = await query(`
-      SELECT 'like' as type, pl.created_at, u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture,
-             p.id as post_id, p.content as post_content
-      FROM post_likes pl
-      JOIN users u ON pl.user_id = u.id
-      JOIN posts p ON pl.post_id = p.id
-      WHERE p.user_id = ? AND pl.user_id != ?
-      ORDER BY pl.created_at DESC
-      LIMIT ? OFFSET ?
-    `, [req.user.id, req.user.id, parseInt(limit), parseInt(offset)]);
-
-    // Get comments on user's posts
-    const comments = await query(`
-      SELECT 'comment' as type, pc.created_at, u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture,
-             p.id as post_id, p.content as post_content, pc.content as comment_content
-      FROM post_comments pc
-      JOIN users u ON pc.user_id = u.id
-      JOIN posts p ON pc.post_id = p.id
-      WHERE p.user_id = ? AND pc.user_id != ?
-      ORDER BY pc.created_at DESC
-      LIMIT ? OFFSET ?
-    `, [req.user.id, req.user.id, parseInt(limit), parseInt(offset)]);
-
-    // Get new followers
-    const follows = await query(`
-      SELECT 'follow' as type, f.created_at, u.username, u.first_name, u.last_name, u.profile_picture_url
-      FROM followers f
-      JOIN users u ON f.follower_id = u.id
-      WHERE f.followed_id = ?
-      ORDER BY f.created_at DESC
-      LIMIT ? OFFSET ?
-    `, [req.user.id, parseInt(limit), parseInt(offset)]);
+    const { cursor, limit, unread } = req.query;
 
-    // Combine and sort all notifications
-    const allNotifications = [...likes, ...comments, ...follows]
-      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
-      .slice(0, parseInt(limit));
+    const page = await listNotifications(req.user.id, {
+      cursor,
+      limit,
+      unreadOnly: unread === 'true'
+    });
 
-    res.json({ notifications: allNotifications });
+    res.json(page);
   } catch (error) {
     console.error('Get notifications error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// Unread notification count (for the badge)
+router.get('/notifications/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const unreadCount = await getUnreadCount(req.user.id);
+    res.json({ unreadCount });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark every notification read
+router.post('/notifications/read-all', authenticateToken, async (req, res) => {
+  try {
+    const updated = await markAllRead(req.user.id);
+    res.json({ message: 'All notifications marked as read', updated, unreadCount: 0 });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark one notification read
+router.post('/notifications/:notificationId/read', authenticateToken, async (req, res) => {
+  try {
+    const found = await markRead(req.user.id, req.params.notificationId);
+    if (!found) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    const unreadCount = await getUnreadCount(req.user.id);
+    res.json({ message: 'Notification marked as read', unreadCount });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Search posts
 router.get('/search/posts', authenticateToken, async (req, res) => {
   try {
@@ -584,19 +747,21 @@ router.get('/search/posts', authenticateToken, async (req, res) => {
     }
 
     const posts = await query(`
-      SELECT p.id, p.user_id, p.content, p.image_url, p.video_url, p.location_lat, p.location_lng, p.location_name, p.created_at,
+      SELECT p.id, p.user_id, p.content, p.image_url, p.video_url, p.location_lat, p.location_lng, p.location_name, p.completed_ride_id, p.created_at,
              u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture,
              p.likes_count, p.comments_count,
              false as is_liked
       FROM posts p
       JOIN users u ON p.user_id = u.id
+      ${VISIBILITY_JOIN}
       WHERE p.content LIKE ? 
-      AND p.visibility = 'public'
+      AND ${VISIBLE_POST_WHERE}
       ORDER BY p.created_at DESC
       LIMIT ? OFFSET ?
-    `, [`%${searchQuery}%`, parseInt(limit), parseInt(offset)]);
+    `, [req.user.id, `%${searchQuery}%`, req.user.id, req.user.id, String(parseInt(limit) || 20), String(parseInt(offset) || 0)]);
 
     // Format posts for app
+    const rideCards = await loadRideCards(req.user.id, posts);
     const formattedPosts = posts.map(post => ({
       id: post.id.toString(),
       userId: post.user_id.toString(),
@@ -606,7 +771,7 @@ router.get('/search/posts', authenticateToken, async (req, res) => {
       likesCount: post.likes_count || 0,
       commentsCount: post.comments_count || 0,
       isLiked: Boolean(post.is_liked),
-      rideData: null
+      rideData: rideCards.get(post.completed_ride_id) || null
     }));
 
     res.json({ 
@@ -630,16 +795,7 @@ router.get('/search/stories', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Search query must be at least 2 characters' });
     }
 
-    const stories = await query(`
-      SELECT s.*, u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture,
-             EXISTS(SELECT 1 FROM story_views sv WHERE sv.story_id = s.id AND sv.user_id = ?) as is_viewed
-      FROM stories s
-      JOIN users u ON s.user_id = u.id
-      WHERE (s.content LIKE ? OR u.username LIKE ?)
-      AND s.expires_at > NOW()
-      ORDER BY s.created_at DESC
-      LIMIT ? OFFSET ?
-    `, [req.user.id, `%${searchQuery}%`, `%${searchQuery}%`, parseInt(limit), parseInt(offset)]);
+    const stories = await searchStories(req.user.id, searchQuery.trim(), { limit, offset });
 
     res.json({ 
       success: true,
@@ -669,9 +825,12 @@ router.get('/search/users', authenticateToken, async (req, res) => {
       SELECT id, username, first_name, last_name 
       FROM users 
       WHERE username LIKE ?
+      AND ${notBlockedSql('users.id')}
       LIMIT 10
     `, [
-      `%${searchQuery}%`
+      `%${searchQuery}%`,
+      req.user.id,
+      req.user.id
     ]);
     
     console.log('Found users:', users.length);
@@ -796,20 +955,22 @@ router.get('/search', authenticateToken, async (req, res) => {
       FROM users 
       WHERE (username LIKE ? OR first_name LIKE ? OR last_name LIKE ?)
       AND id != ?
+      AND ${notBlockedSql('users.id')}
       ORDER BY is_verified DESC, safety_score DESC
       LIMIT ?
-    `, [`%${searchQuery}%`, `%${searchQuery}%`, `%${searchQuery}%`, req.user.id, parseInt(limit)]);
+    `, [`%${searchQuery}%`, `%${searchQuery}%`, `%${searchQuery}%`, req.user.id, req.user.id, req.user.id, parseInt(limit)]);
 
     // Search posts
     const posts = await query(`
       SELECT p.id, p.content, p.created_at, u.username, u.profile_picture_url as profile_picture, 'post' as content_type
       FROM posts p
       JOIN users u ON p.user_id = u.id
+      ${VISIBILITY_JOIN}
       WHERE p.content LIKE ? 
-      AND p.visibility = 'public'
+      AND ${VISIBLE_POST_WHERE}
       ORDER BY p.created_at DESC
       LIMIT ?
-    `, [`%${searchQuery}%`, parseInt(limit)]);
+    `, [req.user.id, `%${searchQuery}%`, req.user.id, req.user.id, String(parseInt(limit) || 10)]);
 
     // Search packs
     const packs = await query(`
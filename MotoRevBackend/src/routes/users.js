@@ -1,52 +1,97 @@
 const express = require('express');
 const { query, get, run } = require('../database/connection');
-const { authenticateToken } = require('../middleware/auth');
-const fs = require('fs');
-const path = require('path');
-const crypto = require('crypto');
+const { authenticateToken, authenticateAllowSuspended } = require('../middleware/auth');
 const router = express.Router();
 const { verifyTransaction } = require('../utils/appStoreVerifier');
+const { getPreferences, updatePreferences } = require('../services/notificationPreferenceService');
+const { VISIBILITY_JOIN, VISIBLE_POST_WHERE } = require('../services/postService');
+const { storeBase64Image } = require('../services/mediaService');
+const {
+  notBlockedSql,
+  isBlocked,
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
+  listBlocked,
+  listMuted
+} = require('../services/blockService');
+const { appealSuspension, listOwnAppeals } = require('../services/suspensionService');
+
+// Get notification preferences: channels per category plus quiet hours
+router.get('/notification-preferences', authenticateToken, async (req, res) => {
+  try {
+    const preferences = await getPreferences(req.user.id);
+    if (!preferences) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ preferences });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-// Helper function to save base64 image to file
-async function saveBase64Image(base64Data, userId) {
+// Update notification preferences. Partial: only the categories/channels/quiet-hour fields sent change.
+router.put('/notification-preferences', authenticateToken, async (req, res) => {
   try {
-    // Remove data URL prefix if present (data:image/jpeg;base64,)
-    const matches = base64Data.match(/^data:image\/([a-zA-Z]+);base64,(.+)$/);
-    let imageData, extension;
-    
-    if (matches) {
-      extension = matches[1] === 'jpeg' ? 'jpg' : matches[1];
-      imageData = matches[2];
-    } else {
-      // Assume it's already base64 without prefix
-      extension = 'jpg';
-      imageData = base64Data;
+    const { categories, quietHours, pushEnabled, emailEnabled } = req.body;
+    const result = await updatePreferences(req.user.id, { categories, quietHours, pushEnabled, emailEnabled });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
-    
-    // Generate unique filename
-    const timestamp = Date.now();
-    const randomHash = crypto.randomBytes(8).toString('hex');
-    const filename = `profile_${userId}_${timestamp}_${randomHash}.${extension}`;
-    
-    // Ensure uploads directory exists
-    const uploadsDir = path.join(__dirname, '../../uploads/profile-pictures');
-    if (!fs.existsSync(uploadsDir)) {
-      fs.mkdirSync(uploadsDir, { recursive: true });
+    res.json({ message: 'Notification preferences updated', preferences: result });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Riders the current user has blocked
+router.get('/blocked', authenticateToken, async (req, res) => {
+  try {
+    res.json({ success: true, users: await listBlocked(req.user.id) });
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Riders the current user has muted
+router.get('/muted', authenticateToken, async (req, res) => {
+  try {
+    res.json({ success: true, users: await listMuted(req.user.id) });
+  } catch (error) {
+    console.error('Get muted users error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// The current user's suspension (null when not suspended) and their appeals. Open to
+// suspended riders.
+router.get('/suspension', authenticateAllowSuspended, async (req, res) => {
+  try {
+    res.json({ success: true, suspension: req.suspension, appeals: await listOwnAppeals(req.user.id) });
+  } catch (error) {
+    console.error('Get suspension error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Appeal the current suspension; one appeal can be waiting at a time
+router.post('/suspension/appeal', authenticateAllowSuspended, async (req, res) => {
+  try {
+    const result = await appealSuspension(req.user.id, { message: req.body.message });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
     }
-    
-    // Save file
-    const filePath = path.join(uploadsDir, filename);
-    const buffer = Buffer.from(imageData, 'base64');
-    fs.writeFileSync(filePath, buffer);
-    
-    // Return URL path for serving the image
-    return `/uploads/profile-pictures/${filename}`;
-    
+
+    res.status(201).json({ success: true, appeal: result.appeal });
   } catch (error) {
-    console.error('Error saving profile image:', error);
-    throw new Error('Failed to save profile image');
+    console.error('Appeal suspension error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
   }
-}
+});
 
 // Get user profile by ID
 router.get('/:userId', authenticateToken, async (req, res) => {
@@ -62,7 +107,7 @@ router.get('/:userId', authenticateToken, async (req, res) => {
       FROM users WHERE id = ?
     `, [userId]);
 
-    if (!user) {
+    if (!user || await isBlocked(req.user.id, user.id)) {
       return res.status(404).json({ error: 'User not found' });
     }
 
@@ -113,7 +158,7 @@ router.get('/username/:username', authenticateToken, async (req, res) => {
       FROM users WHERE username = ?
     `, [username]);
 
-    if (!user) {
+    if (!user || await isBlocked(req.user.id, user.id)) {
       return res.status(404).json({ error: 'User not found' });
     }
 
@@ -218,14 +263,13 @@ router.put('/profile', authenticateToken, async (req, res) => {
       // Process profile picture: save base64 image as file and get URL
       let profilePictureUrl = profilePicture;
       if (profilePicture && profilePicture.length > 100) {
-        // This looks like base64 data, save it as a file
-        try {
-          profilePictureUrl = await saveBase64Image(profilePicture, req.user.id);
-          console.log('Profile picture saved as file:', profilePictureUrl);
-        } catch (error) {
-          console.error('Failed to save profile picture:', error);
+        // This looks like base64 data, store it through the media service
+        const stored = await storeBase64Image(req.user.id, profilePicture, 'profile');
+        if (stored.error) {
+          console.error('Failed to save profile picture:', stored.error);
           return res.status(400).json({ error: 'Failed to process profile picture' });
         }
+        profilePictureUrl = stored.media.url;
       }
       updateFields.push('profile_picture_url = ?');
       updateValues.push(profilePictureUrl);
@@ -302,6 +346,7 @@ router.get('/search/:query', authenticateToken, async (req, res) => {
       FROM users 
       WHERE (username LIKE ? OR first_name LIKE ? OR last_name LIKE ?)
       AND id != ?
+      AND ${notBlockedSql('users.id')}
       ORDER BY safety_score DESC, total_rides DESC
       LIMIT ? OFFSET ?
     `, [
@@ -309,6 +354,8 @@ router.get('/search/:query', authenticateToken, async (req, res) => {
       `%${searchQuery}%`,
       `%${searchQuery}%`,
       req.user.id,
+      req.user.id,
+      req.user.id,
       parseInt(limit),
       parseInt(offset)
     ]);
@@ -320,7 +367,7 @@ router.get('/search/:query', authenticateToken, async (req, res) => {
   }
 });
 
-// Get user's posts
+// Get user's posts, limited to the ones the viewer is allowed to see
 router.get('/:userId/posts', authenticateToken, async (req, res) => {
   try {
     const { userId } = req.params;
@@ -328,17 +375,15 @@ router.get('/:userId/posts', authenticateToken, async (req, res) => {
     
     const posts = await query(`
       SELECT p.*, u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture,
-             COUNT(pl.id) as like_count,
-             COUNT(pc.id) as comment_count
+             (SELECT COUNT(*) FROM post_likes pl WHERE pl.post_id = p.id) as like_count,
+             (SELECT COUNT(*) FROM post_comments pc WHERE pc.post_id = p.id AND pc.deleted_at IS NULL AND pc.hidden_at IS NULL) as comment_count
       FROM posts p
       JOIN users u ON p.user_id = u.id
-      LEFT JOIN post_likes pl ON p.id = pl.post_id
-      LEFT JOIN post_comments pc ON p.id = pc.post_id
-      WHERE p.user_id = ?
-      GROUP BY p.id
+      ${VISIBILITY_JOIN}
+      WHERE p.user_id = ? AND ${VISIBLE_POST_WHERE}
       ORDER BY p.created_at DESC
       LIMIT ? OFFSET ?
-    `, [userId, parseInt(limit), parseInt(offset)]);
+    `, [req.user.id, userId, req.user.id, req.user.id, String(parseInt(limit) || 20), String(parseInt(offset) || 0)]);
 
     res.json({ posts });
   } catch (error) {
@@ -347,21 +392,26 @@ router.get('/:userId/posts', authenticateToken, async (req, res) => {
   }
 });
 
-// Get user's followers
+// Get user's followers, leaving out anyone blocked either way by the viewer
 router.get('/:userId/followers', authenticateToken, async (req, res) => {
   try {
     const { userId } = req.params;
     const { limit = 50, offset = 0 } = req.query;
+
+    if (await isBlocked(req.user.id, userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
     
     const followers = await query(`
       SELECT u.id, u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture,
              u.motorcycle_make, u.motorcycle_model, u.safety_score
       FROM followers f
       JOIN users u ON f.follower_id = u.id
-      WHERE f.followed_id = ?
+      WHERE f.following_id = ?
+      AND ${notBlockedSql('u.id')}
       ORDER BY f.created_at DESC
       LIMIT ? OFFSET ?
-    `, [userId, parseInt(limit), parseInt(offset)]);
+    `, [userId, req.user.id, req.user.id, parseInt(limit), parseInt(offset)]);
 
     res.json({ followers });
   } catch (error) {
@@ -370,21 +420,26 @@ router.get('/:userId/followers', authenticateToken, async (req, res) => {
   }
 });
 
-// Get user's following
+// Get user's following, leaving out anyone blocked either way by the viewer
 router.get('/:userId/following', authenticateToken, async (req, res) => {
   try {
     const { userId } = req.params;
     const { limit = 50, offset = 0 } = req.query;
+
+    if (await isBlocked(req.user.id, userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
     
     const following = await query(`
       SELECT u.id, u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture,
              u.motorcycle_make, u.motorcycle_model, u.safety_score
       FROM followers f
-      JOIN users u ON f.followed_id = u.id
+      JOIN users u ON f.following_id = u.id
       WHERE f.follower_id = ?
+      AND ${notBlockedSql('u.id')}
       ORDER BY f.created_at DESC
       LIMIT ? OFFSET ?
-    `, [userId, parseInt(limit), parseInt(offset)]);
+    `, [userId, req.user.id, req.user.id, parseInt(limit), parseInt(offset)]);
 
     res.json({ following });
   } catch (error) {
@@ -424,20 +479,20 @@ router.get('/:userId/stats', authenticateToken, async (req, res) => {
       FROM users WHERE id = ?
     `, [userId]);
 
-    if (!user) {
+    if (!user || await isBlocked(req.user.id, userId)) {
       return res.status(404).json({ error: 'User not found' });
     }
 
     // Get followers/following count
     const followStats = await query(`
       SELECT 
-        (SELECT COUNT(*) FROM followers WHERE followed_id = ?) as follower_count,
+        (SELECT COUNT(*) FROM followers WHERE following_id = ?) as follower_count,
         (SELECT COUNT(*) FROM followers WHERE follower_id = ?) as following_count
     `, [userId, userId]);
 
     // Get posts count
     const postStats = await get(`
-      SELECT COUNT(*) as post_count FROM posts WHERE user_id = ?
+      SELECT COUNT(*) as post_count FROM posts WHERE user_id = ? AND is_deleted = FALSE
     `, [userId]);
 
     // Get recent rides
@@ -472,6 +527,10 @@ router.get('/:userId/bikes', authenticateToken, async (req, res) => {
   try {
     const { userId } = req.params;
 
+    if (await isBlocked(req.user.id, userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
     const bikes = await query(`
       SELECT id, user_id, name, year, make, model, color, engine_size, bike_type, current_mileage,
              purchase_date, notes, is_primary, photos, modifications, created_at, updated_at
@@ -506,12 +565,60 @@ router.get('/:userId/bikes', authenticateToken, async (req, res) => {
   }
 });
 
+// Block a rider: hides each of you from the other everywhere and ends any follows between you
+router.post('/:userId/block', authenticateToken, async (req, res) => {
+  try {
+    const result = await blockUser(req.user.id, req.params.userId);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, blocked: true });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+router.delete('/:userId/block', authenticateToken, async (req, res) => {
+  try {
+    await unblockUser(req.user.id, req.params.userId);
+    res.json({ success: true, blocked: false });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+// Mute a rider: their posts and stories stay out of your feed without them knowing
+router.post('/:userId/mute', authenticateToken, async (req, res) => {
+  try {
+    const result = await muteUser(req.user.id, req.params.userId);
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, muted: true });
+  } catch (error) {
+    console.error('Mute user error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+router.delete('/:userId/mute', authenticateToken, async (req, res) => {
+  try {
+    await unmuteUser(req.user.id, req.params.userId);
+    res.json({ success: true, muted: false });
+  } catch (error) {
+    console.error('Unmute user error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
 // Register push token
 router.post('/push-token', authenticateToken, async (req, res) => {
   try {
     const { token } = req.body;
     if (!token) return res.status(400).json({ error: 'Token required' });
-    await run(`INSERT IGNORE INTO push_tokens (user_id, token) VALUES (?, ?)`, [req.user.userId, token]);
+    await run(`INSERT IGNORE INTO push_tokens (user_id, token) VALUES (?, ?)`, [req.user.id, token]);
     res.json({ message: 'Token registered' });
   } catch (e) {
     console.error('Register push token error:', e);
@@ -0,0 +1,189 @@
+const { query, get, run } = require('../database/connection');
+const cacheService = require('./cacheService');
+const { backfillFollow, purgeFollow } = require('./timelineService');
+
+// SQL condition that no block stands between the viewer and the rider in `column`, in
+// either direction. `viewer` is a column or '?'; with '?' it binds the viewer's id twice.
+function notBlockedSql(column, viewer = '?') {
+  return `NOT EXISTS (
+    SELECT 1 FROM user_blocks ub
+    WHERE (ub.blocker_id = ${viewer} AND ub.blocked_id = ${column})
+       OR (ub.blocker_id = ${column} AND ub.blocked_id = ${viewer})
+  )`;
+}
+
+// SQL condition that the viewer has not muted the rider in `column`; with '?' it binds
+// the viewer's id once
+function notMutedSql(column, viewer = '?') {
+  return `NOT EXISTS (
+    SELECT 1 FROM user_mutes um WHERE um.muter_id = ${viewer} AND um.muted_id = ${column}
+  )`;
+}
+
+// Whether either rider has blocked the other
+async function isBlocked(userId, otherUserId) {
+  const row = await get(`
+    SELECT id FROM user_blocks
+    WHERE (blocker_id = ? AND blocked_id = ?) OR (blocker_id = ? AND blocked_id = ?)
+    LIMIT 1
+  `, [userId, otherUserId, otherUserId, userId]);
+  return Boolean(row);
+}
+
+// Whether any active member of the pack and the rider have blocked one another. Riders
+// who blocked each other never share a pack, since pack mates see each other's location.
+async function hasBlockInPack(userId, packId) {
+  const row = await get(`
+    SELECT pm.id
+    FROM pack_members pm
+    WHERE pm.pack_id = ? AND pm.status = 'active' AND NOT ${notBlockedSql('pm.user_id')}
+    LIMIT 1
+  `, [packId, userId, userId]);
+  return Boolean(row);
+}
+
+// Ids of everyone the rider blocked or was blocked by, cached for hot paths
+async function getBlockedUserIds(userId) {
+  const cached = await cacheService.getBlockedUserIds(userId);
+  if (Array.isArray(cached)) return cached;
+
+  const rows = await query(`
+    SELECT blocked_id as user_id FROM user_blocks WHERE blocker_id = ?
+    UNION
+    SELECT blocker_id as user_id FROM user_blocks WHERE blocked_id = ?
+  `, [userId, userId]);
+  const ids = rows.map(row => Number(row.user_id));
+  await cacheService.setBlockedUserIds(userId, ids);
+  return ids;
+}
+
+// Personal socket rooms to leave out when broadcasting something about the rider
+async function blockedUserRooms(userId) {
+  return (await getBlockedUserIds(userId)).map(id => `user:${id}`);
+}
+
+async function checkTarget(userId, targetId, action) {
+  if (Number(targetId) === Number(userId)) {
+    return { error: `You cannot ${action} yourself`, status: 400 };
+  }
+  const target = await get('SELECT id FROM users WHERE id = ?', [targetId]);
+  if (!target) {
+    return { error: 'User not found', status: 404 };
+  }
+  return { target };
+}
+
+// Blocking also ends any follow in both directions and drops each rider from the other's
+// close friends, so nothing is left to restore if the block is lifted
+async function blockUser(userId, targetId) {
+  const { target, error, status } = await checkTarget(userId, targetId, 'block');
+  if (error) {
+    return { error, status };
+  }
+
+  await run(
+    'INSERT IGNORE INTO user_blocks (blocker_id, blocked_id, created_at) VALUES (?, ?, NOW())',
+    [userId, target.id]
+  );
+  await run(`
+    DELETE FROM followers
+    WHERE (follower_id = ? AND following_id = ?) OR (follower_id = ? AND following_id = ?)
+  `, [userId, target.id, target.id, userId]);
+  await run(`
+    DELETE FROM close_friends
+    WHERE (user_id = ? AND friend_id = ?) OR (user_id = ? AND friend_id = ?)
+  `, [userId, target.id, target.id, userId]);
+
+  await cacheService.invalidateBlockCache(userId, target.id);
+  await cacheService.invalidateFollowCache(userId, target.id);
+  await cacheService.invalidateFollowCache(target.id, userId);
+  purgeFollow(userId, target.id).catch(error => console.error('Timeline purge error:', error));
+  purgeFollow(target.id, userId).catch(error => console.error('Timeline purge error:', error));
+
+  return { blocked: true };
+}
+
+async function unblockUser(userId, targetId) {
+  await run('DELETE FROM user_blocks WHERE blocker_id = ? AND blocked_id = ?', [userId, targetId]);
+  await cacheService.invalidateBlockCache(userId, targetId);
+  return { blocked: false };
+}
+
+async function muteUser(userId, targetId) {
+  const { target, error, status } = await checkTarget(userId, targetId, 'mute');
+  if (error) {
+    return { error, status };
+  }
+
+  await run(
+    'INSERT IGNORE INTO user_mutes (muter_id, muted_id, created_at) VALUES (?, ?, NOW())',
+    [userId, target.id]
+  );
+  purgeFollow(userId, target.id).catch(error => console.error('Timeline purge error:', error));
+  return { muted: true };
+}
+
+// Unmuting puts a followed rider's recent posts back into the timeline
+async function unmuteUser(userId, targetId) {
+  const result = await run('DELETE FROM user_mutes WHERE muter_id = ? AND muted_id = ?', [userId, targetId]);
+  if (result.affectedRows > 0) {
+    const follow = await get(
+      "SELECT id FROM followers WHERE follower_id = ? AND following_id = ? AND status = 'active'",
+      [userId, targetId]
+    );
+    if (follow) {
+      backfillFollow(userId, targetId).catch(error => console.error('Timeline backfill error:', error));
+    }
+  }
+  return { muted: false };
+}
+
+function formatListedUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    firstName: row.first_name,
+    lastName: row.last_name,
+    profilePicture: row.profile_picture,
+    since: row.created_at
+  };
+}
+
+// Riders the user has blocked, most recent first
+async function listBlocked(userId) {
+  const rows = await query(`
+    SELECT u.id, u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture, ub.created_at
+    FROM user_blocks ub
+    JOIN users u ON ub.blocked_id = u.id
+    WHERE ub.blocker_id = ?
+    ORDER BY ub.created_at DESC
+  `, [userId]);
+  return rows.map(formatListedUser);
+}
+
+// Riders the user has muted, most recent first
+async function listMuted(userId) {
+  const rows = await query(`
+    SELECT u.id, u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture, um.created_at
+    FROM user_mutes um
+    JOIN users u ON um.muted_id = u.id
+    WHERE um.muter_id = ?
+    ORDER BY um.created_at DESC
+  `, [userId]);
+  return rows.map(formatListedUser);
+}
+
+module.exports = {
+  notBlockedSql,
+  notMutedSql,
+  isBlocked,
+  hasBlockInPack,
+  getBlockedUserIds,
+  blockedUserRooms,
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
+  listBlocked,
+  listMuted
+};
@@ -43,7 +43,12 @@ class CacheService {
             SEARCH_RESULTS: 300,    // 5 minutes
             USER_STATS: 600,        // 10 minutes
             ENGAGEMENT_DATA: 120,   // 2 minutes
+            USER_BLOCKS: 300,       // 5 minutes
+            TIMELINE: 604800,       // 7 days since last read
         };
+
+        // Windows trending is cached for (see hashtagService)
+        this.TRENDING_WINDOWS = ['1h', '24h', '7d'];
     }
 
     // Generic cache operations
@@ -122,6 +127,20 @@ class CacheService {
         return this.set(`user:stats:${userId}`, stats, this.TTL.USER_STATS);
     }
 
+    // Everyone blocked by or blocking the user, for hot paths like location broadcasts
+    async getBlockedUserIds(userId) {
+        return this.get(`user:blocks:${userId}`);
+    }
+
+    async setBlockedUserIds(userId, ids) {
+        return this.set(`user:blocks:${userId}`, ids, this.TTL.USER_BLOCKS);
+    }
+
+    async invalidateBlockCache(userId, otherUserId) {
+        await this.del(`user:blocks:${userId}`);
+        await this.del(`user:blocks:${otherUserId}`);
+    }
+
     // Post-specific cache operations
     async getPost(postId) {
         return this.get(`post:${postId}`);
@@ -131,12 +150,17 @@ class CacheService {
         return this.set(`post:${postId}`, post, this.TTL.POST_DETAILS);
     }
 
-    async getTrendingPosts() {
-        return this.get('posts:trending');
+    // One entry per trending window (e.g. '24h'); no window is the legacy single entry
+    trendingKey(window) {
+        return window ? `posts:trending:${window}` : 'posts:trending';
     }
 
-    async setTrendingPosts(posts) {
-        return this.set('posts:trending', posts, this.TTL.TRENDING_POSTS);
+    async getTrendingPosts(window) {
+        return this.get(this.trendingKey(window));
+    }
+
+    async setTrendingPosts(posts, window) {
+        return this.set(this.trendingKey(window), posts, this.TTL.TRENDING_POSTS);
     }
 
     async getPostEngagement(postId) {
@@ -243,6 +267,26 @@ class CacheService {
         }
     }
 
+    // DEL takes exact keys only, so wildcard deletes SCAN for matches first. SCAN does not
+    // apply keyPrefix and returns prefixed keys, while DEL re-applies it, hence the stripping.
+    async delPattern(pattern) {
+        const prefix = this.redis.options.keyPrefix || '';
+        try {
+            let cursor = '0';
+            do {
+                const [next, keys] = await this.redis.scan(cursor, 'MATCH', `${prefix}${pattern}`, 'COUNT', 200);
+                cursor = next;
+                if (keys.length > 0) {
+                    await this.redis.del(...keys.map(key => key.slice(prefix.length)));
+                }
+            } while (cursor !== '0');
+            return true;
+        } catch (error) {
+            console.error(`Cache pattern delete error for ${pattern}:`, error);
+            return false;
+        }
+    }
+
     // Cache invalidation helpers
     async invalidateUserCache(userId) {
         const patterns = [
@@ -256,44 +300,125 @@ class CacheService {
 
         for (const pattern of patterns) {
             if (pattern.includes('*')) {
-                const keys = await this.redis.keys(pattern);
-                if (keys.length > 0) {
-                    await this.redis.del(...keys);
-                }
+                await this.delPattern(pattern);
             } else {
                 await this.del(pattern);
             }
         }
     }
 
-    async invalidatePostCache(postId, userId) {
-        const patterns = [
-            `post:${postId}`,
-            `post:engagement:${postId}`,
-            'posts:trending',
-            `user:feed:*:*` // Invalidate all user feeds
-        ];
-
-        for (const pattern of patterns) {
-            if (pattern.includes('*')) {
-                const keys = await this.redis.keys(pattern);
-                if (keys.length > 0) {
-                    await this.redis.del(...keys);
-                }
-            } else {
-                await this.del(pattern);
-            }
+    // Feeds are no longer invalidated here: timelines are updated on write, and the
+    // cached ranked order re-checks every post when it is read
+    async invalidatePostCache(postId) {
+        await this.del(`post:${postId}`);
+        await this.del(`post:engagement:${postId}`);
+        await this.del(this.trendingKey());
+        for (const window of this.TRENDING_WINDOWS) {
+            await this.del(this.trendingKey(window));
         }
     }
 
     async invalidateFollowCache(followerId, followingId) {
         await this.del(`user:followers:${followingId}`);
         await this.del(`user:followers:${followerId}`);
-        
-        // Invalidate feeds
-        const feedKeys = await this.redis.keys(`user:feed:${followerId}:*`);
-        if (feedKeys.length > 0) {
-            await this.redis.del(...feedKeys);
+        await this.delPattern(`user:feed:${followerId}:*`);
+    }
+
+    // Timelines: one sorted set of post ids per user, scored by post id (newest = highest).
+    // Methods return null when Redis is unavailable so callers can fall back to the database.
+    timelineKey(userId) {
+        return `timeline:${userId}`;
+    }
+
+    // Only timelines that already exist are touched: a missing one is rebuilt in full on
+    // its next read, and creating it here would leave it holding just this post
+    async addToTimelines(userIds, postId, maxEntries) {
+        try {
+            const checks = this.redis.pipeline();
+            for (const userId of userIds) {
+                checks.exists(this.timelineKey(userId));
+            }
+            const exists = await checks.exec();
+
+            const pipeline = this.redis.pipeline();
+            userIds.forEach((userId, index) => {
+                if (!exists[index][1]) return;
+                const key = this.timelineKey(userId);
+                pipeline.zadd(key, postId, postId);
+                pipeline.zremrangebyrank(key, 0, -(maxEntries + 1));
+            });
+            await pipeline.exec();
+            return true;
+        } catch (error) {
+            console.error(`Timeline fan-out error for post ${postId}:`, error);
+            return null;
+        }
+    }
+
+    // Replace a timeline wholesale (cold start or rebuild). An empty list still marks it built.
+    async setTimeline(userId, postIds, maxEntries) {
+        const key = this.timelineKey(userId);
+        try {
+            const pipeline = this.redis.pipeline();
+            pipeline.del(key);
+            // A sentinel member with score 0 sorts last and lets an empty timeline exist
+            pipeline.zadd(key, 0, 0);
+            for (const postId of postIds.slice(0, maxEntries)) {
+                pipeline.zadd(key, postId, postId);
+            }
+            pipeline.expire(key, this.TTL.TIMELINE);
+            await pipeline.exec();
+            return true;
+        } catch (error) {
+            console.error(`Timeline rebuild error for user ${userId}:`, error);
+            return null;
+        }
+    }
+
+    async addPostsToTimeline(userId, postIds, maxEntries) {
+        if (postIds.length === 0) return true;
+        const key = this.timelineKey(userId);
+        try {
+            if (!(await this.redis.exists(key))) return true;
+            const pipeline = this.redis.pipeline();
+            for (const postId of postIds) {
+                pipeline.zadd(key, postId, postId);
+            }
+            pipeline.zremrangebyrank(key, 0, -(maxEntries + 1));
+            await pipeline.exec();
+            return true;
+        } catch (error) {
+            console.error(`Timeline backfill error for user ${userId}:`, error);
+            return null;
+        }
+    }
+
+    async removeFromTimeline(userId, postIds) {
+        if (postIds.length === 0) return true;
+        try {
+            await this.redis.zrem(this.timelineKey(userId), ...postIds);
+            return true;
+        } catch (error) {
+            console.error(`Timeline purge error for user ${userId}:`, error);
+            return null;
+        }
+    }
+
+    // Post ids older than `beforeId` (newest first). Returns null if Redis is down and
+    // { ids: null } if this user has no timeline yet.
+    async getTimelinePage(userId, { beforeId, count }) {
+        const key = this.timelineKey(userId);
+        try {
+            if (!(await this.redis.exists(key))) {
+                return { ids: null };
+            }
+            const max = beforeId ? `(${beforeId}` : '+inf';
+            const ids = await this.redis.zrevrangebyscore(key, max, '(0', 'LIMIT', 0, count);
+            await this.redis.expire(key, this.TTL.TIMELINE);
+            return { ids: ids.map(Number) };
+        } catch (error) {
+            console.error(`Timeline read error for user ${userId}:`, error);
+            return null;
         }
     }
 
@@ -0,0 +1,320 @@
+const { query, get, run } = require('../database/connection');
+const { createNotification, hasNotification, notifyMentions } = require('./notificationService');
+const { getVisiblePost } = require('./postService');
+const { notBlockedSql, isBlocked } = require('./blockService');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const MAX_COMMENT_LENGTH = 2000;
+
+const COMMENT_SELECT = `
+  SELECT pc.id, pc.post_id, pc.user_id, pc.parent_comment_id, pc.content,
+         pc.edited_at, pc.deleted_at, pc.created_at,
+         u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture,
+         (SELECT COUNT(*) FROM comment_likes cl WHERE cl.comment_id = pc.id) as like_count,
+         (SELECT COUNT(*) FROM post_comments r WHERE r.parent_comment_id = pc.id AND r.deleted_at IS NULL AND r.hidden_at IS NULL) as reply_count,
+         EXISTS(SELECT 1 FROM comment_likes cl WHERE cl.comment_id = pc.id AND cl.user_id = ?) as is_liked
+  FROM post_comments pc
+  JOIN users u ON pc.user_id = u.id
+`;
+
+// Deleted comments keep their place in the thread but not their text or author
+function formatComment(row) {
+  const isDeleted = Boolean(row.deleted_at);
+  return {
+    id: row.id.toString(),
+    postId: row.post_id.toString(),
+    parentCommentId: row.parent_comment_id ? row.parent_comment_id.toString() : null,
+    userId: isDeleted ? null : row.user_id.toString(),
+    username: isDeleted ? null : row.username,
+    firstName: isDeleted ? null : row.first_name,
+    lastName: isDeleted ? null : row.last_name,
+    profilePicture: isDeleted ? null : row.profile_picture,
+    content: isDeleted ? null : row.content,
+    isDeleted,
+    isEdited: Boolean(row.edited_at),
+    editedAt: row.edited_at,
+    timestamp: row.created_at,
+    likesCount: Number(row.like_count) || 0,
+    repliesCount: Number(row.reply_count) || 0,
+    isLiked: Boolean(row.is_liked)
+  };
+}
+
+function validateContent(content) {
+  if (typeof content !== 'string' || content.trim().length === 0) {
+    return 'Comment content is required';
+  }
+  if (content.trim().length > MAX_COMMENT_LENGTH) {
+    return `Comment must be ${MAX_COMMENT_LENGTH} characters or fewer`;
+  }
+  return null;
+}
+
+async function getComment(viewerId, commentId) {
+  const row = await get(`${COMMENT_SELECT} WHERE pc.id = ?`, [viewerId, commentId]);
+  return row ? formatComment(row) : null;
+}
+
+// Oldest first. Without `parentId` this is the post's top-level comments, otherwise the
+// direct replies to that comment. `cursor` is the id of the last comment on the previous
+// page. Deleted comments are only shown while they still have replies, comments hidden by
+// moderation only to their author, and comments by riders blocked either way not at all.
+async function listComments(viewerId, postId, { parentId, cursor, limit } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const post = await getVisiblePost(viewerId, postId);
+  if (!post) {
+    return { error: 'Post not found', status: 404 };
+  }
+
+  const conditions = ['pc.post_id = ?', notBlockedSql('pc.user_id'), '(pc.hidden_at IS NULL OR pc.user_id = ?)'];
+  const params = [viewerId, post.id, viewerId, viewerId, viewerId];
+
+  if (parentId) {
+    const parent = await get('SELECT id, user_id, hidden_at FROM post_comments WHERE id = ? AND post_id = ?', [parentId, post.id]);
+    if (!parent || (parent.hidden_at && Number(parent.user_id) !== Number(viewerId)) || await isBlocked(viewerId, parent.user_id)) {
+      return { error: 'Parent comment not found', status: 404 };
+    }
+    conditions.push('pc.parent_comment_id = ?');
+    params.push(parent.id);
+  } else {
+    conditions.push('pc.parent_comment_id IS NULL');
+  }
+
+  const after = parseInt(cursor);
+  if (Number.isFinite(after)) {
+    conditions.push('pc.id > ?');
+    params.push(after);
+  }
+
+  const rows = await query(`
+    ${COMMENT_SELECT}
+    WHERE ${conditions.join(' AND ')}
+      AND (pc.deleted_at IS NULL OR EXISTS (
+        SELECT 1 FROM post_comments r WHERE r.parent_comment_id = pc.id AND r.deleted_at IS NULL
+      ))
+    ORDER BY pc.id ASC
+    LIMIT ?
+  `, [...params, String(pageSize + 1)]);
+
+  const hasMore = rows.length > pageSize;
+  const page = rows.slice(0, pageSize);
+  return {
+    comments: page.map(formatComment),
+    nextCursor: hasMore ? String(page[page.length - 1].id) : null,
+    hasMore
+  };
+}
+
+// Top-level comment or, with `parentCommentId`, a reply. Notifies the post author, the
+// author of the comment being replied to and anyone @mentioned.
+async function createComment(user, postId, { content, parentCommentId = null }) {
+  const validationError = validateContent(content);
+  if (validationError) {
+    return { error: validationError, status: 400 };
+  }
+
+  const post = await getVisiblePost(user.id, postId);
+  if (!post) {
+    return { error: 'Post not found', status: 404 };
+  }
+
+  let parent = null;
+  if (parentCommentId) {
+    parent = await get(
+      'SELECT id, user_id, deleted_at, hidden_at FROM post_comments WHERE id = ? AND post_id = ?',
+      [parentCommentId, post.id]
+    );
+    if (!parent || parent.hidden_at || await isBlocked(user.id, parent.user_id)) {
+      return { error: 'Parent comment not found', status: 404 };
+    }
+    if (parent.deleted_at) {
+      return { error: 'Cannot reply to a deleted comment', status: 400 };
+    }
+  }
+
+  const text = content.trim();
+  const result = await run(`
+    INSERT INTO post_comments (post_id, user_id, content, parent_comment_id, created_at)
+    VALUES (?, ?, ?, ?, NOW())
+  `, [post.id, user.id, text, parent ? parent.id : null]);
+  const commentId = result.insertId;
+  const data = { postId: post.id, commentId, parentCommentId: parent ? parent.id : null };
+
+  if (parent) {
+    await createNotification({
+      userId: parent.user_id,
+      actorId: user.id,
+      type: 'comment_reply',
+      title: 'New reply',
+      message: `${user.username} replied: ${text.slice(0, 100)}`,
+      data
+    });
+  }
+  if (!parent || Number(parent.user_id) !== Number(post.user_id)) {
+    await createNotification({
+      userId: post.user_id,
+      actorId: user.id,
+      type: 'comment',
+      title: 'New comment',
+      message: `${user.username} commented: ${text.slice(0, 100)}`,
+      data
+    });
+  }
+  await notifyMentions({
+    text,
+    actorId: user.id,
+    actorUsername: user.username,
+    where: 'a comment',
+    data
+  });
+
+  return { comment: await getComment(user.id, commentId) };
+}
+
+// Only the author can edit. The previous text is kept in comment_edits and only
+// riders newly @mentioned by the edit are notified.
+async function editComment(user, commentId, content) {
+  const validationError = validateContent(content);
+  if (validationError) {
+    return { error: validationError, status: 400 };
+  }
+
+  const comment = await get(
+    'SELECT id, post_id, user_id, content, deleted_at FROM post_comments WHERE id = ?',
+    [commentId]
+  );
+  if (!comment || comment.deleted_at) {
+    return { error: 'Comment not found', status: 404 };
+  }
+  if (Number(comment.user_id) !== Number(user.id)) {
+    return { error: 'You can only edit your own comments', status: 403 };
+  }
+
+  const text = content.trim();
+  if (text !== comment.content) {
+    await run(
+      'INSERT INTO comment_edits (comment_id, previous_content, edited_at) VALUES (?, ?, NOW())',
+      [comment.id, comment.content]
+    );
+    await run('UPDATE post_comments SET content = ?, edited_at = NOW() WHERE id = ?', [text, comment.id]);
+
+    await notifyMentions({
+      text,
+      previousText: comment.content,
+      actorId: user.id,
+      actorUsername: user.username,
+      where: 'a comment',
+      data: { postId: comment.post_id, commentId: comment.id }
+    });
+  }
+
+  return { comment: await getComment(user.id, comment.id) };
+}
+
+// The comment if the viewer may see it: on a post they can see, not deleted, not by a
+// rider blocked either way and not hidden by moderation (hidden comments stay visible to
+// their author when `allowOwnHidden`). Otherwise null.
+async function findVisibleComment(viewerId, commentId, { allowOwnHidden = false } = {}) {
+  const comment = await get(
+    'SELECT id, post_id, user_id, deleted_at, hidden_at FROM post_comments WHERE id = ?',
+    [commentId]
+  );
+  if (!comment || comment.deleted_at) return null;
+  if (comment.hidden_at && !(allowOwnHidden && Number(comment.user_id) === Number(viewerId))) return null;
+  if (await isBlocked(viewerId, comment.user_id)) return null;
+  if (!(await getVisiblePost(viewerId, comment.post_id))) return null;
+  return comment;
+}
+
+// Earlier versions of a comment, newest first, for anyone who can see the comment.
+// Hidden once the comment is deleted.
+async function getEditHistory(viewerId, commentId) {
+  const comment = await findVisibleComment(viewerId, commentId, { allowOwnHidden: true });
+  if (!comment) {
+    return { error: 'Comment not found', status: 404 };
+  }
+
+  const edits = await query(
+    'SELECT id, previous_content, edited_at FROM comment_edits WHERE comment_id = ? ORDER BY id DESC',
+    [comment.id]
+  );
+  return {
+    edits: edits.map(edit => ({
+      id: edit.id.toString(),
+      content: edit.previous_content,
+      editedAt: edit.edited_at
+    }))
+  };
+}
+
+// Soft delete by the comment author or the post author. Replies stay in place.
+async function deleteComment(userId, commentId) {
+  const comment = await get(`
+    SELECT pc.id, pc.user_id, pc.deleted_at, p.user_id as post_author_id
+    FROM post_comments pc
+    JOIN posts p ON pc.post_id = p.id
+    WHERE pc.id = ?
+  `, [commentId]);
+  if (!comment || comment.deleted_at) {
+    return { error: 'Comment not found', status: 404 };
+  }
+  if (Number(comment.user_id) !== Number(userId) && Number(comment.post_author_id) !== Number(userId)) {
+    return { error: 'You can only delete your own comments or comments on your posts', status: 403 };
+  }
+
+  await run('UPDATE post_comments SET is_deleted = TRUE, deleted_at = NOW() WHERE id = ?', [comment.id]);
+  return { deleted: true };
+}
+
+// Only comments the rider can see can be liked; hidden ones cannot, even by their author
+async function toggleCommentLike(user, commentId) {
+  const comment = await findVisibleComment(user.id, commentId);
+  if (!comment) {
+    return { error: 'Comment not found', status: 404 };
+  }
+
+  const existing = await get(
+    'SELECT id FROM comment_likes WHERE comment_id = ? AND user_id = ?',
+    [comment.id, user.id]
+  );
+
+  if (existing) {
+    await run('DELETE FROM comment_likes WHERE id = ?', [existing.id]);
+  } else {
+    await run(
+      'INSERT IGNORE INTO comment_likes (comment_id, user_id, created_at) VALUES (?, ?, NOW())',
+      [comment.id, user.id]
+    );
+    const alreadyNotified = await hasNotification({
+      userId: comment.user_id,
+      actorId: user.id,
+      type: 'comment_like',
+      key: 'commentId',
+      value: comment.id
+    });
+    if (!alreadyNotified) {
+      await createNotification({
+        userId: comment.user_id,
+        actorId: user.id,
+        type: 'comment_like',
+        title: 'New like',
+        message: `${user.username} liked your comment`,
+        data: { postId: comment.post_id, commentId: comment.id }
+      });
+    }
+  }
+
+  const count = await get('SELECT COUNT(*) as count FROM comment_likes WHERE comment_id = ?', [comment.id]);
+  return { liked: !existing, likesCount: Number(count.count) || 0 };
+}
+
+module.exports = {
+  formatComment,
+  listComments,
+  createComment,
+  editComment,
+  getEditHistory,
+  deleteComment,
+  toggleCommentLike
+};
@@ -0,0 +1,389 @@
+const { query, get, run } = require('../database/connection');
+const { getTransport } = require('./transports');
+const { sendPushToUser } = require('./pushService');
+const { canDeliver, getPreferences } = require('./notificationPreferenceService');
+const { blockedUserRooms, getBlockedUserIds, isBlocked } = require('./blockService');
+
+// Rider cancel window for auto-detected crashes, in seconds
+const DEFAULT_CRASH_COUNTDOWN_SECONDS = parseInt(process.env.CRASH_COUNTDOWN_SECONDS) || 30;
+const MIN_CRASH_COUNTDOWN_SECONDS = 10;
+const MAX_CRASH_COUNTDOWN_SECONDS = 300;
+
+// Pending crash countdown timers, keyed by emergency event id
+const crashCountdowns = new Map();
+
+// Socket.IO is required lazily because socketService itself depends on this module
+function emitToUser(userId, event, data) {
+  const io = require('./socketService').getIO();
+  if (io) io.to(`user:${userId}`).emit(event, data);
+}
+
+// A rider can be added as someone's emergency contact only if the account exists and
+// neither has blocked the other. Returns { error, status } or null.
+async function checkContactUser(userId, contactUserId) {
+  const contactUser = await get('SELECT id FROM users WHERE id = ?', [contactUserId]);
+  if (!contactUser) {
+    return { error: 'Contact user not found', status: 404 };
+  }
+  if (Number(contactUser.id) === Number(userId)) {
+    return { error: 'You cannot be your own emergency contact', status: 400 };
+  }
+  if (await isBlocked(userId, contactUser.id)) {
+    return { error: 'This rider cannot be added as an emergency contact', status: 400 };
+  }
+  return null;
+}
+
+// Collect everyone to alert for a user: the legacy users.emergency_contact_* pair plus the
+// emergency_contacts list, each with the channels they can be reached on. Contacts who are
+// riders blocked either way with the user are left out, since the alert carries their location.
+async function getEmergencyContacts(userId) {
+  const contacts = [];
+
+  const rows = await query(
+    'SELECT * FROM emergency_contacts WHERE user_id = ? ORDER BY priority ASC, id ASC',
+    [userId]
+  );
+  const blockedUserIds = await getBlockedUserIds(userId);
+  for (const row of rows) {
+    if (row.contact_user_id && blockedUserIds.includes(Number(row.contact_user_id))) continue;
+    const channels = [];
+    if (row.notify_sms && row.phone) channels.push({ channel: 'sms', to: row.phone });
+    if (row.notify_email && row.email) channels.push({ channel: 'email', to: row.email });
+    if (row.notify_push && row.contact_user_id) channels.push({ channel: 'push', to: String(row.contact_user_id) });
+    contacts.push({ id: row.id, name: row.name, userId: row.contact_user_id, channels });
+  }
+
+  // Legacy single contact goes first unless it was also added to the list
+  const user = await get(
+    'SELECT emergency_contact_name, emergency_contact_phone FROM users WHERE id = ?',
+    [userId]
+  );
+  const legacyPhone = user?.emergency_contact_phone;
+  if (legacyPhone && !rows.some(row => row.phone === legacyPhone)) {
+    contacts.unshift({
+      id: null,
+      name: user.emergency_contact_name || 'Emergency contact',
+      channels: [{ channel: 'sms', to: legacyPhone }]
+    });
+  }
+
+  return contacts;
+}
+
+function buildAlertMessage(rider, emergency) {
+  const riderName = `${rider.first_name || ''} ${rider.last_name || ''}`.trim() || rider.username;
+  const mapLink = `https://maps.apple.com/?ll=${emergency.latitude},${emergency.longitude}`;
+  const type = String(emergency.event_type || 'emergency').replace(/_/g, ' ');
+  return {
+    subject: `MotoRev emergency alert: ${riderName}`,
+    body: `MotoRev alert: ${riderName} may need help (${type}, ${emergency.severity} severity). ` +
+      `Last known location: ${mapLink}`
+  };
+}
+
+// Send the alert to one contact on every channel they accept at once, recording each
+// attempt in emergency_notifications. Delivery failures are recorded rather than thrown.
+async function alertContact(emergency, contact, { subject, body }) {
+  // Contacts who are riders themselves get email on their own terms (push checks in sendPushToUser)
+  const preferences = contact.userId ? await getPreferences(contact.userId) : null;
+
+  const deliveries = contact.channels.map(async ({ channel, to }) => {
+    if (channel === 'email' && contact.userId &&
+        !(await canDeliver(contact.userId, { channel: 'email', type: 'emergency', sourceUserId: emergency.user_id, preferences }))) {
+      return null;
+    }
+    const transport = getTransport(channel);
+    const attempt = { contactId: contact.id, channel, recipient: to, transport: transport.name };
+    try {
+      const result = await transport.send({
+        to,
+        subject,
+        body,
+        data: {
+          type: 'emergency',
+          emergencyId: emergency.id,
+          userId: emergency.user_id,
+          latitude: emergency.latitude,
+          longitude: emergency.longitude
+        }
+      });
+      attempt.status = 'sent';
+      attempt.providerMessageId = result?.id || null;
+    } catch (error) {
+      console.error(`Emergency ${channel} delivery to ${to} failed:`, error.message);
+      attempt.status = 'failed';
+      attempt.error = error.message;
+    }
+
+    await run(`
+      INSERT INTO emergency_notifications (
+        emergency_id, contact_id, channel, recipient, transport, status, provider_message_id, error_message
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      emergency.id,
+      attempt.contactId,
+      channel,
+      to,
+      attempt.transport,
+      attempt.status,
+      attempt.providerMessageId || null,
+      attempt.error || null
+    ]);
+    return attempt;
+  });
+
+  return (await Promise.all(deliveries)).filter(Boolean);
+}
+
+// Fan an emergency out to every contact on every channel they accept. All contacts are
+// alerted concurrently, so one slow provider does not hold up the rest.
+async function notifyEmergencyContacts(emergencyId) {
+  const emergency = await get('SELECT * FROM emergency_events WHERE id = ?', [emergencyId]);
+  if (!emergency) {
+    throw new Error(`Emergency event ${emergencyId} not found`);
+  }
+
+  const rider = await get(
+    'SELECT id, username, first_name, last_name FROM users WHERE id = ?',
+    [emergency.user_id]
+  );
+  const contacts = await getEmergencyContacts(emergency.user_id);
+  const { subject, body } = buildAlertMessage(rider || {}, emergency);
+
+  const results = await Promise.allSettled(
+    contacts.map(contact => alertContact(emergency, contact, { subject, body }))
+  );
+  const attempts = [];
+  let contactsNotified = 0;
+  for (const result of results) {
+    if (result.status === 'rejected') {
+      console.error(`Emergency ${emergency.id} contact alert error:`, result.reason);
+      continue;
+    }
+    attempts.push(...result.value);
+    if (result.value.some(attempt => attempt.status === 'sent')) contactsNotified++;
+  }
+
+  if (contactsNotified > 0) {
+    await run('UPDATE emergency_events SET emergency_contacts_notified = TRUE WHERE id = ?', [emergency.id]);
+  }
+
+  // Contacts already pushed above are not pushed twice, and blocked pack mates not at all
+  const pushedContacts = contacts
+    .filter(contact => contact.channels.some(({ channel }) => channel === 'push'))
+    .map(contact => Number(contact.userId));
+  const packMembersPushed = await pushEmergencyToPackMembers(
+    emergency,
+    { subject, body },
+    [...pushedContacts, ...await getBlockedUserIds(emergency.user_id)]
+  );
+
+  console.log(`🚨 Emergency ${emergency.id}: notified ${contactsNotified}/${contacts.length} contacts`);
+
+  return { contactsNotified, totalContacts: contacts.length, packMembersPushed, attempts };
+}
+
+// Push the alert to everyone riding in a pack with the rider. Pack mates get it even
+// during their quiet hours (see notificationPreferenceService.canDeliver).
+async function pushEmergencyToPackMembers(emergency, { subject, body }, skipUserIds = []) {
+  const members = await query(`
+    SELECT DISTINCT theirs.user_id
+    FROM pack_members mine
+    JOIN pack_members theirs ON theirs.pack_id = mine.pack_id
+    JOIN riding_packs p ON p.id = mine.pack_id
+    WHERE mine.user_id = ? AND theirs.user_id != mine.user_id
+      AND mine.status = 'active' AND theirs.status = 'active'
+      AND p.status NOT IN ('finished', 'cancelled')
+  `, [emergency.user_id]);
+
+  const recipients = members
+    .map(({ user_id: memberId }) => memberId)
+    .filter(memberId => !skipUserIds.includes(Number(memberId)));
+  const results = await Promise.allSettled(recipients.map(memberId => sendPushToUser(memberId, {
+    title: subject,
+    body,
+    data: {
+      type: 'emergency',
+      emergencyId: emergency.id,
+      userId: emergency.user_id,
+      latitude: emergency.latitude,
+      longitude: emergency.longitude
+    }
+  }, { sourceUserId: emergency.user_id })));
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`Emergency push to pack member ${recipients[index]} failed:`, result.reason.message);
+    }
+  });
+  return results.filter(result => result.status === 'fulfilled' && result.value.sent > 0).length;
+}
+
+// Alert the contacts outside the request or socket event that raised the emergency, so
+// the SOS is acknowledged as soon as it is stored. The rider hears how it went through
+// emergency_contacts_notified.
+function notifyEmergencyContactsInBackground(emergencyId, userId) {
+  notifyEmergencyContacts(emergencyId)
+    .then(escalation => emitToUser(userId, 'emergency_contacts_notified', {
+      emergencyId: Number(emergencyId),
+      contactsNotified: escalation.contactsNotified,
+      totalContacts: escalation.totalContacts
+    }))
+    .catch(error => console.error('Emergency contact escalation error:', error));
+}
+
+function clampCountdown(seconds) {
+  const value = parseInt(seconds) || DEFAULT_CRASH_COUNTDOWN_SECONDS;
+  return Math.min(Math.max(value, MIN_CRASH_COUNTDOWN_SECONDS), MAX_CRASH_COUNTDOWN_SECONDS);
+}
+
+function scheduleEscalation(emergencyId, delayMs) {
+  clearTimeout(crashCountdowns.get(emergencyId));
+  const timer = setTimeout(() => {
+    crashCountdowns.delete(emergencyId);
+    escalateEmergency(emergencyId).catch(error => {
+      console.error(`Crash escalation error for emergency ${emergencyId}:`, error);
+    });
+  }, Math.max(delayMs, 0));
+  crashCountdowns.set(emergencyId, timer);
+}
+
+// Record an auto-detected crash as 'pending' and give the rider a window to cancel it
+// before pack members and emergency contacts are alerted.
+async function startCrashCountdown({ userId, rideId, location, sensorData, confidence, countdownSeconds }) {
+  const seconds = clampCountdown(countdownSeconds);
+
+  const result = await run(`
+    INSERT INTO emergency_events (
+      user_id, ride_id, event_type, severity, latitude, longitude, description,
+      auto_detected, status, confidence, sensor_data, escalate_at
+    ) VALUES (?, ?, 'crash', 'high', ?, ?, 'Automatic crash detection', 1, 'pending', ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))
+  `, [
+    userId,
+    rideId || null,
+    parseFloat(location.latitude),
+    parseFloat(location.longitude),
+    confidence,
+    sensorData ? JSON.stringify(sensorData) : null,
+    seconds
+  ]);
+
+  const emergencyId = result.insertId;
+  const escalateAt = new Date(Date.now() + seconds * 1000).toISOString();
+
+  scheduleEscalation(emergencyId, seconds * 1000);
+
+  emitToUser(userId, 'crash_pending', {
+    emergencyId,
+    confidence,
+    countdownSeconds: seconds,
+    escalateAt,
+    location
+  });
+
+  console.log(`⏳ Crash pending for user ${userId} (emergency ${emergencyId}), escalating in ${seconds}s`);
+
+  return { emergencyId, countdownSeconds: seconds, escalateAt };
+}
+
+// Rider says they are fine: keep the event as a false alarm for tuning detection.
+// Returns false when there is no pending crash to cancel (already escalated or not theirs).
+async function cancelCrashCountdown(emergencyId, userId) {
+  const result = await run(`
+    UPDATE emergency_events
+    SET status = 'false_alarm', is_resolved = TRUE, cancelled_at = NOW(), resolved_at = NOW()
+    WHERE id = ? AND user_id = ? AND status = 'pending'
+  `, [emergencyId, userId]);
+
+  if (result.affectedRows === 0) {
+    return false;
+  }
+
+  clearTimeout(crashCountdowns.get(Number(emergencyId)));
+  crashCountdowns.delete(Number(emergencyId));
+
+  emitToUser(userId, 'crash_cancelled', { emergencyId: Number(emergencyId) });
+  console.log(`✅ Crash countdown cancelled by user ${userId} (emergency ${emergencyId})`);
+
+  return true;
+}
+
+// Promote a pending crash to active, then alert the rider's packs and emergency contacts.
+// The conditional UPDATE makes this a no-op if the rider cancelled in the meantime.
+async function escalateEmergency(emergencyId) {
+  const result = await run(
+    "UPDATE emergency_events SET status = 'active' WHERE id = ? AND status = 'pending'",
+    [emergencyId]
+  );
+  if (result.affectedRows === 0) {
+    return null;
+  }
+
+  const emergency = await get(`
+    SELECT ee.*, u.username FROM emergency_events ee
+    JOIN users u ON ee.user_id = u.id
+    WHERE ee.id = ?
+  `, [emergencyId]);
+
+  const io = require('./socketService').getIO();
+  if (io) {
+    const packs = await query(
+      "SELECT pack_id FROM pack_members WHERE user_id = ? AND status = 'active'",
+      [emergency.user_id]
+    );
+    const emergencyData = {
+      eventId: emergency.id,
+      userId: emergency.user_id,
+      username: emergency.username,
+      eventType: emergency.event_type,
+      severity: emergency.severity,
+      location: {
+        latitude: parseFloat(emergency.latitude),
+        longitude: parseFloat(emergency.longitude)
+      },
+      timestamp: new Date().toISOString(),
+      rideId: emergency.ride_id,
+      autoDetected: true
+    };
+    const hiddenFrom = [`user:${emergency.user_id}`, ...await blockedUserRooms(emergency.user_id)];
+    for (const { pack_id: packId } of packs) {
+      io.to(`pack:${packId}`).except(hiddenFrom).emit('member_emergency', emergencyData);
+    }
+  }
+
+  const escalation = await notifyEmergencyContacts(emergency.id);
+
+  emitToUser(emergency.user_id, 'crash_escalated', {
+    emergencyId: emergency.id,
+    contactsNotified: escalation.contactsNotified
+  });
+
+  return escalation;
+}
+
+// Re-arm countdowns that were pending when the server last stopped
+async function resumePendingCrashCountdowns() {
+  const pending = await query(`
+    SELECT id, TIMESTAMPDIFF(SECOND, NOW(), escalate_at) AS seconds_left
+    FROM emergency_events
+    WHERE status = 'pending'
+  `);
+  for (const event of pending) {
+    scheduleEscalation(event.id, Math.max(event.seconds_left || 0, 0) * 1000);
+  }
+  if (pending.length > 0) {
+    console.log(`⏳ Resumed ${pending.length} pending crash countdown(s)`);
+  }
+}
+
+module.exports = {
+  checkContactUser,
+  getEmergencyContacts,
+  notifyEmergencyContacts,
+  notifyEmergencyContactsInBackground,
+  startCrashCountdown,
+  cancelCrashCountdown,
+  escalateEmergency,
+  resumePendingCrashCountdowns
+};
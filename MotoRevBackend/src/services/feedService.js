@@ -0,0 +1,246 @@
+const { query } = require('../database/connection');
+const cacheService = require('./cacheService');
+const { TIMELINE_MAX_ENTRIES } = require('./timelineService');
+const { VISIBILITY_JOIN, VISIBLE_POST_WHERE } = require('./postService');
+const { loadRideCards } = require('./rideCardService');
+const { thumbnailUrls } = require('./mediaService');
+const { notMutedSql } = require('./blockService');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+// Ranked mode scores the most recent posts from this window
+const RANKED_WINDOW_HOURS = parseInt(process.env.FEED_RANKED_WINDOW_HOURS) || 72;
+const RANKED_CANDIDATES = 300;
+// Score decays with age like (age + 2)^gravity; higher gravity favours fresher posts
+const RANKED_GRAVITY = parseFloat(process.env.FEED_RANKED_GRAVITY) || 1.5;
+const COMMENT_WEIGHT = 2;
+
+const POST_SELECT = `
+  SELECT p.id, p.user_id, p.content, p.image_url, p.video_url, p.media_id, p.location_lat, p.location_lng,
+         p.location_name, p.ride_id, p.completed_ride_id, p.shared_from_post_id, p.shares_count,
+         p.post_type, p.visibility, p.edited_at, p.created_at,
+         u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture,
+         m.media_type, m.thumbnails as media_thumbnails,
+         (SELECT COUNT(*) FROM post_likes pl WHERE pl.post_id = p.id) as like_count,
+         (SELECT COUNT(*) FROM post_comments pc WHERE pc.post_id = p.id AND pc.deleted_at IS NULL AND pc.hidden_at IS NULL) as comment_count,
+         EXISTS(SELECT 1 FROM post_likes pl WHERE pl.post_id = p.id AND pl.user_id = ?) as is_liked
+  FROM posts p
+  JOIN users u ON p.user_id = u.id
+  LEFT JOIN media m ON m.id = p.media_id
+  ${VISIBILITY_JOIN}
+`;
+
+// Everything the rider can see (see postService for the rules) apart from riders they muted
+const FEED_WHERE = `${VISIBLE_POST_WHERE} AND ${notMutedSql('p.user_id', 'viewer.id')}`;
+
+// `rideData` is the post's ride card from rideCardService, if it has one. `sharedPost` is
+// the formatted original of a reshare, or null when it was deleted or is hidden from the viewer.
+function formatPost(post, rideData = null, sharedPost = null) {
+  return {
+    id: post.id.toString(),
+    userId: post.user_id.toString(),
+    username: post.username,
+    firstName: post.first_name,
+    lastName: post.last_name,
+    profilePicture: post.profile_picture,
+    content: post.content,
+    imageUrl: post.image_url,
+    videoUrl: post.video_url,
+    media: post.media_id && post.media_type ? {
+      id: post.media_id.toString(),
+      type: post.media_type,
+      thumbnails: thumbnailUrls(post.media_thumbnails)
+    } : null,
+    location: post.location_lat !== null && post.location_lng !== null ? {
+      latitude: parseFloat(post.location_lat),
+      longitude: parseFloat(post.location_lng),
+      name: post.location_name
+    } : null,
+    visibility: post.visibility,
+    isEdited: Boolean(post.edited_at),
+    editedAt: post.edited_at,
+    timestamp: post.created_at,
+    likesCount: Number(post.like_count) || 0,
+    commentsCount: Number(post.comment_count) || 0,
+    sharesCount: Number(post.shares_count) || 0,
+    isLiked: Boolean(post.is_liked),
+    rideData,
+    sharedPostId: post.shared_from_post_id ? post.shared_from_post_id.toString() : null,
+    sharedPost
+  };
+}
+
+// Reshares embed their original as it is now, so edits and deletes show up everywhere.
+// Originals are never reshares themselves, so embedding stops after one level.
+async function formatPosts(viewerId, rows, { embedShared = true } = {}) {
+  const rideCards = await loadRideCards(viewerId, rows);
+
+  const originals = new Map();
+  const sharedIds = [...new Set(rows.filter(row => row.shared_from_post_id).map(row => row.shared_from_post_id))];
+  if (embedShared && sharedIds.length > 0) {
+    for (const original of await loadPosts(viewerId, sharedIds, { embedShared: false, includeMuted: true })) {
+      originals.set(original.id, original);
+    }
+  }
+
+  return rows.map(row => formatPost(
+    row,
+    rideCards.get(row.completed_ride_id) || null,
+    row.shared_from_post_id ? originals.get(row.shared_from_post_id.toString()) || null : null
+  ));
+}
+
+function pageSizeFrom(limit) {
+  return Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+}
+
+// Formatted posts for the given ids, in the same order, skipping any the rider can no
+// longer see (deleted or hidden since the id was stored). Posts by muted riders are
+// skipped too unless `includeMuted` is set.
+async function loadPosts(userId, ids, options = {}) {
+  if (ids.length === 0) return [];
+  const rows = await query(`
+    ${POST_SELECT}
+    WHERE ${options.includeMuted ? VISIBLE_POST_WHERE : FEED_WHERE} AND p.id IN (${ids.map(() => '?').join(', ')})
+  `, [userId, userId, userId, userId, ...ids]);
+  const byId = new Map(rows.map(row => [row.id, row]));
+  return formatPosts(userId, ids.filter(id => byId.has(id)).map(id => byId.get(id)), options);
+}
+
+async function rebuildTimeline(userId) {
+  const rows = await query(`
+    SELECT p.id
+    FROM posts p
+    JOIN users u ON p.user_id = u.id
+    ${VISIBILITY_JOIN}
+    WHERE ${FEED_WHERE}
+    ORDER BY p.id DESC
+    LIMIT ?
+  `, [userId, userId, userId, String(TIMELINE_MAX_ENTRIES)]);
+  await cacheService.setTimeline(userId, rows.map(row => row.id), TIMELINE_MAX_ENTRIES);
+}
+
+// Post ids for one page from the rider's Redis timeline, building it on first use.
+// Returns null when the timeline cannot serve the page: Redis is down, or the page runs
+// off the end of the capped timeline and older posts may only be in the database.
+async function readTimeline(userId, beforeId, count) {
+  let page = await cacheService.getTimelinePage(userId, { beforeId, count });
+  if (page && page.ids === null) {
+    await rebuildTimeline(userId);
+    page = await cacheService.getTimelinePage(userId, { beforeId, count });
+  }
+  if (!page || page.ids === null || page.ids.length < count) {
+    return null;
+  }
+  return page.ids;
+}
+
+// Newest first; `cursor` is the id of the last post on the previous page.
+// Served from the Redis timeline, with the database as the fallback.
+async function getChronologicalFeed(userId, { cursor, limit }) {
+  const pageSize = pageSizeFrom(limit);
+  const before = parseInt(cursor);
+
+  const timelineIds = await readTimeline(userId, Number.isFinite(before) ? before : null, pageSize + 1);
+  if (timelineIds) {
+    const pageIds = timelineIds.slice(0, pageSize);
+    return {
+      posts: await loadPosts(userId, pageIds),
+      nextCursor: String(pageIds[pageIds.length - 1]),
+      hasMore: true
+    };
+  }
+
+  return getFilteredFeed(userId, { cursor, limit });
+}
+
+// Newest-first page of the posts the rider can see, optionally narrowed by an extra
+// SQL condition on p/u (`filter`, binding `filterParams`). Pages straight from the database.
+async function getFilteredFeed(userId, { filter = null, filterParams = [], cursor, limit } = {}) {
+  const pageSize = pageSizeFrom(limit);
+  const params = [userId, userId, userId, userId, ...filterParams];
+  let cursorClause = '';
+  const before = parseInt(cursor);
+  if (Number.isFinite(before)) {
+    cursorClause = 'AND p.id < ?';
+    params.push(before);
+  }
+
+  const rows = await query(`
+    ${POST_SELECT}
+    WHERE ${FEED_WHERE} ${filter ? `AND (${filter})` : ''} ${cursorClause}
+    ORDER BY p.id DESC
+    LIMIT ?
+  `, [...params, String(pageSize + 1)]);
+
+  const hasMore = rows.length > pageSize;
+  const page = rows.slice(0, pageSize);
+  return {
+    posts: await formatPosts(userId, page),
+    nextCursor: hasMore ? String(page[page.length - 1].id) : null,
+    hasMore
+  };
+}
+
+function rankScore(post, now) {
+  const ageHours = Math.max(0, (now - new Date(post.created_at)) / 3600000);
+  const engagement = Number(post.like_count) + COMMENT_WEIGHT * Number(post.comment_count);
+  return (engagement + 1) / Math.pow(ageHours + 2, RANKED_GRAVITY);
+}
+
+// Ranked order is computed once and cached per user, so paging walks a stable list
+// while counts and is_liked stay fresh. `cursor` is the position in that list.
+async function getRankedFeed(userId, { cursor, limit }) {
+  const pageSize = pageSizeFrom(limit);
+  const offset = Math.max(parseInt(cursor) || 0, 0);
+
+  let rankedIds = offset > 0 ? await cacheService.getUserFeed(userId, 'ranked') : null;
+  if (!Array.isArray(rankedIds)) {
+    const candidates = await query(`
+      ${POST_SELECT}
+      WHERE ${FEED_WHERE} AND p.created_at >= DATE_SUB(NOW(), INTERVAL ? HOUR)
+      ORDER BY p.id DESC
+      LIMIT ?
+    `, [userId, userId, userId, userId, RANKED_WINDOW_HOURS, String(RANKED_CANDIDATES)]);
+
+    const now = Date.now();
+    rankedIds = candidates
+      .map(post => ({ id: post.id, score: rankScore(post, now) }))
+      .sort((a, b) => b.score - a.score || b.id - a.id)
+      .map(post => post.id);
+    await cacheService.setUserFeed(userId, rankedIds, 'ranked');
+  }
+
+  const pageIds = rankedIds.slice(offset, offset + pageSize);
+  const hasMore = rankedIds.length > offset + pageSize;
+
+  return {
+    posts: await loadPosts(userId, pageIds),
+    nextCursor: hasMore ? String(offset + pageSize) : null,
+    hasMore
+  };
+}
+
+// One post as the viewer sees it, or null if it is hidden from them. Muting only
+// affects feeds, so a muted rider's post still opens directly.
+async function getPost(viewerId, postId) {
+  const [post] = await loadPosts(viewerId, [Number(postId)], { includeMuted: true });
+  return post || null;
+}
+
+// Posts from the rider, the riders they follow and their pack mates.
+// mode 'ranked' boosts engagement and recency; anything else is newest first.
+async function getFeed(userId, { cursor, limit, mode } = {}) {
+  return mode === 'ranked'
+    ? getRankedFeed(userId, { cursor, limit })
+    : getChronologicalFeed(userId, { cursor, limit });
+}
+
+module.exports = {
+  formatPost,
+  formatPosts,
+  loadPosts,
+  getPost,
+  getFeed,
+  getFilteredFeed
+};
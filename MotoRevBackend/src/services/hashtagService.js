@@ -0,0 +1,198 @@
+const { query, get, run } = require('../database/connection');
+const cacheService = require('./cacheService');
+
+// More tags than this in one post or story are ignored
+const MAX_HASHTAGS = 20;
+const MAX_TAG_LENGTH = 100;
+// Trending looks at the latest window and compares it with the windows before it. Keep
+// in step with cacheService.TRENDING_WINDOWS, which clears these entries.
+const TRENDING_WINDOWS = { '1h': 1, '24h': 24, '7d': 168 };
+const DEFAULT_TRENDING_WINDOW = '24h';
+const BASELINE_WINDOWS = 4;
+// A tag needs this many different riders in the window before it can trend
+const MIN_TRENDING_RIDERS = 2;
+const TRENDING_TAG_LIMIT = 10;
+const TRENDING_POST_LIMIT = 20;
+const TRENDING_POST_CANDIDATES = 500;
+const TRENDING_GRAVITY = 1.5;
+
+// #tags in a post or story, lower-cased and without duplicates. A tag needs at least one
+// letter, so "#1" is not a tag.
+function extractHashtags(text) {
+  const tags = new Set();
+  const pattern = /(?:^|[^\p{L}\p{N}_#&])#([\p{L}\p{N}_]+)/gu;
+  let match;
+  while ((match = pattern.exec(String(text || ''))) && tags.size < MAX_HASHTAGS) {
+    const tag = match[1].toLowerCase();
+    if (tag.length <= MAX_TAG_LENGTH && /\p{L}/u.test(tag)) {
+      tags.add(tag);
+    }
+  }
+  return [...tags];
+}
+
+// feedService is required lazily because it depends on postService, which indexes tags here
+function feedService() {
+  return require('./feedService');
+}
+
+function normalizeTag(tag) {
+  return String(tag || '').replace(/^#/, '').trim().toLowerCase();
+}
+
+async function hashtagIds(tags) {
+  for (const tag of tags) {
+    await run('INSERT IGNORE INTO hashtags (tag, created_at) VALUES (?, NOW())', [tag]);
+  }
+  const rows = await query(
+    `SELECT id, tag FROM hashtags WHERE tag IN (${tags.map(() => '?').join(', ')})`,
+    tags
+  );
+  return rows.map(row => row.id);
+}
+
+// Replace the tags recorded for a post with the ones in `text`. Uses keep the post's
+// creation time so editing an old post does not make its tags trend.
+async function indexPostHashtags(postId, userId, text, createdAt = new Date()) {
+  await run('DELETE FROM hashtag_uses WHERE post_id = ?', [postId]);
+  const tags = extractHashtags(text);
+  if (tags.length === 0) return [];
+
+  for (const hashtagId of await hashtagIds(tags)) {
+    await run(
+      'INSERT IGNORE INTO hashtag_uses (hashtag_id, user_id, post_id, created_at) VALUES (?, ?, ?, ?)',
+      [hashtagId, userId, postId, createdAt]
+    );
+  }
+  return tags;
+}
+
+async function indexStoryHashtags(storyId, userId, text) {
+  const tags = extractHashtags(text);
+  if (tags.length === 0) return [];
+
+  for (const hashtagId of await hashtagIds(tags)) {
+    await run(
+      'INSERT IGNORE INTO hashtag_uses (hashtag_id, user_id, story_id, created_at) VALUES (?, ?, ?, NOW())',
+      [hashtagId, userId, storyId]
+    );
+  }
+  return tags;
+}
+
+// Newest-first posts carrying the tag that the viewer can see
+async function getHashtagFeed(viewerId, tag, { cursor, limit } = {}) {
+  const normalized = normalizeTag(tag);
+  const hashtag = normalized ? await get('SELECT id, tag FROM hashtags WHERE tag = ?', [normalized]) : null;
+  if (!hashtag) {
+    return { tag: normalized, posts: [], nextCursor: null, hasMore: false };
+  }
+
+  const page = await feedService().getFilteredFeed(viewerId, {
+    filter: 'p.id IN (SELECT hu.post_id FROM hashtag_uses hu WHERE hu.hashtag_id = ? AND hu.post_id IS NOT NULL)',
+    filterParams: [hashtag.id],
+    cursor,
+    limit
+  });
+  return { tag: hashtag.tag, ...page };
+}
+
+// Only public posts and follower stories from public accounts count towards trending
+const PUBLIC_POST = "p.is_deleted = FALSE AND p.visibility = 'public' AND u.privacy_level = 'public'";
+
+// Tags whose rider count in the latest window is high compared with the windows before it.
+// score = riders * log2(riders + 1) / (average riders per earlier window + 1)
+async function computeTrendingTags(hours) {
+  const rows = await query(`
+    SELECT h.tag,
+           COUNT(DISTINCT CASE WHEN hu.created_at >= DATE_SUB(NOW(), INTERVAL ? HOUR) THEN hu.user_id END) as recent_riders,
+           COUNT(DISTINCT CASE WHEN hu.created_at < DATE_SUB(NOW(), INTERVAL ? HOUR) THEN hu.user_id END) as baseline_riders,
+           SUM(hu.created_at >= DATE_SUB(NOW(), INTERVAL ? HOUR) AND hu.post_id IS NOT NULL) as recent_posts
+    FROM hashtag_uses hu
+    JOIN hashtags h ON hu.hashtag_id = h.id
+    JOIN users u ON hu.user_id = u.id
+    LEFT JOIN posts p ON hu.post_id = p.id
+    LEFT JOIN stories s ON hu.story_id = s.id
+    WHERE hu.created_at >= DATE_SUB(NOW(), INTERVAL ? HOUR)
+      AND u.privacy_level = 'public'
+      AND (hu.post_id IS NULL OR (${PUBLIC_POST}))
+      AND (hu.story_id IS NULL OR s.audience = 'followers')
+    GROUP BY h.id, h.tag
+    HAVING recent_riders >= ?
+  `, [hours, hours, hours, hours * (BASELINE_WINDOWS + 1), MIN_TRENDING_RIDERS]);
+
+  return rows
+    .map(row => {
+      const riders = Number(row.recent_riders);
+      const baseline = Number(row.baseline_riders) / BASELINE_WINDOWS;
+      return {
+        tag: row.tag,
+        riders,
+        posts: Number(row.recent_posts) || 0,
+        score: Math.round((riders * Math.log2(riders + 1) / (baseline + 1)) * 100) / 100
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.riders - a.riders)
+    .slice(0, TRENDING_TAG_LIMIT);
+}
+
+// Most engaged public posts from the window, decayed by age like the ranked feed
+async function computeTrendingPostIds(hours) {
+  const candidates = await query(`
+    SELECT p.id, p.created_at,
+           (SELECT COUNT(*) FROM post_likes pl WHERE pl.post_id = p.id) as like_count,
+           (SELECT COUNT(*) FROM post_comments pc WHERE pc.post_id = p.id AND pc.deleted_at IS NULL AND pc.hidden_at IS NULL) as comment_count,
+           p.shares_count
+    FROM posts p
+    JOIN users u ON p.user_id = u.id
+    WHERE ${PUBLIC_POST} AND p.created_at >= DATE_SUB(NOW(), INTERVAL ? HOUR)
+    ORDER BY p.id DESC
+    LIMIT ?
+  `, [hours, String(TRENDING_POST_CANDIDATES)]);
+
+  const now = Date.now();
+  return candidates
+    .map(post => {
+      const ageHours = Math.max(0, (now - new Date(post.created_at)) / 3600000);
+      const engagement = Number(post.like_count) + 2 * Number(post.comment_count) + 3 * (Number(post.shares_count) || 0);
+      return { id: post.id, engagement, score: engagement / Math.pow(ageHours + 2, TRENDING_GRAVITY) };
+    })
+    .filter(post => post.engagement > 0)
+    .sort((a, b) => b.score - a.score || b.id - a.id)
+    .slice(0, TRENDING_POST_LIMIT)
+    .map(post => post.id);
+}
+
+// Trending tags and posts for a window. The ranking is the same for everyone and cached;
+// posts are then loaded for the viewer so counts, likes and visibility are current.
+async function getTrending(viewerId, { window = DEFAULT_TRENDING_WINDOW } = {}) {
+  if (typeof window !== 'string' || !Object.hasOwn(TRENDING_WINDOWS, window)) {
+    return { error: `window must be one of: ${Object.keys(TRENDING_WINDOWS).join(', ')}`, status: 400 };
+  }
+
+  let trending = await cacheService.getTrendingPosts(window);
+  if (!trending) {
+    const hours = TRENDING_WINDOWS[window];
+    trending = {
+      tags: await computeTrendingTags(hours),
+      postIds: await computeTrendingPostIds(hours),
+      computedAt: new Date().toISOString()
+    };
+    await cacheService.setTrendingPosts(trending, window);
+  }
+
+  return {
+    window,
+    tags: trending.tags,
+    posts: await feedService().loadPosts(viewerId, trending.postIds),
+    computedAt: trending.computedAt
+  };
+}
+
+module.exports = {
+  extractHashtags,
+  indexPostHashtags,
+  indexStoryHashtags,
+  getHashtagFeed,
+  getTrending
+};
@@ -0,0 +1,110 @@
+const { withinRadius, bearingDegrees } = require('../utils/geo');
+
+// How far ahead of a rider to look for hazards, in metres
+const ALERT_DISTANCE_METERS = parseInt(process.env.HAZARD_ALERT_DISTANCE_METERS) || 800;
+// Half-width of the corridor along the rider's heading that counts as "ahead", in metres
+const ALERT_CORRIDOR_METERS = parseInt(process.env.HAZARD_ALERT_CORRIDOR_METERS) || 60;
+// Minimum gap between hazard lookups for the same rider
+const CHECK_INTERVAL_MS = 5 * 1000;
+// Ride sessions with no location updates for this long are forgotten
+const SESSION_IDLE_MS = 6 * 60 * 60 * 1000;
+
+// Hazards already announced, keyed by `${userId}:${rideId}` -> { hazardIds: Set, lastCheckAt }
+const alertSessions = new Map();
+let lastPruneAt = 0;
+
+function sessionKey(userId, rideId) {
+  return `${userId}:${rideId || 'free'}`;
+}
+
+function pruneIdleSessions(now) {
+  if (now - lastPruneAt < 10 * 60 * 1000) return;
+  lastPruneAt = now;
+  for (const [key, session] of alertSessions) {
+    if (now - session.lastCheckAt > SESSION_IDLE_MS) {
+      alertSessions.delete(key);
+    }
+  }
+}
+
+// Split the rider-to-hazard distance into progress along the heading and lateral offset
+function projectOntoHeading(distanceMeters, heading, bearing) {
+  const delta = ((bearing - heading + 540) % 360 - 180) * Math.PI / 180;
+  return {
+    along: distanceMeters * Math.cos(delta),
+    across: Math.abs(distanceMeters * Math.sin(delta))
+  };
+}
+
+// Active, verified hazards in the rider's path that have not been announced on this ride yet.
+// Returns [] without a heading, since "ahead" is undefined for a stationary rider.
+async function findHazardsAhead({ userId, rideId, latitude, longitude, heading }) {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  const course = parseFloat(heading);
+  if (!Number.isFinite(course) || course < 0) {
+    return [];
+  }
+
+  const now = Date.now();
+  pruneIdleSessions(now);
+
+  const key = sessionKey(userId, rideId);
+  let session = alertSessions.get(key);
+  if (!session) {
+    session = { hazardIds: new Set(), lastCheckAt: 0 };
+    alertSessions.set(key, session);
+  }
+  if (now - session.lastCheckAt < CHECK_INTERVAL_MS) {
+    return [];
+  }
+  session.lastCheckAt = now;
+
+  const candidates = await withinRadius({
+    select: 'hr.id, hr.hazard_type, hr.severity, hr.latitude, hr.longitude, hr.description, hr.confidence',
+    from: 'hazard_reports hr',
+    pointColumn: 'hr.geo_point',
+    where: "hr.status = 'active' AND hr.is_verified = TRUE AND (hr.expires_at IS NULL OR hr.expires_at > NOW())",
+    latitude: lat,
+    longitude: lng,
+    radiusKm: ALERT_DISTANCE_METERS / 1000,
+    limit: 20
+  });
+
+  const ahead = [];
+  for (const hazard of candidates) {
+    if (session.hazardIds.has(hazard.id)) continue;
+
+    const distanceMeters = hazard.distance_km * 1000;
+    const bearing = bearingDegrees(lat, lng, parseFloat(hazard.latitude), parseFloat(hazard.longitude));
+    const { along, across } = projectOntoHeading(distanceMeters, course, bearing);
+    if (along <= 0 || across > ALERT_CORRIDOR_METERS) continue;
+
+    session.hazardIds.add(hazard.id);
+    ahead.push({
+      hazardId: hazard.id,
+      type: hazard.hazard_type,
+      severity: hazard.severity,
+      distanceMeters: Math.round(distanceMeters),
+      location: {
+        latitude: parseFloat(hazard.latitude),
+        longitude: parseFloat(hazard.longitude)
+      },
+      description: hazard.description,
+      confidence: hazard.confidence !== null ? parseFloat(hazard.confidence) : null,
+      rideId: rideId || null
+    });
+  }
+
+  return ahead;
+}
+
+// Forget announced hazards once a ride ends so the next ride starts fresh
+function clearHazardAlerts(userId, rideId) {
+  alertSessions.delete(sessionKey(userId, rideId));
+}
+
+module.exports = {
+  findHazardsAhead,
+  clearHazardAlerts
+};
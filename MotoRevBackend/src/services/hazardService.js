@@ -0,0 +1,244 @@
+const { get, run } = require('../database/connection');
+const { withinRadius } = require('../utils/geo');
+const { createNotification } = require('./notificationService');
+
+// How long an unconfirmed report stays active, per hazard_type, in hours.
+// A 'still_there' confirmation restarts the clock.
+const HAZARD_TTL_HOURS = {
+  pothole: 24 * 14,
+  debris: 6,
+  construction: 24 * 30,
+  weather: 12,
+  traffic: 2,
+  road_condition: 72,
+  other: 24
+};
+
+// New reports of the same type within this distance are merged into the existing hazard
+const MERGE_RADIUS_METERS = parseInt(process.env.HAZARD_MERGE_RADIUS_METERS) || 50;
+// Confidence at which a hazard is marked verified
+const VERIFY_CONFIDENCE = parseFloat(process.env.HAZARD_VERIFY_CONFIDENCE) || 0.8;
+// 'resolved'/'downvote' confirmations needed (and outnumbering positive ones) to auto-resolve
+const RESOLVE_VOTES = parseInt(process.env.HAZARD_RESOLVE_VOTES) || 3;
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+const CONFIRMATION_TYPES = ['upvote', 'downvote', 'still_there', 'resolved'];
+const POSITIVE_CONFIRMATIONS = ['upvote', 'still_there'];
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+let sweepTimer = null;
+
+function isHazardType(hazardType) {
+  return typeof hazardType === 'string' && Object.hasOwn(HAZARD_TTL_HOURS, hazardType);
+}
+
+function ttlHours(hazardType) {
+  return isHazardType(hazardType) ? HAZARD_TTL_HOURS[hazardType] : HAZARD_TTL_HOURS.other;
+}
+
+// Laplace-smoothed share of positive signals: each independent report and each
+// upvote/still_there counts for the hazard, each downvote/resolved against it.
+// A single fresh report scores 0.667; two agreeing confirmations take it to 0.8.
+function computeConfidence({ reports, positive, negative }) {
+  const support = reports + positive;
+  return Math.round(((support + 1) / (support + negative + 2)) * 1000) / 1000;
+}
+
+// Recompute counters, confidence, verification and resolution from hazard_confirmations.
+// Riders who reported the hazard already count as reports, so their own upvotes and
+// still_there confirmations are ignored; they can still say it is gone.
+async function evaluateHazard(hazardId) {
+  const hazard = await get('SELECT * FROM hazard_reports WHERE id = ?', [hazardId]);
+  if (!hazard) return null;
+
+  const counts = await get(`
+    SELECT
+      COUNT(CASE WHEN hc.confirmation_type IN ('upvote', 'still_there') AND hr.user_id IS NULL THEN 1 END) as positive,
+      COUNT(CASE WHEN hc.confirmation_type IN ('downvote', 'resolved') THEN 1 END) as negative
+    FROM hazard_confirmations hc
+    LEFT JOIN hazard_reporters hr ON hr.hazard_id = hc.hazard_id AND hr.user_id = hc.user_id
+    WHERE hc.hazard_id = ?
+  `, [hazardId]);
+
+  const positive = Number(counts.positive) || 0;
+  const negative = Number(counts.negative) || 0;
+  const confidence = computeConfidence({ reports: hazard.reports_count || 1, positive, negative });
+
+  let status = hazard.status;
+  if (status === 'active' && negative >= RESOLVE_VOTES && negative > positive) {
+    status = 'resolved';
+  }
+  // Verification is sticky: a verified hazard only leaves the map by resolving or expiring
+  const isVerified = Boolean(hazard.is_verified) || (status === 'active' && confidence >= VERIFY_CONFIDENCE);
+
+  await run(`
+    UPDATE hazard_reports
+    SET upvotes = ?, downvotes = ?, confidence = ?, is_verified = ?, status = ?,
+        resolved_at = CASE WHEN ? = 'resolved' AND resolved_at IS NULL THEN NOW() ELSE resolved_at END
+    WHERE id = ?
+  `, [positive, negative, confidence, isVerified ? 1 : 0, status, status, hazardId]);
+
+  if (status !== hazard.status) {
+    console.log(`🚧 Hazard ${hazardId} auto-${status} (${negative} negative / ${positive} positive)`);
+  }
+
+  // Let the reporter know when riders confirm or clear their report
+  const place = hazard.location_name ? ` near ${hazard.location_name}` : '';
+  if (isVerified && !hazard.is_verified) {
+    await createNotification({
+      userId: hazard.reporter_id,
+      type: 'hazard_verified',
+      title: 'Hazard verified',
+      message: `Other riders confirmed the ${hazard.hazard_type.replace('_', ' ')} you reported${place}`,
+      data: { hazardId: hazard.id }
+    });
+  } else if (status === 'resolved' && hazard.status !== 'resolved') {
+    await createNotification({
+      userId: hazard.reporter_id,
+      type: 'hazard_resolved',
+      title: 'Hazard cleared',
+      message: `Riders reported the ${hazard.hazard_type.replace('_', ' ')} you reported${place} is gone`,
+      data: { hazardId: hazard.id }
+    });
+  }
+
+  return get('SELECT * FROM hazard_reports WHERE id = ?', [hazardId]);
+}
+
+async function findMergeCandidate({ type, latitude, longitude }) {
+  const [candidate] = await withinRadius({
+    select: 'hr.id',
+    from: 'hazard_reports hr',
+    pointColumn: 'hr.geo_point',
+    where: "hr.status = 'active' AND hr.hazard_type = ?",
+    params: [type],
+    latitude,
+    longitude,
+    radiusKm: MERGE_RADIUS_METERS / 1000,
+    limit: 1
+  });
+  return candidate || null;
+}
+
+// Create a hazard, or fold the report into an active hazard of the same type close by.
+// Each rider counts once towards reports_count; a repeat report from the same rider
+// changes nothing. Returns { hazardId, merged }.
+async function reportHazard({ reporterId, type, severity, latitude, longitude, locationName, description, imageUrl, mediaId }) {
+  const existing = await findMergeCandidate({ type, latitude, longitude });
+
+  if (existing) {
+    const added = await run(
+      'INSERT IGNORE INTO hazard_reporters (hazard_id, user_id, created_at) VALUES (?, ?, NOW())',
+      [existing.id, reporterId]
+    );
+    if (added.affectedRows === 0) {
+      return { hazardId: existing.id, merged: true };
+    }
+
+    const hazard = await get('SELECT severity FROM hazard_reports WHERE id = ?', [existing.id]);
+    const mergedSeverity = (SEVERITY_RANK[severity] || 0) > (SEVERITY_RANK[hazard.severity] || 0)
+      ? severity
+      : hazard.severity;
+
+    await run(`
+      UPDATE hazard_reports
+      SET reports_count = reports_count + 1,
+          severity = ?,
+          media_id = IF(image_url IS NULL, ?, media_id),
+          image_url = COALESCE(image_url, ?),
+          expires_at = GREATEST(COALESCE(expires_at, NOW()), DATE_ADD(NOW(), INTERVAL ? HOUR))
+      WHERE id = ?
+    `, [mergedSeverity, mediaId || null, imageUrl || null, ttlHours(type), existing.id]);
+
+    await evaluateHazard(existing.id);
+    console.log(`🚧 Merged report from user ${reporterId} into hazard ${existing.id}`);
+
+    return { hazardId: existing.id, merged: true };
+  }
+
+  const result = await run(`
+    INSERT INTO hazard_reports (
+      reporter_id, hazard_type, severity, latitude, longitude, location_name,
+      description, image_url, media_id, status, confidence, expires_at, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'active', ?, DATE_ADD(NOW(), INTERVAL ? HOUR), NOW())
+  `, [
+    reporterId,
+    type,
+    severity || 'medium',
+    latitude,
+    longitude,
+    locationName || null,
+    description || '',
+    imageUrl || null,
+    mediaId || null,
+    computeConfidence({ reports: 1, positive: 0, negative: 0 }),
+    ttlHours(type)
+  ]);
+
+  await run(
+    'INSERT IGNORE INTO hazard_reporters (hazard_id, user_id, created_at) VALUES (?, ?, NOW())',
+    [result.insertId, reporterId]
+  );
+
+  return { hazardId: result.insertId, merged: false };
+}
+
+// Record one rider's confirmation and re-evaluate the hazard
+async function confirmHazard(hazardId, userId, confirmationType) {
+  await run(`
+    INSERT INTO hazard_confirmations (hazard_id, user_id, confirmation_type, created_at)
+    VALUES (?, ?, ?, NOW())
+  `, [hazardId, userId, confirmationType]);
+
+  // Only confirmations from riders who did not report it keep the hazard alive
+  const reporter = await get('SELECT user_id FROM hazard_reporters WHERE hazard_id = ? AND user_id = ?', [hazardId, userId]);
+  if (POSITIVE_CONFIRMATIONS.includes(confirmationType) && !reporter) {
+    const hazard = await get('SELECT hazard_type FROM hazard_reports WHERE id = ?', [hazardId]);
+    await run(`
+      UPDATE hazard_reports
+      SET expires_at = GREATEST(COALESCE(expires_at, NOW()), DATE_ADD(NOW(), INTERVAL ? HOUR))
+      WHERE id = ? AND status = 'active'
+    `, [ttlHours(hazard?.hazard_type), hazardId]);
+  }
+
+  return evaluateHazard(hazardId);
+}
+
+// Resolve active hazards whose TTL has run out
+async function expireHazards() {
+  const result = await run(`
+    UPDATE hazard_reports
+    SET status = 'resolved', resolved_at = NOW()
+    WHERE status = 'active' AND expires_at IS NOT NULL AND expires_at <= NOW()
+  `);
+  if (result.affectedRows > 0) {
+    console.log(`🚧 Expired ${result.affectedRows} hazard(s)`);
+  }
+  return result.affectedRows;
+}
+
+function startHazardSweeper() {
+  if (sweepTimer) return;
+  const sweep = () => expireHazards().catch(error => console.error('Hazard sweep error:', error));
+  sweep();
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+function stopHazardSweeper() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+module.exports = {
+  HAZARD_TTL_HOURS,
+  CONFIRMATION_TYPES,
+  isHazardType,
+  computeConfidence,
+  evaluateHazard,
+  reportHazard,
+  confirmHazard,
+  expireHazards,
+  startHazardSweeper,
+  stopHazardSweeper
+};
@@ -0,0 +1,81 @@
+const { query, run } = require('../database/connection');
+const { createNotification } = require('./notificationService');
+
+// Remind this many days before next_service_date...
+const REMINDER_DAYS = parseInt(process.env.MAINTENANCE_REMINDER_DAYS) || 7;
+// ...or once the bike is within this many miles of next_service_mileage
+const REMINDER_MILES = parseInt(process.env.MAINTENANCE_REMINDER_MILES) || 250;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+let sweepTimer = null;
+
+function describeDue(record) {
+  if (record.next_service_date && new Date(record.next_service_date) <= new Date()) {
+    return 'is due now';
+  }
+  if (record.next_service_mileage && record.current_mileage >= record.next_service_mileage) {
+    return `was due at ${record.next_service_mileage} miles`;
+  }
+  if (record.next_service_date) {
+    return `is due on ${new Date(record.next_service_date).toISOString().slice(0, 10)}`;
+  }
+  return `is due at ${record.next_service_mileage} miles`;
+}
+
+// Notify owners about services coming due. Only the latest record of each type per bike
+// counts, and each record is reminded about once.
+async function sendMaintenanceReminders() {
+  const due = await query(`
+    SELECT mr.id, mr.user_id, mr.bike_id, mr.title, mr.maintenance_type,
+           mr.next_service_date, mr.next_service_mileage, b.name as bike_name, b.current_mileage
+    FROM maintenance_records mr
+    JOIN bikes b ON mr.bike_id = b.id
+    WHERE mr.reminder_enabled = TRUE
+      AND mr.reminder_sent_at IS NULL
+      AND (
+        (mr.next_service_date IS NOT NULL AND mr.next_service_date <= DATE_ADD(CURDATE(), INTERVAL ? DAY))
+        OR (mr.next_service_mileage IS NOT NULL AND b.current_mileage >= mr.next_service_mileage - ?)
+      )
+      AND NOT EXISTS (
+        SELECT 1 FROM maintenance_records newer
+        WHERE newer.bike_id = mr.bike_id
+          AND newer.maintenance_type = mr.maintenance_type
+          AND (newer.service_date > mr.service_date OR (newer.service_date = mr.service_date AND newer.id > mr.id))
+      )
+  `, [REMINDER_DAYS, REMINDER_MILES]);
+
+  for (const record of due) {
+    await createNotification({
+      userId: record.user_id,
+      type: 'maintenance_reminder',
+      title: 'Maintenance reminder',
+      message: `${record.title} for ${record.bike_name} ${describeDue(record)}`,
+      data: { bikeId: record.bike_id, maintenanceRecordId: record.id, maintenanceType: record.maintenance_type }
+    });
+    await run('UPDATE maintenance_records SET reminder_sent_at = NOW() WHERE id = ?', [record.id]);
+  }
+
+  if (due.length > 0) {
+    console.log(`🔧 Sent ${due.length} maintenance reminder(s)`);
+  }
+  return due.length;
+}
+
+function startMaintenanceReminders() {
+  if (sweepTimer) return;
+  const sweep = () => sendMaintenanceReminders().catch(error => console.error('Maintenance reminder error:', error));
+  sweep();
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+function stopMaintenanceReminders() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+module.exports = {
+  sendMaintenanceReminders,
+  startMaintenanceReminders,
+  stopMaintenanceReminders
+};
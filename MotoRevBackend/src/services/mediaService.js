@@ -0,0 +1,348 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const { get, run } = require('../database/connection');
+const { getStorage } = require('./storage');
+const { sniffMediaType } = require('../utils/mediaTypes');
+
+// What an upload is for; videos are only accepted for posts and stories
+const MEDIA_PURPOSES = ['post', 'story', 'bike', 'maintenance', 'hazard', 'profile'];
+const VIDEO_PURPOSES = ['post', 'story'];
+const MAX_IMAGE_BYTES = parseInt(process.env.MEDIA_MAX_IMAGE_BYTES) || 15 * 1024 * 1024;
+const MAX_VIDEO_BYTES = parseInt(process.env.MEDIA_MAX_VIDEO_BYTES) || 100 * 1024 * 1024;
+// Longest edge in pixels of the stored image and of each thumbnail
+const MAX_IMAGE_DIMENSION = 4096;
+const THUMBNAIL_SIZES = { small: 160, medium: 480, large: 1080 };
+
+// ISO 6709 coordinates as QuickTime stores them, e.g. "+37.3317-122.0307+011.000/"
+const ISO6709_PATTERN = /[+-]\d{2}(?:\.\d+)?[+-]\d{3}(?:\.\d+)?(?:[+-]\d+(?:\.\d+)?)?\//g;
+
+// { small: url, ... } from a media.thumbnails column
+function thumbnailUrls(thumbnails) {
+  const urls = {};
+  for (const [name, thumbnail] of Object.entries(thumbnails || {})) {
+    urls[name] = thumbnail.url;
+  }
+  return urls;
+}
+
+function formatMedia(row) {
+  return {
+    id: row.id.toString(),
+    type: row.media_type,
+    purpose: row.purpose,
+    mimeType: row.mime_type,
+    url: row.url,
+    width: row.width,
+    height: row.height,
+    sizeBytes: row.size_bytes,
+    thumbnails: thumbnailUrls(row.thumbnails),
+    createdAt: row.created_at
+  };
+}
+
+// Re-encoding drops EXIF, XMP and IPTC metadata (GPS included); the EXIF orientation is
+// applied to the pixels first so photos keep the right way up.
+async function processImage(buffer, type) {
+  const pipeline = sharp(buffer, { failOn: 'error' })
+    .rotate()
+    .resize({ width: MAX_IMAGE_DIMENSION, height: MAX_IMAGE_DIMENSION, fit: 'inside', withoutEnlargement: true });
+  const encoded = type.mime === 'image/png'
+    ? pipeline.png()
+    : type.mime === 'image/webp'
+      ? pipeline.webp({ quality: 85 })
+      : pipeline.jpeg({ quality: 85 });
+  const { data, info } = await encoded.toBuffer({ resolveWithObject: true });
+
+  const thumbnails = {};
+  for (const [name, size] of Object.entries(THUMBNAIL_SIZES)) {
+    const thumbnail = await sharp(data)
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    thumbnails[name] = thumbnail;
+  }
+  return { data, width: info.width, height: info.height, thumbnails };
+}
+
+// Zero the digits of every ISO 6709 location between start and end, in place. Box sizes
+// and offsets stay valid because nothing changes length.
+function blankLocations(buffer, start, end) {
+  const text = buffer.toString('latin1', start, end);
+  for (const match of text.matchAll(ISO6709_PATTERN)) {
+    buffer.write(match[0].replace(/\d/g, '0'), start + match.index, 'latin1');
+  }
+}
+
+// Size of the ISO box whose header is at the start of `header`, or null when it is invalid
+function boxSize(header, offset, totalLength) {
+  let size = header.readUInt32BE(0);
+  if (size === 1 && header.length >= 16) {
+    size = Number(header.readBigUInt64BE(8));
+  } else if (size === 0) {
+    size = totalLength - offset;
+  }
+  return size < 8 ? null : size;
+}
+
+// Blank out recorded locations in a QuickTime/MP4 movie header (the moov box), where both
+// the classic ©xyz atom and Apple's location metadata keep ISO 6709 strings. The buffer
+// is changed in place.
+function scrubVideoLocation(buffer) {
+  let offset = 0;
+  while (offset + 8 <= buffer.length) {
+    const size = boxSize(buffer.subarray(offset, offset + 16), offset, buffer.length);
+    if (!size) break;
+    if (buffer.toString('latin1', offset + 4, offset + 8) === 'moov') {
+      blankLocations(buffer, offset, Math.min(offset + size, buffer.length));
+    }
+    offset += size;
+  }
+  return buffer;
+}
+
+// The same for a video on disk: only box headers and the moov box are read, and the moov
+// box is written back where it was
+async function scrubVideoLocationFile(filePath) {
+  const handle = await fs.open(filePath, 'r+');
+  try {
+    const { size: fileSize } = await handle.stat();
+    const header = Buffer.alloc(16);
+    let offset = 0;
+    while (offset + 8 <= fileSize) {
+      const { bytesRead } = await handle.read(header, 0, 16, offset);
+      const size = boxSize(header.subarray(0, bytesRead), offset, fileSize);
+      if (!size) break;
+      if (header.toString('latin1', 4, 8) === 'moov') {
+        const moov = Buffer.alloc(Math.min(size, fileSize - offset));
+        await handle.read(moov, 0, moov.length, offset);
+        blankLocations(moov, 0, moov.length);
+        await handle.write(moov, 0, moov.length, offset);
+      }
+      offset += size;
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+// { error, status } when an upload cannot be accepted, otherwise null
+function checkUpload(purpose, type, size) {
+  if (!MEDIA_PURPOSES.includes(purpose)) {
+    return { error: `purpose must be one of: ${MEDIA_PURPOSES.join(', ')}`, status: 400 };
+  }
+  if (!size) {
+    return { error: 'File is empty', status: 400 };
+  }
+  if (!type || (type.kind === 'video' && !VIDEO_PURPOSES.includes(purpose))) {
+    return { error: 'Unsupported media type', status: 415 };
+  }
+  const maxBytes = type.kind === 'video' ? MAX_VIDEO_BYTES : MAX_IMAGE_BYTES;
+  if (size > maxBytes) {
+    return { error: `File must be ${Math.floor(maxBytes / (1024 * 1024))} MB or smaller`, status: 413 };
+  }
+  return null;
+}
+
+async function processUploadedImage(buffer, type) {
+  try {
+    return { processed: await processImage(buffer, type) };
+  } catch (error) {
+    console.error('Image processing error:', error.message);
+    return { error: 'Image could not be processed', status: 415 };
+  }
+}
+
+// Put the file (`data` in memory or `filePath` on disk) and its thumbnails into storage
+// and record the media row
+async function saveMedia(userId, purpose, type, { data = null, filePath = null, size, width = null, height = null, thumbnails = {} }) {
+  const storage = getStorage();
+  const baseKey = `media/${userId}/${crypto.randomUUID()}`;
+  const key = `${baseKey}.${type.extension}`;
+  const { url } = filePath
+    ? await storage.putFile(key, filePath, { contentType: type.mime })
+    : await storage.put(key, data, { contentType: type.mime });
+
+  const stored = {};
+  for (const [name, thumbnail] of Object.entries(thumbnails)) {
+    const thumbnailKey = `${baseKey}_${name}.jpg`;
+    const thumbnailStored = await storage.put(thumbnailKey, thumbnail.data, { contentType: 'image/jpeg' });
+    stored[name] = {
+      key: thumbnailKey,
+      url: thumbnailStored.url,
+      width: thumbnail.info.width,
+      height: thumbnail.info.height
+    };
+  }
+
+  const result = await run(`
+    INSERT INTO media (user_id, purpose, media_type, mime_type, size_bytes, width, height,
+                       storage_backend, storage_key, url, thumbnails, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+  `, [
+    userId,
+    purpose,
+    type.kind,
+    type.mime,
+    size,
+    width,
+    height,
+    storage.name,
+    key,
+    url,
+    JSON.stringify(stored)
+  ]);
+
+  return { media: formatMedia(await get('SELECT * FROM media WHERE id = ?', [result.insertId])) };
+}
+
+// Validate, clean and store an in-memory upload for `userId`. Images are re-encoded
+// without metadata and get thumbnails; videos are stored as given apart from their
+// location tags, which are blanked in the buffer itself. Returns { media } or { error, status }.
+async function storeMedia(userId, buffer, { purpose }) {
+  const type = buffer && buffer.length > 0 ? sniffMediaType(buffer) : null;
+  const invalid = checkUpload(purpose, type, buffer ? buffer.length : 0);
+  if (invalid) return invalid;
+
+  if (type.kind === 'video') {
+    return saveMedia(userId, purpose, type, { data: scrubVideoLocation(buffer), size: buffer.length });
+  }
+
+  const { processed, error, status } = await processUploadedImage(buffer, type);
+  if (error) return { error, status };
+  return saveMedia(userId, purpose, type, { ...processed, size: processed.data.length });
+}
+
+// Same for an upload multer wrote to a temporary file. Videos never come into memory: they
+// are scrubbed in place and handed to storage as a file. The caller removes the file.
+async function storeMediaFile(userId, filePath, { purpose }) {
+  const { size } = await fs.stat(filePath);
+  const head = Buffer.alloc(32);
+  const handle = await fs.open(filePath, 'r');
+  let bytesRead;
+  try {
+    ({ bytesRead } = await handle.read(head, 0, head.length, 0));
+  } finally {
+    await handle.close();
+  }
+
+  const type = sniffMediaType(head.subarray(0, bytesRead));
+  const invalid = checkUpload(purpose, type, size);
+  if (invalid) return invalid;
+
+  if (type.kind === 'video') {
+    await scrubVideoLocationFile(filePath);
+    return saveMedia(userId, purpose, type, { filePath, size });
+  }
+
+  const { processed, error, status } = await processUploadedImage(await fs.readFile(filePath), type);
+  if (error) return { error, status };
+  return saveMedia(userId, purpose, type, { ...processed, size: processed.data.length });
+}
+
+// Images still arrive as base64 (optionally a data: URL) inside JSON bodies; they go
+// through the same checks as multipart uploads
+async function storeBase64Image(userId, data, purpose) {
+  const match = String(data).match(/^data:[^;,]+;base64,(.+)$/s);
+  const buffer = Buffer.from(match ? match[1] : String(data), 'base64');
+  const type = sniffMediaType(buffer);
+  if (!type || type.kind !== 'image') {
+    return { error: 'Unsupported media type', status: 415 };
+  }
+  return storeMedia(userId, buffer, { purpose });
+}
+
+// The rider's own media row, or null
+async function getOwnMedia(userId, mediaId) {
+  if (!mediaId) return null;
+  return get('SELECT * FROM media WHERE id = ? AND user_id = ?', [mediaId, userId]);
+}
+
+// Photo lists on bikes and maintenance records. Entries of `photos` may be base64 images
+// (stored as new media) or URLs already on the list; `mediaIds` adds uploaded media.
+// Returns { photos, mediaIds } with one URL per photo, or { error, status }.
+async function resolvePhotoList(userId, photos, mediaIds, purpose) {
+  const urls = [];
+  const ids = [];
+
+  for (const photo of Array.isArray(photos) ? photos : []) {
+    if (typeof photo !== 'string' || photo.length === 0) continue;
+    if (photo.startsWith('/uploads/') || /^https?:\/\//.test(photo)) {
+      const media = await get('SELECT id FROM media WHERE user_id = ? AND url = ?', [userId, photo]);
+      urls.push(photo);
+      if (media) ids.push(media.id);
+    } else if (photo.length > 100) {
+      const stored = await storeBase64Image(userId, photo, purpose);
+      if (stored.error) return stored;
+      urls.push(stored.media.url);
+      ids.push(Number(stored.media.id));
+    }
+  }
+
+  for (const mediaId of Array.isArray(mediaIds) ? mediaIds : []) {
+    const media = await getOwnMedia(userId, mediaId);
+    if (!media || media.media_type !== 'image') {
+      return { error: 'Media not found', status: 404 };
+    }
+    if (!ids.includes(media.id)) {
+      urls.push(media.url);
+      ids.push(media.id);
+    }
+  }
+
+  return { photos: urls, mediaIds: ids };
+}
+
+async function getMedia(userId, mediaId) {
+  const media = await getOwnMedia(userId, mediaId);
+  return media ? { media: formatMedia(media) } : { error: 'Media not found', status: 404 };
+}
+
+// Deletes the files and the row. Media still attached to something is kept.
+async function deleteMedia(userId, mediaId) {
+  const media = await getOwnMedia(userId, mediaId);
+  if (!media) {
+    return { error: 'Media not found', status: 404 };
+  }
+
+  const attached = await get(`
+    SELECT
+      EXISTS(SELECT 1 FROM posts WHERE media_id = ? AND is_deleted = FALSE) OR
+      EXISTS(SELECT 1 FROM stories WHERE media_id = ?) OR
+      EXISTS(SELECT 1 FROM hazard_reports WHERE media_id = ?) OR
+      EXISTS(SELECT 1 FROM bikes WHERE JSON_CONTAINS(media_ids, CAST(? AS JSON))) OR
+      EXISTS(SELECT 1 FROM maintenance_records WHERE JSON_CONTAINS(media_ids, CAST(? AS JSON))) OR
+      EXISTS(SELECT 1 FROM users WHERE id = ? AND profile_picture_url = ?) as attached
+  `, [media.id, media.id, media.id, String(media.id), String(media.id), userId, media.url]);
+  if (attached && Number(attached.attached)) {
+    return { error: 'Media is still in use', status: 409 };
+  }
+
+  const storage = getStorage();
+  const keys = [media.storage_key, ...Object.values(media.thumbnails || {}).map(thumbnail => thumbnail.key)];
+  if (storage.name === media.storage_backend) {
+    for (const key of keys) {
+      await storage.delete(key).catch(error => console.error(`Media delete error (${key}):`, error.message));
+    }
+  } else {
+    console.warn(`Media ${media.id} is on ${media.storage_backend} storage; leaving its files in place`);
+  }
+
+  await run('DELETE FROM media WHERE id = ?', [media.id]);
+  return { deleted: true };
+}
+
+module.exports = {
+  MEDIA_PURPOSES,
+  MAX_IMAGE_BYTES,
+  MAX_VIDEO_BYTES,
+  thumbnailUrls,
+  formatMedia,
+  storeMedia,
+  storeMediaFile,
+  storeBase64Image,
+  getOwnMedia,
+  getMedia,
+  resolvePhotoList,
+  deleteMedia
+};
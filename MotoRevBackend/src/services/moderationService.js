@@ -0,0 +1,446 @@
+const { query, get, run } = require('../database/connection');
+const cacheService = require('./cacheService');
+const { createNotification } = require('./notificationService');
+
+// Suspensions are required lazily because suspensionService itself depends on this module
+function getSuspensionService() {
+  return require('./suspensionService');
+}
+
+const REPORT_REASONS = ['spam', 'harassment', 'inappropriate', 'violence', 'copyright', 'other'];
+// Outcomes a moderator can apply to a reported item; 'none' dismisses its reports
+const MODERATION_ACTIONS = ['none', 'warning', 'content_removed', 'user_suspended', 'user_banned'];
+// Reports from this many different riders hide the content until a moderator looks at it
+const AUTO_HIDE_REPORTS = parseInt(process.env.MODERATION_AUTO_HIDE_REPORTS) || 3;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+// Reports waiting for a moderator; 'escalated' ones crossed AUTO_HIDE_REPORTS
+const OPEN_STATUSES = ['pending', 'escalated'];
+
+async function refreshPlaceRating(reviewId) {
+  const review = await get('SELECT place_id FROM place_reviews WHERE id = ?', [reviewId]);
+  if (!review) return;
+  const stats = await get(
+    'SELECT AVG(rating) as avg_rating, COUNT(*) as review_count FROM place_reviews WHERE place_id = ? AND hidden_at IS NULL',
+    [review.place_id]
+  );
+  await run('UPDATE places SET rating = ?, review_count = ? WHERE id = ?', [stats.avg_rating, stats.review_count, review.place_id]);
+}
+
+// Everything that can be reported. `find` returns { id, owner_id, text, media_url, hidden }
+// or null; `hide`/`restore` take content out of (and back into) circulation and `remove`
+// is what a moderator's content_removed does. Profiles are never hidden automatically.
+const REPORTABLE = {
+  post: {
+    label: 'Post',
+    find: id => get(`
+      SELECT id, user_id as owner_id, content as text, COALESCE(image_url, video_url) as media_url,
+             hidden_at IS NOT NULL as hidden
+      FROM posts WHERE id = ? AND is_deleted = FALSE
+    `, [id]),
+    hide: async id => {
+      await run('UPDATE posts SET hidden_at = NOW() WHERE id = ? AND hidden_at IS NULL', [id]);
+      await cacheService.invalidatePostCache(id);
+    },
+    restore: async id => {
+      await run('UPDATE posts SET hidden_at = NULL WHERE id = ?', [id]);
+      await cacheService.invalidatePostCache(id);
+    }
+  },
+  comment: {
+    label: 'Comment',
+    find: id => get(`
+      SELECT id, user_id as owner_id, content as text, NULL as media_url, hidden_at IS NOT NULL as hidden
+      FROM post_comments WHERE id = ? AND deleted_at IS NULL
+    `, [id]),
+    hide: id => run('UPDATE post_comments SET hidden_at = NOW() WHERE id = ? AND hidden_at IS NULL', [id]),
+    restore: id => run('UPDATE post_comments SET hidden_at = NULL WHERE id = ?', [id])
+  },
+  story: {
+    label: 'Story',
+    find: id => get(`
+      SELECT id, user_id as owner_id, content as text, COALESCE(image_url, video_url) as media_url,
+             hidden_at IS NOT NULL as hidden
+      FROM stories WHERE id = ?
+    `, [id]),
+    hide: id => run('UPDATE stories SET hidden_at = NOW() WHERE id = ? AND hidden_at IS NULL', [id]),
+    restore: id => run('UPDATE stories SET hidden_at = NULL WHERE id = ?', [id])
+  },
+  user_profile: {
+    label: 'User',
+    find: id => get(`
+      SELECT id, id as owner_id, bio as text, profile_picture_url as media_url, FALSE as hidden
+      FROM users WHERE id = ?
+    `, [id]),
+    remove: id => run('UPDATE users SET bio = NULL, profile_picture_url = NULL, updated_at = NOW() WHERE id = ?', [id])
+  },
+  place_review: {
+    label: 'Review',
+    find: id => get(`
+      SELECT id, user_id as owner_id, review_text as text, NULL as media_url, hidden_at IS NOT NULL as hidden
+      FROM place_reviews WHERE id = ?
+    `, [id]),
+    hide: async id => {
+      await run('UPDATE place_reviews SET hidden_at = NOW() WHERE id = ? AND hidden_at IS NULL', [id]);
+      await refreshPlaceRating(id);
+    },
+    restore: async id => {
+      await run('UPDATE place_reviews SET hidden_at = NULL WHERE id = ?', [id]);
+      await refreshPlaceRating(id);
+    }
+  },
+  // Hazards already have a status for bogus reports, which every hazard query respects
+  hazard_report: {
+    label: 'Hazard report',
+    find: id => get(`
+      SELECT id, reporter_id as owner_id, description as text, image_url as media_url,
+             status = 'false_report' as hidden
+      FROM hazard_reports WHERE id = ?
+    `, [id]),
+    hide: id => run("UPDATE hazard_reports SET status = 'false_report', updated_at = NOW() WHERE id = ? AND status = 'active'", [id]),
+    restore: id => run(`
+      UPDATE hazard_reports SET status = 'active', updated_at = NOW()
+      WHERE id = ? AND status = 'false_report' AND (expires_at IS NULL OR expires_at > NOW())
+    `, [id])
+  }
+};
+
+const REPORT_CONTENT_TYPES = Object.keys(REPORTABLE);
+
+function removeContent(contentType, contentId) {
+  const reportable = REPORTABLE[contentType];
+  return (reportable.remove || reportable.hide)(contentId);
+}
+
+function pageFrom({ limit, offset }) {
+  return {
+    pageSize: Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+    skip: Math.max(parseInt(offset) || 0, 0)
+  };
+}
+
+function formatReport(row) {
+  return {
+    id: row.id,
+    contentType: row.content_type,
+    contentId: row.content_id,
+    contentOwnerId: row.content_owner_id,
+    reporterId: row.reporter_id,
+    reporterUsername: row.reporter_username,
+    reason: row.reason,
+    description: row.description,
+    status: row.status,
+    moderatorId: row.moderator_id,
+    moderatorNotes: row.moderator_notes,
+    actionTaken: row.action_taken,
+    createdAt: row.created_at,
+    resolvedAt: row.resolved_at
+  };
+}
+
+function formatAction(row) {
+  return {
+    id: row.id,
+    action: row.action,
+    contentType: row.content_type,
+    contentId: row.content_id,
+    targetUserId: row.target_user_id,
+    moderatorId: row.moderator_id,
+    moderatorUsername: row.moderator_username,
+    notes: row.notes,
+    createdAt: row.created_at
+  };
+}
+
+// Audit trail entry; `moderatorId` is null for automatic actions
+async function logAction({ moderatorId = null, action, contentType = null, contentId = null, targetUserId = null, notes = null }) {
+  await run(`
+    INSERT INTO moderation_actions (moderator_id, action, content_type, content_id, target_user_id, notes, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, NOW())
+  `, [moderatorId, action, contentType, contentId, targetUserId, notes]);
+}
+
+// A rider reports something. Each rider can report an item once; once AUTO_HIDE_REPORTS
+// different riders have open reports on it, it is hidden and its reports are escalated.
+// Returns { report } or { error, status }.
+async function reportContent(reporterId, { contentType, contentId, reason, description }) {
+  if (!REPORT_CONTENT_TYPES.includes(contentType)) {
+    return { error: `contentType must be one of: ${REPORT_CONTENT_TYPES.join(', ')}`, status: 400 };
+  }
+  if (!REPORT_REASONS.includes(reason)) {
+    return { error: `reason must be one of: ${REPORT_REASONS.join(', ')}`, status: 400 };
+  }
+  if (description !== undefined && description !== null &&
+      (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+    return { error: `description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters`, status: 400 };
+  }
+
+  const reportable = REPORTABLE[contentType];
+  const content = await reportable.find(contentId);
+  if (!content) {
+    return { error: `${reportable.label} not found`, status: 404 };
+  }
+  if (Number(content.owner_id) === Number(reporterId)) {
+    return { error: 'You cannot report your own content', status: 400 };
+  }
+
+  const existing = await get(
+    'SELECT id FROM content_moderation WHERE content_type = ? AND content_id = ? AND reporter_id = ?',
+    [contentType, content.id, reporterId]
+  );
+  if (existing) {
+    return { error: 'You have already reported this', status: 409 };
+  }
+
+  // The unique key settles two reports from the same rider racing past the check above
+  let result;
+  try {
+    result = await run(`
+      INSERT INTO content_moderation (content_type, content_id, content_owner_id, reporter_id, reason, description, status, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, 'pending', NOW())
+    `, [contentType, content.id, content.owner_id, reporterId, reason, description ? description.trim() : null]);
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      return { error: 'You have already reported this', status: 409 };
+    }
+    throw error;
+  }
+
+  const reporters = await get(`
+    SELECT COUNT(DISTINCT reporter_id) as count
+    FROM content_moderation
+    WHERE content_type = ? AND content_id = ? AND status IN ('pending', 'escalated')
+  `, [contentType, content.id]);
+  if (Number(reporters.count) >= AUTO_HIDE_REPORTS) {
+    await run(`
+      UPDATE content_moderation SET status = 'escalated'
+      WHERE content_type = ? AND content_id = ? AND status = 'pending'
+    `, [contentType, content.id]);
+    if (reportable.hide && !Number(content.hidden)) {
+      await reportable.hide(content.id);
+      await logAction({
+        action: 'auto_hidden',
+        contentType,
+        contentId: content.id,
+        targetUserId: content.owner_id,
+        notes: `${reporters.count} reports`
+      });
+    }
+  }
+
+  return { report: formatReport(await get('SELECT * FROM content_moderation WHERE id = ?', [result.insertId])) };
+}
+
+// Moderation queue: one entry per reported item with open reports, escalated items first,
+// then the most reported and the longest waiting. `status` is 'open' (default),
+// 'pending' or 'escalated'.
+async function listQueue({ status = 'open', contentType, limit, offset } = {}) {
+  const statuses = status === 'open' ? OPEN_STATUSES : [status];
+  if (!statuses.every(value => OPEN_STATUSES.includes(value))) {
+    return { error: 'status must be one of: open, pending, escalated', status: 400 };
+  }
+  if (contentType !== undefined && !REPORT_CONTENT_TYPES.includes(contentType)) {
+    return { error: `contentType must be one of: ${REPORT_CONTENT_TYPES.join(', ')}`, status: 400 };
+  }
+
+  const { pageSize, skip } = pageFrom({ limit, offset });
+  const params = [...statuses];
+  let typeClause = '';
+  if (contentType) {
+    typeClause = 'AND cm.content_type = ?';
+    params.push(contentType);
+  }
+
+  const rows = await query(`
+    SELECT cm.content_type, cm.content_id, MAX(cm.content_owner_id) as content_owner_id,
+           COUNT(*) as report_count, COUNT(DISTINCT cm.reporter_id) as reporter_count,
+           MAX(cm.status = 'escalated') as escalated, GROUP_CONCAT(DISTINCT cm.reason) as reasons,
+           MIN(cm.created_at) as first_reported_at, MAX(cm.created_at) as last_reported_at
+    FROM content_moderation cm
+    WHERE cm.status IN (${statuses.map(() => '?').join(', ')}) ${typeClause}
+    GROUP BY cm.content_type, cm.content_id
+    ORDER BY escalated DESC, reporter_count DESC, first_reported_at ASC
+    LIMIT ? OFFSET ?
+  `, [...params, String(pageSize), String(skip)]);
+
+  const items = [];
+  for (const row of rows) {
+    const content = await REPORTABLE[row.content_type].find(row.content_id);
+    items.push({
+      contentType: row.content_type,
+      contentId: row.content_id,
+      contentOwnerId: row.content_owner_id,
+      reportCount: Number(row.report_count),
+      reporterCount: Number(row.reporter_count),
+      escalated: Boolean(Number(row.escalated)),
+      reasons: row.reasons ? row.reasons.split(',') : [],
+      firstReportedAt: row.first_reported_at,
+      lastReportedAt: row.last_reported_at,
+      content: content ? { text: content.text, mediaUrl: content.media_url, hidden: Boolean(Number(content.hidden)) } : null
+    });
+  }
+  return { items };
+}
+
+// Everything a moderator needs for one item: the content, every report on it and the
+// actions taken so far
+async function getQueueItem(contentType, contentId) {
+  if (!REPORT_CONTENT_TYPES.includes(contentType)) {
+    return { error: `contentType must be one of: ${REPORT_CONTENT_TYPES.join(', ')}`, status: 400 };
+  }
+
+  const content = await REPORTABLE[contentType].find(contentId);
+  const reports = await query(`
+    SELECT cm.*, u.username as reporter_username
+    FROM content_moderation cm
+    LEFT JOIN users u ON cm.reporter_id = u.id
+    WHERE cm.content_type = ? AND cm.content_id = ?
+    ORDER BY cm.id DESC
+  `, [contentType, contentId]);
+  if (!content && reports.length === 0) {
+    return { error: `${REPORTABLE[contentType].label} not found`, status: 404 };
+  }
+
+  const actions = await query(`
+    SELECT ma.*, u.username as moderator_username
+    FROM moderation_actions ma
+    LEFT JOIN users u ON ma.moderator_id = u.id
+    WHERE ma.content_type = ? AND ma.content_id = ?
+    ORDER BY ma.id DESC
+  `, [contentType, contentId]);
+
+  return {
+    item: {
+      contentType,
+      contentId: Number(contentId),
+      content: content ? {
+        ownerId: content.owner_id,
+        text: content.text,
+        mediaUrl: content.media_url,
+        hidden: Boolean(Number(content.hidden))
+      } : null,
+      reports: reports.map(formatReport),
+      actions: actions.map(formatAction)
+    }
+  };
+}
+
+const ACTION_MESSAGES = {
+  warning: 'Your content was reported and reviewed. Please keep to the community guidelines.',
+  content_removed: 'Your content was removed for breaking the community guidelines.',
+  user_suspended: 'Your content was removed and your account has been suspended.',
+  user_banned: 'Your content was removed and your account has been banned.'
+};
+
+// Apply a moderator's decision to a reported item and close its open reports.
+// 'none' dismisses the reports and puts back content that was only hidden automatically;
+// 'warning' leaves the content up and warns its owner; the others remove it, and
+// 'user_suspended' (for `durationDays`) and 'user_banned' also lock the owner's account.
+// Returns { item } or { error, status }.
+async function takeAction(moderatorId, contentType, contentId, { action, notes, durationDays }) {
+  if (!REPORT_CONTENT_TYPES.includes(contentType)) {
+    return { error: `contentType must be one of: ${REPORT_CONTENT_TYPES.join(', ')}`, status: 400 };
+  }
+  if (!MODERATION_ACTIONS.includes(action)) {
+    return { error: `action must be one of: ${MODERATION_ACTIONS.join(', ')}`, status: 400 };
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    return { error: 'notes must be a string', status: 400 };
+  }
+
+  const reportable = REPORTABLE[contentType];
+  const content = await reportable.find(contentId);
+  if (!content) {
+    return { error: `${reportable.label} not found`, status: 404 };
+  }
+
+  if (action === 'user_suspended' || action === 'user_banned') {
+    if (!content.owner_id) {
+      return { error: 'This content has no owner to suspend', status: 400 };
+    }
+    const suspended = await getSuspensionService().suspendUser(moderatorId, content.owner_id, {
+      reason: notes || `${reportable.label} removed by moderation`,
+      durationDays,
+      permanent: action === 'user_banned',
+      contentType,
+      contentId: content.id
+    });
+    if (suspended.error) return suspended;
+  }
+
+  if (action === 'none' || action === 'warning') {
+    const last = await get(
+      'SELECT action FROM moderation_actions WHERE content_type = ? AND content_id = ? ORDER BY id DESC LIMIT 1',
+      [contentType, content.id]
+    );
+    if (reportable.restore && last && last.action === 'auto_hidden') {
+      await reportable.restore(content.id);
+    }
+  } else {
+    await removeContent(contentType, content.id);
+  }
+
+  await run(`
+    UPDATE content_moderation
+    SET status = ?, moderator_id = ?, moderator_notes = ?, action_taken = ?, resolved_at = NOW()
+    WHERE content_type = ? AND content_id = ? AND status IN ('pending', 'escalated')
+  `, [action === 'none' ? 'rejected' : 'approved', moderatorId, notes || null, action, contentType, content.id]);
+
+  // Suspensions and bans were logged when they were applied
+  if (action !== 'user_suspended' && action !== 'user_banned') {
+    await logAction({
+      moderatorId,
+      action: action === 'none' ? 'dismissed' : action,
+      contentType,
+      contentId: content.id,
+      targetUserId: content.owner_id,
+      notes: notes || null
+    });
+  }
+
+  if (ACTION_MESSAGES[action]) {
+    await createNotification({
+      userId: content.owner_id,
+      type: 'moderation',
+      title: 'Moderation notice',
+      message: ACTION_MESSAGES[action],
+      data: { contentType, contentId: content.id, action }
+    });
+  }
+
+  return getQueueItem(contentType, content.id);
+}
+
+// Audit trail, newest first, optionally for one rider's content
+async function listActions({ userId, limit, offset } = {}) {
+  const { pageSize, skip } = pageFrom({ limit, offset });
+  const params = [];
+  let userClause = '';
+  if (userId) {
+    userClause = 'WHERE ma.target_user_id = ?';
+    params.push(userId);
+  }
+
+  const rows = await query(`
+    SELECT ma.*, u.username as moderator_username
+    FROM moderation_actions ma
+    LEFT JOIN users u ON ma.moderator_id = u.id
+    ${userClause}
+    ORDER BY ma.id DESC
+    LIMIT ? OFFSET ?
+  `, [...params, String(pageSize), String(skip)]);
+  return rows.map(formatAction);
+}
+
+module.exports = {
+  REPORT_CONTENT_TYPES,
+  REPORT_REASONS,
+  MODERATION_ACTIONS,
+  logAction,
+  reportContent,
+  listQueue,
+  getQueueItem,
+  takeAction,
+  listActions
+};
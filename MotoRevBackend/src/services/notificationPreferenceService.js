@@ -0,0 +1,252 @@
+const { query, get, run } = require('../database/connection');
+
+const NOTIFICATION_CATEGORIES = ['social', 'pack', 'safety', 'maintenance', 'events'];
+const NOTIFICATION_CHANNELS = ['socket', 'push', 'email'];
+
+// Which category each notification type belongs to; unknown types count as social
+const TYPE_CATEGORIES = {
+  like: 'social',
+  comment: 'social',
+  comment_reply: 'social',
+  comment_like: 'social',
+  follow: 'social',
+  share: 'social',
+  mention: 'social',
+  pack_invite: 'pack',
+  emergency: 'safety',
+  hazard_verified: 'safety',
+  hazard_resolved: 'safety',
+  maintenance_reminder: 'maintenance',
+  event_updated: 'events',
+  event_cancelled: 'events',
+  moderation: 'moderation'
+};
+
+// Categories riders cannot switch off, so they are not in NOTIFICATION_CATEGORIES:
+// moderation warnings, removals and account notices always get through
+const REQUIRED_CATEGORIES = ['moderation'];
+
+// Quiet hours only hold back channels that make a sound; the in-app feed stays live
+const QUIET_HOURS_CHANNELS = ['push', 'email'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function categoryForType(type) {
+  return typeof type === 'string' && Object.hasOwn(TYPE_CATEGORIES, type) ? TYPE_CATEGORIES[type] : 'social';
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// MySQL TIME comes back as 'HH:MM:SS'; the API speaks 'HH:MM'
+function toClock(value) {
+  return value ? String(value).slice(0, 5) : null;
+}
+
+function toMinutes(clock) {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Minutes past midnight on the rider's wall clock
+function localMinutes(now, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone || 'UTC',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+  const hour = Number(parts.find(part => part.type === 'hour').value);
+  const minute = Number(parts.find(part => part.type === 'minute').value);
+  return hour * 60 + minute;
+}
+
+// Windows may wrap past midnight (22:00-07:00). Equal start and end means no window.
+function isWithinQuietHours(quietHours, now = new Date()) {
+  if (!quietHours.enabled || !quietHours.start || !quietHours.end) return false;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return false;
+  const current = localMinutes(now, quietHours.timezone);
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+async function getPreferences(userId) {
+  const user = await get(`
+    SELECT push_notifications_enabled, email_notifications_enabled,
+           quiet_hours_enabled, quiet_hours_start, quiet_hours_end, timezone
+    FROM users WHERE id = ?
+  `, [userId]);
+  if (!user) return null;
+
+  const rows = await query(
+    'SELECT category, socket_enabled, push_enabled, email_enabled FROM notification_preferences WHERE user_id = ?',
+    [userId]
+  );
+
+  // Missing rows mean every channel is on for that category
+  const categories = {};
+  for (const category of NOTIFICATION_CATEGORIES) {
+    const row = rows.find(r => r.category === category);
+    categories[category] = {
+      socket: row ? Boolean(row.socket_enabled) : true,
+      push: row ? Boolean(row.push_enabled) : true,
+      email: row ? Boolean(row.email_enabled) : true
+    };
+  }
+
+  return {
+    pushEnabled: Boolean(user.push_notifications_enabled),
+    emailEnabled: Boolean(user.email_notifications_enabled),
+    categories,
+    quietHours: {
+      enabled: Boolean(user.quiet_hours_enabled),
+      start: toClock(user.quiet_hours_start),
+      end: toClock(user.quiet_hours_end),
+      timezone: user.timezone || 'UTC'
+    }
+  };
+}
+
+function validateUpdate({ categories, quietHours, pushEnabled, emailEnabled }) {
+  if (pushEnabled !== undefined && typeof pushEnabled !== 'boolean') return 'pushEnabled must be a boolean';
+  if (emailEnabled !== undefined && typeof emailEnabled !== 'boolean') return 'emailEnabled must be a boolean';
+
+  if (categories !== undefined) {
+    if (!categories || typeof categories !== 'object') return 'categories must be an object';
+    for (const [category, channels] of Object.entries(categories)) {
+      if (!NOTIFICATION_CATEGORIES.includes(category)) {
+        return `Unknown category '${category}'. Use one of: ${NOTIFICATION_CATEGORIES.join(', ')}`;
+      }
+      if (!channels || typeof channels !== 'object') return `categories.${category} must be an object`;
+      for (const [channel, enabled] of Object.entries(channels)) {
+        if (!NOTIFICATION_CHANNELS.includes(channel)) {
+          return `Unknown channel '${channel}'. Use one of: ${NOTIFICATION_CHANNELS.join(', ')}`;
+        }
+        if (typeof enabled !== 'boolean') return `categories.${category}.${channel} must be a boolean`;
+      }
+    }
+  }
+
+  if (quietHours !== undefined) {
+    if (!quietHours || typeof quietHours !== 'object') return 'quietHours must be an object';
+    const { enabled, start, end, timezone } = quietHours;
+    if (enabled !== undefined && typeof enabled !== 'boolean') return 'quietHours.enabled must be a boolean';
+    if (start !== undefined && !TIME_PATTERN.test(start)) return 'quietHours.start must be HH:MM';
+    if (end !== undefined && !TIME_PATTERN.test(end)) return 'quietHours.end must be HH:MM';
+    if (timezone !== undefined && (typeof timezone !== 'string' || !isValidTimezone(timezone))) {
+      return 'quietHours.timezone must be an IANA timezone such as America/Denver';
+    }
+  }
+
+  return null;
+}
+
+// Partial update: only the categories, channels and quiet-hour fields present are changed.
+// Returns the full preferences or { error, status }.
+async function updatePreferences(userId, update) {
+  const validationError = validateUpdate(update);
+  if (validationError) {
+    return { error: validationError, status: 400 };
+  }
+
+  const current = await getPreferences(userId);
+  if (!current) {
+    return { error: 'User not found', status: 404 };
+  }
+
+  const { categories = {}, quietHours, pushEnabled, emailEnabled } = update;
+
+  const quiet = { ...current.quietHours, ...(quietHours || {}) };
+  if (quiet.enabled && (!quiet.start || !quiet.end)) {
+    return { error: 'quietHours.start and quietHours.end are required to enable quiet hours', status: 400 };
+  }
+
+  for (const [category, channels] of Object.entries(categories)) {
+    const merged = { ...current.categories[category], ...channels };
+    await run(`
+      INSERT INTO notification_preferences (user_id, category, socket_enabled, push_enabled, email_enabled)
+      VALUES (?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE
+        socket_enabled = VALUES(socket_enabled),
+        push_enabled = VALUES(push_enabled),
+        email_enabled = VALUES(email_enabled)
+    `, [userId, category, merged.socket ? 1 : 0, merged.push ? 1 : 0, merged.email ? 1 : 0]);
+  }
+
+  await run(`
+    UPDATE users SET
+      push_notifications_enabled = ?,
+      email_notifications_enabled = ?,
+      quiet_hours_enabled = ?,
+      quiet_hours_start = ?,
+      quiet_hours_end = ?,
+      timezone = ?
+    WHERE id = ?
+  `, [
+    (pushEnabled !== undefined ? pushEnabled : current.pushEnabled) ? 1 : 0,
+    (emailEnabled !== undefined ? emailEnabled : current.emailEnabled) ? 1 : 0,
+    quiet.enabled ? 1 : 0,
+    quiet.start,
+    quiet.end,
+    quiet.timezone,
+    userId
+  ]);
+
+  return getPreferences(userId);
+}
+
+// Emergencies raised by someone the recipient is riding with ignore quiet hours
+async function bypassesQuietHours(userId, type, sourceUserId) {
+  if (type !== 'emergency' || !sourceUserId) return false;
+  const shared = await get(`
+    SELECT 1 as shared
+    FROM pack_members mine
+    JOIN pack_members theirs ON theirs.pack_id = mine.pack_id
+    JOIN riding_packs p ON p.id = mine.pack_id
+    WHERE mine.user_id = ? AND theirs.user_id = ?
+      AND mine.status = 'active' AND theirs.status = 'active'
+      AND p.status NOT IN ('finished', 'cancelled')
+    LIMIT 1
+  `, [userId, sourceUserId]);
+  return Boolean(shared);
+}
+
+// The single check every sender makes before delivering to a rider on a channel.
+// `sourceUserId` is whoever caused the notification (used for the emergency bypass).
+// Senders that deliver on several channels load `preferences` once with getPreferences
+// and pass them to each check.
+async function canDeliver(userId, { channel, type, sourceUserId = null, now = new Date(), preferences }) {
+  if (preferences === undefined) {
+    preferences = await getPreferences(userId);
+  }
+  if (!preferences) return false;
+
+  if (channel === 'push' && !preferences.pushEnabled) return false;
+  if (channel === 'email' && !preferences.emailEnabled) return false;
+  const category = categoryForType(type);
+  if (!REQUIRED_CATEGORIES.includes(category) && !preferences.categories[category][channel]) return false;
+
+  if (QUIET_HOURS_CHANNELS.includes(channel) && isWithinQuietHours(preferences.quietHours, now)) {
+    return bypassesQuietHours(userId, type, sourceUserId);
+  }
+
+  return true;
+}
+
+module.exports = {
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_CHANNELS,
+  categoryForType,
+  isWithinQuietHours,
+  getPreferences,
+  updatePreferences,
+  canDeliver
+};
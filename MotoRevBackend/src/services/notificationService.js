@@ -0,0 +1,227 @@
+const { query, get, run } = require('../database/connection');
+const { dispatchPush } = require('./pushService');
+const { canDeliver, getPreferences } = require('./notificationPreferenceService');
+const { isBlocked } = require('./blockService');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+// More handles than this in one post or comment are ignored rather than notified
+const MAX_MENTIONS = 10;
+
+// Socket.IO is required lazily because socketService itself depends on this module
+function getIO() {
+  return require('./socketService').getIO();
+}
+
+// Required lazily because postService itself depends on this module
+function getPostService() {
+  return require('./postService');
+}
+
+function parseData(data) {
+  if (data === null || data === undefined) return null;
+  if (typeof data !== 'string') return data;
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    return null;
+  }
+}
+
+function formatNotification(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    title: row.title,
+    message: row.message,
+    data: parseData(row.data),
+    actor: row.actor_id ? {
+      id: row.actor_id,
+      username: row.actor_username,
+      firstName: row.actor_first_name,
+      lastName: row.actor_last_name,
+      profilePicture: row.actor_profile_picture
+    } : null,
+    isRead: Boolean(row.is_read),
+    readAt: row.read_at,
+    createdAt: row.created_at
+  };
+}
+
+const NOTIFICATION_SELECT = `
+  SELECT n.*, u.username as actor_username, u.first_name as actor_first_name,
+         u.last_name as actor_last_name, u.profile_picture_url as actor_profile_picture
+  FROM notifications n
+  LEFT JOIN users u ON n.actor_id = u.id
+`;
+
+// Store a notification for one user, push it to their open sockets and, for the types
+// that warrant it, to their devices over APNs. Nobody is
+// notified about their own actions, or about anything done by a rider blocked either way.
+// Failures are logged rather than thrown so a notification can never fail the action
+// that triggered it.
+async function createNotification({ userId, actorId = null, type, title, message = null, data = null }) {
+  if (!userId || !type || !title) return null;
+  if (actorId && Number(actorId) === Number(userId)) return null;
+
+  try {
+    if (actorId && await isBlocked(userId, actorId)) return null;
+
+    const result = await run(`
+      INSERT INTO notifications (user_id, actor_id, type, title, message, data, is_read, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, FALSE, NOW())
+    `, [userId, actorId || null, type, title, message, data ? JSON.stringify(data) : null]);
+
+    const notification = formatNotification(
+      await get(`${NOTIFICATION_SELECT} WHERE n.id = ?`, [result.insertId])
+    );
+
+    // Always kept in the inbox; live delivery follows the rider's preferences, loaded
+    // once for both channels
+    const preferences = await getPreferences(userId);
+    const io = getIO();
+    if (io && await canDeliver(userId, { channel: 'socket', type, sourceUserId: actorId, preferences })) {
+      io.to(`user:${userId}`).emit('notification', notification);
+    }
+    await dispatchPush(userId, notification, preferences);
+
+    return notification;
+  } catch (error) {
+    console.error(`Notification error (${type} for user ${userId}):`, error);
+    return null;
+  }
+}
+
+// Whether `actorId` has already notified `userId` of a `type` about the same `data[key]`,
+// e.g. a like on the same post, so unliking and liking again does not notify twice
+async function hasNotification({ userId, actorId, type, key, value }) {
+  const row = await get(`
+    SELECT id FROM notifications
+    WHERE user_id = ? AND actor_id = ? AND type = ? AND JSON_EXTRACT(data, ?) = ?
+    LIMIT 1
+  `, [userId, actorId, type, `$.${key}`, Number(value)]);
+  return Boolean(row);
+}
+
+// Same notification for several recipients, e.g. everyone signed up to an event
+async function notifyUsers(userIds, notification) {
+  const recipients = [...new Set(userIds.map(Number))];
+  for (const userId of recipients) {
+    await createNotification({ ...notification, userId });
+  }
+}
+
+// @username handles in a post or comment, lower-cased and without duplicates
+function extractMentions(text) {
+  const handles = new Set();
+  const pattern = /(?:^|[^\w@])@(\w{2,50})/g;
+  let match;
+  while ((match = pattern.exec(String(text || ''))) && handles.size < MAX_MENTIONS) {
+    handles.add(match[1].toLowerCase());
+  }
+  return [...handles];
+}
+
+// Notify every rider @mentioned in `text` who can see the post `data.postId`. `where` is
+// 'a post' or 'a comment'.
+// On edits pass `previousText` so riders already mentioned are not notified again.
+async function notifyMentions({ text, previousText = null, actorId, actorUsername, where, data }) {
+  const alreadyMentioned = extractMentions(previousText);
+  const handles = extractMentions(text).filter(handle => !alreadyMentioned.includes(handle));
+  if (handles.length === 0) return;
+
+  const users = await query(
+    `SELECT id FROM users WHERE username IN (${handles.map(() => '?').join(', ')})`,
+    handles
+  );
+  // Riders who cannot see the post are not told it exists
+  const { getVisiblePost } = getPostService();
+  const recipients = [];
+  for (const user of users) {
+    if (await getVisiblePost(user.id, data.postId)) recipients.push(user.id);
+  }
+  await notifyUsers(recipients, {
+    actorId,
+    type: 'mention',
+    title: 'New mention',
+    message: `${actorUsername} mentioned you in ${where}`,
+    data
+  });
+}
+
+// Newest first. `cursor` is the id of the last notification on the previous page.
+async function listNotifications(userId, { cursor, limit, unreadOnly = false } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const conditions = ['n.user_id = ?'];
+  const params = [userId];
+
+  const before = parseInt(cursor);
+  if (Number.isFinite(before)) {
+    conditions.push('n.id < ?');
+    params.push(before);
+  }
+  if (unreadOnly) {
+    conditions.push('n.is_read = FALSE');
+  }
+
+  // One extra row tells us whether there is another page
+  const rows = await query(`
+    ${NOTIFICATION_SELECT}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY n.id DESC
+    LIMIT ?
+  `, [...params, String(pageSize + 1)]);
+
+  const hasMore = rows.length > pageSize;
+  const page = rows.slice(0, pageSize);
+
+  return {
+    notifications: page.map(formatNotification),
+    nextCursor: hasMore ? String(page[page.length - 1].id) : null,
+    hasMore
+  };
+}
+
+async function getUnreadCount(userId) {
+  const row = await get(
+    'SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = FALSE',
+    [userId]
+  );
+  return Number(row.count) || 0;
+}
+
+// Returns false when the notification does not exist or belongs to someone else
+async function markRead(userId, notificationId) {
+  const notification = await get(
+    'SELECT id FROM notifications WHERE id = ? AND user_id = ?',
+    [notificationId, userId]
+  );
+  if (!notification) return false;
+
+  await run(
+    'UPDATE notifications SET is_read = TRUE, read_at = COALESCE(read_at, NOW()) WHERE id = ?',
+    [notification.id]
+  );
+  return true;
+}
+
+// Returns the number of notifications that were unread
+async function markAllRead(userId) {
+  const result = await run(
+    'UPDATE notifications SET is_read = TRUE, read_at = NOW() WHERE user_id = ? AND is_read = FALSE',
+    [userId]
+  );
+  return result.affectedRows;
+}
+
+module.exports = {
+  createNotification,
+  hasNotification,
+  notifyUsers,
+  extractMentions,
+  notifyMentions,
+  listNotifications,
+  getUnreadCount,
+  markRead,
+  markAllRead
+};
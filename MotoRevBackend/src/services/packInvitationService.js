@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const { query, get, run } = require('../database/connection');
+const { createNotification } = require('./notificationService');
+const { canDeliver } = require('./notificationPreferenceService');
+const { hasBlockInPack } = require('./blockService');
+const { addPackSessionMember } = require('./packSessionService');
+
+// How long a direct invitation stays open, in hours
+const INVITE_TTL_HOURS = parseInt(process.env.PACK_INVITE_TTL_HOURS) || 72;
+// How long a shareable invite-code link stays valid, in hours
+const INVITE_LINK_TTL_HOURS = parseInt(process.env.PACK_INVITE_LINK_TTL_HOURS) || 168;
+const INVITE_LINK_BASE_URL = process.env.APP_LINK_BASE_URL || 'https://motorev.app';
+// No 0/O or 1/I so codes survive being read out loud
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+// Socket.IO is required lazily because socketService itself depends on this module
+function getIO() {
+  return require('./socketService').getIO();
+}
+
+function generateInviteCode(length = 8) {
+  const bytes = crypto.randomBytes(length);
+  let code = '';
+  for (let i = 0; i < length; i++) {
+    code += INVITE_CODE_ALPHABET[bytes[i] % INVITE_CODE_ALPHABET.length];
+  }
+  return code;
+}
+
+function inviteLinkUrl(code) {
+  return `${INVITE_LINK_BASE_URL.replace(/\/$/, '')}/packs/join/${code}`;
+}
+
+function formatInvitation(row) {
+  return {
+    id: row.id,
+    packId: row.pack_id,
+    packName: row.pack_name,
+    packDescription: row.pack_description,
+    packStatus: row.pack_status,
+    inviterId: row.inviter_id,
+    inviterUsername: row.inviter_username,
+    inviteeId: row.invitee_id,
+    status: row.status,
+    expiresAt: row.expires_at,
+    createdAt: row.created_at
+  };
+}
+
+async function getInvitation(invitationId) {
+  return get(`
+    SELECT pi.*, p.name as pack_name, p.description as pack_description, p.status as pack_status,
+           u.username as inviter_username
+    FROM pack_invitations pi
+    JOIN riding_packs p ON pi.pack_id = p.id
+    JOIN users u ON pi.inviter_id = u.id
+    WHERE pi.id = ?
+  `, [invitationId]);
+}
+
+// Add (or re-add after leaving) a rider as an active member, subject to the pack's capacity
+// and to nobody in it having blocked (or been blocked by) the rider. Returns { error, status }
+// when the rider cannot join.
+async function addPackMember(packId, userId) {
+  const pack = await get('SELECT id, max_members, status FROM riding_packs WHERE id = ?', [packId]);
+  if (!pack || ['finished', 'cancelled'].includes(pack.status)) {
+    return { error: 'Group ride not found or no longer active', status: 404 };
+  }
+
+  const existing = await get(
+    "SELECT id FROM pack_members WHERE pack_id = ? AND user_id = ? AND status = 'active'",
+    [packId, userId]
+  );
+  if (existing) {
+    return { error: 'Already a member of this group ride', status: 400 };
+  }
+
+  const memberCount = await get(
+    "SELECT COUNT(*) as count FROM pack_members WHERE pack_id = ? AND status = 'active'",
+    [packId]
+  );
+  if (memberCount.count >= pack.max_members) {
+    return { error: 'Group ride is full', status: 400 };
+  }
+
+  if (await hasBlockInPack(userId, packId)) {
+    return { error: 'You cannot join this group ride', status: 403 };
+  }
+
+  await run(`
+    INSERT INTO pack_members (pack_id, user_id, role, status, joined_at)
+    VALUES (?, ?, 'member', 'active', NOW())
+    ON DUPLICATE KEY UPDATE role = 'member', status = 'active', joined_at = NOW(), left_at = NULL
+  `, [packId, userId]);
+
+  await run('UPDATE riding_packs SET current_members = current_members + 1 WHERE id = ?', [packId]);
+
+  // A pack already riding picks the rider up in its live session
+  const user = await get('SELECT username FROM users WHERE id = ?', [userId]);
+  await addPackSessionMember(packId, { user_id: Number(userId), role: 'member', username: user?.username });
+
+  // Put the rider's open sockets into the pack room straight away
+  const io = getIO();
+  if (io) {
+    io.in(`user:${userId}`).socketsJoin(`pack:${packId}`);
+    io.to(`pack:${packId}`).except(`user:${userId}`).emit('pack_member_joined', {
+      packId: Number(packId),
+      userId,
+      username: user?.username
+    });
+  }
+
+  return { packId: Number(packId) };
+}
+
+// Invite a rider to a pack on behalf of a leader or co-leader. Re-inviting refreshes the
+// existing invitation. Returns { invitation } or { error, status }.
+async function inviteToPack({ packId, inviterId, inviteeId }) {
+  const membership = await get(
+    "SELECT role FROM pack_members WHERE pack_id = ? AND user_id = ? AND status = 'active'",
+    [packId, inviterId]
+  );
+  if (!membership || !['leader', 'co_leader'].includes(membership.role)) {
+    return { error: 'Only leaders can send invitations', status: 403 };
+  }
+
+  const pack = await get('SELECT id, name, status FROM riding_packs WHERE id = ?', [packId]);
+  if (!pack || ['finished', 'cancelled'].includes(pack.status)) {
+    return { error: 'Group ride not found or no longer active', status: 404 };
+  }
+
+  if (Number(inviteeId) === Number(inviterId)) {
+    return { error: 'You cannot invite yourself', status: 400 };
+  }
+
+  const existingMember = await get(
+    "SELECT id FROM pack_members WHERE pack_id = ? AND user_id = ? AND status = 'active'",
+    [packId, inviteeId]
+  );
+  if (existingMember) {
+    return { error: 'User is already a member', status: 400 };
+  }
+
+  if (await hasBlockInPack(inviteeId, packId)) {
+    return { error: 'This rider cannot be invited to this group ride', status: 403 };
+  }
+
+  await run(`
+    INSERT INTO pack_invitations (pack_id, inviter_id, invitee_id, status, expires_at)
+    VALUES (?, ?, ?, 'pending', DATE_ADD(NOW(), INTERVAL ? HOUR))
+    ON DUPLICATE KEY UPDATE
+      inviter_id = VALUES(inviter_id),
+      status = 'pending',
+      expires_at = VALUES(expires_at),
+      responded_at = NULL,
+      created_at = NOW()
+  `, [packId, inviterId, inviteeId, INVITE_TTL_HOURS]);
+
+  const row = await get(
+    'SELECT id FROM pack_invitations WHERE pack_id = ? AND invitee_id = ?',
+    [packId, inviteeId]
+  );
+  const invitation = formatInvitation(await getInvitation(row.id));
+
+  const io = getIO();
+  if (io && await canDeliver(inviteeId, { channel: 'socket', type: 'pack_invite', sourceUserId: inviterId })) {
+    io.to(`user:${inviteeId}`).emit('pack_invitation', {
+      ...invitation,
+      invitedBy: { id: invitation.inviterId, username: invitation.inviterUsername },
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  await createNotification({
+    userId: inviteeId,
+    actorId: inviterId,
+    type: 'pack_invite',
+    title: 'Group ride invitation',
+    message: `${invitation.inviterUsername} invited you to ride with ${invitation.packName}`,
+    data: { packId: invitation.packId, invitationId: invitation.id }
+  });
+
+  console.log(`👥 Pack ${packId} invitation ${invitation.id} sent by user ${inviterId} to user ${inviteeId}`);
+
+  return { invitation };
+}
+
+// Open invitations for a rider; anything past expires_at is marked expired first
+async function listInvitations(userId) {
+  await run(`
+    UPDATE pack_invitations SET status = 'expired'
+    WHERE invitee_id = ? AND status = 'pending' AND expires_at <= NOW()
+  `, [userId]);
+
+  const rows = await query(`
+    SELECT pi.*, p.name as pack_name, p.description as pack_description, p.status as pack_status,
+           u.username as inviter_username
+    FROM pack_invitations pi
+    JOIN riding_packs p ON pi.pack_id = p.id
+    JOIN users u ON pi.inviter_id = u.id
+    WHERE pi.invitee_id = ? AND pi.status = 'pending' AND p.status NOT IN ('finished', 'cancelled')
+    ORDER BY pi.created_at DESC
+  `, [userId]);
+
+  return rows.map(formatInvitation);
+}
+
+// Accept or decline an invitation addressed to userId. Returns { invitation } or { error, status }.
+async function respondToInvitation(invitationId, userId, accept) {
+  const row = await getInvitation(invitationId);
+  if (!row || row.invitee_id !== Number(userId)) {
+    return { error: 'Invitation not found', status: 404 };
+  }
+  if (row.status !== 'pending') {
+    return { error: `Invitation already ${row.status}`, status: 409 };
+  }
+  if (new Date(row.expires_at) <= new Date()) {
+    await run("UPDATE pack_invitations SET status = 'expired' WHERE id = ?", [row.id]);
+    return { error: 'Invitation has expired', status: 410 };
+  }
+
+  if (accept) {
+    const joined = await addPackMember(row.pack_id, userId);
+    if (joined.error) return joined;
+  }
+
+  const status = accept ? 'accepted' : 'declined';
+  await run(
+    'UPDATE pack_invitations SET status = ?, responded_at = NOW() WHERE id = ?',
+    [status, row.id]
+  );
+
+  const io = getIO();
+  if (io) {
+    io.to(`user:${row.inviter_id}`).emit('pack_invitation_response', {
+      invitationId: row.id,
+      packId: row.pack_id,
+      userId: Number(userId),
+      status
+    });
+  }
+
+  return { invitation: formatInvitation({ ...row, status }) };
+}
+
+// Issue a fresh shareable code for a pack (replacing any previous one)
+async function createInviteLink(packId, userId) {
+  const membership = await get(
+    "SELECT role FROM pack_members WHERE pack_id = ? AND user_id = ? AND status = 'active'",
+    [packId, userId]
+  );
+  if (!membership || !['leader', 'co_leader'].includes(membership.role)) {
+    return { error: 'Only leaders can create invite links', status: 403 };
+  }
+
+  const code = generateInviteCode();
+  await run(`
+    UPDATE riding_packs
+    SET invite_code = ?, invite_code_expires_at = DATE_ADD(NOW(), INTERVAL ? HOUR), updated_at = NOW()
+    WHERE id = ?
+  `, [code, INVITE_LINK_TTL_HOURS, packId]);
+
+  const pack = await get('SELECT invite_code_expires_at FROM riding_packs WHERE id = ?', [packId]);
+
+  return { inviteCode: code, url: inviteLinkUrl(code), expiresAt: pack.invite_code_expires_at };
+}
+
+// Pack behind a still-valid invite code, or null
+async function findPackByInviteCode(code) {
+  if (!code) return null;
+  return get(`
+    SELECT p.id, p.name, p.description, p.status, p.current_members, p.max_members, p.start_time,
+           u.username as leader_username
+    FROM riding_packs p
+    JOIN users u ON p.created_by = u.id
+    WHERE p.invite_code = ?
+      AND (p.invite_code_expires_at IS NULL OR p.invite_code_expires_at > NOW())
+      AND p.status NOT IN ('finished', 'cancelled')
+  `, [String(code).toUpperCase()]);
+}
+
+async function joinWithInviteCode(code, userId) {
+  const pack = await findPackByInviteCode(code);
+  if (!pack) {
+    return { error: 'Invite link is invalid or has expired', status: 404 };
+  }
+
+  const joined = await addPackMember(pack.id, userId);
+  if (joined.error) return joined;
+
+  // A pending direct invitation is fulfilled by joining through the link
+  await run(`
+    UPDATE pack_invitations SET status = 'accepted', responded_at = NOW()
+    WHERE pack_id = ? AND invitee_id = ? AND status = 'pending'
+  `, [pack.id, userId]);
+
+  return { packId: pack.id, packName: pack.name };
+}
+
+module.exports = {
+  generateInviteCode,
+  inviteLinkUrl,
+  addPackMember,
+  inviteToPack,
+  listInvitations,
+  respondToInvitation,
+  createInviteLink,
+  findPackByInviteCode,
+  joinWithInviteCode
+};
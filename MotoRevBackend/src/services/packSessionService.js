@@ -0,0 +1,358 @@
+const { query, get, run } = require('../database/connection');
+const { haversineKm, projectOntoSegment, isValidCoordinate } = require('../utils/geo');
+const { blockedUserRooms, getBlockedUserIds } = require('./blockService');
+
+// A rider more than this far behind the leader (along the route when there is one)
+// triggers pack_gap_warning
+const GAP_KM = parseFloat(process.env.PACK_GAP_KM) || 2;
+// ...or this many minutes behind at the leader's current speed
+const GAP_MINUTES = parseFloat(process.env.PACK_GAP_MINUTES) || 3;
+// Distance from the planned route that counts as off route
+const OFF_ROUTE_METERS = parseInt(process.env.PACK_OFF_ROUTE_METERS) || 250;
+// Stationary this long mid-ride triggers member_stopped
+const STOPPED_MINUTES = parseFloat(process.env.PACK_STOPPED_MINUTES) || 5;
+// Movement under this radius counts as stationary (GPS drift)
+const STATIONARY_RADIUS_METERS = 30;
+// The same warning is not repeated for a rider more often than this
+const WARNING_COOLDOWN_MS = 2 * 60 * 1000;
+const STOPPED_CHECK_INTERVAL_MS = 30 * 1000;
+
+// packId -> { packId, leaderId, sweepId, route, startedAt, members: Map(userId -> member) }
+const packSessions = new Map();
+let stoppedTimer = null;
+
+// Required lazily because socketService depends on this module. Events about one rider's
+// position (`aboutUserId`) skip pack mates blocked either way with them.
+function emitToPack(packId, event, data, aboutUserId = null) {
+  const io = require('./socketService').getIO();
+  if (!io) return;
+  if (!aboutUserId) {
+    io.to(`pack:${packId}`).emit(event, data);
+    return;
+  }
+  blockedUserRooms(aboutUserId)
+    .then(hiddenFrom => io.to(`pack:${packId}`).except(hiddenFrom).emit(event, data))
+    .catch(error => console.error(`Pack ${event} broadcast error:`, error));
+}
+
+// Session state sent to each member's own room, leaving out pack mates blocked either way
+// with them. Riders who blocked each other may already have shared the pack.
+async function emitSessionToMembers(session, event) {
+  const io = require('./socketService').getIO();
+  if (!io) return;
+  for (const member of session.members.values()) {
+    const hiddenUserIds = await getBlockedUserIds(member.userId);
+    io.to(`user:${member.userId}`).emit(event, describeSession(session, hiddenUserIds));
+  }
+}
+
+// Planned route as points with cumulative distance, or null if it has fewer than two usable points
+function buildRoute(plannedRoute) {
+  let route = plannedRoute;
+  if (typeof route === 'string') {
+    try {
+      route = JSON.parse(route);
+    } catch (e) {
+      return null;
+    }
+  }
+  const waypoints = (route && Array.isArray(route.waypoints) ? route.waypoints : [])
+    .map(point => ({ latitude: parseFloat(point.latitude), longitude: parseFloat(point.longitude) }))
+    .filter(point => isValidCoordinate(point.latitude, point.longitude));
+  if (waypoints.length < 2) return null;
+
+  let cumulativeKm = 0;
+  return waypoints.map((point, index) => {
+    if (index > 0) {
+      const previous = waypoints[index - 1];
+      cumulativeKm += haversineKm(previous.latitude, previous.longitude, point.latitude, point.longitude);
+    }
+    return { ...point, cumulativeKm };
+  });
+}
+
+// Distance travelled along the route to the closest point on it, and how far off it the rider is
+function locateOnRoute(route, position) {
+  let best = null;
+  for (let i = 1; i < route.length; i++) {
+    const a = route[i - 1];
+    const b = route[i];
+    const { offsetMeters, fraction } = projectOntoSegment(position, a, b);
+    if (!best || offsetMeters < best.offRouteMeters) {
+      best = {
+        progressKm: a.cumulativeKm + (b.cumulativeKm - a.cumulativeKm) * fraction,
+        offRouteMeters: offsetMeters
+      };
+    }
+  }
+  return best;
+}
+
+function toMemberState(row) {
+  return {
+    userId: row.user_id,
+    username: row.username,
+    role: row.role,
+    position: null,
+    speed: null,
+    heading: null,
+    updatedAt: null,
+    progressKm: null,
+    offRouteMeters: null,
+    anchor: null,
+    lastMovedAt: null,
+    stoppedNotified: false,
+    lastWarnings: {}
+  };
+}
+
+// The sweep rides at the back: an explicit choice wins, then a co-leader, then the
+// most recent joiner who is not the leader
+function pickSweep(members, leaderId, requestedSweepId) {
+  const candidates = members.filter(member => member.user_id !== leaderId);
+  const requested = candidates.find(member => member.user_id === Number(requestedSweepId));
+  if (requested) return requested.user_id;
+  const coLeader = candidates.find(member => member.role === 'co_leader');
+  if (coLeader) return coLeader.user_id;
+  return candidates.length > 0 ? candidates[candidates.length - 1].user_id : null;
+}
+
+// `hiddenUserIds` are riders the viewer must not see (blocked either way)
+function describeSession(session, hiddenUserIds = []) {
+  return {
+    packId: session.packId,
+    leaderId: session.leaderId,
+    sweepId: session.sweepId,
+    hasRoute: Boolean(session.route),
+    startedAt: session.startedAt,
+    members: Array.from(session.members.values())
+      .filter(member => !hiddenUserIds.includes(Number(member.userId)))
+      .map(member => ({
+        userId: member.userId,
+        username: member.username,
+        role: member.userId === session.leaderId ? 'leader' : member.userId === session.sweepId ? 'sweep' : 'member',
+        location: member.position,
+        speed: member.speed,
+        heading: member.heading,
+        updatedAt: member.updatedAt,
+        progressKm: member.progressKm,
+        offRoute: member.offRouteMeters !== null && member.offRouteMeters > OFF_ROUTE_METERS
+      }))
+  };
+}
+
+// Load a riding pack into memory and announce the leader and sweep to each member.
+// Returns the session as `viewerId` may see it.
+async function startPackSession(packId, { sweepUserId, viewerId = null } = {}) {
+  const id = Number(packId);
+  const pack = await get('SELECT id, created_by, planned_route, sweep_user_id, start_time FROM riding_packs WHERE id = ?', [id]);
+  if (!pack) return null;
+
+  const members = await query(`
+    SELECT pm.user_id, pm.role, u.username
+    FROM pack_members pm
+    JOIN users u ON pm.user_id = u.id
+    WHERE pm.pack_id = ? AND pm.status = 'active'
+    ORDER BY pm.joined_at ASC
+  `, [id]);
+
+  const leader = members.find(member => member.role === 'leader');
+  const leaderId = leader ? leader.user_id : pack.created_by;
+  const sweepId = pickSweep(members, leaderId, sweepUserId || pack.sweep_user_id);
+
+  if (sweepId !== pack.sweep_user_id) {
+    await run('UPDATE riding_packs SET sweep_user_id = ? WHERE id = ?', [sweepId, id]);
+  }
+
+  const session = {
+    packId: id,
+    leaderId,
+    sweepId,
+    route: buildRoute(pack.planned_route),
+    startedAt: pack.start_time || new Date(),
+    members: new Map(members.map(member => [member.user_id, toMemberState(member)]))
+  };
+  packSessions.set(id, session);
+  startStoppedChecks();
+
+  emitSessionToMembers(session, 'pack_session_started')
+    .catch(error => console.error('Pack session broadcast error:', error));
+  console.log(`🏍️ Pack ${id} session started (leader ${leaderId}, sweep ${sweepId || 'none'})`);
+
+  return describeSession(session, viewerId ? await getBlockedUserIds(viewerId) : []);
+}
+
+function endPackSession(packId) {
+  const id = Number(packId);
+  if (!packSessions.delete(id)) return false;
+  emitToPack(id, 'pack_session_ended', { packId: id });
+  if (packSessions.size === 0) stopStoppedChecks();
+  return true;
+}
+
+// The live session as `viewerId` may see it, or null when the pack is not riding
+async function getPackSession(packId, viewerId) {
+  const session = packSessions.get(Number(packId));
+  if (!session) return null;
+  return describeSession(session, await getBlockedUserIds(viewerId));
+}
+
+// Bring a rider who joins mid-ride into the live session and send them its current state.
+// `member` is a pack_members row with the rider's username.
+async function addPackSessionMember(packId, member) {
+  const session = packSessions.get(Number(packId));
+  if (!session || session.members.has(member.user_id)) return;
+  session.members.set(member.user_id, toMemberState(member));
+
+  const io = require('./socketService').getIO();
+  if (io) {
+    const hiddenUserIds = await getBlockedUserIds(member.user_id);
+    io.to(`user:${member.user_id}`).emit('pack_session_started', describeSession(session, hiddenUserIds));
+  }
+}
+
+// Drop a rider who leaves mid-ride from the live session
+function removePackSessionMember(packId, userId) {
+  const session = packSessions.get(Number(packId));
+  if (!session) return;
+  session.members.delete(userId);
+}
+
+// Emit at most once per cooldown per member and reason
+function warn(session, member, reason, details) {
+  const now = Date.now();
+  if (member.lastWarnings[reason] && now - member.lastWarnings[reason] < WARNING_COOLDOWN_MS) return;
+  member.lastWarnings[reason] = now;
+  emitToPack(session.packId, 'pack_gap_warning', {
+    packId: session.packId,
+    userId: member.userId,
+    username: member.username,
+    reason,
+    leaderId: session.leaderId,
+    sweepId: session.sweepId,
+    location: member.position,
+    timestamp: new Date(now).toISOString(),
+    ...details
+  }, member.userId);
+}
+
+function evaluateGap(session, member) {
+  if (session.route && member.offRouteMeters > OFF_ROUTE_METERS) {
+    warn(session, member, 'off_route', { offRouteMeters: Math.round(member.offRouteMeters) });
+  } else if (member.offRouteMeters !== null && member.offRouteMeters <= OFF_ROUTE_METERS) {
+    delete member.lastWarnings.off_route;
+  }
+
+  const leader = session.members.get(session.leaderId);
+  if (member.userId === session.leaderId || !leader || !leader.position) return;
+
+  // Along the route when both riders are on it, straight-line otherwise
+  const gapKm = session.route && member.progressKm !== null && leader.progressKm !== null &&
+    member.offRouteMeters <= OFF_ROUTE_METERS && leader.offRouteMeters <= OFF_ROUTE_METERS
+    ? leader.progressKm - member.progressKm
+    : haversineKm(member.position.latitude, member.position.longitude, leader.position.latitude, leader.position.longitude);
+
+  // Speeds arrive from the app in m/s; below walking pace there is no meaningful time gap
+  const gapMinutes = leader.speed > 1 ? (gapKm * 1000 / leader.speed) / 60 : null;
+
+  if (gapKm > GAP_KM || (gapMinutes !== null && gapMinutes > GAP_MINUTES)) {
+    warn(session, member, 'behind', {
+      gapKm: Math.round(gapKm * 100) / 100,
+      gapMinutes: gapMinutes !== null ? Math.round(gapMinutes * 10) / 10 : null
+    });
+  } else {
+    delete member.lastWarnings.behind;
+  }
+}
+
+function checkStopped(session, member, now) {
+  if (!member.lastMovedAt || member.stoppedNotified) return;
+  const stoppedMs = now - member.lastMovedAt;
+  if (stoppedMs < STOPPED_MINUTES * 60 * 1000) return;
+
+  member.stoppedNotified = true;
+  emitToPack(session.packId, 'member_stopped', {
+    packId: session.packId,
+    userId: member.userId,
+    username: member.username,
+    location: member.position,
+    stoppedMinutes: Math.round(stoppedMs / 6000) / 10,
+    timestamp: new Date(now).toISOString()
+  }, member.userId);
+}
+
+// Feed a location update into every live session the rider belongs to
+function updateMemberPosition(userId, { latitude, longitude, speed, heading }) {
+  const position = { latitude: parseFloat(latitude), longitude: parseFloat(longitude) };
+  if (!isValidCoordinate(position.latitude, position.longitude)) return;
+  const now = Date.now();
+
+  for (const session of packSessions.values()) {
+    const member = session.members.get(userId);
+    if (!member) continue;
+
+    member.position = position;
+    member.speed = Number.isFinite(parseFloat(speed)) ? parseFloat(speed) : null;
+    member.heading = Number.isFinite(parseFloat(heading)) ? parseFloat(heading) : null;
+    member.updatedAt = new Date(now).toISOString();
+
+    if (session.route) {
+      const located = locateOnRoute(session.route, position);
+      member.progressKm = located.progressKm;
+      member.offRouteMeters = located.offRouteMeters;
+    }
+
+    // The stop clock only runs once the rider has got moving, so the wait at the
+    // meeting point does not count
+    if (!member.anchor) {
+      member.anchor = position;
+    } else if (haversineKm(member.anchor.latitude, member.anchor.longitude, position.latitude, position.longitude) * 1000 > STATIONARY_RADIUS_METERS) {
+      member.anchor = position;
+      member.lastMovedAt = now;
+      member.stoppedNotified = false;
+    }
+
+    evaluateGap(session, member);
+    checkStopped(session, member, now);
+  }
+}
+
+// Riders who stop sending updates altogether still need member_stopped
+function startStoppedChecks() {
+  if (stoppedTimer) return;
+  stoppedTimer = setInterval(() => {
+    const now = Date.now();
+    for (const session of packSessions.values()) {
+      for (const member of session.members.values()) {
+        checkStopped(session, member, now);
+      }
+    }
+  }, STOPPED_CHECK_INTERVAL_MS);
+  stoppedTimer.unref();
+}
+
+function stopStoppedChecks() {
+  clearInterval(stoppedTimer);
+  stoppedTimer = null;
+}
+
+// Rebuild sessions for packs that were riding when the server last stopped
+async function resumePackSessions() {
+  const packs = await query("SELECT id FROM riding_packs WHERE status = 'riding'");
+  for (const pack of packs) {
+    await startPackSession(pack.id);
+  }
+  if (packs.length > 0) {
+    console.log(`🏍️ Resumed ${packs.length} pack session(s)`);
+  }
+}
+
+module.exports = {
+  startPackSession,
+  endPackSession,
+  getPackSession,
+  addPackSessionMember,
+  removePackSessionMember,
+  updateMemberPosition,
+  resumePackSessions
+};
@@ -0,0 +1,213 @@
+const { get, run } = require('../database/connection');
+const cacheService = require('./cacheService');
+const { createNotification, notifyMentions } = require('./notificationService');
+const { fanOutPost } = require('./timelineService');
+const { indexPostHashtags } = require('./hashtagService');
+const { notBlockedSql } = require('./blockService');
+
+const POST_VISIBILITIES = ['public', 'followers', 'pack', 'private'];
+
+// Joined before VISIBLE_POST_WHERE; binds the viewer's id, which later conditions can
+// read back as viewer.id without binding it again
+const VISIBILITY_JOIN = `
+  CROSS JOIN (SELECT ? as id) viewer
+  LEFT JOIN followers f ON f.follower_id = viewer.id AND f.following_id = p.user_id AND f.status = 'active'
+`;
+
+// Whether viewer ? can see post p by author u; binds the viewer's id twice. Who can see
+// a post is the stricter of the post's visibility and the author's account privacy:
+// 'public' reaches everyone for public accounts and followers otherwise, 'followers'
+// reaches followers only, 'pack' reaches the author's active pack mates only and
+// 'private' stays with the author. Deleted posts are hidden from everyone, posts hidden by moderation from
+// everyone but the author, and posts are hidden both ways between riders when either has
+// blocked the other.
+const VISIBLE_POST_WHERE = `
+  p.is_deleted = FALSE
+  AND ${notBlockedSql('p.user_id', 'viewer.id')}
+  AND (
+    p.user_id = ?
+    OR (
+      p.hidden_at IS NULL AND p.visibility <> 'private' AND u.privacy_level <> 'private'
+      AND (
+        (p.visibility = 'public' AND u.privacy_level = 'public')
+        OR (f.id IS NOT NULL AND p.visibility IN ('public', 'followers'))
+        OR (
+          p.visibility = 'pack'
+          AND p.user_id IN (
+            SELECT theirs.user_id
+            FROM pack_members mine
+            JOIN pack_members theirs ON theirs.pack_id = mine.pack_id
+            WHERE mine.user_id = ? AND mine.status = 'active' AND theirs.status = 'active'
+          )
+        )
+      )
+    )
+  )
+`;
+
+// The post row if the viewer may see it, otherwise null
+async function getVisiblePost(viewerId, postId) {
+  return get(`
+    SELECT p.*
+    FROM posts p
+    JOIN users u ON p.user_id = u.id
+    ${VISIBILITY_JOIN}
+    WHERE p.id = ? AND ${VISIBLE_POST_WHERE}
+  `, [viewerId, postId, viewerId, viewerId]);
+}
+
+async function getOwnPost(userId, postId) {
+  const post = await get('SELECT * FROM posts WHERE id = ? AND is_deleted = FALSE', [postId]);
+  if (!post) {
+    return { error: 'Post not found', status: 404 };
+  }
+  if (Number(post.user_id) !== Number(userId)) {
+    return { error: 'You can only change your own posts', status: 403 };
+  }
+  return { post };
+}
+
+// Author-only partial update of content and visibility. Returns { postId } or { error, status }.
+async function updatePost(user, postId, { content, visibility }) {
+  if (content !== undefined && content !== null && typeof content !== 'string') {
+    return { error: 'content must be a string', status: 400 };
+  }
+  if (visibility !== undefined && !POST_VISIBILITIES.includes(visibility)) {
+    return { error: `visibility must be one of: ${POST_VISIBILITIES.join(', ')}`, status: 400 };
+  }
+
+  const { post, error, status } = await getOwnPost(user.id, postId);
+  if (error) {
+    return { error, status };
+  }
+
+  const nextContent = content !== undefined ? (content || '').trim() : post.content;
+  const nextVisibility = visibility !== undefined ? visibility : post.visibility;
+  if (!nextContent && !post.image_url && !post.video_url && !post.shared_from_post_id) {
+    return { error: 'Post must have content, image, or video', status: 400 };
+  }
+
+  const contentChanged = nextContent !== post.content;
+  if (!contentChanged && nextVisibility === post.visibility) {
+    return { postId: post.id };
+  }
+
+  await run(`
+    UPDATE posts
+    SET content = ?, visibility = ?, edited_at = ${contentChanged ? 'NOW()' : 'edited_at'}, updated_at = NOW()
+    WHERE id = ?
+  `, [nextContent, nextVisibility, post.id]);
+  await cacheService.invalidatePostCache(post.id);
+
+  // Riders who lost access skip the post when their timeline is read; anyone who
+  // gained access needs it pushed out
+  if (nextVisibility !== post.visibility) {
+    fanOutPost(post.id).catch(error => console.error('Timeline fan-out error:', error));
+  }
+  if (contentChanged) {
+    await indexPostHashtags(post.id, post.user_id, nextContent, post.created_at);
+    await notifyMentions({
+      text: nextContent,
+      previousText: post.content,
+      actorId: user.id,
+      actorUsername: user.username,
+      where: 'a post',
+      data: { postId: post.id }
+    });
+  }
+
+  return { postId: post.id };
+}
+
+// Soft delete; the count triggers follow is_deleted and timelines skip the post when read.
+// shares_count is kept here because a trigger on posts cannot update posts.
+async function deletePost(userId, postId) {
+  const { post, error, status } = await getOwnPost(userId, postId);
+  if (error) {
+    return { error, status };
+  }
+
+  await run('UPDATE posts SET is_deleted = TRUE, deleted_at = NOW() WHERE id = ?', [post.id]);
+  if (post.shared_from_post_id) {
+    await run('UPDATE posts SET shares_count = GREATEST(shares_count - 1, 0) WHERE id = ?', [post.shared_from_post_id]);
+    await cacheService.invalidatePostCache(post.shared_from_post_id);
+  }
+  await cacheService.invalidatePostCache(post.id);
+  return { deleted: true };
+}
+
+// Reshare a post with an optional caption. Resharing a reshare shares its original, and
+// only public posts from public accounts can be reshared. Returns { postId } or { error, status }.
+async function sharePost(user, postId, { caption, visibility = 'public' } = {}) {
+  if (caption !== undefined && caption !== null && typeof caption !== 'string') {
+    return { error: 'caption must be a string', status: 400 };
+  }
+  if (!POST_VISIBILITIES.includes(visibility)) {
+    return { error: `visibility must be one of: ${POST_VISIBILITIES.join(', ')}`, status: 400 };
+  }
+
+  let post = await getVisiblePost(user.id, postId);
+  if (post && post.shared_from_post_id) {
+    post = await getVisiblePost(user.id, post.shared_from_post_id);
+  }
+  if (!post) {
+    return { error: 'Post not found', status: 404 };
+  }
+
+  const author = await get('SELECT username, privacy_level FROM users WHERE id = ?', [post.user_id]);
+  if (post.visibility !== 'public' || author.privacy_level !== 'public') {
+    return { error: 'Only public posts can be reshared', status: 403 };
+  }
+  if (Number(post.user_id) === Number(user.id)) {
+    return { error: 'You cannot reshare your own post', status: 400 };
+  }
+
+  const existing = await get(
+    'SELECT id FROM posts WHERE user_id = ? AND shared_from_post_id = ? AND is_deleted = FALSE',
+    [user.id, post.id]
+  );
+  if (existing) {
+    return { error: 'You have already reshared this post', status: 409 };
+  }
+
+  const text = (caption || '').trim();
+  const result = await run(`
+    INSERT INTO posts (user_id, content, shared_from_post_id, visibility, created_at, updated_at)
+    VALUES (?, ?, ?, ?, NOW(), NOW())
+  `, [user.id, text, post.id, visibility]);
+  await run('UPDATE posts SET shares_count = shares_count + 1 WHERE id = ?', [post.id]);
+  await cacheService.invalidatePostCache(post.id);
+  await indexPostHashtags(result.insertId, user.id, text);
+
+  fanOutPost(result.insertId).catch(error => console.error('Timeline fan-out error:', error));
+
+  await createNotification({
+    userId: post.user_id,
+    actorId: user.id,
+    type: 'share',
+    title: 'New reshare',
+    message: `${user.username} reshared your post`,
+    data: { postId: post.id, sharePostId: result.insertId }
+  });
+  if (text) {
+    await notifyMentions({
+      text,
+      actorId: user.id,
+      actorUsername: user.username,
+      where: 'a post',
+      data: { postId: result.insertId }
+    });
+  }
+
+  return { postId: result.insertId };
+}
+
+module.exports = {
+  POST_VISIBILITIES,
+  VISIBILITY_JOIN,
+  VISIBLE_POST_WHERE,
+  getVisiblePost,
+  updatePost,
+  deletePost,
+  sharePost
+};
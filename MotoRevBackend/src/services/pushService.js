@@ -0,0 +1,73 @@
+const { query, run } = require('../database/connection');
+const { getTransport } = require('./transports');
+const { canDeliver } = require('./notificationPreferenceService');
+
+// Notification types that are also delivered as APNs pushes
+const PUSH_NOTIFICATION_TYPES = ['emergency', 'pack_invite', 'mention', 'maintenance_reminder'];
+// Shown even in Focus modes
+const TIME_SENSITIVE_TYPES = ['emergency'];
+
+// Send an APNs push to every device a rider has registered. Tokens APNs reports as
+// invalid are deleted. Returns counts; nothing is sent when the rider's notification
+// preferences or quiet hours hold it back. `sourceUserId` is whoever caused the push;
+// `preferences` may be passed when the caller has already loaded them.
+async function sendPushToUser(userId, { title, body, data = {} }, { sourceUserId = null, preferences } = {}) {
+  const result = { sent: 0, failed: 0, pruned: 0, ids: [] };
+
+  if (!(await canDeliver(userId, { channel: 'push', type: data.type, sourceUserId, preferences }))) {
+    return result;
+  }
+
+  const tokens = await query('SELECT id, token FROM push_tokens WHERE user_id = ?', [userId]);
+  if (tokens.length === 0) {
+    return result;
+  }
+
+  const transport = getTransport('apns');
+  for (const { id, token } of tokens) {
+    try {
+      const response = await transport.send({
+        to: token,
+        subject: title,
+        body,
+        data,
+        timeSensitive: TIME_SENSITIVE_TYPES.includes(data.type)
+      });
+      result.sent++;
+      if (response?.id) result.ids.push(response.id);
+    } catch (error) {
+      if (error.invalidToken) {
+        await run('DELETE FROM push_tokens WHERE id = ?', [id]);
+        result.pruned++;
+        console.log(`📵 Removed invalid push token for user ${userId} (${error.reason || error.status})`);
+      } else {
+        result.failed++;
+        console.error(`Push delivery to user ${userId} failed:`, error.message);
+      }
+    }
+  }
+
+  return result;
+}
+
+// Push a stored notification if its type warrants one, with the recipient's preferences
+// when the caller already has them. Never throws.
+async function dispatchPush(userId, notification, preferences) {
+  if (!PUSH_NOTIFICATION_TYPES.includes(notification.type)) return null;
+  try {
+    return await sendPushToUser(userId, {
+      title: notification.title,
+      body: notification.message || '',
+      data: { ...(notification.data || {}), type: notification.type, notificationId: notification.id }
+    }, { sourceUserId: notification.actor?.id, preferences });
+  } catch (error) {
+    console.error(`Push dispatch error (${notification.type} for user ${userId}):`, error);
+    return null;
+  }
+}
+
+module.exports = {
+  PUSH_NOTIFICATION_TYPES,
+  sendPushToUser,
+  dispatchPush
+};
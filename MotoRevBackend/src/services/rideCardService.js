@@ -0,0 +1,121 @@
+const { query, run } = require('../database/connection');
+const { haversineKm, simplifyPath } = require('../utils/geo');
+const { normalizeTrackPoint, encodePolyline } = require('../utils/routeFormats');
+
+// Feed cards carry a small polyline; the full route stays behind /api/rides
+const RIDE_CARD_MAX_POINTS = 100;
+// Route points this close to the start or end are hidden from everyone but the owner,
+// so a shared ride does not give away where the rider lives
+const RIDE_PRIVACY_RADIUS_METERS = parseInt(process.env.RIDE_PRIVACY_RADIUS_METERS) || 200;
+
+function parseRoute(routeData) {
+  let route = [];
+  try {
+    route = JSON.parse(routeData || '[]');
+  } catch (error) {
+    return [];
+  }
+  return (Array.isArray(route) ? route : []).map(normalizeTrackPoint).filter(Boolean);
+}
+
+function metersBetween(a, b) {
+  return haversineKm(a.latitude, a.longitude, b.latitude, b.longitude) * 1000;
+}
+
+// Drop the points within `radiusMeters` of either end of the route
+function trimPrivacyZones(points, radiusMeters) {
+  if (points.length === 0 || radiusMeters <= 0) return points;
+  const start = points[0];
+  const end = points[points.length - 1];
+  let first = 0;
+  while (first < points.length && metersBetween(points[first], start) < radiusMeters) first++;
+  let last = points.length - 1;
+  while (last >= first && metersBetween(points[last], end) < radiusMeters) last--;
+  return points.slice(first, last + 1);
+}
+
+function cardRoute(points) {
+  const simplified = simplifyPath(points, RIDE_CARD_MAX_POINTS);
+  return simplified.length >= 2 ? {
+    polyline: encodePolyline(simplified),
+    pointCount: simplified.length
+  } : null;
+}
+
+// The card's route as the owner sees it and as everyone else does, simplified once and
+// kept in completed_rides.card_routes (a completed ride's route never changes)
+async function storeCardRoutes(ride) {
+  const points = parseRoute(ride.route_data);
+  const routes = {
+    owner: cardRoute(points),
+    shared: cardRoute(trimPrivacyZones(points, RIDE_PRIVACY_RADIUS_METERS))
+  };
+  await run('UPDATE completed_rides SET card_routes = ? WHERE id = ?', [JSON.stringify(routes), ride.id]);
+  return routes;
+}
+
+function parseCardRoutes(cardRoutes) {
+  try {
+    return JSON.parse(cardRoutes);
+  } catch (error) {
+    return null;
+  }
+}
+
+function formatRideCard(ride, routes, viewerId) {
+  return {
+    id: ride.id,
+    rideType: ride.ride_type,
+    startTime: ride.start_time,
+    endTime: ride.end_time,
+    duration: ride.duration,
+    distance: ride.distance,
+    averageSpeed: ride.average_speed,
+    maxSpeed: ride.max_speed,
+    route: (Number(ride.user_id) === Number(viewerId) ? routes.owner : routes.shared) || null,
+    bike: ride.bike_id ? {
+      id: ride.bike_id,
+      name: ride.bike_name,
+      year: ride.bike_year,
+      make: ride.bike_make,
+      model: ride.bike_model
+    } : null
+  };
+}
+
+// Ride cards for a batch of post rows, keyed by completed ride id. A card is only built
+// when the ride still exists and belongs to the post's author; who may see the post
+// (and so the card) is decided by the post's visibility. The full route is only loaded
+// for rides whose card routes have not been stored yet, i.e. on a card's first load.
+async function loadRideCards(viewerId, posts) {
+  const wanted = posts.filter(post => post.completed_ride_id);
+  const cards = new Map();
+  if (wanted.length === 0) return cards;
+
+  const ids = [...new Set(wanted.map(post => post.completed_ride_id))];
+  const rides = await query(`
+    SELECT cr.id, cr.user_id, cr.ride_type, cr.start_time, cr.end_time, cr.duration,
+           cr.distance, cr.average_speed, cr.max_speed, cr.card_routes, cr.bike_id,
+           CASE WHEN cr.card_routes IS NULL THEN cr.route_data END as route_data,
+           b.name as bike_name, b.year as bike_year, b.make as bike_make, b.model as bike_model
+    FROM completed_rides cr
+    LEFT JOIN bikes b ON cr.bike_id = b.id
+    WHERE cr.id IN (${ids.map(() => '?').join(', ')})
+  `, ids);
+  const byId = new Map(rides.map(ride => [ride.id, ride]));
+
+  for (const post of wanted) {
+    const ride = byId.get(post.completed_ride_id);
+    if (ride && Number(ride.user_id) === Number(post.user_id)) {
+      if (!ride.routes) {
+        ride.routes = ride.card_routes ? parseCardRoutes(ride.card_routes) || {} : await storeCardRoutes(ride);
+      }
+      cards.set(post.completed_ride_id, formatRideCard(ride, ride.routes, viewerId));
+    }
+  }
+  return cards;
+}
+
+module.exports = {
+  loadRideCards
+};
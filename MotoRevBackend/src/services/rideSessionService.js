@@ -0,0 +1,330 @@
+const { query, get, run } = require('../database/connection');
+const { haversineKm, kmToMiles, isValidCoordinate } = require('../utils/geo');
+const { clearHazardAlerts } = require('./hazardAlertService');
+
+// Breadcrumbs are buffered per ride and written in one multi-row INSERT
+const BREADCRUMB_BATCH_SIZE = 25;
+const BREADCRUMB_FLUSH_MS = 5 * 1000;
+// Segments faster than this (m/s, ~200 mph) are GPS jumps and are left out of the stats
+const MAX_PLAUSIBLE_SPEED_MPS = 90;
+// completed_rides.route_data is TEXT, so the stored route is downsampled
+const MAX_ROUTE_POINTS = 500;
+const MPS_TO_MPH = 2.236936;
+
+// rideId -> { userId, points: [], timer }
+const breadcrumbBuffers = new Map();
+// `${rideId}:${userId}` -> in-flight lookup creating that ride's buffer
+const bufferLookups = new Map();
+
+async function getActiveRide(userId) {
+  return get(
+    "SELECT * FROM rides WHERE user_id = ? AND status = 'active' ORDER BY start_time DESC LIMIT 1",
+    [userId]
+  );
+}
+
+// Open a ride session. Returns null when the rider already has one in progress.
+async function startRide(userId, { title, rideType, latitude, longitude, locationName } = {}) {
+  if (await getActiveRide(userId)) {
+    return null;
+  }
+
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  const hasStart = isValidCoordinate(lat, lng);
+
+  const result = await run(`
+    INSERT INTO rides (
+      user_id, title, ride_type, start_time, start_location_lat, start_location_lng,
+      start_location_name, status
+    ) VALUES (?, ?, ?, NOW(), ?, ?, ?, 'active')
+  `, [
+    userId,
+    title || null,
+    rideType || 'Solo',
+    hasStart ? lat : null,
+    hasStart ? lng : null,
+    locationName || null
+  ]);
+
+  return get('SELECT * FROM rides WHERE id = ?', [result.insertId]);
+}
+
+function parseTimestamp(value) {
+  if (value === undefined || value === null) return new Date();
+  const date = new Date(typeof value === 'number' ? value : String(value));
+  return Number.isNaN(date.getTime()) ? new Date() : date;
+}
+
+function optionalNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+async function flushBreadcrumbs(rideId) {
+  const buffer = breadcrumbBuffers.get(rideId);
+  if (!buffer || buffer.points.length === 0) return 0;
+
+  clearTimeout(buffer.timer);
+  buffer.timer = null;
+  const points = buffer.points.splice(0);
+
+  const placeholders = points.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+  const params = [];
+  for (const point of points) {
+    params.push(
+      rideId, buffer.userId, point.latitude, point.longitude, point.altitude,
+      point.speed, point.heading, point.accuracy, point.timestamp
+    );
+  }
+
+  try {
+    await run(`
+      INSERT INTO location_updates (
+        ride_id, user_id, latitude, longitude, altitude, speed, heading, accuracy, timestamp
+      ) VALUES ${placeholders}
+    `, params);
+  } catch (error) {
+    // Put the points back so the next flush (or endRide) retries them
+    buffer.points.unshift(...points);
+    throw error;
+  }
+
+  return points.length;
+}
+
+async function flushAllBreadcrumbs() {
+  for (const rideId of breadcrumbBuffers.keys()) {
+    await flushBreadcrumbs(rideId).catch(error => {
+      console.error(`Breadcrumb flush error for ride ${rideId}:`, error);
+    });
+  }
+}
+
+// The buffer for a rider's active ride, or null when the ride is not theirs or not active.
+// Concurrent first batches share one lookup, so none of them replaces a buffer another
+// has already added points to.
+async function getBreadcrumbBuffer(rideId, userId) {
+  const buffer = breadcrumbBuffers.get(rideId);
+  if (buffer && buffer.userId === userId) return buffer;
+
+  const key = `${rideId}:${userId}`;
+  if (!bufferLookups.has(key)) {
+    const lookup = get(
+      "SELECT id FROM rides WHERE id = ? AND user_id = ? AND status = 'active'",
+      [rideId, userId]
+    ).then(ride => {
+      if (!ride) return null;
+      const current = breadcrumbBuffers.get(rideId);
+      if (current && current.userId === userId) return current;
+      const created = { userId, points: [], timer: null };
+      breadcrumbBuffers.set(rideId, created);
+      return created;
+    }).finally(() => bufferLookups.delete(key));
+    bufferLookups.set(key, lookup);
+  }
+  return bufferLookups.get(key);
+}
+
+// Queue breadcrumbs for a rider's active ride. Points for rides that are not the
+// rider's, or are no longer active, are dropped. Returns the number of points accepted.
+async function recordBreadcrumbs(userId, rideId, points) {
+  const id = parseInt(rideId);
+  const buffer = await getBreadcrumbBuffer(id, userId);
+  if (!buffer) return 0;
+
+  let accepted = 0;
+  for (const point of points) {
+    const latitude = parseFloat(point.latitude);
+    const longitude = parseFloat(point.longitude);
+    if (!isValidCoordinate(latitude, longitude)) continue;
+
+    buffer.points.push({
+      latitude,
+      longitude,
+      altitude: optionalNumber(point.altitude),
+      speed: optionalNumber(point.speed),
+      heading: optionalNumber(point.heading),
+      accuracy: optionalNumber(point.accuracy),
+      timestamp: parseTimestamp(point.timestamp)
+    });
+    accepted++;
+  }
+
+  if (buffer.points.length >= BREADCRUMB_BATCH_SIZE) {
+    await flushBreadcrumbs(id);
+  } else if (buffer.points.length > 0 && !buffer.timer) {
+    buffer.timer = setTimeout(() => {
+      flushBreadcrumbs(id).catch(error => console.error(`Breadcrumb flush error for ride ${id}:`, error));
+    }, BREADCRUMB_FLUSH_MS);
+  }
+
+  return accepted;
+}
+
+// Distance, max and average speed from the stored breadcrumbs rather than the client's summary
+function computeRideStats(breadcrumbs, durationSeconds) {
+  let distanceMeters = 0;
+  let maxSpeedMps = 0;
+
+  // A point reached implausibly fast is dropped and the next one measured from the last good point
+  let previous = breadcrumbs[0];
+  for (let i = 1; i < breadcrumbs.length; i++) {
+    const current = breadcrumbs[i];
+    const segmentMeters = haversineKm(
+      parseFloat(previous.latitude), parseFloat(previous.longitude),
+      parseFloat(current.latitude), parseFloat(current.longitude)
+    ) * 1000;
+    const segmentSeconds = (new Date(current.timestamp) - new Date(previous.timestamp)) / 1000;
+
+    if (segmentSeconds > 0 && segmentMeters / segmentSeconds > MAX_PLAUSIBLE_SPEED_MPS) continue;
+    distanceMeters += segmentMeters;
+    if (segmentSeconds >= 1) {
+      maxSpeedMps = Math.max(maxSpeedMps, segmentMeters / segmentSeconds);
+    }
+    previous = current;
+  }
+
+  const averageSpeedMps = durationSeconds > 0 ? distanceMeters / durationSeconds : 0;
+
+  return {
+    distanceMeters: Math.round(distanceMeters),
+    durationSeconds,
+    maxSpeedMph: Math.round(maxSpeedMps * MPS_TO_MPH * 10) / 10,
+    averageSpeedMph: Math.round(averageSpeedMps * MPS_TO_MPH * 10) / 10
+  };
+}
+
+function downsampleRoute(breadcrumbs) {
+  const step = Math.max(1, Math.ceil(breadcrumbs.length / MAX_ROUTE_POINTS));
+  const route = breadcrumbs.filter((_, index) => index % step === 0);
+  const last = breadcrumbs[breadcrumbs.length - 1];
+  if (last && route[route.length - 1] !== last) route.push(last);
+  return route.map(point => ({
+    latitude: parseFloat(point.latitude),
+    longitude: parseFloat(point.longitude),
+    speed: point.speed !== null ? parseFloat(point.speed) : null,
+    timestamp: new Date(point.timestamp).toISOString()
+  }));
+}
+
+// The rider's own bike when bikeId names one, otherwise their primary bike (or null)
+async function resolveBikeId(userId, bikeId) {
+  if (bikeId) {
+    const bike = await get('SELECT id FROM bikes WHERE id = ? AND user_id = ?', [bikeId, userId]);
+    if (bike) return bike.id;
+  }
+  const primary = await get(
+    'SELECT id FROM bikes WHERE user_id = ? ORDER BY is_primary DESC, id ASC LIMIT 1',
+    [userId]
+  );
+  return primary ? primary.id : null;
+}
+
+// Close a ride session: flush breadcrumbs, compute the summary server-side, update the
+// rides row and write the completed_rides record. Returns null if there is no such active ride.
+async function endRide(userId, rideId, { safetyScore, bikeId } = {}) {
+  const id = parseInt(rideId);
+  const ride = await get(
+    "SELECT * FROM rides WHERE id = ? AND user_id = ? AND status = 'active'",
+    [id, userId]
+  );
+  if (!ride) return null;
+
+  await flushBreadcrumbs(id);
+  breadcrumbBuffers.delete(id);
+  clearHazardAlerts(userId, id);
+
+  const breadcrumbs = await query(`
+    SELECT latitude, longitude, speed, timestamp
+    FROM location_updates
+    WHERE ride_id = ?
+    ORDER BY timestamp ASC, id ASC
+  `, [id]);
+
+  const endTime = new Date();
+  const durationSeconds = Math.max(0, Math.round((endTime - new Date(ride.start_time)) / 1000));
+  const stats = computeRideStats(breadcrumbs, durationSeconds);
+  const route = downsampleRoute(breadcrumbs);
+  const first = breadcrumbs[0];
+  const last = breadcrumbs[breadcrumbs.length - 1];
+  const distanceMiles = kmToMiles(stats.distanceMeters / 1000);
+
+  await run(`
+    UPDATE rides SET
+      end_time = ?,
+      start_location_lat = COALESCE(start_location_lat, ?),
+      start_location_lng = COALESCE(start_location_lng, ?),
+      end_location_lat = ?,
+      end_location_lng = ?,
+      total_distance = ?,
+      max_speed = ?,
+      avg_speed = ?,
+      duration_minutes = ?,
+      route_data = ?,
+      status = 'completed'
+    WHERE id = ?
+  `, [
+    endTime,
+    first ? first.latitude : null,
+    first ? first.longitude : null,
+    last ? last.latitude : null,
+    last ? last.longitude : null,
+    Math.round(distanceMiles * 100) / 100,
+    stats.maxSpeedMph,
+    stats.averageSpeedMph,
+    Math.round(durationSeconds / 60),
+    JSON.stringify(route),
+    id
+  ]);
+
+  const completedRideId = `ride-${id}`;
+  await run(`
+    INSERT INTO completed_rides (
+      id, user_id, ride_type, start_time, end_time, duration,
+      distance, average_speed, max_speed, route_data, safety_score, bike_id, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+  `, [
+    completedRideId,
+    userId,
+    ride.ride_type || 'Solo',
+    ride.start_time,
+    endTime,
+    durationSeconds,
+    stats.distanceMeters,
+    stats.averageSpeedMph,
+    stats.maxSpeedMph,
+    JSON.stringify(route),
+    Number.isFinite(parseInt(safetyScore)) ? parseInt(safetyScore) : 100,
+    await resolveBikeId(userId, bikeId)
+  ]);
+
+  await run(`
+    UPDATE users SET
+      total_rides = COALESCE(total_rides, 0) + 1,
+      total_miles = COALESCE(total_miles, 0) + ?,
+      total_ride_time = COALESCE(total_ride_time, 0) + ?
+    WHERE id = ?
+  `, [distanceMiles, durationSeconds, userId]);
+
+  return {
+    rideId: id,
+    completedRideId,
+    startTime: ride.start_time,
+    endTime,
+    breadcrumbCount: breadcrumbs.length,
+    route,
+    ...stats
+  };
+}
+
+module.exports = {
+  getActiveRide,
+  startRide,
+  recordBreadcrumbs,
+  flushBreadcrumbs,
+  flushAllBreadcrumbs,
+  computeRideStats,
+  resolveBikeId,
+  endRide
+};
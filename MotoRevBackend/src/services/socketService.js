@@ -1,13 +1,34 @@
 const jwt = require('jsonwebtoken');
-const { query } = require('../database/connection');
+const { query, get } = require('../database/connection');
+const { notifyEmergencyContactsInBackground, cancelCrashCountdown } = require('./emergencyService');
+const { findHazardsAhead } = require('./hazardAlertService');
+const { recordBreadcrumbs } = require('./rideSessionService');
+const { updateMemberPosition } = require('./packSessionService');
+const { inviteToPack } = require('./packInvitationService');
+const { createNotification } = require('./notificationService');
+const { blockedUserRooms, isBlocked } = require('./blockService');
+const { formatSuspension } = require('./suspensionService');
 
 // Store active socket connections
 const connectedUsers = new Map(); // userId -> socket
 const userRooms = new Map(); // userId -> Set of room names
 const packRooms = new Map(); // packId -> Set of userIds
 
+// The only notification types clients may send each other over social_notification; the
+// rest (emergency, moderation, ...) are raised by the server alone
+const CLIENT_NOTIFICATION_TYPES = ['like', 'comment', 'follow', 'mention'];
+
+// Socket.IO server, kept so services outside a connection handler can emit
+let ioInstance = null;
+
+function getIO() {
+  return ioInstance;
+}
+
 // Setup Socket.IO event handlers
 function setupSocketHandlers(io) {
+  ioInstance = io;
+
   // Authentication middleware for WebSocket
   io.use(async (socket, next) => {
     try {
@@ -22,7 +43,7 @@ function setupSocketHandlers(io) {
       
       // Check if user exists (SQLite doesn't have is_active column in our schema)
       const userResult = await query(
-        'SELECT id, username, first_name, last_name FROM users WHERE id = ?',
+        'SELECT id, username, first_name, last_name, suspended_at, suspended_until, suspension_reason FROM users WHERE id = ?',
         [decoded.userId]
       );
 
@@ -30,6 +51,14 @@ function setupSocketHandlers(io) {
         return next(new Error('Invalid token or user not found'));
       }
 
+      // Suspended and banned riders cannot connect; the client gets the details in err.data
+      const suspension = formatSuspension(userResult[0]);
+      if (suspension) {
+        const error = new Error('Account suspended');
+        error.data = { suspension };
+        return next(error);
+      }
+
       // Add user info to socket
       socket.userId = decoded.userId;
       socket.username = decoded.username;
@@ -93,12 +122,13 @@ function setupSocketHandlers(io) {
           return;
         }
 
-        // Broadcast to pack members
+        // Broadcast to pack members, skipping anyone blocked either way
         const userPacks = Array.from(userRooms.get(userId) || [])
           .filter(room => room.startsWith('pack:'));
+        const hiddenFrom = userPacks.length > 0 ? await blockedUserRooms(userId) : [];
 
         for (const packRoom of userPacks) {
-          socket.to(packRoom).emit('member_location_update', {
+          socket.to(packRoom).except(hiddenFrom).emit('member_location_update', {
             userId,
             username,
             location: {
@@ -113,15 +143,22 @@ function setupSocketHandlers(io) {
           });
         }
 
-        // Store location update if associated with an active ride
+        // Gap, off-route and stopped checks for any live pack session
+        updateMemberPosition(userId, { latitude, longitude, speed, heading });
+
+        // Buffer a breadcrumb if this update belongs to the rider's active ride
         if (rideId) {
-          const { run } = require('../database/connection');
-          await run(
-            `INSERT INTO location_updates (
-              ride_id, user_id, latitude, longitude, speed, heading, accuracy, timestamp
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-            [rideId, userId, latitude, longitude, speed || null, heading || null, accuracy || null, new Date().toISOString()]
-          );
+          await recordBreadcrumbs(userId, rideId, [data]);
+        }
+
+        // Warn the rider about verified hazards on their projected path
+        try {
+          const hazards = await findHazardsAhead({ userId, rideId, latitude, longitude, heading });
+          for (const hazard of hazards) {
+            socket.emit('hazard_ahead', hazard);
+          }
+        } catch (error) {
+          console.error('Hazard ahead check error:', error);
         }
 
         console.log(`📍 Location update from ${username}: ${latitude}, ${longitude}`);
@@ -162,7 +199,7 @@ function setupSocketHandlers(io) {
         );
 
         const emergencyEvent = {
-          id: result.lastID,
+          id: result.insertId,
           event_type: eventType,
           severity: severity || 'high',
           location: location,
@@ -170,14 +207,6 @@ function setupSocketHandlers(io) {
           created_at: new Date().toISOString()
         };
 
-        // Get user's emergency contacts - simplified for SQLite
-        const userResult = await query(
-          'SELECT emergency_contact_name, emergency_contact_phone FROM users WHERE id = ?',
-          [userId]
-        );
-
-        const emergencyContacts = userResult[0] || {};
-
         // Broadcast to pack members
         const userPacks = Array.from(userRooms.get(userId) || [])
           .filter(room => room.startsWith('pack:'));
@@ -193,22 +222,20 @@ function setupSocketHandlers(io) {
           rideId
         };
 
+        const hiddenFrom = await blockedUserRooms(userId);
         for (const packRoom of userPacks) {
-          socket.to(packRoom).emit('member_emergency', emergencyData);
+          socket.to(packRoom).except(hiddenFrom).emit('member_emergency', emergencyData);
         }
 
-        // TODO: In a real implementation, this would also:
-        // - Send push notifications to emergency contacts
-        // - Contact emergency services based on severity
-        // - Send SMS/email alerts
-        // - Trigger automated response protocols
+        // Alert the rider's emergency contacts over SMS/email/push after acknowledging; the
+        // outcome follows as emergency_contacts_notified
+        notifyEmergencyContactsInBackground(emergencyEvent.id, userId);
 
         console.log(`🚨 Emergency alert from ${username}: ${eventType} (${severity}) at ${JSON.stringify(location)}`);
 
         socket.emit('emergency_alert_sent', {
           message: 'Emergency alert sent successfully',
-          eventId: emergencyEvent.id,
-          contactsNotified: emergencyContacts.length
+          eventId: emergencyEvent.id
         });
 
       } catch (error) {
@@ -217,6 +244,26 @@ function setupSocketHandlers(io) {
       }
     });
 
+    // Handle rider cancelling a pending crash detection
+    socket.on('crash_cancel', async (data) => {
+      try {
+        const { emergencyId } = data || {};
+
+        if (!emergencyId) {
+          socket.emit('error', { message: 'Emergency ID is required' });
+          return;
+        }
+
+        const cancelled = await cancelCrashCountdown(emergencyId, userId);
+        if (!cancelled) {
+          socket.emit('error', { message: 'No pending crash detection to cancel' });
+        }
+      } catch (error) {
+        console.error('Crash cancel error:', error);
+        socket.emit('error', { message: 'Failed to cancel crash detection' });
+      }
+    });
+
     // Handle ride status updates
     socket.on('ride_update', async (data) => {
       try {
@@ -255,8 +302,9 @@ function setupSocketHandlers(io) {
           timestamp: new Date().toISOString()
         };
 
+        const hiddenFrom = await blockedUserRooms(userId);
         for (const packRoom of userPacks) {
-          socket.to(packRoom).emit('member_ride_update', rideUpdate);
+          socket.to(packRoom).except(hiddenFrom).emit('member_ride_update', rideUpdate);
         }
 
         console.log(`🏍️ Ride update from ${username}: ${status} (${rideId})`);
@@ -276,38 +324,27 @@ function setupSocketHandlers(io) {
           socket.emit('error', { message: 'Target user, type, and message are required' });
           return;
         }
+        if (!CLIENT_NOTIFICATION_TYPES.includes(type)) {
+          socket.emit('error', { message: `type must be one of: ${CLIENT_NOTIFICATION_TYPES.join(', ')}` });
+          return;
+        }
 
-        // Store notification
-        await query(
-          `INSERT INTO notifications (
-            id, user_id, type, title, message, data
-          ) VALUES (uuid_generate_v4(), $1, $2, $3, $4, $5)`,
-          [
-            targetUserId,
-            type,
-            `Social Notification`,
-            message,
-            JSON.stringify({ sourceUserId: userId, username, postId, storyId })
-          ]
-        );
-
-        // Send to target user if they're connected
-        const targetSocket = connectedUsers.get(targetUserId);
-        if (targetSocket) {
-          targetSocket.emit('notification', {
-            type,
-            message,
-            sourceUser: {
-              id: userId,
-              username,
-              firstName: socket.userInfo.first_name,
-              lastName: socket.userInfo.last_name
-            },
-            data: { postId, storyId },
-            timestamp: new Date().toISOString()
-          });
+        const target = await get('SELECT id FROM users WHERE id = ?', [targetUserId]);
+        if (!target || await isBlocked(userId, target.id)) {
+          socket.emit('error', { message: 'User not found' });
+          return;
         }
 
+        // Stored and pushed to every socket in the target's user room
+        await createNotification({
+          userId: target.id,
+          actorId: userId,
+          type,
+          title: 'Social Notification',
+          message,
+          data: { postId, storyId }
+        });
+
         console.log(`🔔 Social notification from ${username} to user ${targetUserId}: ${message}`);
 
       } catch (error) {
@@ -321,58 +358,19 @@ function setupSocketHandlers(io) {
       try {
         const { packId, targetUserId } = data;
 
-        // Verify pack ownership/admin status
-        const packMemberResult = await query(
-          `SELECT role FROM pack_members 
-           WHERE pack_id = $1 AND user_id = $2 AND status = 'active' 
-           AND role IN ('owner', 'admin')`,
-          [packId, userId]
-        );
-
-        if (packMemberResult.rows.length === 0) {
-          socket.emit('error', { message: 'You do not have permission to invite to this pack' });
+        if (!packId || !targetUserId) {
+          socket.emit('error', { message: 'Pack and target user are required' });
           return;
         }
 
-        // Get pack info
-        const packResult = await query(
-          'SELECT name, description FROM packs WHERE id = $1',
-          [packId]
-        );
-
-        if (packResult.rows.length === 0) {
-          socket.emit('error', { message: 'Pack not found' });
+        // Stored and delivered to the invitee's user room by the invitation service
+        const result = await inviteToPack({ packId, inviterId: userId, inviteeId: targetUserId });
+        if (result.error) {
+          socket.emit('error', { message: result.error });
           return;
         }
 
-        const pack = packResult.rows[0];
-
-        // Create pack invitation (add as invited member)
-        await query(
-          `INSERT INTO pack_members (id, pack_id, user_id, role, status)
-           VALUES (uuid_generate_v4(), $1, $2, 'member', 'invited')
-           ON CONFLICT (pack_id, user_id) DO UPDATE SET status = 'invited'`,
-          [packId, targetUserId]
-        );
-
-        // Send notification to target user
-        const targetSocket = connectedUsers.get(targetUserId);
-        if (targetSocket) {
-          targetSocket.emit('pack_invitation', {
-            packId,
-            packName: pack.name,
-            packDescription: pack.description,
-            invitedBy: {
-              id: userId,
-              username,
-              firstName: socket.userInfo.first_name,
-              lastName: socket.userInfo.last_name
-            },
-            timestamp: new Date().toISOString()
-          });
-        }
-
-        console.log(`👥 Pack invitation sent by ${username} to user ${targetUserId} for pack ${pack.name}`);
+        socket.emit('pack_invite_sent', result.invitation);
 
       } catch (error) {
         console.error('Pack invite error:', error);
@@ -453,4 +451,4 @@ function setupSocketHandlers(io) {
   };
 }
 
-module.exports = { setupSocketHandlers }; 
\ No newline at end of file
+module.exports = { setupSocketHandlers, getIO }; 
\ No newline at end of file
@@ -0,0 +1,37 @@
+const { createLocalStorage } = require('./localStorage');
+const { createS3Storage } = require('./s3Storage');
+
+// Where uploaded media is kept. A backend exposes
+// { name, put(key, buffer, { contentType }) -> { url }, putFile(key, filePath, { contentType }) -> { url },
+// delete(key) } and throws on failure. putFile copies a file from disk without loading it into memory.
+let storage = null;
+
+// MEDIA_STORAGE selects the backend: 'local' (default) writes under uploads/, 's3' any S3-compatible store
+function createDefaultStorage() {
+  const backend = process.env.MEDIA_STORAGE || 'local';
+  switch (backend) {
+    case 'local':
+      return createLocalStorage();
+    case 's3':
+      return createS3Storage();
+    default:
+      throw new Error(`Unknown media storage: ${backend}`);
+  }
+}
+
+function getStorage() {
+  if (!storage) {
+    storage = createDefaultStorage();
+  }
+  return storage;
+}
+
+// Swap the backend (e.g. a fake store in tests); pass null to restore the default
+function setStorage(backend) {
+  storage = backend || null;
+}
+
+module.exports = {
+  getStorage,
+  setStorage
+};
@@ -0,0 +1,37 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Served by the /uploads static route in server.js
+const UPLOADS_DIR = path.join(__dirname, '../../../uploads');
+
+// Files on local disk under uploads/. Fine for a single server; use s3 once there are several.
+function createLocalStorage() {
+  function resolveKey(key) {
+    const file = path.resolve(UPLOADS_DIR, key);
+    if (!file.startsWith(UPLOADS_DIR + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+
+  return {
+    name: 'local',
+    async put(key, buffer) {
+      const file = resolveKey(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return { url: `/uploads/${key}` };
+    },
+    async putFile(key, filePath) {
+      const file = resolveKey(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.copyFile(filePath, file);
+      return { url: `/uploads/${key}` };
+    },
+    async delete(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    }
+  };
+}
+
+module.exports = { createLocalStorage };
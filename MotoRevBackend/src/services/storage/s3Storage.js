@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// URI-encode each key segment the way Signature V4 expects, keeping the slashes
+function encodeKey(key) {
+  return key.split('/').map(segment => encodeURIComponent(segment)
+    .replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)).join('/');
+}
+
+// S3-compatible object storage signed with AWS Signature V4. S3_ENDPOINT can point at
+// MinIO or another local stand-in; custom endpoints are addressed path-style unless
+// S3_FORCE_PATH_STYLE=false. Objects must be publicly readable, directly or through
+// S3_PUBLIC_URL (e.g. a CDN in front of the bucket).
+function createS3Storage() {
+  const bucket = process.env.S3_BUCKET;
+  const region = process.env.S3_REGION || 'us-east-1';
+  const accessKeyId = process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+  const endpoint = new URL(process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`);
+  const pathStyle = process.env.S3_FORCE_PATH_STYLE
+    ? process.env.S3_FORCE_PATH_STYLE === 'true'
+    : Boolean(process.env.S3_ENDPOINT);
+  const publicBase = process.env.S3_PUBLIC_URL?.replace(/\/$/, '');
+
+  function objectUrl(key) {
+    const basePath = endpoint.pathname.replace(/\/$/, '');
+    return pathStyle
+      ? `${endpoint.origin}${basePath}/${bucket}/${encodeKey(key)}`
+      : `${endpoint.protocol}//${bucket}.${endpoint.host}${basePath}/${encodeKey(key)}`;
+  }
+
+  // A stream body cannot be hashed up front, so it is sent as UNSIGNED-PAYLOAD
+  async function send(method, key, body = Buffer.alloc(0), extraHeaders = {}) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('Missing S3 bucket or credentials');
+    }
+
+    const url = new URL(objectUrl(key));
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const payloadHash = Buffer.isBuffer(body) ? sha256Hex(body) : 'UNSIGNED-PAYLOAD';
+
+    const headers = {};
+    for (const [name, value] of Object.entries(extraHeaders)) {
+      headers[name.toLowerCase()] = String(value).trim();
+    }
+    headers['x-amz-content-sha256'] = payloadHash;
+    headers['x-amz-date'] = amzDate;
+
+    const signed = { ...headers, host: url.host };
+    const names = Object.keys(signed).sort();
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      ...names.map(name => `${name}:${signed[name]}`),
+      '',
+      names.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${date}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, date), region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    await axios({
+      method,
+      url: url.toString(),
+      data: body,
+      headers: {
+        ...headers,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+      },
+      maxBodyLength: Infinity,
+      timeout: REQUEST_TIMEOUT_MS
+    });
+  }
+
+  function publicUrl(key) {
+    return publicBase ? `${publicBase}/${encodeKey(key)}` : objectUrl(key);
+  }
+
+  return {
+    name: 's3',
+    async put(key, buffer, { contentType } = {}) {
+      await send('PUT', key, buffer, {
+        'Content-Type': contentType || 'application/octet-stream',
+        'Cache-Control': 'public, max-age=31536000, immutable'
+      });
+      return { url: publicUrl(key) };
+    },
+    async putFile(key, filePath, { contentType } = {}) {
+      const { size } = await fs.promises.stat(filePath);
+      await send('PUT', key, fs.createReadStream(filePath), {
+        'Content-Type': contentType || 'application/octet-stream',
+        'Content-Length': size,
+        'Cache-Control': 'public, max-age=31536000, immutable'
+      });
+      return { url: publicUrl(key) };
+    },
+    async delete(key) {
+      await send('DELETE', key);
+    }
+  };
+}
+
+module.exports = { createS3Storage };
@@ -0,0 +1,433 @@
+const { query, get, run } = require('../database/connection');
+const { indexStoryHashtags } = require('./hashtagService');
+const { getOwnMedia } = require('./mediaService');
+const { notBlockedSql, notMutedSql, isBlocked } = require('./blockService');
+
+const STORY_AUDIENCES = ['followers', 'close_friends', 'pack'];
+const DEFAULT_STORY_HOURS = 24;
+const MAX_STORY_HOURS = 24;
+const MAX_HIGHLIGHT_TITLE_LENGTH = 50;
+const MAX_HIGHLIGHT_STORIES = 100;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+// Expired stories are archived in batches of this size
+const ARCHIVE_BATCH_SIZE = 500;
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+let sweepTimer = null;
+
+// Row shape the app already decodes; binds the viewer's id
+const STORY_SELECT = `
+  SELECT s.*, u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture,
+         EXISTS(SELECT 1 FROM story_views sv WHERE sv.story_id = s.id AND sv.viewer_id = ?) as is_viewed
+  FROM stories s
+  JOIN users u ON s.user_id = u.id
+`;
+
+// Whether viewer ? can see story s; binds the viewer's id six times. The author always
+// can, 'followers' reaches active followers, 'close_friends' the author's close friends
+// list and 'pack' the author's active pack mates. Blocks hide stories both ways, and
+// stories hidden by moderation are only shown to their author.
+const VISIBLE_STORY_WHERE = `
+  ${notBlockedSql('s.user_id')}
+  AND (
+    s.user_id = ?
+    OR (s.hidden_at IS NULL AND (
+      (s.audience = 'followers' AND EXISTS (
+        SELECT 1 FROM followers f WHERE f.follower_id = ? AND f.following_id = s.user_id AND f.status = 'active'
+      ))
+      OR (s.audience = 'close_friends' AND EXISTS (
+        SELECT 1 FROM close_friends cf WHERE cf.user_id = s.user_id AND cf.friend_id = ?
+      ))
+      OR (s.audience = 'pack' AND s.user_id IN (
+        SELECT theirs.user_id
+        FROM pack_members mine
+        JOIN pack_members theirs ON theirs.pack_id = mine.pack_id
+        WHERE mine.user_id = ? AND mine.status = 'active' AND theirs.status = 'active'
+      ))
+    ))
+  )
+`;
+
+// Stories that have not expired or been archived yet
+const ACTIVE_STORY_WHERE = 's.archived_at IS NULL AND s.expires_at > NOW()';
+
+function pageSizeFrom(limit) {
+  return Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+}
+
+function parseLocation(location) {
+  if (typeof location === 'string') {
+    const coords = location.split(',');
+    if (coords.length === 2) {
+      return { lat: parseFloat(coords[0]), lng: parseFloat(coords[1]), name: null };
+    }
+  } else if (location && location.latitude && location.longitude) {
+    return { lat: location.latitude, lng: location.longitude, name: location.name || null };
+  }
+  return { lat: null, lng: null, name: null };
+}
+
+async function getStoryRow(viewerId, storyId) {
+  return get(`${STORY_SELECT} WHERE s.id = ?`, [viewerId, storyId]);
+}
+
+// Returns { story } or { error, status }. `duration` is in hours.
+async function createStory(userId, { content, imageUrl, videoUrl, mediaId, backgroundColor, location, duration, audience = 'followers' }) {
+  if (!content && !imageUrl && !videoUrl && !mediaId) {
+    return { error: 'Story must have content, image, or video', status: 400 };
+  }
+  if (!STORY_AUDIENCES.includes(audience)) {
+    return { error: `audience must be one of: ${STORY_AUDIENCES.join(', ')}`, status: 400 };
+  }
+  const hours = duration === undefined || duration === null ? DEFAULT_STORY_HOURS : Number(duration);
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_STORY_HOURS) {
+    return { error: `duration must be a whole number of hours from 1 to ${MAX_STORY_HOURS}`, status: 400 };
+  }
+
+  let media = null;
+  if (mediaId) {
+    media = await getOwnMedia(userId, mediaId);
+    if (!media) {
+      return { error: 'Media not found', status: 400 };
+    }
+  }
+
+  const { lat, lng, name } = parseLocation(location);
+  const result = await run(`
+    INSERT INTO stories (user_id, content, image_url, video_url, media_id, background_color, location_lat, location_lng, location_name, audience, expires_at, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? HOUR), NOW())
+  `, [
+    userId,
+    content || null,
+    media ? (media.media_type === 'image' ? media.url : null) : imageUrl || null,
+    media ? (media.media_type === 'video' ? media.url : null) : videoUrl || null,
+    media ? media.id : null,
+    backgroundColor || null,
+    lat,
+    lng,
+    name,
+    audience,
+    hours
+  ]);
+
+  await indexStoryHashtags(result.insertId, userId, content);
+  return { story: await getStoryRow(userId, result.insertId) };
+}
+
+// Active stories the viewer can see, including their own, newest first. Riders the viewer
+// muted are left out of the tray.
+async function listStories(viewerId) {
+  return query(`
+    ${STORY_SELECT}
+    WHERE ${ACTIVE_STORY_WHERE} AND ${VISIBLE_STORY_WHERE} AND ${notMutedSql('s.user_id')}
+    ORDER BY s.created_at DESC
+  `, [viewerId, viewerId, viewerId, viewerId, viewerId, viewerId, viewerId, viewerId]);
+}
+
+// Active stories the viewer can see whose text or author matches `term`
+async function searchStories(viewerId, term, { limit, offset } = {}) {
+  const pageSize = pageSizeFrom(limit);
+  const skip = Math.max(parseInt(offset) || 0, 0);
+  return query(`
+    ${STORY_SELECT}
+    WHERE (s.content LIKE ? OR u.username LIKE ?)
+      AND ${ACTIVE_STORY_WHERE} AND ${VISIBLE_STORY_WHERE}
+    ORDER BY s.created_at DESC
+    LIMIT ? OFFSET ?
+  `, [viewerId, `%${term}%`, `%${term}%`, viewerId, viewerId, viewerId, viewerId, viewerId, viewerId, String(pageSize), String(skip)]);
+}
+
+// Records the first view of an active story the viewer can see
+async function viewStory(viewerId, storyId) {
+  const story = await get(`
+    SELECT s.id, s.user_id
+    FROM stories s
+    WHERE s.id = ? AND ${ACTIVE_STORY_WHERE} AND ${VISIBLE_STORY_WHERE}
+  `, [storyId, viewerId, viewerId, viewerId, viewerId, viewerId, viewerId]);
+  if (!story) {
+    return { error: 'Story not found', status: 404 };
+  }
+
+  if (Number(story.user_id) !== Number(viewerId)) {
+    const result = await run(
+      'INSERT IGNORE INTO story_views (story_id, viewer_id, viewed_at) VALUES (?, ?, NOW())',
+      [story.id, viewerId]
+    );
+    if (result.affectedRows > 0) {
+      await run('UPDATE stories SET views_count = views_count + 1 WHERE id = ?', [story.id]);
+    }
+  }
+  return { viewed: true };
+}
+
+// Who viewed one of the rider's own stories, live or archived, leaving out blocked riders
+async function getStoryViewers(userId, storyId) {
+  const story = await get('SELECT id, user_id, archived_at FROM stories WHERE id = ?', [storyId]);
+  if (!story || Number(story.user_id) !== Number(userId)) {
+    return { error: 'Can only view viewers of your own stories', status: 403 };
+  }
+
+  const viewers = await query(`
+    SELECT u.id, u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture, sv.viewed_at
+    FROM ${story.archived_at ? 'story_views_archive' : 'story_views'} sv
+    JOIN users u ON sv.viewer_id = u.id
+    WHERE sv.story_id = ? AND ${notBlockedSql('u.id')}
+    ORDER BY sv.viewed_at DESC
+  `, [story.id, userId, userId]);
+  return { viewers };
+}
+
+// The rider's own archived stories, newest first; `cursor` is the last story id seen
+async function listArchive(userId, { cursor, limit } = {}) {
+  const pageSize = pageSizeFrom(limit);
+  const params = [userId, userId];
+  let cursorClause = '';
+  const before = parseInt(cursor);
+  if (Number.isFinite(before)) {
+    cursorClause = 'AND s.id < ?';
+    params.push(before);
+  }
+
+  const rows = await query(`
+    ${STORY_SELECT}
+    WHERE s.user_id = ? AND s.archived_at IS NOT NULL ${cursorClause}
+    ORDER BY s.id DESC
+    LIMIT ?
+  `, [...params, String(pageSize + 1)]);
+
+  const hasMore = rows.length > pageSize;
+  const stories = rows.slice(0, pageSize);
+  return {
+    stories,
+    nextCursor: hasMore ? String(stories[stories.length - 1].id) : null,
+    hasMore
+  };
+}
+
+// Move stories past their expiry into the archive. Their views go to story_views_archive
+// first, so a sweep interrupted part way is picked up again by the next one.
+async function archiveExpiredStories() {
+  let archived = 0;
+  for (;;) {
+    const expired = await query(`
+      SELECT id FROM stories
+      WHERE archived_at IS NULL AND expires_at <= NOW()
+      ORDER BY id
+      LIMIT ?
+    `, [String(ARCHIVE_BATCH_SIZE)]);
+    if (expired.length === 0) break;
+
+    const ids = expired.map(row => row.id);
+    const placeholders = ids.map(() => '?').join(', ');
+    await run(`
+      INSERT IGNORE INTO story_views_archive (story_id, viewer_id, viewed_at, archived_at)
+      SELECT story_id, viewer_id, viewed_at, NOW() FROM story_views WHERE story_id IN (${placeholders})
+    `, ids);
+    await run(`DELETE FROM story_views WHERE story_id IN (${placeholders})`, ids);
+    await run(`
+      UPDATE stories s
+      SET s.archived_at = NOW(),
+          s.views_count = (SELECT COUNT(*) FROM story_views_archive sva WHERE sva.story_id = s.id)
+      WHERE s.id IN (${placeholders})
+    `, ids);
+
+    archived += ids.length;
+    if (ids.length < ARCHIVE_BATCH_SIZE) break;
+  }
+
+  if (archived > 0) {
+    console.log(`📦 Archived ${archived} expired story(ies)`);
+  }
+  return archived;
+}
+
+function startStorySweeper() {
+  if (sweepTimer) return;
+  const sweep = () => archiveExpiredStories().catch(error => console.error('Story sweep error:', error));
+  sweep();
+  sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  sweepTimer.unref();
+}
+
+function stopStorySweeper() {
+  clearInterval(sweepTimer);
+  sweepTimer = null;
+}
+
+async function listCloseFriends(userId) {
+  return query(`
+    SELECT u.id, u.username, u.first_name, u.last_name, u.profile_picture_url as profile_picture, cf.created_at as added_at
+    FROM close_friends cf
+    JOIN users u ON cf.friend_id = u.id
+    WHERE cf.user_id = ?
+    ORDER BY u.username
+  `, [userId]);
+}
+
+async function addCloseFriend(userId, friendId) {
+  if (Number(friendId) === Number(userId)) {
+    return { error: 'You cannot add yourself to close friends', status: 400 };
+  }
+  const friend = await get('SELECT id FROM users WHERE id = ?', [friendId]);
+  if (!friend || await isBlocked(userId, friend.id)) {
+    return { error: 'User not found', status: 404 };
+  }
+
+  await run(
+    'INSERT IGNORE INTO close_friends (user_id, friend_id, created_at) VALUES (?, ?, NOW())',
+    [userId, friend.id]
+  );
+  return { added: true };
+}
+
+async function removeCloseFriend(userId, friendId) {
+  await run('DELETE FROM close_friends WHERE user_id = ? AND friend_id = ?', [userId, friendId]);
+  return { removed: true };
+}
+
+function validateHighlight({ title, storyIds }, { partial = false } = {}) {
+  if (!partial || title !== undefined) {
+    if (typeof title !== 'string' || title.trim().length === 0) {
+      return 'Highlight title is required';
+    }
+    if (title.trim().length > MAX_HIGHLIGHT_TITLE_LENGTH) {
+      return `Highlight title must be ${MAX_HIGHLIGHT_TITLE_LENGTH} characters or fewer`;
+    }
+  }
+  if (!partial || storyIds !== undefined) {
+    if (!Array.isArray(storyIds) || storyIds.length === 0) {
+      return 'storyIds must be a non-empty array';
+    }
+    if (storyIds.length > MAX_HIGHLIGHT_STORIES) {
+      return `A highlight can hold at most ${MAX_HIGHLIGHT_STORIES} stories`;
+    }
+  }
+  return null;
+}
+
+// Replaces the highlight's stories, in the given order. Only the rider's own stories,
+// live or archived, can be highlighted.
+async function setHighlightStories(userId, highlightId, storyIds) {
+  const ids = [...new Set(storyIds.map(Number))];
+  const owned = await query(
+    `SELECT id FROM stories WHERE user_id = ? AND id IN (${ids.map(() => '?').join(', ')})`,
+    [userId, ...ids]
+  );
+  if (owned.length !== ids.length) {
+    return { error: 'You can only highlight your own stories', status: 400 };
+  }
+
+  await run('DELETE FROM story_highlight_items WHERE highlight_id = ?', [highlightId]);
+  for (const [position, storyId] of ids.entries()) {
+    await run(
+      'INSERT INTO story_highlight_items (highlight_id, story_id, position, created_at) VALUES (?, ?, ?, NOW())',
+      [highlightId, storyId, position]
+    );
+  }
+  return {};
+}
+
+// A rider's highlights with the stories in each that the viewer can see. Expired stories
+// stay in their highlights; highlights with nothing visible are left out for other riders.
+async function listHighlights(viewerId, ownerId) {
+  const highlights = await query(
+    'SELECT id, user_id, title, created_at, updated_at FROM story_highlights WHERE user_id = ? ORDER BY created_at DESC',
+    [ownerId]
+  );
+  if (highlights.length === 0) return [];
+
+  const items = await query(
+    `SELECT highlight_id, story_id FROM story_highlight_items
+     WHERE highlight_id IN (${highlights.map(() => '?').join(', ')})
+     ORDER BY highlight_id, position`,
+    highlights.map(highlight => highlight.id)
+  );
+  const storyIds = [...new Set(items.map(item => item.story_id))];
+  const stories = storyIds.length === 0 ? [] : await query(`
+    ${STORY_SELECT}
+    WHERE s.id IN (${storyIds.map(() => '?').join(', ')}) AND ${VISIBLE_STORY_WHERE}
+  `, [viewerId, ...storyIds, viewerId, viewerId, viewerId, viewerId, viewerId, viewerId]);
+  const byId = new Map(stories.map(story => [story.id, story]));
+
+  return highlights
+    .map(highlight => ({
+      ...highlight,
+      stories: items
+        .filter(item => item.highlight_id === highlight.id && byId.has(item.story_id))
+        .map(item => byId.get(item.story_id))
+    }))
+    .filter(highlight => highlight.stories.length > 0 || Number(ownerId) === Number(viewerId));
+}
+
+async function getHighlight(userId, highlightId) {
+  const highlights = await listHighlights(userId, userId);
+  return highlights.find(highlight => Number(highlight.id) === Number(highlightId)) || null;
+}
+
+async function createHighlight(userId, { title, storyIds }) {
+  const validationError = validateHighlight({ title, storyIds });
+  if (validationError) {
+    return { error: validationError, status: 400 };
+  }
+
+  const result = await run(
+    'INSERT INTO story_highlights (user_id, title, created_at, updated_at) VALUES (?, ?, NOW(), NOW())',
+    [userId, title.trim()]
+  );
+  const stored = await setHighlightStories(userId, result.insertId, storyIds);
+  if (stored.error) {
+    await run('DELETE FROM story_highlights WHERE id = ?', [result.insertId]);
+    return stored;
+  }
+  return { highlight: await getHighlight(userId, result.insertId) };
+}
+
+async function updateHighlight(userId, highlightId, { title, storyIds }) {
+  const validationError = validateHighlight({ title, storyIds }, { partial: true });
+  if (validationError) {
+    return { error: validationError, status: 400 };
+  }
+
+  const highlight = await get('SELECT id FROM story_highlights WHERE id = ? AND user_id = ?', [highlightId, userId]);
+  if (!highlight) {
+    return { error: 'Highlight not found', status: 404 };
+  }
+
+  if (storyIds !== undefined) {
+    const stored = await setHighlightStories(userId, highlight.id, storyIds);
+    if (stored.error) return stored;
+  }
+  if (title !== undefined) {
+    await run('UPDATE story_highlights SET title = ?, updated_at = NOW() WHERE id = ?', [title.trim(), highlight.id]);
+  }
+  return { highlight: await getHighlight(userId, highlight.id) };
+}
+
+async function deleteHighlight(userId, highlightId) {
+  const result = await run('DELETE FROM story_highlights WHERE id = ? AND user_id = ?', [highlightId, userId]);
+  if (result.affectedRows === 0) {
+    return { error: 'Highlight not found', status: 404 };
+  }
+  return { deleted: true };
+}
+
+module.exports = {
+  STORY_AUDIENCES,
+  createStory,
+  listStories,
+  searchStories,
+  viewStory,
+  getStoryViewers,
+  listArchive,
+  archiveExpiredStories,
+  startStorySweeper,
+  stopStorySweeper,
+  listCloseFriends,
+  addCloseFriend,
+  removeCloseFriend,
+  listHighlights,
+  createHighlight,
+  updateHighlight,
+  deleteHighlight
+};
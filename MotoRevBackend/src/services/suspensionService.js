@@ -0,0 +1,285 @@
+const { query, get, run } = require('../database/connection');
+const { createNotification } = require('./notificationService');
+const { logAction } = require('./moderationService');
+
+// Length of a suspension when a moderator does not give one
+const DEFAULT_SUSPENSION_DAYS = parseInt(process.env.SUSPENSION_DEFAULT_DAYS) || 7;
+const MAX_SUSPENSION_DAYS = 3650;
+const MAX_REASON_LENGTH = 1000;
+const MAX_APPEAL_LENGTH = 2000;
+const APPEAL_STATUSES = ['pending', 'accepted', 'rejected'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Socket.IO is required lazily because socketService itself depends on this module
+function getIO() {
+  return require('./socketService').getIO();
+}
+
+// The suspension in force on a users row (needs suspended_at, suspended_until and
+// suspension_reason), or null. A ban is a suspension without an end; suspensions whose
+// end has passed no longer count even before anyone clears them.
+function formatSuspension(row) {
+  if (!row || !row.suspended_at) return null;
+  if (row.suspended_until && new Date(row.suspended_until) <= new Date()) return null;
+  return {
+    reason: row.suspension_reason,
+    suspendedAt: row.suspended_at,
+    until: row.suspended_until || null,
+    permanent: !row.suspended_until
+  };
+}
+
+// Body of the 403 sent to suspended riders by the HTTP auth middlewares
+function suspendedResponse(suspension) {
+  return {
+    error: suspension.permanent ? 'Account banned' : 'Account suspended',
+    message: suspension.permanent
+      ? 'This account has been banned. You can appeal from the app.'
+      : 'This account is suspended. You can appeal from the app.',
+    suspension
+  };
+}
+
+async function getSuspension(userId) {
+  const row = await get(
+    'SELECT suspended_at, suspended_until, suspension_reason FROM users WHERE id = ?',
+    [userId]
+  );
+  return formatSuspension(row);
+}
+
+function checkReason(reason) {
+  if (typeof reason !== 'string' || reason.trim().length === 0) {
+    return { error: 'reason is required', status: 400 };
+  }
+  if (reason.length > MAX_REASON_LENGTH) {
+    return { error: `reason must be ${MAX_REASON_LENGTH} characters or fewer`, status: 400 };
+  }
+  return null;
+}
+
+function formatAppeal(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    username: row.username,
+    message: row.message,
+    status: row.status,
+    suspensionReason: row.suspension_reason,
+    suspendedUntil: row.suspended_until,
+    reviewerId: row.reviewer_id,
+    reviewerNotes: row.reviewer_notes,
+    createdAt: row.created_at,
+    resolvedAt: row.resolved_at
+  };
+}
+
+// Suspend a rider for `durationDays` days, or for good with `permanent` (a ban). Admins can
+// only be suspended by a super admin. The rider's open sockets are dropped straight away;
+// HTTP requests are refused from their next one. Returns { suspension } or { error, status }.
+async function suspendUser(moderatorId, userId, { reason, durationDays, permanent = false, contentType = null, contentId = null }) {
+  const invalid = checkReason(reason);
+  if (invalid) return invalid;
+
+  let days = null;
+  if (!permanent) {
+    days = durationDays === undefined || durationDays === null ? DEFAULT_SUSPENSION_DAYS : Number(durationDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_SUSPENSION_DAYS) {
+      return { error: `durationDays must be a whole number from 1 to ${MAX_SUSPENSION_DAYS}`, status: 400 };
+    }
+  }
+
+  if (Number(userId) === Number(moderatorId)) {
+    return { error: 'You cannot suspend yourself', status: 400 };
+  }
+  const target = await get('SELECT id, role FROM users WHERE id = ?', [userId]);
+  if (!target) {
+    return { error: 'User not found', status: 404 };
+  }
+  if (target.role === 'admin' || target.role === 'super_admin') {
+    const moderator = await get('SELECT role FROM users WHERE id = ?', [moderatorId]);
+    if (!moderator || moderator.role !== 'super_admin') {
+      return { error: 'Only a super admin can suspend an admin', status: 403 };
+    }
+  }
+
+  await run(`
+    UPDATE users
+    SET suspended_at = NOW(),
+        suspended_until = ${permanent ? 'NULL' : 'DATE_ADD(NOW(), INTERVAL ? DAY)'},
+        suspension_reason = ?, suspended_by = ?, updated_at = NOW()
+    WHERE id = ?
+  `, [...(permanent ? [] : [days]), reason.trim(), moderatorId, target.id]);
+
+  await logAction({
+    moderatorId,
+    action: permanent ? 'user_banned' : 'user_suspended',
+    contentType,
+    contentId,
+    targetUserId: target.id,
+    notes: permanent ? reason.trim() : `${reason.trim()} (${days} day${days === 1 ? '' : 's'})`
+  });
+
+  const io = getIO();
+  if (io) {
+    io.in(`user:${target.id}`).disconnectSockets(true);
+  }
+
+  return { suspension: await getSuspension(target.id) };
+}
+
+// Lift a suspension or ban early. Pending appeals are closed as accepted, since the
+// rider got what they asked for.
+async function unsuspendUser(moderatorId, userId, { reason }) {
+  const invalid = checkReason(reason);
+  if (invalid) return invalid;
+
+  const target = await get(
+    'SELECT id, suspended_at, suspended_until, suspension_reason FROM users WHERE id = ?',
+    [userId]
+  );
+  if (!target) {
+    return { error: 'User not found', status: 404 };
+  }
+  if (!formatSuspension(target)) {
+    return { error: 'User is not suspended', status: 400 };
+  }
+
+  await run(`
+    UPDATE users
+    SET suspended_at = NULL, suspended_until = NULL, suspension_reason = NULL, suspended_by = NULL, updated_at = NOW()
+    WHERE id = ?
+  `, [target.id]);
+  await run(`
+    UPDATE suspension_appeals
+    SET status = 'accepted', reviewer_id = ?, reviewer_notes = ?, resolved_at = NOW()
+    WHERE user_id = ? AND status = 'pending'
+  `, [moderatorId, reason.trim(), target.id]);
+
+  await logAction({ moderatorId, action: 'user_unsuspended', targetUserId: target.id, notes: reason.trim() });
+
+  await createNotification({
+    userId: target.id,
+    type: 'moderation',
+    title: 'Account restored',
+    message: 'Your account is no longer suspended.',
+    data: { action: 'user_unsuspended' }
+  });
+
+  return { suspended: false };
+}
+
+// A suspended rider asks for the decision to be reviewed; one open appeal at a time
+async function appealSuspension(userId, { message }) {
+  const suspension = await getSuspension(userId);
+  if (!suspension) {
+    return { error: 'Your account is not suspended', status: 400 };
+  }
+  if (typeof message !== 'string' || message.trim().length === 0) {
+    return { error: 'message is required', status: 400 };
+  }
+  if (message.length > MAX_APPEAL_LENGTH) {
+    return { error: `message must be ${MAX_APPEAL_LENGTH} characters or fewer`, status: 400 };
+  }
+
+  const pending = await get(
+    "SELECT id FROM suspension_appeals WHERE user_id = ? AND status = 'pending'",
+    [userId]
+  );
+  if (pending) {
+    return { error: 'You already have an appeal waiting for review', status: 409 };
+  }
+
+  const result = await run(`
+    INSERT INTO suspension_appeals (user_id, message, suspension_reason, suspended_until, status, created_at)
+    VALUES (?, ?, ?, ?, 'pending', NOW())
+  `, [userId, message.trim(), suspension.reason, suspension.until]);
+
+  const appeal = await get('SELECT * FROM suspension_appeals WHERE id = ?', [result.insertId]);
+  return { appeal: formatAppeal(appeal) };
+}
+
+// The rider's own appeals, newest first
+async function listOwnAppeals(userId) {
+  const rows = await query(
+    'SELECT * FROM suspension_appeals WHERE user_id = ? ORDER BY id DESC',
+    [userId]
+  );
+  return rows.map(formatAppeal);
+}
+
+// Appeals for admins, oldest waiting first
+async function listAppeals({ status = 'pending', limit, offset } = {}) {
+  if (!APPEAL_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${APPEAL_STATUSES.join(', ')}`, status: 400 };
+  }
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const skip = Math.max(parseInt(offset) || 0, 0);
+
+  const rows = await query(`
+    SELECT sa.*, u.username
+    FROM suspension_appeals sa
+    JOIN users u ON sa.user_id = u.id
+    WHERE sa.status = ?
+    ORDER BY sa.created_at ASC
+    LIMIT ? OFFSET ?
+  `, [status, String(pageSize), String(skip)]);
+  return { appeals: rows.map(formatAppeal) };
+}
+
+// Accepting an appeal lifts the suspension; rejecting it leaves the suspension in place
+async function resolveAppeal(moderatorId, appealId, { decision, notes }) {
+  if (!['accepted', 'rejected'].includes(decision)) {
+    return { error: 'decision must be accepted or rejected', status: 400 };
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    return { error: 'notes must be a string', status: 400 };
+  }
+
+  const appeal = await get('SELECT * FROM suspension_appeals WHERE id = ?', [appealId]);
+  if (!appeal) {
+    return { error: 'Appeal not found', status: 404 };
+  }
+  if (appeal.status !== 'pending') {
+    return { error: 'Appeal has already been resolved', status: 409 };
+  }
+
+  if (decision === 'accepted') {
+    const suspension = await getSuspension(appeal.user_id);
+    if (suspension) {
+      const lifted = await unsuspendUser(moderatorId, appeal.user_id, { reason: notes || 'Appeal accepted' });
+      if (lifted.error) return lifted;
+    } else {
+      // The suspension already ran out; just close the appeal
+      await run(`
+        UPDATE suspension_appeals SET status = 'accepted', reviewer_id = ?, reviewer_notes = ?, resolved_at = NOW()
+        WHERE id = ?
+      `, [moderatorId, notes || null, appeal.id]);
+    }
+  } else {
+    await run(`
+      UPDATE suspension_appeals SET status = 'rejected', reviewer_id = ?, reviewer_notes = ?, resolved_at = NOW()
+      WHERE id = ?
+    `, [moderatorId, notes || null, appeal.id]);
+    await logAction({ moderatorId, action: 'appeal_rejected', targetUserId: appeal.user_id, notes: notes || null });
+  }
+
+  const updated = await get(`
+    SELECT sa.*, u.username FROM suspension_appeals sa JOIN users u ON sa.user_id = u.id WHERE sa.id = ?
+  `, [appeal.id]);
+  return { appeal: formatAppeal(updated) };
+}
+
+module.exports = {
+  DEFAULT_SUSPENSION_DAYS,
+  formatSuspension,
+  suspendedResponse,
+  getSuspension,
+  suspendUser,
+  unsuspendUser,
+  appealSuspension,
+  listOwnAppeals,
+  listAppeals,
+  resolveAppeal
+};
@@ -0,0 +1,101 @@
+const { query, get } = require('../database/connection');
+const cacheService = require('./cacheService');
+
+// Each timeline keeps at most this many post ids; older pages are read from the database
+const TIMELINE_MAX_ENTRIES = parseInt(process.env.TIMELINE_MAX_ENTRIES) || 800;
+// Posts copied into a timeline when its owner follows someone new
+const FOLLOW_BACKFILL_POSTS = 50;
+
+async function packMateIds(userId) {
+  const rows = await query(`
+    SELECT DISTINCT theirs.user_id
+    FROM pack_members mine
+    JOIN pack_members theirs ON theirs.pack_id = mine.pack_id
+    WHERE mine.user_id = ? AND theirs.user_id != mine.user_id
+      AND mine.status = 'active' AND theirs.status = 'active'
+  `, [userId]);
+  return rows.map(row => row.user_id);
+}
+
+// Pack mates see 'pack' posts, and 'public' posts from public accounts
+function reachesPackMates(post) {
+  return post.visibility === 'pack' || (post.visibility === 'public' && post.privacy_level === 'public');
+}
+
+// Whose timelines a post belongs in; mirrors the visibility rules in postService
+async function timelineRecipients(post) {
+  const recipients = [post.user_id];
+  if (post.visibility === 'private' || post.privacy_level === 'private') {
+    return recipients;
+  }
+
+  if (post.visibility !== 'pack') {
+    const followers = await query(
+      "SELECT follower_id FROM followers WHERE following_id = ? AND status = 'active'",
+      [post.user_id]
+    );
+    recipients.push(...followers.map(row => row.follower_id));
+  }
+
+  if (reachesPackMates(post)) {
+    recipients.push(...await packMateIds(post.user_id));
+  }
+
+  return [...new Set(recipients.map(Number))];
+}
+
+// Push a post onto the timeline of everyone who should see it
+async function fanOutPost(postId) {
+  const post = await get(`
+    SELECT p.id, p.user_id, p.visibility, u.privacy_level
+    FROM posts p
+    JOIN users u ON p.user_id = u.id
+    WHERE p.id = ? AND p.is_deleted = FALSE
+  `, [postId]);
+  if (!post) return 0;
+
+  const recipients = await timelineRecipients(post);
+  await cacheService.addToTimelines(recipients, post.id, TIMELINE_MAX_ENTRIES);
+  return recipients.length;
+}
+
+// Copy the followed rider's recent posts into the new follower's timeline
+async function backfillFollow(followerId, followeeId) {
+  const posts = await query(`
+    SELECT p.id
+    FROM posts p
+    JOIN users u ON p.user_id = u.id
+    WHERE p.user_id = ? AND p.is_deleted = FALSE
+      AND p.visibility IN ('public', 'followers') AND u.privacy_level <> 'private'
+    ORDER BY p.id DESC
+    LIMIT ?
+  `, [followeeId, String(FOLLOW_BACKFILL_POSTS)]);
+
+  await cacheService.addPostsToTimeline(followerId, posts.map(post => post.id), TIMELINE_MAX_ENTRIES);
+}
+
+// Drop an unfollowed rider's posts, keeping the ones pack mates see if they still ride together
+async function purgeFollow(followerId, followeeId) {
+  const stillPackMates = (await packMateIds(followerId)).includes(Number(followeeId));
+
+  const posts = await query(`
+    SELECT p.id, p.visibility, u.privacy_level
+    FROM posts p
+    JOIN users u ON p.user_id = u.id
+    WHERE p.user_id = ?
+    ORDER BY p.id DESC
+    LIMIT ?
+  `, [followeeId, String(TIMELINE_MAX_ENTRIES)]);
+
+  const removed = posts
+    .filter(post => !(stillPackMates && reachesPackMates(post)))
+    .map(post => post.id);
+  await cacheService.removeFromTimeline(followerId, removed);
+}
+
+module.exports = {
+  TIMELINE_MAX_ENTRIES,
+  fanOutPost,
+  backfillFollow,
+  purgeFollow
+};
@@ -0,0 +1,141 @@
+const http2 = require('http2');
+const jwt = require('jsonwebtoken');
+
+// APNs rejects provider tokens older than an hour and throttles refreshes more often than
+// every 20 minutes, so one token is reused for 50 minutes
+const PROVIDER_TOKEN_TTL_MS = 50 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+// Responses that mean the device token will never work again
+const INVALID_TOKEN_REASONS = ['BadDeviceToken', 'Unregistered', 'DeviceTokenNotForTopic'];
+
+function buildProviderToken() {
+  const keyId = process.env.APNS_KEY_ID;
+  const teamId = process.env.APNS_TEAM_ID;
+  const privateKey = process.env.APNS_PRIVATE_KEY?.replace(/\\n/g, '\n');
+  if (!keyId || !teamId || !privateKey) {
+    return null;
+  }
+  const payload = { iss: teamId, iat: Math.floor(Date.now() / 1000) };
+  const header = { kid: keyId, alg: 'ES256' };
+  return jwt.sign(payload, privateKey, { algorithm: 'ES256', header });
+}
+
+// APNs HTTP/2 transport with token-based auth. APNS_HOST can point at a local stub
+// (plain http:// is spoken as cleartext HTTP/2).
+function createApnsTransport() {
+  const host = process.env.APNS_HOST || (process.env.APNS_ENV === 'production'
+    ? 'https://api.push.apple.com'
+    : 'https://api.sandbox.push.apple.com');
+  const topic = process.env.APNS_BUNDLE_ID;
+
+  let session = null;
+  let providerToken = null;
+  let providerTokenIssuedAt = 0;
+
+  function getProviderToken() {
+    if (!providerToken || Date.now() - providerTokenIssuedAt > PROVIDER_TOKEN_TTL_MS) {
+      providerToken = buildProviderToken();
+      providerTokenIssuedAt = Date.now();
+    }
+    return providerToken;
+  }
+
+  // One long-lived connection, re-opened after APNs closes it
+  function getSession() {
+    if (!session || session.closed || session.destroyed) {
+      session = http2.connect(host);
+      session.on('error', error => {
+        console.error('APNs connection error:', error.message);
+        session = null;
+      });
+      session.on('goaway', () => {
+        session = null;
+      });
+      session.unref();
+    }
+    return session;
+  }
+
+  return {
+    name: 'apns',
+    send({ to, subject, body, data, timeSensitive = false }) {
+      const token = getProviderToken();
+      if (!token) {
+        return Promise.reject(new Error('Missing APNs credentials'));
+      }
+      if (!topic) {
+        return Promise.reject(new Error('Missing APNs bundle id'));
+      }
+
+      const payload = JSON.stringify({
+        aps: {
+          alert: { title: subject, body },
+          sound: 'default',
+          ...(timeSensitive ? { 'interruption-level': 'time-sensitive' } : {})
+        },
+        data: data || {}
+      });
+
+      return new Promise((resolve, reject) => {
+        let req;
+        try {
+          req = getSession().request({
+            ':method': 'POST',
+            ':path': `/3/device/${encodeURIComponent(to)}`,
+            authorization: `bearer ${token}`,
+            'apns-topic': topic,
+            'apns-push-type': 'alert',
+            'apns-priority': '10',
+            'content-type': 'application/json'
+          });
+        } catch (error) {
+          session = null;
+          return reject(error);
+        }
+
+        let status = null;
+        let apnsId = null;
+        let responseBody = '';
+
+        req.setEncoding('utf8');
+        req.setTimeout(REQUEST_TIMEOUT_MS, () => {
+          req.close(http2.constants.NGHTTP2_CANCEL);
+          reject(new Error('APNs request timed out'));
+        });
+        req.on('response', headers => {
+          status = headers[':status'];
+          apnsId = headers['apns-id'] || null;
+        });
+        req.on('data', chunk => {
+          responseBody += chunk;
+        });
+        req.on('error', reject);
+        req.on('end', () => {
+          if (status === 200) {
+            return resolve({ id: apnsId });
+          }
+
+          let reason = null;
+          try {
+            reason = JSON.parse(responseBody).reason;
+          } catch (e) {
+            reason = responseBody || null;
+          }
+          if (reason === 'ExpiredProviderToken') {
+            providerToken = null;
+          }
+
+          const error = new Error(`APNs ${status}: ${reason || 'unknown error'}`);
+          error.status = status;
+          error.reason = reason;
+          error.invalidToken = status === 410 || INVALID_TOKEN_REASONS.includes(reason);
+          reject(error);
+        });
+
+        req.end(payload);
+      });
+    }
+  };
+}
+
+module.exports = { createApnsTransport };
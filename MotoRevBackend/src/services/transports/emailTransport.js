@@ -0,0 +1,29 @@
+const axios = require('axios');
+
+// SendGrid-compatible email transport. EMAIL_API_BASE can point at a local fake provider.
+function createEmailTransport() {
+  const apiKey = process.env.SENDGRID_API_KEY;
+  const from = process.env.EMAIL_FROM_ADDRESS || 'alerts@motorev.app';
+  const base = process.env.EMAIL_API_BASE || 'https://api.sendgrid.com';
+
+  return {
+    name: 'sendgrid',
+    async send({ to, subject, body }) {
+      if (!apiKey) {
+        throw new Error('Missing SendGrid API key');
+      }
+      const resp = await axios.post(`${base}/v3/mail/send`, {
+        personalizations: [{ to: [{ email: to }] }],
+        from: { email: from, name: 'MotoRev Safety' },
+        subject,
+        content: [{ type: 'text/plain', value: body }]
+      }, {
+        headers: { Authorization: `Bearer ${apiKey}` },
+        timeout: 10000
+      });
+      return { id: resp.headers?.['x-message-id'] || null };
+    }
+  };
+}
+
+module.exports = { createEmailTransport };
@@ -0,0 +1,59 @@
+const { createSmsTransport } = require('./smsTransport');
+const { createEmailTransport } = require('./emailTransport');
+const { createPushTransport } = require('./pushTransport');
+const { createApnsTransport } = require('./apnsTransport');
+const { createLogTransport } = require('./logTransport');
+
+// Transport registry keyed by channel ('sms' | 'email' | 'push' | 'apns').
+// Each transport exposes { name, send({ to, subject, body, data }) } and throws on failure.
+const transports = new Map();
+
+// SMS_TRANSPORT / EMAIL_TRANSPORT / PUSH_TRANSPORT / APNS_TRANSPORT select the provider; 'log' is the local fake
+function createDefaultTransport(channel) {
+  switch (channel) {
+    case 'sms':
+      if ((process.env.SMS_TRANSPORT || (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'log')) === 'twilio') {
+        return createSmsTransport();
+      }
+      return createLogTransport(channel);
+    case 'email':
+      if ((process.env.EMAIL_TRANSPORT || (process.env.SENDGRID_API_KEY ? 'sendgrid' : 'log')) === 'sendgrid') {
+        return createEmailTransport();
+      }
+      return createLogTransport(channel);
+    case 'push':
+      if ((process.env.PUSH_TRANSPORT || 'socket') === 'socket') {
+        return createPushTransport();
+      }
+      return createLogTransport(channel);
+    case 'apns':
+      if ((process.env.APNS_TRANSPORT || (process.env.APNS_KEY_ID ? 'apns' : 'log')) === 'apns') {
+        return createApnsTransport();
+      }
+      return createLogTransport(channel);
+    default:
+      throw new Error(`Unknown notification channel: ${channel}`);
+  }
+}
+
+function getTransport(channel) {
+  if (!transports.has(channel)) {
+    transports.set(channel, createDefaultTransport(channel));
+  }
+  return transports.get(channel);
+}
+
+// Swap a channel's transport (e.g. a fake provider in tests); pass null to restore the default
+function setTransport(channel, transport) {
+  if (transport) {
+    transports.set(channel, transport);
+  } else {
+    transports.delete(channel);
+  }
+}
+
+module.exports = {
+  getTransport,
+  setTransport,
+  createLogTransport
+};
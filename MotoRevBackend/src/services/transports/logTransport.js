@@ -0,0 +1,16 @@
+// Fake transport for local development and tests: logs and keeps every message in memory
+function createLogTransport(channel) {
+  const sent = [];
+  return {
+    name: 'log',
+    sent,
+    async send(message) {
+      const id = `${channel}-${Date.now()}-${sent.length + 1}`;
+      sent.push({ id, ...message });
+      console.log(`📨 [${channel}] -> ${message.to}: ${message.subject || message.body}`);
+      return { id };
+    }
+  };
+}
+
+module.exports = { createLogTransport };
@@ -0,0 +1,33 @@
+// Push transport for recipients who are MotoRev riders: delivers over their Socket.IO user
+// room and as an APNs push to their registered devices
+function createPushTransport() {
+  return {
+    name: 'socket',
+    async send({ to, subject, body, data }) {
+      // Required lazily to avoid a circular import with socketService
+      const { getIO } = require('../socketService');
+      const io = getIO();
+      if (!io) {
+        throw new Error('Socket server not initialised');
+      }
+      io.to(`user:${to}`).emit('notification', {
+        type: data?.type || 'emergency',
+        title: subject,
+        message: body,
+        data: data || {},
+        timestamp: new Date().toISOString()
+      });
+      // Required lazily: pushService depends on this registry
+      const { sendPushToUser } = require('../pushService');
+      const push = await sendPushToUser(to, { title: subject, body, data: data || {} }, {
+        sourceUserId: data?.userId
+      }).catch(error => {
+        console.error(`APNs delivery to user ${to} failed:`, error.message);
+        return null;
+      });
+      return { id: push?.ids[0] || null };
+    }
+  };
+}
+
+module.exports = { createPushTransport };
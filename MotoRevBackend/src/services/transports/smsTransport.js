@@ -0,0 +1,28 @@
+const axios = require('axios');
+
+// Twilio-compatible SMS transport. SMS_API_BASE can point at a local fake provider.
+function createSmsTransport() {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const from = process.env.TWILIO_FROM_NUMBER;
+  const base = process.env.SMS_API_BASE || 'https://api.twilio.com';
+
+  return {
+    name: 'twilio',
+    async send({ to, body }) {
+      if (!accountSid || !authToken || !from) {
+        throw new Error('Missing Twilio credentials');
+      }
+      const url = `${base}/2010-04-01/Accounts/${encodeURIComponent(accountSid)}/Messages.json`;
+      const form = new URLSearchParams({ To: to, From: from, Body: body });
+      const resp = await axios.post(url, form.toString(), {
+        auth: { username: accountSid, password: authToken },
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        timeout: 10000
+      });
+      return { id: resp.data?.sid || null };
+    }
+  };
+}
+
+module.exports = { createSmsTransport };
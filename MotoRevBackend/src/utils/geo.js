@@ -0,0 +1,218 @@
+const { query } = require('../database/connection');
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_MILE = 1.609344;
+const KM_PER_DEGREE_LAT = 111.32;
+// Longer paths are thinned to about this many points before Douglas-Peucker runs, which
+// keeps simplification cheap enough for the request thread
+const MAX_SIMPLIFY_INPUT_POINTS = 5000;
+
+// Tables with a geo_point column (stored POINT SRID 4326 generated from latitude/longitude).
+// SRID 4326 reads a POINT's X as latitude, so points are always built as POINT(lat, lng).
+const GEO_TABLES = ['hazard_reports', 'location_shares', 'places', 'ride_events'];
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+// Great-circle distance in kilometres
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Initial compass bearing from the first point to the second, 0-360 degrees
+function bearingDegrees(lat1, lon1, lat2, lon2) {
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const dLon = toRadians(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Total length of a polyline of { latitude, longitude } points, in kilometres
+function pathLengthKm(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += haversineKm(points[i - 1].latitude, points[i - 1].longitude, points[i].latitude, points[i].longitude);
+  }
+  return total;
+}
+
+// Closest point to p on segment a-b, on a local equirectangular projection: the offset from
+// the segment in metres and how far along it (0-1) the closest point lies
+function projectOntoSegment(p, a, b) {
+  const metersPerDegLat = KM_PER_DEGREE_LAT * 1000;
+  const metersPerDegLng = metersPerDegLat * Math.cos(toRadians(a.latitude));
+  const bx = (b.longitude - a.longitude) * metersPerDegLng;
+  const by = (b.latitude - a.latitude) * metersPerDegLat;
+  const px = (p.longitude - a.longitude) * metersPerDegLng;
+  const py = (p.latitude - a.latitude) * metersPerDegLat;
+  const lengthSquared = bx * bx + by * by;
+  const fraction = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, (px * bx + py * by) / lengthSquared));
+  return { offsetMeters: Math.hypot(px - fraction * bx, py - fraction * by), fraction };
+}
+
+function segmentOffsetMeters(p, a, b) {
+  return projectOntoSegment(p, a, b).offsetMeters;
+}
+
+function douglasPeucker(points, toleranceMeters) {
+  const keep = new Uint8Array(points.length);
+  keep[0] = 1;
+  keep[points.length - 1] = 1;
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [start, end] = stack.pop();
+    let maxOffset = 0;
+    let index = -1;
+    for (let i = start + 1; i < end; i++) {
+      const offset = segmentOffsetMeters(points[i], points[start], points[end]);
+      if (offset > maxOffset) {
+        maxOffset = offset;
+        index = i;
+      }
+    }
+    if (index !== -1 && maxOffset > toleranceMeters) {
+      keep[index] = 1;
+      stack.push([start, index], [index, end]);
+    }
+  }
+  return points.filter((_, i) => keep[i]);
+}
+
+// Every nth point, keeping both ends, so at most maxPoints remain
+function thinPath(points, maxPoints) {
+  if (points.length <= maxPoints) return points.slice();
+  const stride = Math.ceil((points.length - 1) / (maxPoints - 1));
+  const thinned = [];
+  for (let i = 0; i < points.length - 1; i += stride) {
+    thinned.push(points[i]);
+  }
+  thinned.push(points[points.length - 1]);
+  return thinned;
+}
+
+// Douglas-Peucker simplification, loosening the tolerance until at most maxPoints remain.
+// Each looser pass works on the previous result rather than the full path.
+function simplifyPath(points, maxPoints, toleranceMeters = 10) {
+  if (points.length <= 2) return points.slice();
+  let tolerance = toleranceMeters;
+  let simplified = douglasPeucker(thinPath(points, MAX_SIMPLIFY_INPUT_POINTS), tolerance);
+  while (simplified.length > Math.max(maxPoints, 2)) {
+    tolerance *= 2;
+    simplified = douglasPeucker(simplified, tolerance);
+  }
+  return simplified;
+}
+
+function milesToKm(miles) {
+  return miles * KM_PER_MILE;
+}
+
+function kmToMiles(km) {
+  return km / KM_PER_MILE;
+}
+
+function isValidCoordinate(latitude, longitude) {
+  return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+    Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180;
+}
+
+// Bounding box around a point, as a long-lat WKT polygon the spatial index can use
+function boundingBoxWkt(latitude, longitude, radiusKm) {
+  const dLat = radiusKm / KM_PER_DEGREE_LAT;
+  const dLng = radiusKm / (KM_PER_DEGREE_LAT * Math.max(Math.cos(toRadians(latitude)), 0.01));
+  const minLat = Math.max(latitude - dLat, -90);
+  const maxLat = Math.min(latitude + dLat, 90);
+  const minLng = Math.max(longitude - dLng, -180);
+  const maxLng = Math.min(longitude + dLng, 180);
+  return `POLYGON((${minLng} ${minLat}, ${maxLng} ${minLat}, ${maxLng} ${maxLat}, ${minLng} ${maxLat}, ${minLng} ${minLat}))`;
+}
+
+// Run a radius search against a table with a geo_point column. The bounding-box
+// MBRContains filter hits the SPATIAL INDEX; ST_Distance_Sphere then trims to the exact
+// radius. Rows come back with a distance_km column, nearest first unless orderBy says otherwise.
+//
+//   withinRadius({
+//     select: 'hr.*, u.username',
+//     from: 'hazard_reports hr JOIN users u ON hr.reporter_id = u.id',
+//     pointColumn: 'hr.geo_point',
+//     where: "hr.status = 'active'",
+//     latitude, longitude, radiusKm: 10
+//   })
+//
+// selectParams / fromParams / params bind placeholders in select, from and where respectively.
+async function withinRadius({
+  select,
+  from,
+  pointColumn,
+  where = null,
+  selectParams = [],
+  fromParams = [],
+  params = [],
+  groupBy = null,
+  orderBy = 'distance_km ASC',
+  latitude,
+  longitude,
+  radiusKm,
+  limit = 100,
+  offset = 0
+}) {
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  const radius = parseFloat(radiusKm);
+
+  if (!isValidCoordinate(lat, lng)) {
+    throw new Error('Invalid coordinates');
+  }
+  if (!Number.isFinite(radius) || radius <= 0) {
+    throw new Error('Invalid radius');
+  }
+
+  const origin = 'ST_SRID(POINT(?, ?), 4326)'; // lat, lng
+  const sql = `
+    SELECT ${select}, ST_Distance_Sphere(${pointColumn}, ${origin}) / 1000 AS distance_km
+    FROM ${from}
+    WHERE MBRContains(ST_GeomFromText(?, 4326, 'axis-order=long-lat'), ${pointColumn})
+      AND ST_Distance_Sphere(${pointColumn}, ${origin}) <= ?
+      ${where ? `AND (${where})` : ''}
+    ${groupBy ? `GROUP BY ${groupBy}` : ''}
+    ORDER BY ${orderBy}
+    LIMIT ? OFFSET ?
+  `;
+
+  return query(sql, [
+    ...selectParams,
+    lat, lng,
+    ...fromParams,
+    boundingBoxWkt(lat, lng, radius),
+    lat, lng,
+    radius * 1000,
+    ...params,
+    String(parseInt(limit) || 100),
+    String(parseInt(offset) || 0)
+  ]);
+}
+
+module.exports = {
+  EARTH_RADIUS_KM,
+  GEO_TABLES,
+  haversineKm,
+  bearingDegrees,
+  pathLengthKm,
+  projectOntoSegment,
+  segmentOffsetMeters,
+  thinPath,
+  simplifyPath,
+  milesToKm,
+  kmToMiles,
+  isValidCoordinate,
+  withinRadius
+};
@@ -0,0 +1,47 @@
+// Identify uploads from their leading bytes rather than the client's Content-Type or
+// file name, so a renamed file cannot slip through as an image.
+
+const MEDIA_TYPES = {
+  'image/jpeg': { kind: 'image', extension: 'jpg' },
+  'image/png': { kind: 'image', extension: 'png' },
+  'image/webp': { kind: 'image', extension: 'webp' },
+  'video/mp4': { kind: 'video', extension: 'mp4' },
+  'video/quicktime': { kind: 'video', extension: 'mov' }
+};
+
+// ISO base media "ftyp" brands for the video containers we accept
+const MP4_BRANDS = ['isom', 'iso2', 'iso4', 'iso5', 'iso6', 'mp41', 'mp42', 'avc1', 'M4V ', 'dash'];
+
+function startsWith(buffer, bytes, offset = 0) {
+  if (buffer.length < offset + bytes.length) return false;
+  return bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+function ascii(buffer, start, end) {
+  return buffer.length >= end ? buffer.toString('latin1', start, end) : '';
+}
+
+// { mime, kind, extension } for a supported file, otherwise null
+function sniffMediaType(buffer) {
+  let mime = null;
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+    mime = 'image/jpeg';
+  } else if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    mime = 'image/png';
+  } else if (ascii(buffer, 0, 4) === 'RIFF' && ascii(buffer, 8, 12) === 'WEBP') {
+    mime = 'image/webp';
+  } else if (ascii(buffer, 4, 8) === 'ftyp') {
+    const brand = ascii(buffer, 8, 12);
+    if (brand === 'qt  ') {
+      mime = 'video/quicktime';
+    } else if (MP4_BRANDS.includes(brand)) {
+      mime = 'video/mp4';
+    }
+  }
+  return mime ? { mime, ...MEDIA_TYPES[mime] } : null;
+}
+
+module.exports = {
+  MEDIA_TYPES,
+  sniffMediaType
+};
@@ -0,0 +1,369 @@
+// Serialise recorded tracks to GPX 1.1, KML 2.2 and GeoJSON for use in Garmin BaseCamp,
+// Google Earth and other mapping tools, and parse GPX/GeoJSON routes planned elsewhere.
+//
+// A track point is { latitude, longitude, elevation?, time?, speed?, leanAngle? }.
+
+const EXPORT_FORMATS = {
+  gpx: { contentType: 'application/gpx+xml', extension: 'gpx' },
+  kml: { contentType: 'application/vnd.google-earth.kml+xml', extension: 'kml' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' }
+};
+
+// Own keys only, so 'constructor' and friends are not formats
+function isExportFormat(format) {
+  return typeof format === 'string' && Object.hasOwn(EXPORT_FORMATS, format);
+}
+
+// Namespace for MotoRev-specific GPX extensions (speed and lean angle as recorded by the app)
+const MOTOREV_GPX_NAMESPACE = 'https://motorev.app/xmlschemas/GpxExtensions/v1';
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function unescapeXml(value) {
+  return String(value)
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+function finiteOrNull(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+function isoOrNull(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Accepts the shapes the app has stored over time: { latitude, longitude },
+// { lat, lng|lon } or [lat, lng]. Returns null for anything without valid coordinates.
+function normalizeTrackPoint(point) {
+  if (!point) return null;
+  const latitude = finiteOrNull(Array.isArray(point) ? point[0] : point.latitude ?? point.lat);
+  const longitude = finiteOrNull(Array.isArray(point) ? point[1] : point.longitude ?? point.lng ?? point.lon);
+  if (latitude === null || longitude === null || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    return null;
+  }
+  if (Array.isArray(point)) {
+    return { latitude, longitude, elevation: null, time: null, speed: null, leanAngle: null };
+  }
+  return {
+    latitude,
+    longitude,
+    elevation: finiteOrNull(point.elevation ?? point.altitude ?? point.ele),
+    time: isoOrNull(point.time ?? point.timestamp ?? point.t),
+    speed: finiteOrNull(point.speed),
+    leanAngle: finiteOrNull(point.leanAngle ?? point.lean_angle)
+  };
+}
+
+function toGpx({ name, description, points }) {
+  const hasExtensions = points.some(point => point.speed !== null || point.leanAngle !== null);
+  const trackPoints = points.map(point => {
+    const children = [];
+    if (point.elevation !== null) children.push(`<ele>${point.elevation}</ele>`);
+    if (point.time) children.push(`<time>${point.time}</time>`);
+    if (point.speed !== null || point.leanAngle !== null) {
+      const extensions = [];
+      if (point.speed !== null) extensions.push(`<motorev:speed>${point.speed}</motorev:speed>`);
+      if (point.leanAngle !== null) extensions.push(`<motorev:leanAngle>${point.leanAngle}</motorev:leanAngle>`);
+      children.push(`<extensions>${extensions.join('')}</extensions>`);
+    }
+    return `      <trkpt lat="${point.latitude}" lon="${point.longitude}">${children.join('')}</trkpt>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="MotoRev" xmlns="http://www.topografix.com/GPX/1/1"' +
+      (hasExtensions ? ` xmlns:motorev="${MOTOREV_GPX_NAMESPACE}"` : '') + '>',
+    '  <metadata>',
+    `    <name>${escapeXml(name)}</name>`,
+    description ? `    <desc>${escapeXml(description)}</desc>` : null,
+    '  </metadata>',
+    '  <trk>',
+    `    <name>${escapeXml(name)}</name>`,
+    '    <trkseg>',
+    ...trackPoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+// Timed tracks become a gx:Track (Google Earth can replay them, with speed and lean angle
+// as extended data); tracks without timestamps fall back to a plain LineString.
+function toKml({ name, description, points }) {
+  const timed = points.length > 0 && points.every(point => point.time);
+  let geometry;
+
+  if (timed) {
+    const lines = [
+      '      <gx:Track>',
+      '        <altitudeMode>clampToGround</altitudeMode>',
+      ...points.map(point => `        <when>${point.time}</when>`),
+      ...points.map(point => `        <gx:coord>${point.longitude} ${point.latitude} ${point.elevation ?? 0}</gx:coord>`)
+    ];
+    const arrays = [];
+    if (points.some(point => point.speed !== null)) {
+      arrays.push(['speed', points.map(point => point.speed)]);
+    }
+    if (points.some(point => point.leanAngle !== null)) {
+      arrays.push(['leanAngle', points.map(point => point.leanAngle)]);
+    }
+    if (arrays.length > 0) {
+      lines.push('        <ExtendedData>', '          <SchemaData schemaUrl="#motorevTrack">');
+      for (const [field, values] of arrays) {
+        lines.push(`            <gx:SimpleArrayData name="${field}">`);
+        lines.push(...values.map(value => `              <gx:value>${value ?? ''}</gx:value>`));
+        lines.push('            </gx:SimpleArrayData>');
+      }
+      lines.push('          </SchemaData>', '        </ExtendedData>');
+    }
+    lines.push('      </gx:Track>');
+    geometry = lines.join('\n');
+  } else {
+    const coordinates = points
+      .map(point => `${point.longitude},${point.latitude}${point.elevation !== null ? `,${point.elevation}` : ''}`)
+      .join(' ');
+    geometry = [
+      '      <LineString>',
+      '        <tessellate>1</tessellate>',
+      `        <coordinates>${coordinates}</coordinates>`,
+      '      </LineString>'
+    ].join('\n');
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(name)}</name>`,
+    timed ? [
+      '    <Schema id="motorevTrack">',
+      '      <gx:SimpleArrayField name="speed" type="float"><displayName>Speed</displayName></gx:SimpleArrayField>',
+      '      <gx:SimpleArrayField name="leanAngle" type="float"><displayName>Lean angle</displayName></gx:SimpleArrayField>',
+      '    </Schema>'
+    ].join('\n') : null,
+    '    <Style id="ride"><LineStyle><color>ff0000ff</color><width>4</width></LineStyle></Style>',
+    '    <Placemark>',
+    `      <name>${escapeXml(name)}</name>`,
+    description ? `      <description>${escapeXml(description)}</description>` : null,
+    '      <styleUrl>#ride</styleUrl>',
+    geometry,
+    '    </Placemark>',
+    '  </Document>',
+    '</kml>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+// Per-point times, speeds and lean angles go in parallel property arrays
+// (the coordTimes convention used by togeojson and Mapbox tools)
+function toGeoJson({ name, description, points, properties = {} }) {
+  const featureProperties = { name, ...properties };
+  if (description) featureProperties.description = description;
+  if (points.some(point => point.time)) featureProperties.coordTimes = points.map(point => point.time);
+  if (points.some(point => point.speed !== null)) featureProperties.speeds = points.map(point => point.speed);
+  if (points.some(point => point.leanAngle !== null)) featureProperties.leanAngles = points.map(point => point.leanAngle);
+
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: [{
+      type: 'Feature',
+      properties: featureProperties,
+      geometry: {
+        type: 'LineString',
+        coordinates: points.map(point => (
+          point.elevation !== null
+            ? [point.longitude, point.latitude, point.elevation]
+            : [point.longitude, point.latitude]
+        ))
+      }
+    }]
+  }, null, 2);
+}
+
+function serializeTrack(format, track) {
+  switch (format) {
+    case 'gpx':
+      return toGpx(track);
+    case 'kml':
+      return toKml(track);
+    case 'geojson':
+      return toGeoJson(track);
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+function xmlAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+  return match ? match[1] : null;
+}
+
+function xmlChild(body, tag) {
+  const match = body && body.match(new RegExp(`<${tag}\\b[^>]*>([\\s\\S]*?)</${tag}>`));
+  return match ? unescapeXml(match[1]) : null;
+}
+
+// Route points from a GPX file: the first <rte> if there is one, otherwise the track
+// points, otherwise standalone waypoints. Throws if the document has none.
+function parseGpx(text) {
+  if (!/<gpx\b/.test(text)) {
+    throw new Error('Not a GPX document');
+  }
+
+  let points = [];
+  for (const tag of ['rtept', 'trkpt', 'wpt']) {
+    const pattern = new RegExp(`<${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</${tag}>)`, 'g');
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const point = normalizeTrackPoint({
+        latitude: xmlAttribute(match[1], 'lat'),
+        longitude: xmlAttribute(match[1], 'lon'),
+        elevation: xmlChild(match[2], 'ele'),
+        time: xmlChild(match[2], 'time')
+      });
+      if (point) {
+        const name = xmlChild(match[2], 'name');
+        if (name) point.name = name;
+        points.push(point);
+      }
+    }
+    if (points.length > 0) break;
+  }
+
+  if (points.length === 0) {
+    throw new Error('GPX file contains no route, track or waypoints');
+  }
+
+  const container = text.match(/<(?:rte|trk)\b[^>]*>([\s\S]*?)<(?:rtept|trkseg|trkpt)\b/);
+  const name = (container && xmlChild(container[1], 'name')) || xmlChild(text, 'name');
+
+  return { name, points };
+}
+
+// Route points from GeoJSON: LineString / MultiLineString geometries are joined in order;
+// a collection of Point features is taken as a list of waypoints.
+function parseGeoJson(text) {
+  let document;
+  try {
+    document = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Invalid GeoJSON: not valid JSON');
+  }
+
+  const features = document.type === 'FeatureCollection'
+    ? document.features || []
+    : document.type === 'Feature'
+      ? [document]
+      : [{ type: 'Feature', properties: {}, geometry: document }];
+
+  const linePoints = [];
+  const waypoints = [];
+  let name = null;
+
+  for (const feature of features) {
+    const geometry = feature && feature.geometry;
+    if (!geometry) continue;
+    const properties = feature.properties || {};
+    const lines = geometry.type === 'LineString'
+      ? [geometry.coordinates]
+      : geometry.type === 'MultiLineString' ? geometry.coordinates : [];
+
+    for (const line of lines) {
+      for (const [longitude, latitude, elevation] of line || []) {
+        const point = normalizeTrackPoint({ latitude, longitude, elevation });
+        if (point) linePoints.push(point);
+      }
+    }
+    if (geometry.type === 'Point' && Array.isArray(geometry.coordinates)) {
+      const [longitude, latitude, elevation] = geometry.coordinates;
+      const point = normalizeTrackPoint({ latitude, longitude, elevation });
+      if (point) {
+        if (properties.name) point.name = String(properties.name);
+        waypoints.push(point);
+      }
+    }
+    if (!name && properties.name && lines.length > 0) name = String(properties.name);
+  }
+
+  const points = linePoints.length > 0 ? linePoints : waypoints;
+  if (points.length === 0) {
+    throw new Error('GeoJSON contains no LineString or Point geometry');
+  }
+
+  return { name, points };
+}
+
+// Parse an uploaded route file, picking the format from the extension or the content
+function parseRouteFile(buffer, filename = '') {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const extension = filename.toLowerCase().split('.').pop();
+  if (extension === 'gpx') return parseGpx(text);
+  if (extension === 'geojson' || extension === 'json') return parseGeoJson(text);
+  return text.trimStart().startsWith('<') ? parseGpx(text) : parseGeoJson(text);
+}
+
+function encodePolylineValue(value) {
+  let chunk = value < 0 ? ~(value << 1) : value << 1;
+  let encoded = '';
+  while (chunk >= 0x20) {
+    encoded += String.fromCharCode((0x20 | (chunk & 0x1f)) + 63);
+    chunk >>= 5;
+  }
+  return encoded + String.fromCharCode(chunk + 63);
+}
+
+// Encoded polyline (the Google Maps format, 5 decimal places) for { latitude, longitude } points
+function encodePolyline(points, precision = 5) {
+  const factor = Math.pow(10, precision);
+  let previousLat = 0;
+  let previousLng = 0;
+  let encoded = '';
+  for (const point of points) {
+    const lat = Math.round(point.latitude * factor);
+    const lng = Math.round(point.longitude * factor);
+    encoded += encodePolylineValue(lat - previousLat) + encodePolylineValue(lng - previousLng);
+    previousLat = lat;
+    previousLng = lng;
+  }
+  return encoded;
+}
+
+// Send a track as a file download in the requested format
+function sendTrackExport(res, format, filename, track) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.setHeader('Content-Type', `${contentType}; charset=utf-8`);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename.replace(/[^\w.-]/g, '_')}.${extension}"`);
+  res.send(serializeTrack(format, track));
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  isExportFormat,
+  normalizeTrackPoint,
+  toGpx,
+  toKml,
+  toGeoJson,
+  encodePolyline,
+  serializeTrack,
+  sendTrackExport,
+  parseGpx,
+  parseGeoJson,
+  parseRouteFile
+};
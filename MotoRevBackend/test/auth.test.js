@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// users rows served from memory instead of MySQL
+const connection = require('../src/database/connection');
+
+const users = new Map();
+connection.query = async (sql, params) => {
+  if (sql.includes('WHERE username = ?')) {
+    return [...users.values()].filter(user => user.username === params[0]);
+  }
+  const user = users.get(params[0]);
+  return user ? [user] : [];
+};
+
+const { authenticateToken, authenticateAllowSuspended } = require('../src/middleware/auth');
+
+function addUser(id, suspension = {}) {
+  users.set(id, {
+    id,
+    email: `rider${id}@example.com`,
+    username: id === 1 ? 'rider_alex' : `rider${id}`,
+    suspended_at: null,
+    suspended_until: null,
+    suspension_reason: null,
+    ...suspension
+  });
+}
+
+// Run a middleware and report whether it called next() or what it responded
+async function authenticate(middleware, token) {
+  const req = { headers: { authorization: `Bearer ${token}` } };
+  const outcome = { next: false, status: 200, body: null, req };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    }
+  };
+  await middleware(req, res, () => { outcome.next = true; });
+  return outcome;
+}
+
+function tokenFor(userId) {
+  return jwt.sign({ userId, email: `rider${userId}@example.com`, username: `rider${userId}` }, process.env.JWT_SECRET);
+}
+
+test.beforeEach(() => users.clear());
+
+test('riders in good standing get through', async () => {
+  addUser(2);
+  const outcome = await authenticate(authenticateToken, tokenFor(2));
+  assert.equal(outcome.next, true);
+  assert.equal(outcome.req.user.id, 2);
+});
+
+test('suspended riders are refused with the suspension', async () => {
+  const until = new Date(Date.now() + 60 * 60 * 1000);
+  addUser(2, { suspended_at: new Date(), suspended_until: until, suspension_reason: 'Spam' });
+  const outcome = await authenticate(authenticateToken, tokenFor(2));
+  assert.equal(outcome.next, false);
+  assert.equal(outcome.status, 403);
+  assert.equal(outcome.body.error, 'Account suspended');
+  assert.equal(outcome.body.suspension.reason, 'Spam');
+});
+
+test('banned riders are refused, and an expired suspension no longer counts', async () => {
+  addUser(2, { suspended_at: new Date(), suspended_until: null, suspension_reason: 'Abuse' });
+  addUser(3, { suspended_at: new Date(), suspended_until: new Date(Date.now() - 1000), suspension_reason: 'Spam' });
+  assert.equal((await authenticate(authenticateToken, tokenFor(2))).body.error, 'Account banned');
+  assert.equal((await authenticate(authenticateToken, tokenFor(3))).next, true);
+});
+
+test('suspended riders can still reach the appeal routes', async () => {
+  addUser(2, { suspended_at: new Date(), suspended_until: null, suspension_reason: 'Abuse' });
+  const outcome = await authenticate(authenticateAllowSuspended, tokenFor(2));
+  assert.equal(outcome.next, true);
+  assert.equal(outcome.req.suspension.permanent, true);
+});
+
+test('the development test token is held to the suspension check', async () => {
+  addUser(1, { suspended_at: new Date(), suspended_until: null, suspension_reason: 'Abuse' });
+  const outcome = await authenticate(authenticateToken, 'test-token-for-development');
+  assert.equal(outcome.next, false);
+  assert.equal(outcome.status, 403);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// One emergency_events row kept in memory; the conditional UPDATEs behave like MySQL's
+const connection = require('../src/database/connection');
+
+let event = null;
+connection.run = async (sql, params) => {
+  if (sql.includes('INSERT INTO emergency_events')) {
+    event = { id: 9, user_id: params[0], status: 'pending' };
+    return { insertId: event.id, affectedRows: 1 };
+  }
+  const [id, userId] = params;
+  const matches = event && event.id === Number(id) && event.status === 'pending';
+  if (sql.includes("status = 'false_alarm'") && matches && event.user_id === userId) {
+    event.status = 'false_alarm';
+    return { affectedRows: 1 };
+  }
+  if (sql.includes("status = 'active'") && matches) {
+    event.status = 'active';
+    return { affectedRows: 1 };
+  }
+  return { affectedRows: 0 };
+};
+
+const { startCrashCountdown, cancelCrashCountdown, escalateEmergency } = require('../src/services/emergencyService');
+
+const location = { latitude: 37.77, longitude: -122.42 };
+
+test('a rider cancelling in time turns the crash into a false alarm', async () => {
+  const { emergencyId, countdownSeconds } = await startCrashCountdown({
+    userId: 1, location, confidence: 0.9, countdownSeconds: 5
+  });
+  assert.equal(countdownSeconds, 10);
+  assert.equal(event.status, 'pending');
+
+  assert.equal(await cancelCrashCountdown(emergencyId, 2), false);
+  assert.equal(await cancelCrashCountdown(emergencyId, 1), true);
+  assert.equal(event.status, 'false_alarm');
+
+  // The escalation that would have fired is a no-op now, and a second cancel finds nothing
+  assert.equal(await escalateEmergency(emergencyId), null);
+  assert.equal(event.status, 'false_alarm');
+  assert.equal(await cancelCrashCountdown(emergencyId, 1), false);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The service runs against canned rows instead of MySQL; the helpers are swapped before
+// the service takes its references to them
+const connection = require('../src/database/connection');
+
+// Block lists are read straight from the stubbed database rather than Redis
+const cacheService = require('../src/services/cacheService');
+cacheService.getBlockedUserIds = async () => null;
+cacheService.setBlockedUserIds = async () => {};
+
+const writes = [];
+connection.get = async (sql) => {
+  if (sql.includes('FROM emergency_events')) {
+    return { id: 7, user_id: 1, event_type: 'crash_detected', severity: 'high', latitude: 37.77, longitude: -122.42 };
+  }
+  if (sql.includes('emergency_contact_phone')) {
+    return { emergency_contact_name: 'Sam', emergency_contact_phone: '+15550000001' };
+  }
+  if (sql.includes('FROM users')) {
+    return { id: 1, username: 'rider', first_name: 'Alex', last_name: 'Rider' };
+  }
+  return null;
+};
+connection.query = async (sql) => {
+  if (sql.includes('FROM emergency_contacts')) {
+    return [
+      { id: 3, name: 'Jordan', phone: '+15550000002', email: 'jordan@example.com', notify_sms: 1, notify_email: 1, notify_push: 0, contact_user_id: null },
+      { id: 4, name: 'Casey', phone: '+15550000003', email: null, notify_sms: 1, notify_email: 0, notify_push: 0, contact_user_id: null },
+      { id: 5, name: 'Blocked', phone: '+15550000009', email: null, notify_sms: 1, notify_email: 0, notify_push: 1, contact_user_id: 66 }
+    ];
+  }
+  if (sql.includes('FROM user_blocks')) {
+    return [{ user_id: 66 }];
+  }
+  return [];
+};
+connection.run = async (sql, params) => {
+  writes.push({ sql, params });
+  return { insertId: writes.length, affectedRows: 1 };
+};
+
+const { setTransport, createLogTransport } = require('../src/services/transports');
+const { notifyEmergencyContacts } = require('../src/services/emergencyService');
+
+test('emergency contacts are alerted through the fake providers, except blocked riders', async () => {
+  const sms = createLogTransport('sms');
+  const email = createLogTransport('email');
+  setTransport('sms', {
+    name: 'flaky',
+    async send(message) {
+      if (message.to === '+15550000003') throw new Error('Carrier rejected the number');
+      return sms.send(message);
+    }
+  });
+  setTransport('email', email);
+
+  try {
+    const result = await notifyEmergencyContacts(7);
+
+    assert.equal(result.totalContacts, 3);
+    assert.equal(result.contactsNotified, 2);
+    assert.deepEqual(sms.sent.map(message => message.to), ['+15550000001', '+15550000002']);
+    assert.deepEqual(email.sent.map(message => message.to), ['jordan@example.com']);
+    assert.match(sms.sent[0].body, /Alex Rider may need help/);
+    assert.equal(sms.sent[0].data.emergencyId, 7);
+
+    const attempts = writes.filter(write => write.sql.includes('INSERT INTO emergency_notifications'));
+    assert.equal(attempts.length, 4);
+    const failed = attempts.find(write => write.params[3] === '+15550000003');
+    assert.equal(failed.params[5], 'failed');
+    assert.equal(failed.params[7], 'Carrier rejected the number');
+    assert.ok(writes.some(write => write.sql.includes('SET emergency_contacts_notified = TRUE')));
+  } finally {
+    setTransport('sms', null);
+    setTransport('email', null);
+  }
+});
+
+test('a slow provider does not hold up the other contacts', async () => {
+  const delayMs = 150;
+  const slow = {
+    name: 'slow',
+    async send() {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+      return { id: 'slow' };
+    }
+  };
+  setTransport('sms', slow);
+  setTransport('email', slow);
+
+  try {
+    const started = Date.now();
+    const result = await notifyEmergencyContacts(7);
+    assert.equal(result.attempts.length, 4);
+    assert.ok(Date.now() - started < delayMs * 2, 'deliveries ran one after another');
+  } finally {
+    setTransport('sms', null);
+    setTransport('email', null);
+  }
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { thinPath, simplifyPath, haversineKm } = require('../src/utils/geo');
+
+// A straight run north with a 500 m detour east at the midpoint
+function detourPath(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    latitude: 37 + i * 0.0001,
+    longitude: -122 + (i === Math.floor(count / 2) ? 0.005 : 0)
+  }));
+}
+
+test('thinPath keeps both ends and at most maxPoints', () => {
+  const points = detourPath(10001);
+  const thinned = thinPath(points, 100);
+  assert.ok(thinned.length <= 100);
+  assert.equal(thinned[0], points[0]);
+  assert.equal(thinned[thinned.length - 1], points[points.length - 1]);
+});
+
+test('thinPath returns a copy of short paths', () => {
+  const points = detourPath(5);
+  const thinned = thinPath(points, 10);
+  assert.deepEqual(thinned, points);
+  assert.notEqual(thinned, points);
+});
+
+test('simplifyPath drops collinear points but keeps the detour', () => {
+  const points = detourPath(101);
+  const simplified = simplifyPath(points, 50);
+  assert.deepEqual(simplified, [points[0], points[49], points[50], points[51], points[100]]);
+});
+
+test('simplifyPath loosens the tolerance until maxPoints is met', () => {
+  const points = Array.from({ length: 400 }, (_, i) => ({
+    latitude: 37 + i * 0.001,
+    longitude: -122 + (i % 2) * 0.001
+  }));
+  assert.ok(simplifyPath(points, 20).length <= 20);
+});
+
+test('haversineKm measures a degree of latitude as about 111 km', () => {
+  assert.ok(Math.abs(haversineKm(0, 0, 1, 0) - 111.19) < 0.01);
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeConfidence, isHazardType } = require('../src/services/hazardService');
+
+test('a single fresh report scores 0.667', () => {
+  assert.equal(computeConfidence({ reports: 1, positive: 0, negative: 0 }), 0.667);
+});
+
+test('agreeing confirmations raise confidence and disputes lower it', () => {
+  assert.equal(computeConfidence({ reports: 1, positive: 2, negative: 0 }), 0.8);
+  assert.equal(computeConfidence({ reports: 1, positive: 0, negative: 3 }), 0.333);
+});
+
+test('isHazardType ignores inherited object keys', () => {
+  assert.equal(isHazardType('pothole'), true);
+  assert.equal(isHazardType('constructor'), false);
+  assert.equal(isHazardType(undefined), false);
+});
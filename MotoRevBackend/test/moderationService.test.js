@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const DATABASE_DIR = path.join(__dirname, '../src/database');
+
+// Columns a table has once setupDatabase has run: the CREATE TABLE in the schema plus
+// the columns setupDatabase adds to older databases
+function tableColumns(table) {
+  const schema = fs.readFileSync(path.join(DATABASE_DIR, 'schema_mysql.sql'), 'utf8');
+  const create = schema.match(new RegExp(`CREATE TABLE IF NOT EXISTS ${table} \\(([\\s\\S]*?)\\n\\)`));
+  const columns = new Set(create[1].split('\n')
+    .map(line => line.trim().match(/^([a-z_]+)\s+[A-Z]/))
+    .filter(Boolean)
+    .map(match => match[1]));
+
+  const setup = fs.readFileSync(path.join(DATABASE_DIR, 'setupDatabase.js'), 'utf8');
+  for (const match of setup.matchAll(new RegExp(`ALTER TABLE ${table} ADD COLUMN ([a-z_]+)`, 'g'))) {
+    columns.add(match[1]);
+  }
+  return columns;
+}
+
+// Bare column names used in a single-table SELECT, leaving out aliases and SQL words
+function selectedColumns(sql) {
+  const select = sql.replace(/'[^']*'/g, '').match(/SELECT([\s\S]*?)FROM/i)[1];
+  const keywords = ['as', 'is', 'not', 'null', 'and', 'or', 'true', 'false', 'coalesce'];
+  return select.replace(/\bas\s+[a-z_]+/gi, '')
+    .match(/[a-z_]+/gi)
+    .filter(word => !keywords.includes(word.toLowerCase()));
+}
+
+const connection = require('../src/database/connection');
+
+const reads = [];
+const hazard = { id: 4, owner_id: 2, text: 'Gravel on the apex', media_url: null, hidden: 0 };
+connection.get = async (sql, params) => {
+  reads.push({ sql, params });
+  if (sql.includes('FROM hazard_reports')) return hazard;
+  if (sql.includes('COUNT(DISTINCT reporter_id)')) return { count: 1 };
+  if (sql.includes('SELECT * FROM content_moderation')) {
+    return { id: 11, content_type: 'hazard_report', content_id: 4, content_owner_id: 2, reporter_id: 3, reason: 'spam', status: 'pending' };
+  }
+  return null;
+};
+connection.run = async () => ({ insertId: 11, affectedRows: 1 });
+connection.query = async () => [];
+
+const { reportContent } = require('../src/services/moderationService');
+
+test('hazard reports are found by their reporter', async () => {
+  const result = await reportContent(3, { contentType: 'hazard_report', contentId: 4, reason: 'spam' });
+  assert.equal(result.error, undefined);
+  assert.equal(result.report.contentType, 'hazard_report');
+
+  const find = reads.find(read => read.sql.includes('FROM hazard_reports'));
+  const columns = tableColumns('hazard_reports');
+  for (const column of selectedColumns(find.sql)) {
+    assert.ok(columns.has(column), `hazard_reports has no ${column} column`);
+  }
+  assert.match(find.sql, /reporter_id as owner_id/);
+});
+
+test('riders cannot report their own hazard', async () => {
+  const result = await reportContent(2, { contentType: 'hazard_report', contentId: 4, reason: 'spam' });
+  assert.equal(result.status, 400);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isWithinQuietHours, categoryForType } = require('../src/services/notificationPreferenceService');
+
+const overnight = { enabled: true, start: '22:00', end: '07:00', timezone: 'UTC' };
+
+test('overnight quiet hours wrap past midnight', () => {
+  assert.equal(isWithinQuietHours(overnight, new Date('2026-03-01T23:30:00Z')), true);
+  assert.equal(isWithinQuietHours(overnight, new Date('2026-03-01T06:59:00Z')), true);
+  assert.equal(isWithinQuietHours(overnight, new Date('2026-03-01T07:00:00Z')), false);
+  assert.equal(isWithinQuietHours(overnight, new Date('2026-03-01T12:00:00Z')), false);
+});
+
+test('quiet hours follow the rider timezone', () => {
+  const daytime = { enabled: true, start: '09:00', end: '17:00', timezone: 'America/Los_Angeles' };
+  // 17:00 UTC is 09:00 in Los Angeles during PST
+  assert.equal(isWithinQuietHours(daytime, new Date('2026-01-15T17:00:00Z')), true);
+  assert.equal(isWithinQuietHours(daytime, new Date('2026-01-15T16:59:00Z')), false);
+});
+
+test('disabled or empty windows never apply', () => {
+  const now = new Date('2026-03-01T23:30:00Z');
+  assert.equal(isWithinQuietHours({ ...overnight, enabled: false }, now), false);
+  assert.equal(isWithinQuietHours({ ...overnight, end: '22:00' }, now), false);
+});
+
+test('categoryForType ignores inherited object keys', () => {
+  assert.equal(categoryForType('toString'), categoryForType('unknown_type'));
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// The recipient's settings and the stored rows live in memory instead of MySQL
+const connection = require('../src/database/connection');
+
+let settings;
+let categoryRows;
+let ridingTogether;
+const stored = [];
+
+function clock(date) {
+  return date.toISOString().slice(11, 16);
+}
+
+connection.run = async (sql, params) => {
+  if (sql.includes('INSERT INTO notifications')) {
+    const [userId, actorId, type, title, message, data] = params;
+    stored.push({ id: stored.length + 1, user_id: userId, actor_id: actorId, type, title, message, data, is_read: 0 });
+    return { insertId: stored.length, affectedRows: 1 };
+  }
+  return { affectedRows: 0 };
+};
+connection.get = async (sql, params) => {
+  if (sql.includes('FROM notifications n')) return stored.find(row => row.id === params[0]) || null;
+  if (sql.includes('push_notifications_enabled')) return settings;
+  if (sql.includes('as shared')) return ridingTogether ? { shared: 1 } : null;
+  return null;
+};
+connection.query = async (sql) => {
+  if (sql.includes('FROM notification_preferences')) return categoryRows;
+  if (sql.includes('FROM push_tokens')) return [{ id: 1, token: 'device-token' }];
+  return [];
+};
+
+const { setTransport, createLogTransport } = require('../src/services/transports');
+const { createNotification } = require('../src/services/notificationService');
+
+let apns;
+test.beforeEach(() => {
+  settings = {
+    push_notifications_enabled: 1,
+    email_notifications_enabled: 1,
+    quiet_hours_enabled: 0,
+    quiet_hours_start: null,
+    quiet_hours_end: null,
+    timezone: 'UTC'
+  };
+  categoryRows = [];
+  ridingTogether = false;
+  apns = createLogTransport('apns');
+  setTransport('apns', apns);
+});
+test.after(() => setTransport('apns', null));
+
+// A quiet hours window around the current time
+function quietNow() {
+  const now = Date.now();
+  settings.quiet_hours_enabled = 1;
+  settings.quiet_hours_start = clock(new Date(now - 60 * 60 * 1000));
+  settings.quiet_hours_end = clock(new Date(now + 60 * 60 * 1000));
+}
+
+test('a mention is stored and pushed when preferences allow it', async () => {
+  const notification = await createNotification({ userId: 2, actorId: 1, type: 'mention', title: 'New mention' });
+  assert.equal(notification.type, 'mention');
+  assert.equal(apns.sent.length, 1);
+});
+
+test('a category with push switched off is stored but not pushed', async () => {
+  categoryRows = [{ category: 'pack', socket_enabled: 1, push_enabled: 0, email_enabled: 1 }];
+  const notification = await createNotification({ userId: 2, actorId: 1, type: 'pack_invite', title: 'Pack invite' });
+  assert.ok(notification);
+  assert.equal(apns.sent.length, 0);
+});
+
+test('quiet hours hold back pushes', async () => {
+  quietNow();
+  await createNotification({ userId: 2, actorId: 1, type: 'mention', title: 'New mention' });
+  assert.equal(apns.sent.length, 0);
+});
+
+test('an emergency from a pack mate gets through quiet hours as a time-sensitive push', async () => {
+  quietNow();
+  await createNotification({ userId: 2, actorId: 1, type: 'emergency', title: 'Emergency' });
+  assert.equal(apns.sent.length, 0);
+
+  ridingTogether = true;
+  await createNotification({ userId: 2, actorId: 1, type: 'emergency', title: 'Emergency' });
+  assert.equal(apns.sent.length, 1);
+  assert.equal(apns.sent[0].timeSensitive, true);
+});
+
+test('nobody is notified about their own actions', async () => {
+  assert.equal(await createNotification({ userId: 1, actorId: 1, type: 'mention', title: 'New mention' }), null);
+  assert.equal(apns.sent.length, 0);
+});
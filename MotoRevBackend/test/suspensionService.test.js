@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { formatSuspension, suspendedResponse } = require('../src/services/suspensionService');
+
+test('users without suspended_at are not suspended', () => {
+  assert.equal(formatSuspension(null), null);
+  assert.equal(formatSuspension({ suspended_at: null }), null);
+});
+
+test('a suspension with an end is temporary until it passes', () => {
+  const until = new Date(Date.now() + 24 * 60 * 60 * 1000);
+  const suspension = formatSuspension({ suspended_at: new Date(), suspended_until: until, suspension_reason: 'Spam' });
+  assert.equal(suspension.permanent, false);
+  assert.equal(suspension.until, until);
+  assert.equal(suspension.reason, 'Spam');
+  assert.equal(suspendedResponse(suspension).error, 'Account suspended');
+
+  const expired = formatSuspension({ suspended_at: new Date(), suspended_until: new Date(Date.now() - 1000) });
+  assert.equal(expired, null);
+});
+
+test('a suspension without an end is a ban', () => {
+  const suspension = formatSuspension({ suspended_at: new Date(), suspended_until: null, suspension_reason: 'Abuse' });
+  assert.equal(suspension.permanent, true);
+  assert.equal(suspendedResponse(suspension).error, 'Account banned');
+});